@@ -0,0 +1,35 @@
+// 🔤 Base64 Codec
+// The one base64 helper every payload codec shares. Bytes go through
+// btoa()/atob() one Latin-1 character per byte; text is UTF-8 encoded
+// first, because btoa() throws on any character above U+00FF (emoji, CJK,
+// most non-Western scripts) and the JSON inside payloads carries user text.
+class Base64Codec {
+    encode(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    decode(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    encodeText(text) {
+        return this.encode(new TextEncoder().encode(text));
+    }
+
+    // Throws on base64 that is not valid UTF-8 text
+    decodeText(base64) {
+        return new TextDecoder('utf-8', { fatal: true }).decode(this.decode(base64));
+    }
+}
+
+// Export for use
+globalThis.Base64Codec = Base64Codec;
@@ -0,0 +1,113 @@
+// 🗜️ Compressed QR Payload Codec
+// SCANZO_Z payloads carry UTF-8 content deflated with CompressionStream
+// ('deflate', i.e. zlib framing, whose Adler-32 trailer catches damaged
+// data). Worth it for long text, config snippets and JSON; already-dense data
+// like ciphertext or image data URLs rarely shrinks, so compressIfSmaller()
+// keeps the original whenever the compressed form is not shorter.
+//
+// Format: prefix + base64(deflate(utf8(content)))
+class CompressedPayloadCodec {
+    constructor() {
+        this.prefix = 'SCANZO_Z:';
+        this.base64 = new Base64Codec();
+        this.format = 'deflate';
+        // Refuse to inflate beyond this, so a tiny QR cannot expand into a
+        // huge string (a "zip bomb")
+        this.maxInflatedSize = 1024 * 1024;
+    }
+
+    isSupported() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    isCompressed(payload) {
+        return typeof payload === 'string' && payload.startsWith(this.prefix);
+    }
+
+    async compress(content) {
+        if (!this.isSupported()) {
+            throw new Error('Compression is not supported in this browser');
+        }
+
+        const stream = new Blob([new TextEncoder().encode(content)])
+            .stream()
+            .pipeThrough(new CompressionStream(this.format));
+        const deflated = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        return this.prefix + this.base64.encode(deflated);
+    }
+
+    // The compressed payload if it is shorter than `content`, else `content`
+    async compressIfSmaller(content) {
+        if (!this.isSupported() || !content || this.isCompressed(content)) {
+            return content;
+        }
+
+        const compressed = await this.compress(content);
+        return compressed.length < content.length ? compressed : content;
+    }
+
+    async decompress(payload) {
+        if (!this.isCompressed(payload)) {
+            throw new Error('Not a compressed ScanzoQR payload');
+        }
+        if (!this.isSupported()) {
+            throw new Error('This browser cannot open compressed QR codes');
+        }
+
+        let deflated;
+        try {
+            deflated = this.base64.decode(payload.substring(this.prefix.length));
+        } catch {
+            throw new Error('Compressed QR is corrupted');
+        }
+
+        const reader = new Blob([deflated])
+            .stream()
+            .pipeThrough(new DecompressionStream(this.format))
+            .getReader();
+        const chunks = [];
+        let size = 0;
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                size += value.length;
+                if (size > this.maxInflatedSize) {
+                    throw new Error('Compressed QR expands too far to open');
+                }
+                chunks.push(value);
+            }
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            if (size > this.maxInflatedSize) throw error;
+            throw new Error('Compressed QR is corrupted');
+        }
+
+        const bytes = new Uint8Array(size);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        let content;
+        try {
+            content = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch {
+            throw new Error('Compressed QR is corrupted');
+        }
+
+        // Compression is applied once, to the final payload
+        if (this.isCompressed(content)) {
+            throw new Error('Compressed QR is corrupted');
+        }
+
+        return content;
+    }
+}
+
+// Export for use
+globalThis.CompressedPayloadCodec = CompressedPayloadCodec;
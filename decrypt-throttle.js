@@ -0,0 +1,113 @@
+// ⏳ Decrypt Throttle Module
+// Persistent failed-password tracking for private QR codes, keyed by a
+// fingerprint of the scanned payload (see EnvelopeCodec.throttleKey) so that
+// rescanning or reloading does not reset the count. After `freeAttempts`
+// failures every further failure locks that payload out for
+// baseDelay * 2^n, capped at maxDelay.
+//
+// This slows guessing through the app only; it cannot stop someone who
+// copies the payload and attacks it offline, which is what the PBKDF2 cost
+// in EnvelopeCodec is for.
+//
+// Every read and update starts from what is in localStorage now, so tabs
+// open side by side share one count instead of each getting its own.
+class DecryptThrottle {
+    constructor() {
+        this.storageKey = 'scanzoDecryptThrottle';
+        this.freeAttempts = 3;
+        this.baseDelay = 30 * 1000;
+        this.maxDelay = 24 * 60 * 60 * 1000;
+        this.retention = 30 * 24 * 60 * 60 * 1000;
+        this.entries = {};
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.entries = stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load decrypt throttle:', error);
+            this.entries = {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+
+    // First 128 bits of SHA-256 over the payload, as hex
+    async fingerprint(payload) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+
+        return Array.from(new Uint8Array(digest).slice(0, 16))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Returns { locked, remainingMs, lockedUntil, failures, attemptsLeft }
+    // where attemptsLeft counts the failures still allowed before a lockout
+    getStatus(fingerprint, now = Date.now()) {
+        this.load();
+        const entry = this.entries[fingerprint] || { failures: 0, lockedUntil: 0 };
+        const remainingMs = Math.max(0, entry.lockedUntil - now);
+
+        return {
+            locked: remainingMs > 0,
+            remainingMs,
+            lockedUntil: remainingMs > 0 ? new Date(entry.lockedUntil) : null,
+            failures: entry.failures,
+            attemptsLeft: Math.max(0, this.freeAttempts - entry.failures)
+        };
+    }
+
+    recordFailure(fingerprint, now = Date.now()) {
+        this.load();
+        this.prune(now);
+
+        const entry = this.entries[fingerprint] || { failures: 0, lockedUntil: 0 };
+        entry.failures++;
+        entry.lastFailure = now;
+
+        if (entry.failures >= this.freeAttempts) {
+            const exponent = Math.min(entry.failures - this.freeAttempts, 20);
+            entry.lockedUntil = now + Math.min(this.baseDelay * Math.pow(2, exponent), this.maxDelay);
+        }
+
+        this.entries[fingerprint] = entry;
+        this.save();
+        return this.getStatus(fingerprint, now);
+    }
+
+    recordSuccess(fingerprint) {
+        this.load();
+        if (this.entries[fingerprint]) {
+            delete this.entries[fingerprint];
+            this.save();
+        }
+    }
+
+    // Forget payloads that have not failed for a while and are not locked
+    prune(now = Date.now()) {
+        for (const [fingerprint, entry] of Object.entries(this.entries)) {
+            if (entry.lockedUntil <= now && now - (entry.lastFailure || 0) > this.retention) {
+                delete this.entries[fingerprint];
+            }
+        }
+    }
+
+    formatRemaining(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+        return `${seconds}s`;
+    }
+}
+
+// Export for use
+window.DecryptThrottle = DecryptThrottle;
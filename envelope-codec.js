@@ -0,0 +1,542 @@
+// 🔐 Private QR Envelope Codec
+// Single reader/writer for every SCANZO_PRIVATE payload format, shared by
+// the inline app in index.html and ScanzoQRApp in script.js.
+//
+// Known formats (all base64 JSON after the prefix, UTF-8 since v2 hints can
+// be any text; builds up to 2.1.0 wrote the v1 formats as Latin-1):
+//   v3 'ecdh-p256'      { v: 3, alg, kex, epk, rcpt, iv, ct }
+//   v2 'aes-gcm'        { v: 2, alg, kdf, iter, salt, iv, hint?, ct }
+//   v1 'legacy-hash'    { data, hash }              - script.js <= 2.1.0
+//   v1 'legacy-inline'  { content, password, ... }  - index.html <= 2.1.0
+// Both v1 formats only base64-wrap the content and are reported as insecure.
+//
+// v2 and v3 plaintext is { content, timestamp, nbf?, exp?, once? }. The
+// optional validity window lives inside the ciphertext, so it cannot be
+// stripped or extended, and decoding refuses content outside of it.
+// `once` is the random nonce of a one-time QR; remembering consumed nonces
+// is up to the scanning app (see NonceStore).
+//
+// The optional v2 password hint is readable without the password (it is
+// shown on the unlock screen) but, as part of the header, is authenticated.
+class EnvelopeCodec {
+    constructor() {
+        this.prefix = 'SCANZO_PRIVATE:';
+        this.base64 = new Base64Codec();
+        this.kdfIterations = 600000;
+        this.maxHintLength = 100;
+    }
+
+    isPrivate(payload) {
+        return typeof payload === 'string' && payload.startsWith(this.prefix);
+    }
+
+    // Detect the format of a payload without needing the password
+    detectFormat(payload) {
+        const envelope = this.parse(payload);
+        if (!envelope) return null;
+
+        if (envelope.v === 3 && Array.isArray(envelope.rcpt)) {
+            return {
+                version: 3,
+                format: 'ecdh-p256',
+                insecure: false,
+                recipients: envelope.rcpt.map(r => r.kid)
+            };
+        }
+        if (envelope.v === 2) {
+            return {
+                version: 2,
+                format: 'aes-gcm',
+                insecure: false,
+                hint: typeof envelope.hint === 'string' ? envelope.hint : null
+            };
+        }
+        if (envelope.data && envelope.hash) {
+            return { version: 1, format: 'legacy-hash', insecure: true };
+        }
+        if (envelope.content !== undefined && envelope.password !== undefined) {
+            return { version: 1, format: 'legacy-inline', insecure: true };
+        }
+        return null;
+    }
+
+    // Stable identity for DecryptThrottle. Only the parts that decide whether
+    // a password works are used, re-encoded, so cosmetic edits to a payload
+    // (whitespace in the base64, key order) do not reset its attempt count.
+    throttleKey(payload) {
+        const detected = this.detectFormat(payload);
+        const envelope = this.parse(payload);
+        if (!detected) return payload;
+
+        if (detected.format === 'aes-gcm') {
+            const canonical = value => {
+                try {
+                    return this.base64.encode(this.base64.decode(String(value)));
+                } catch {
+                    return String(value);
+                }
+            };
+            return `v2:${[envelope.salt, envelope.iv, envelope.ct].map(canonical).join('.')}`;
+        }
+
+        return JSON.stringify(envelope);
+    }
+
+    parse(payload) {
+        if (!this.isPrivate(payload)) return null;
+
+        try {
+            const envelope = JSON.parse(this.decodeText(payload.substring(this.prefix.length)));
+            return envelope && typeof envelope === 'object' ? envelope : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Base64 text as UTF-8, falling back to the Latin-1 that builds up to
+    // 2.1.0 wrote
+    decodeText(base64) {
+        try {
+            return this.base64.decodeText(base64);
+        } catch {
+            return atob(base64);
+        }
+    }
+
+    // Encode content as a full SCANZO_PRIVATE payload. The legacy formats
+    // can still be written for older ScanzoQR builds, but offer no secrecy.
+    // options: { format, notBefore, expiresAt, hint, oneTime } - dates or ms
+    // timestamps
+    async encode(content, password, options = {}) {
+        const format = options.format || 'aes-gcm';
+        let body;
+
+        if (format !== 'aes-gcm' && (options.notBefore || options.expiresAt)) {
+            throw new Error('Validity windows need the encrypted format');
+        }
+        if (format !== 'aes-gcm' && options.hint) {
+            throw new Error('Password hints need the encrypted format');
+        }
+        if (format !== 'aes-gcm' && options.oneTime) {
+            throw new Error('One-time QR codes need the encrypted format');
+        }
+
+        switch (format) {
+            case 'aes-gcm':
+                body = await this.encodeV2(content, password, options);
+                break;
+
+            case 'legacy-hash':
+                body = this.encodeLegacyHash(content, password);
+                break;
+
+            case 'legacy-inline':
+                body = {
+                    content,
+                    password: this.base64.encodeText(password),
+                    timestamp: Date.now(),
+                    version: '2.1.0'
+                };
+                break;
+
+            default:
+                throw new Error(`Unknown private QR format: ${format}`);
+        }
+
+        return this.prefix + this.base64.encodeText(JSON.stringify(body));
+    }
+
+    // Decode a SCANZO_PRIVATE payload.
+    // Returns { content, version, format, insecure, notBefore, expiresAt, nonce }.
+    async decode(payload, password) {
+        const detected = this.detectFormat(payload);
+        if (!detected) {
+            throw new Error('Unsupported private QR format');
+        }
+
+        const envelope = this.parse(payload);
+        let data;
+
+        switch (detected.format) {
+            case 'ecdh-p256':
+                throw new Error('This QR is locked to recipient keys, not a password');
+
+            case 'aes-gcm':
+                data = await this.decodeV2(envelope, password);
+                break;
+
+            case 'legacy-hash':
+                data = { content: this.decodeLegacyHash(envelope, password) };
+                break;
+
+            case 'legacy-inline':
+                data = { content: this.decodeLegacyInline(envelope, password) };
+                break;
+        }
+
+        return this.checkedResult(data, detected);
+    }
+
+    // Plaintext for v2/v3 payloads, including the optional validity window
+    // and, with options.oneTime, a one-time nonce
+    encodePlaintext(content, options = {}) {
+        const data = { content, timestamp: Date.now() };
+        const notBefore = this.toTimestamp(options.notBefore);
+        const expiresAt = this.toTimestamp(options.expiresAt);
+
+        if (notBefore && expiresAt && expiresAt <= notBefore) {
+            throw new Error('Expiry must be after the start of the validity window');
+        }
+        if (expiresAt && expiresAt <= Date.now()) {
+            throw new Error('Expiry must be in the future');
+        }
+
+        if (notBefore) data.nbf = notBefore;
+        if (expiresAt) data.exp = expiresAt;
+        if (options.oneTime) {
+            data.once = Array.from(crypto.getRandomValues(new Uint8Array(16)))
+                .map(b => b.toString(16).padStart(2, '0'))
+                .join('');
+        }
+
+        return new TextEncoder().encode(JSON.stringify(data));
+    }
+
+    toTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+        if (isNaN(time)) {
+            throw new Error('Invalid validity date');
+        }
+        return time;
+    }
+
+    // Refuse decrypted content outside its validity window. The thrown
+    // error carries a `code` so callers can tell it apart from a wrong
+    // password: 'QR_NOT_YET_VALID' or 'QR_EXPIRED'.
+    checkedResult(data, detected, now = Date.now()) {
+        const notBefore = data.nbf ? new Date(data.nbf) : null;
+        const expiresAt = data.exp ? new Date(data.exp) : null;
+
+        if (notBefore && now < notBefore.getTime()) {
+            const error = new Error(`This QR code is not valid until ${notBefore.toLocaleString()}`);
+            error.code = 'QR_NOT_YET_VALID';
+            error.notBefore = notBefore;
+            throw error;
+        }
+
+        if (expiresAt && now >= expiresAt.getTime()) {
+            const error = new Error(`This QR code expired on ${expiresAt.toLocaleString()}`);
+            error.code = 'QR_EXPIRED';
+            error.expiresAt = expiresAt;
+            throw error;
+        }
+
+        return {
+            content: data.content,
+            notBefore,
+            expiresAt,
+            nonce: typeof data.once === 'string' ? data.once : null,
+            ...detected
+        };
+    }
+
+    // v2: AES-GCM with a PBKDF2-derived key. The envelope header (everything
+    // except the ciphertext) is bound as additional authenticated data, so it
+    // cannot be altered without the decryption failing.
+    async encodeV2(content, password, options = {}) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Secure encryption (Web Crypto) is not available in this environment');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const header = {
+            v: 2,
+            alg: 'AES-GCM',
+            kdf: 'PBKDF2-SHA256',
+            iter: this.kdfIterations,
+            salt: this.base64.encode(salt),
+            iv: this.base64.encode(iv)
+        };
+
+        const hint = this.checkHint(options.hint, password);
+        if (hint) header.hint = hint;
+
+        const plaintext = this.encodePlaintext(content, options);
+        const key = await this.deriveKey(password, salt, header.iter);
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.encodeHeader(header) },
+            key,
+            plaintext
+        );
+
+        return {
+            ...header,
+            ct: this.base64.encode(new Uint8Array(ciphertext))
+        };
+    }
+
+    // Hints travel in the clear, so they must not give the password away
+    checkHint(hint, password) {
+        if (hint === undefined || hint === null) return null;
+
+        const trimmed = String(hint).trim();
+        if (!trimmed) return null;
+
+        if (trimmed.length > this.maxHintLength) {
+            throw new Error(`Password hint must be ${this.maxHintLength} characters or fewer`);
+        }
+        if (password && trimmed.toLowerCase().includes(password.toLowerCase())) {
+            throw new Error('The password hint must not contain the password');
+        }
+        return trimmed;
+    }
+
+    async decodeV2(envelope, password) {
+        if (envelope.alg !== 'AES-GCM' || envelope.kdf !== 'PBKDF2-SHA256') {
+            throw new Error('Unsupported private QR format');
+        }
+        // The count comes from the scanned code: a huge one would freeze the
+        // tab, a small one would weaken the key. Every v2 code uses ours.
+        if (envelope.iter !== this.kdfIterations) {
+            throw new Error('Unsupported private QR format');
+        }
+
+        try {
+            const key = await this.deriveKey(password, this.base64.decode(envelope.salt), envelope.iter);
+            const plaintext = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: this.base64.decode(envelope.iv),
+                    additionalData: this.encodeHeader(envelope)
+                },
+                key,
+                this.base64.decode(envelope.ct)
+            );
+
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch {
+            throw this.passwordError();
+        }
+    }
+
+    // v3: the content is encrypted once with a random key, and that key is
+    // wrapped (AES-KW) for every recipient under an ECDH-P256 + HKDF secret
+    // shared between a one-off ephemeral key and the recipient's public key.
+    // recipients: [{ kid, publicKey }] with publicKey an ECDH CryptoKey.
+    // options: { notBefore, expiresAt, oneTime }
+    async encodeForRecipients(content, recipients, options = {}) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Secure encryption (Web Crypto) is not available in this environment');
+        }
+        if (!recipients || recipients.length === 0) {
+            throw new Error('Select at least one recipient');
+        }
+
+        const plaintext = this.encodePlaintext(content, options);
+
+        const ephemeral = await crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            true,
+            ['deriveBits']
+        );
+        const epk = await crypto.subtle.exportKey('jwk', ephemeral.publicKey);
+        const contentKey = await crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+
+        const rcpt = [];
+        for (const recipient of recipients) {
+            const kek = await this.deriveWrappingKey(ephemeral.privateKey, recipient.publicKey, recipient.kid);
+            const wrapped = await crypto.subtle.wrapKey('raw', contentKey, kek, 'AES-KW');
+            rcpt.push({ kid: recipient.kid, wk: this.base64.encode(new Uint8Array(wrapped)) });
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const header = {
+            v: 3,
+            alg: 'AES-GCM',
+            kex: 'ECDH-P256-HKDF-A256KW',
+            epk: { x: epk.x, y: epk.y },
+            rcpt,
+            iv: this.base64.encode(iv)
+        };
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.encodeHeader(header) },
+            contentKey,
+            plaintext
+        );
+
+        return this.prefix + this.base64.encodeText(JSON.stringify({
+            ...header,
+            ct: this.base64.encode(new Uint8Array(ciphertext))
+        }));
+    }
+
+    // Decode a v3 payload with this device's identity: { kid, privateKey }
+    async decodeForRecipient(payload, identity) {
+        const detected = this.detectFormat(payload);
+        if (!detected || detected.format !== 'ecdh-p256') {
+            throw new Error('Not a recipient-encrypted QR');
+        }
+
+        const envelope = this.parse(payload);
+        const entry = envelope.rcpt.find(r => r.kid === identity.kid);
+        if (!entry) {
+            throw new Error('This QR was not encrypted for your key');
+        }
+
+        let data;
+        try {
+            const epk = await crypto.subtle.importKey(
+                'jwk',
+                { kty: 'EC', crv: 'P-256', x: envelope.epk.x, y: envelope.epk.y },
+                { name: 'ECDH', namedCurve: 'P-256' },
+                false,
+                []
+            );
+            const kek = await this.deriveWrappingKey(identity.privateKey, epk, identity.kid);
+            const contentKey = await crypto.subtle.unwrapKey(
+                'raw',
+                this.base64.decode(entry.wk),
+                kek,
+                'AES-KW',
+                'AES-GCM',
+                false,
+                ['decrypt']
+            );
+
+            const plaintext = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: this.base64.decode(envelope.iv),
+                    additionalData: this.encodeHeader(envelope)
+                },
+                contentKey,
+                this.base64.decode(envelope.ct)
+            );
+
+            data = JSON.parse(new TextDecoder().decode(plaintext));
+        } catch {
+            throw new Error('Failed to decrypt with your key');
+        }
+
+        return this.checkedResult(data, detected);
+    }
+
+    async deriveWrappingKey(privateKey, publicKey, kid) {
+        const shared = await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: publicKey },
+            privateKey,
+            256
+        );
+        const hkdfKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new Uint8Array(0),
+                info: new TextEncoder().encode(`ScanzoQR v3 ${kid}`)
+            },
+            hkdfKey,
+            { name: 'AES-KW', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    async deriveKey(password, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    encodeHeader(envelope) {
+        const { ct, ...header } = envelope;
+        return new TextEncoder().encode(JSON.stringify(header));
+    }
+
+    // v1 'legacy-hash': 32-bit string hash of password + salt
+    encodeLegacyHash(content, password) {
+        const data = {
+            content,
+            timestamp: Date.now(),
+            salt: Math.random().toString(36).substring(2, 15)
+        };
+
+        return {
+            data: this.base64.encodeText(JSON.stringify(data)),
+            hash: this.legacyHash(password + data.salt)
+        };
+    }
+
+    decodeLegacyHash(envelope, password) {
+        try {
+            const data = JSON.parse(this.decodeText(envelope.data));
+            if (envelope.hash === this.legacyHash(password + data.salt)) {
+                return data.content;
+            }
+        } catch {
+            // Fall through to the generic error
+        }
+        throw this.passwordError();
+    }
+
+    legacyHash(input) {
+        let hash = 0;
+        for (let i = 0; i < input.length; i++) {
+            const char = input.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return hash.toString(16);
+    }
+
+    // The one decode error that means a wrong password (or, as AES-GCM
+    // cannot tell them apart, a tampered ciphertext). Its `code`
+    // 'QR_BAD_PASSWORD' is what scanners count as a failed attempt;
+    // unsupported or damaged payloads throw without one.
+    passwordError() {
+        const error = new Error('Failed to decrypt or invalid password');
+        error.code = 'QR_BAD_PASSWORD';
+        return error;
+    }
+
+    // v1 'legacy-inline': base64 of the password stored next to the content,
+    // as UTF-8 or, from builds up to 2.1.0, Latin-1
+    decodeLegacyInline(envelope, password) {
+        if (this.base64.encodeText(password) === envelope.password) {
+            return envelope.content;
+        }
+        try {
+            if (btoa(password) === envelope.password) {
+                return envelope.content;
+            }
+        } catch {
+            // btoa() rejects non-Latin1 passwords, which can never match
+        }
+        throw this.passwordError();
+    }
+}
+
+// Export for use
+globalThis.EnvelopeCodec = EnvelopeCodec;
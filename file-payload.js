@@ -0,0 +1,100 @@
+// 📎 File Payload Codec
+// SCANZO_FILE payloads carry a whole file - name, MIME type, size and a
+// SHA-256 digest next to the bytes - so the scanner can check it arrived
+// intact and offer a correctly named download.
+//
+// Message: [meta length: 4, big-endian][meta JSON][file bytes] with meta
+//   { name, type, size, sha256 }
+// Payload: prefix + base64(message). Fountain streams (fountain-stream.js)
+// carry the same message without the prefix.
+class FilePayloadCodec {
+    constructor() {
+        this.prefix = 'SCANZO_FILE:';
+        this.base64 = new Base64Codec();
+        this.maxNameLength = 255;
+    }
+
+    isFile(payload) {
+        return typeof payload === 'string' && payload.startsWith(this.prefix);
+    }
+
+    // file: { name, type, bytes } -> payload string
+    async encode(file) {
+        return this.prefix + this.base64.encode(await this.pack(file));
+    }
+
+    // payload string -> { name, type, size, sha256, bytes }, digest checked
+    async decode(payload) {
+        if (!this.isFile(payload)) {
+            throw new Error('Not a ScanzoQR file');
+        }
+
+        let message;
+        try {
+            message = this.base64.decode(payload.substring(this.prefix.length));
+        } catch {
+            throw new Error('File QR is corrupted');
+        }
+
+        return this.unpack(message);
+    }
+
+    async pack(file) {
+        const bytes = file.bytes;
+        if (!bytes || bytes.length === 0) {
+            throw new Error('File is empty');
+        }
+
+        const meta = new TextEncoder().encode(JSON.stringify({
+            name: this.sanitizeName(file.name),
+            type: file.type || 'application/octet-stream',
+            size: bytes.length,
+            sha256: await this.sha256(bytes)
+        }));
+
+        const message = new Uint8Array(4 + meta.length + bytes.length);
+        new DataView(message.buffer).setUint32(0, meta.length);
+        message.set(meta, 4);
+        message.set(bytes, 4 + meta.length);
+        return message;
+    }
+
+    async unpack(message) {
+        let meta;
+        let bytes;
+        try {
+            const metaLength = new DataView(message.buffer, message.byteOffset, message.byteLength).getUint32(0);
+            meta = JSON.parse(new TextDecoder().decode(message.slice(4, 4 + metaLength)));
+            bytes = message.slice(4 + metaLength);
+        } catch {
+            throw new Error('Received file is corrupted');
+        }
+
+        if (!meta || bytes.length !== meta.size || await this.sha256(bytes) !== meta.sha256) {
+            throw new Error('Received file failed its integrity check');
+        }
+
+        return {
+            name: this.sanitizeName(meta.name),
+            type: typeof meta.type === 'string' && meta.type ? meta.type : 'application/octet-stream',
+            size: meta.size,
+            sha256: meta.sha256,
+            bytes
+        };
+    }
+
+    // Names come from whoever made the QR: keep only the last path segment
+    // and drop control characters
+    sanitizeName(name) {
+        const base = String(name || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim();
+        return base && base !== '.' && base !== '..' ? base.substring(0, this.maxNameLength) : 'file';
+    }
+
+    async sha256(bytes) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        return Array.from(digest).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use
+globalThis.FilePayloadCodec = FilePayloadCodec;
@@ -0,0 +1,342 @@
+// 🌊 Fountain Stream Module
+// Moves a small file over an animated loop of QR frames, for air-gapped
+// machines where a screen and a camera are the only channel. The file is cut
+// into K blocks and each frame carries one LT-coded symbol: the XOR of a
+// random set of blocks whose size follows the robust soliton distribution.
+// Any ~K(1 + ε) distinct frames rebuild the file, in any order, so missed or
+// blurred frames just mean waiting for later ones.
+//
+// Seeds 0..K-1 are systematic (symbol i is block i) and later seeds are
+// coded, so a clean pass through the loop decodes with no overhead and the
+// coded frames fill in whatever was missed.
+//
+// Frame: prefix + base64 of
+//   [v=1][stream id: 4][message length: 4][seed: 4][symbol: block size]
+// (integers big-endian). The block size is the symbol length, so K follows
+// from the message length.
+//
+// Message: a FilePayloadCodec message (file-payload.js), so the file's
+// name, type and SHA-256 digest travel with it and are checked on rebuild.
+class FountainCode {
+    constructor() {
+        this.prefix = 'SCANZO_FTN:';
+        this.base64 = new Base64Codec();
+        this.files = new FilePayloadCodec();
+        this.headerLength = 13;
+        this.defaultBlockSize = 384;
+        this.maxFileSize = 1024 * 1024;
+        this.maxBlocks = 8192;
+
+        // Robust soliton parameters
+        this.c = 0.1;
+        this.delta = 0.5;
+        this.tables = new Map();
+    }
+
+    isFrame(payload) {
+        return typeof payload === 'string' && payload.startsWith(this.prefix);
+    }
+
+    parseFrame(payload) {
+        if (!this.isFrame(payload)) {
+            throw new Error('Not a ScanzoQR stream frame');
+        }
+
+        let bytes;
+        try {
+            bytes = this.base64.decode(payload.substring(this.prefix.length));
+        } catch {
+            throw new Error('Stream frame is corrupted');
+        }
+
+        if (bytes.length <= this.headerLength || bytes[0] !== 1) {
+            throw new Error('Unsupported or corrupted stream frame');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const length = view.getUint32(5);
+        const symbol = bytes.slice(this.headerLength);
+        const blockCount = Math.ceil(length / symbol.length);
+        if (length === 0 || blockCount > this.maxBlocks) {
+            throw new Error('Unsupported or corrupted stream frame');
+        }
+
+        return {
+            id: this.toHex(bytes.slice(1, 5)),
+            length,
+            seed: view.getUint32(9),
+            blockSize: symbol.length,
+            blockCount,
+            symbol
+        };
+    }
+
+    buildFrame(idBytes, length, seed, symbol) {
+        const bytes = new Uint8Array(this.headerLength + symbol.length);
+        const view = new DataView(bytes.buffer);
+
+        bytes[0] = 1;
+        bytes.set(idBytes, 1);
+        view.setUint32(5, length);
+        view.setUint32(9, seed);
+        bytes.set(symbol, this.headerLength);
+
+        return this.prefix + this.base64.encode(bytes);
+    }
+
+    // Block indices XORed into the symbol for `seed`
+    indicesFor(seed, blockCount) {
+        if (seed < blockCount) return [seed];
+
+        const random = this.prng(seed);
+        const cdf = this.degreeTable(blockCount);
+        const r = random();
+        let degree = 1;
+        while (degree < blockCount && cdf[degree - 1] <= r) degree++;
+
+        const indices = new Set();
+        while (indices.size < degree) {
+            indices.add(Math.floor(random() * blockCount));
+        }
+        return Array.from(indices);
+    }
+
+    // Cumulative robust soliton distribution; cdf[d - 1] = P(degree <= d)
+    degreeTable(k) {
+        if (this.tables.has(k)) return this.tables.get(k);
+
+        const r = this.c * Math.log(k / this.delta) * Math.sqrt(k);
+        const pivot = Math.max(1, Math.min(k, Math.floor(k / r)));
+        const weights = new Float64Array(k + 1);
+
+        for (let d = 1; d <= k; d++) {
+            weights[d] = d === 1 ? 1 / k : 1 / (d * (d - 1));
+            if (d < pivot) {
+                weights[d] += r / (d * k);
+            } else if (d === pivot) {
+                weights[d] += r * Math.log(r / this.delta) / k;
+            }
+        }
+
+        const total = weights.reduce((sum, weight) => sum + Math.max(weight, 0), 0);
+        const cdf = new Float64Array(k);
+        let running = 0;
+        for (let d = 1; d <= k; d++) {
+            running += Math.max(weights[d], 0) / total;
+            cdf[d - 1] = running;
+        }
+        cdf[k - 1] = 1;
+
+        this.tables.set(k, cdf);
+        return cdf;
+    }
+
+    // mulberry32: small, fast and identical on every platform
+    prng(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // file: { name, type, bytes } -> message bytes
+    async packFile(file) {
+        if (file.bytes && file.bytes.length > this.maxFileSize) {
+            throw new Error(`File too large to stream (max ${Math.round(this.maxFileSize / 1024)} KB)`);
+        }
+
+        return this.files.pack(file);
+    }
+
+    // message bytes -> { name, type, size, sha256, bytes }, digest checked
+    async unpackFile(message) {
+        return this.files.unpack(message);
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// 📡 Fountain Encoder
+// Produces an endless sequence of frames for one message.
+class FountainEncoder {
+    constructor(message, blockSize = null, code = new FountainCode()) {
+        this.code = code;
+        this.length = message.length;
+        this.blockSize = blockSize || code.defaultBlockSize;
+        this.blockCount = Math.ceil(this.length / this.blockSize);
+        this.id = crypto.getRandomValues(new Uint8Array(4));
+        this.seed = 0;
+
+        if (this.blockCount > code.maxBlocks) {
+            throw new Error('File too large to stream');
+        }
+
+        // Zero-padded copy so every block has the full size
+        this.message = new Uint8Array(this.blockCount * this.blockSize);
+        this.message.set(message);
+    }
+
+    frame(seed) {
+        const symbol = new Uint8Array(this.blockSize);
+        for (const index of this.code.indicesFor(seed, this.blockCount)) {
+            const offset = index * this.blockSize;
+            for (let i = 0; i < this.blockSize; i++) {
+                symbol[i] ^= this.message[offset + i];
+            }
+        }
+
+        return this.code.buildFrame(this.id, this.length, seed, symbol);
+    }
+
+    nextFrame() {
+        return this.frame(this.seed++);
+    }
+}
+
+// 📥 Fountain Decoder
+// Peeling decoder: symbols are reduced by the blocks already known, and any
+// symbol left with a single block reveals it, which may in turn reduce
+// others.
+class FountainDecoder {
+    constructor(code = new FountainCode()) {
+        this.code = code;
+        this.reset();
+    }
+
+    reset() {
+        this.id = null;
+        this.length = 0;
+        this.blockSize = 0;
+        this.blockCount = 0;
+        this.blocks = [];
+        this.decoded = 0;
+        this.seeds = new Set();
+        this.waiting = new Map();
+    }
+
+    isActive() {
+        return this.id !== null;
+    }
+
+    isComplete() {
+        return this.isActive() && this.decoded === this.blockCount;
+    }
+
+    // Returns { status, id, decoded, total, received } where status is
+    // 'added', 'duplicate', 'other-stream' or 'complete'. Call finish()
+    // once complete to get the file.
+    add(payload) {
+        const frame = this.code.parseFrame(payload);
+
+        if (this.isActive() && frame.id !== this.id) {
+            return { status: 'other-stream', ...this.progress() };
+        }
+
+        if (!this.isActive()) {
+            this.id = frame.id;
+            this.length = frame.length;
+            this.blockSize = frame.blockSize;
+            this.blockCount = frame.blockCount;
+            this.blocks = new Array(frame.blockCount);
+        } else if (frame.blockSize !== this.blockSize || frame.length !== this.length) {
+            throw new Error('Stream frame is corrupted');
+        }
+
+        if (this.seeds.has(frame.seed) || this.isComplete()) {
+            return { status: 'duplicate', ...this.progress() };
+        }
+        this.seeds.add(frame.seed);
+
+        this.receive(this.code.indicesFor(frame.seed, this.blockCount), frame.symbol);
+
+        return { status: this.isComplete() ? 'complete' : 'added', ...this.progress() };
+    }
+
+    receive(indices, data) {
+        const symbol = { indices: new Set(), data };
+        for (const index of indices) {
+            if (this.blocks[index]) {
+                this.xorInto(data, this.blocks[index]);
+            } else {
+                symbol.indices.add(index);
+            }
+        }
+
+        if (symbol.indices.size === 0) return;
+        if (symbol.indices.size === 1) {
+            this.solve(symbol.indices.values().next().value, symbol.data);
+            return;
+        }
+
+        for (const index of symbol.indices) {
+            if (!this.waiting.has(index)) this.waiting.set(index, []);
+            this.waiting.get(index).push(symbol);
+        }
+    }
+
+    solve(index, data) {
+        const queue = [[index, data]];
+
+        while (queue.length > 0) {
+            const [block, blockData] = queue.pop();
+            if (this.blocks[block]) continue;
+
+            this.blocks[block] = blockData;
+            this.decoded++;
+
+            for (const symbol of this.waiting.get(block) || []) {
+                if (!symbol.indices.has(block)) continue;
+
+                this.xorInto(symbol.data, blockData);
+                symbol.indices.delete(block);
+                if (symbol.indices.size === 1) {
+                    const [last] = symbol.indices;
+                    symbol.indices.clear();
+                    queue.push([last, symbol.data]);
+                }
+            }
+            this.waiting.delete(block);
+        }
+    }
+
+    xorInto(target, source) {
+        for (let i = 0; i < target.length; i++) {
+            target[i] ^= source[i];
+        }
+    }
+
+    progress() {
+        return {
+            id: this.id,
+            decoded: this.decoded,
+            total: this.blockCount,
+            received: this.seeds.size
+        };
+    }
+
+    // The rebuilt file ({ name, type, size, sha256, bytes }); resets the
+    // decoder whether or not the integrity check passes
+    async finish() {
+        if (!this.isComplete()) {
+            throw new Error(`Stream incomplete - ${this.decoded} of ${this.blockCount} blocks`);
+        }
+
+        const message = new Uint8Array(this.blockCount * this.blockSize);
+        this.blocks.forEach((block, index) => message.set(block, index * this.blockSize));
+        const length = this.length;
+        this.reset();
+
+        return this.code.unpackFile(message.slice(0, length));
+    }
+}
+
+// Export for use
+globalThis.FountainCode = FountainCode;
+globalThis.FountainEncoder = FountainEncoder;
+globalThis.FountainDecoder = FountainDecoder;
@@ -0,0 +1,161 @@
+// 🗄️ History Vault Module
+// Optional encryption at rest for scan/generate history. A master password
+// is stretched with PBKDF2-SHA256 into an AES-GCM key that lives only in
+// memory while the vault is unlocked; nothing derived from it is stored.
+//
+// Vault settings (localStorage 'scanzoVault'):
+//   { v: 1, kdf: 'PBKDF2-SHA256', iter, salt, check: { iv, ct } }
+// `check` is a known value encrypted under the key, used to tell a wrong
+// master password apart from a damaged record.
+//
+// Sealed history record: { id, vault: 1, iv, ct }
+// The id stays readable because both stores key records by it, and is bound
+// to the ciphertext as AES-GCM additional data so records cannot be swapped.
+class HistoryVault {
+    constructor() {
+        this.storageKey = 'scanzoVault';
+        this.checkValue = 'scanzo-history-vault';
+        this.codec = new EnvelopeCodec();
+        this.base64 = new Base64Codec();
+        this.key = null;
+        this.settings = null;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.settings = stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Failed to load vault settings:', error);
+            this.settings = null;
+        }
+    }
+
+    isEnabled() {
+        return !!this.settings;
+    }
+
+    isUnlocked() {
+        return !!this.key;
+    }
+
+    // Turn the vault on with a new master password and unlock it
+    async enable(password) {
+        if (this.isEnabled()) {
+            throw new Error('History vault is already enabled');
+        }
+        if (!password || password.length < 8) {
+            throw new Error('Master password must be at least 8 characters');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = this.codec.kdfIterations;
+        const key = await this.codec.deriveKey(password, salt, iterations);
+
+        this.settings = {
+            v: 1,
+            kdf: 'PBKDF2-SHA256',
+            iter: iterations,
+            salt: this.base64.encode(salt),
+            check: await this.seal(key, this.checkValue, 'check')
+        };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        this.key = key;
+    }
+
+    async unlock(password) {
+        if (!this.isEnabled()) {
+            throw new Error('History vault is not enabled');
+        }
+
+        const key = await this.codec.deriveKey(
+            password,
+            this.base64.decode(this.settings.salt),
+            this.settings.iter
+        );
+
+        let check = null;
+        try {
+            check = await this.open(key, this.settings.check, 'check');
+        } catch {
+            check = null;
+        }
+        if (check !== this.checkValue) {
+            throw new Error('Incorrect master password');
+        }
+
+        this.key = key;
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    // Forget the vault settings; callers re-save history in plaintext
+    disable() {
+        if (!this.isUnlocked()) {
+            throw new Error('Unlock the history vault first');
+        }
+
+        localStorage.removeItem(this.storageKey);
+        this.settings = null;
+        this.key = null;
+    }
+
+    isSealed(record) {
+        return !!record && record.vault === 1 && typeof record.ct === 'string';
+    }
+
+    async sealRecord(item) {
+        if (!this.isUnlocked()) {
+            throw new Error('History vault is locked');
+        }
+
+        return {
+            id: item.id,
+            vault: 1,
+            ...await this.seal(this.key, JSON.stringify(item), `history:${item.id}`)
+        };
+    }
+
+    async openRecord(record) {
+        if (!this.isUnlocked()) {
+            throw new Error('History vault is locked');
+        }
+
+        return JSON.parse(await this.open(this.key, record, `history:${record.id}`));
+    }
+
+    async seal(key, text, context) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+            key,
+            new TextEncoder().encode(text)
+        );
+
+        return {
+            iv: this.base64.encode(iv),
+            ct: this.base64.encode(new Uint8Array(ciphertext))
+        };
+    }
+
+    async open(key, sealed, context) {
+        const plaintext = await crypto.subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: this.base64.decode(sealed.iv),
+                additionalData: new TextEncoder().encode(context)
+            },
+            key,
+            this.base64.decode(sealed.ct)
+        );
+
+        return new TextDecoder().decode(plaintext);
+    }
+}
+
+// Export for use
+window.HistoryVault = HistoryVault;
@@ -0,0 +1,691 @@
+// 🖼️ Image File Codec
+// Reads and writes image files without a canvas, for the command line and
+// workers: PNG in and out, JPEG in. Pixels travel as ImageData-
+// shaped { data, width, height } with RGBA data, as QRDecoder and
+// ScanzoCore take them.
+//
+// PNG reading covers every colour type, bit depth and Adam7 interlacing;
+// deflate goes through CompressionStream, like SCANZO_Z payloads. JPEGs
+// (photos of printed codes) are decoded to their luminance only - all a
+// QR reader looks at - so the colour planes are entropy-decoded and
+// skipped. Baseline and progressive are read; arithmetic-coded, lossless,
+// 12-bit and CMYK JPEGs are refused.
+class ImageFileCodec {
+    constructor() {
+        this.pngSignature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+        this.channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+        // Adam7 passes: [x0, y0, dx, dy]
+        this.adam7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+        // Position in the 8x8 block of the n-th zig-zag coefficient
+        this.zigzag = new Uint8Array([
+            0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+            12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+            35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+            58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+        ]);
+
+        // IDCT basis: cos((2x + 1)u pi / 16) with the C(u) / 2 scale
+        this.idctTable = new Float32Array(64);
+        for (let x = 0; x < 8; x++) {
+            for (let u = 0; u < 8; u++) {
+                this.idctTable[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+            }
+        }
+
+        this.crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            this.crcTable[n] = c >>> 0;
+        }
+    }
+
+    // File bytes -> { data, width, height }
+    async decode(bytes) {
+        if (this.pngSignature.every((byte, i) => bytes[i] === byte)) {
+            return this.decodePNG(bytes);
+        }
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+            return this.decodeJPEG(bytes);
+        }
+        throw new Error('Unsupported image format - use PNG or JPEG');
+    }
+
+    // { data, width, height } -> PNG file bytes (8-bit RGBA)
+    async encodePNG(image) {
+        const { width, height, data } = image;
+        const stride = width * 4;
+        const raw = new Uint8Array((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header.set([8, 6, 0, 0, 0], 8);
+
+        const chunks = [
+            this.chunk('IHDR', header),
+            this.chunk('IDAT', await this.transform(raw, new CompressionStream('deflate'))),
+            this.chunk('IEND', new Uint8Array(0))
+        ];
+        const file = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        file.set(this.pngSignature);
+        let offset = 8;
+        for (const chunk of chunks) {
+            file.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return file;
+    }
+
+    // length, type, data and CRC of the type and data
+    chunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    crc32(bytes) {
+        let crc = 0xffffffff;
+        for (const byte of bytes) crc = this.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    async decodePNG(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const idat = [];
+        let header = null;
+        let palette = null;
+        let transparency = null;
+
+        for (let offset = 8; offset + 8 <= bytes.length;) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const start = offset + 8;
+            const data = bytes.subarray(start, start + length);
+            offset = start + length + 4;
+
+            if (type === 'IHDR') {
+                header = {
+                    width: view.getUint32(start),
+                    height: view.getUint32(start + 4),
+                    bitDepth: data[8],
+                    colorType: data[9],
+                    interlace: data[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'tRNS') {
+                transparency = data;
+            } else if (type === 'IDAT') {
+                idat.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        if (!header || !this.channels[header.colorType] || idat.length === 0) {
+            throw new Error('PNG file is corrupted');
+        }
+        if (header.colorType === 3 && !palette) {
+            throw new Error('PNG file is corrupted');
+        }
+
+        const compressed = new Uint8Array(idat.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of idat) {
+            compressed.set(part, position);
+            position += part.length;
+        }
+
+        let raw;
+        try {
+            raw = await this.transform(compressed, new DecompressionStream('deflate'));
+        } catch {
+            throw new Error('PNG file is corrupted');
+        }
+
+        const { width, height, bitDepth, colorType } = header;
+        const channels = this.channels[colorType];
+        const bytesPerPixel = Math.max(1, Math.ceil(channels * bitDepth / 8));
+        const data = new Uint8ClampedArray(width * height * 4);
+        const passes = header.interlace ? this.adam7 : [[0, 0, 1, 1]];
+        let offset = 0;
+
+        for (const [x0, y0, dx, dy] of passes) {
+            const passWidth = Math.ceil((width - x0) / dx);
+            const passHeight = Math.ceil((height - y0) / dy);
+            if (passWidth <= 0 || passHeight <= 0) continue;
+
+            const stride = Math.ceil(passWidth * channels * bitDepth / 8);
+            let previous = new Uint8Array(stride);
+            for (let row = 0; row < passHeight; row++) {
+                if (offset + 1 + stride > raw.length) {
+                    throw new Error('PNG file is corrupted');
+                }
+                const line = this.unfilter(raw[offset], raw.slice(offset + 1, offset + 1 + stride), previous, bytesPerPixel);
+                offset += 1 + stride;
+
+                for (let i = 0; i < passWidth; i++) {
+                    const pixel = this.pngPixel(line, i, header, channels, palette, transparency);
+                    data.set(pixel, ((y0 + row * dy) * width + x0 + i * dx) * 4);
+                }
+                previous = line;
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    // Undo one of the five PNG row filters in place
+    unfilter(filter, line, previous, bytesPerPixel) {
+        for (let i = 0; i < line.length; i++) {
+            const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+            switch (filter) {
+                case 0:
+                    break;
+                case 1:
+                    line[i] += left;
+                    break;
+                case 2:
+                    line[i] += up;
+                    break;
+                case 3:
+                    line[i] += (left + up) >> 1;
+                    break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    line[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                    break;
+                }
+                default:
+                    throw new Error('PNG file is corrupted');
+            }
+        }
+        return line;
+    }
+
+    // [r, g, b, a] of the i-th pixel of an unfiltered row
+    pngPixel(line, i, header, channels, palette, transparency) {
+        const { bitDepth, colorType } = header;
+        const samples = [];
+        for (let c = 0; c < channels; c++) {
+            const index = i * channels + c;
+            if (bitDepth === 16) {
+                samples.push((line[index * 2] << 8) | line[index * 2 + 1]);
+            } else if (bitDepth === 8) {
+                samples.push(line[index]);
+            } else {
+                const bit = index * bitDepth;
+                samples.push((line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1));
+            }
+        }
+
+        if (colorType === 3) {
+            const entry = samples[0];
+            const alpha = transparency && entry < transparency.length ? transparency[entry] : 255;
+            return [palette[entry * 3], palette[entry * 3 + 1], palette[entry * 3 + 2], alpha];
+        }
+
+        const max = (1 << bitDepth) - 1;
+        const scaled = samples.map(sample => bitDepth === 16 ? sample >> 8 : Math.round(sample * 255 / max));
+        const key = (c) => transparency ? (transparency[c * 2] << 8) | transparency[c * 2 + 1] : -1;
+        switch (colorType) {
+            case 0:
+                return [scaled[0], scaled[0], scaled[0], samples[0] === key(0) ? 0 : 255];
+            case 2: {
+                const transparent = transparency && samples.every((sample, c) => sample === key(c));
+                return [scaled[0], scaled[1], scaled[2], transparent ? 0 : 255];
+            }
+            case 4:
+                return [scaled[0], scaled[0], scaled[0], scaled[1]];
+            default:
+                return scaled;
+        }
+    }
+
+    decodeJPEG(bytes) {
+        const quantization = [];
+        const tables = { dc: [], ac: [] };
+        let frame = null;
+        let adobeTransform = null;
+        let restartInterval = 0;
+        let offset = 2;
+
+        while (offset < bytes.length) {
+            if (bytes[offset] !== 0xff) {
+                throw new Error('JPEG file is corrupted');
+            }
+            const marker = bytes[offset + 1];
+            offset += 2;
+            if (marker === 0xff) {
+                offset--; // fill byte
+                continue;
+            }
+            if (marker === 0xd9) break;
+            if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) continue;
+
+            const length = (bytes[offset] << 8) | bytes[offset + 1];
+            const segment = bytes.subarray(offset + 2, offset + length);
+            offset += length;
+
+            if (marker === 0xdb) {
+                for (let p = 0; p < segment.length;) {
+                    const wide = segment[p] >> 4;
+                    const table = new Uint16Array(64);
+                    for (let k = 0; k < 64; k++) {
+                        table[k] = wide ? (segment[p + 1 + k * 2] << 8) | segment[p + 2 + k * 2] : segment[p + 1 + k];
+                    }
+                    quantization[segment[p] & 15] = table;
+                    p += 1 + (wide ? 128 : 64);
+                }
+            } else if (marker === 0xc4) {
+                for (let p = 0; p < segment.length;) {
+                    const counts = segment.subarray(p + 1, p + 17);
+                    const total = counts.reduce((sum, count) => sum + count, 0);
+                    const table = this.huffmanTable(counts, segment.subarray(p + 17, p + 17 + total));
+                    tables[segment[p] >> 4 ? 'ac' : 'dc'][segment[p] & 15] = table;
+                    p += 17 + total;
+                }
+            } else if (marker === 0xee && String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') {
+                adobeTransform = segment[11];
+            } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+                frame = this.jpegFrame(segment, marker === 0xc2, adobeTransform);
+            } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                throw new Error('Unsupported JPEG encoding - save the image as PNG or a standard JPEG');
+            } else if (marker === 0xdd) {
+                restartInterval = (segment[0] << 8) | segment[1];
+            } else if (marker === 0xda) {
+                if (!frame) {
+                    throw new Error('JPEG file is corrupted');
+                }
+                const count = segment[0];
+                const scan = [];
+                for (let i = 0; i < count; i++) {
+                    const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+                    if (!component) {
+                        throw new Error('JPEG file is corrupted');
+                    }
+                    const selectors = segment[2 + i * 2];
+                    component.dc = tables.dc[selectors >> 4];
+                    component.ac = tables.ac[selectors & 15];
+                    scan.push(component);
+                }
+                const spectral = {
+                    start: segment[1 + count * 2],
+                    end: segment[2 + count * 2],
+                    high: segment[3 + count * 2] >> 4,
+                    low: segment[3 + count * 2] & 15
+                };
+
+                // Scans of the colour planes alone are not needed
+                offset = scan.includes(frame.luminance)
+                    ? this.jpegScan(bytes, offset, frame, scan, spectral, restartInterval)
+                    : this.nextMarker(bytes, offset);
+            }
+        }
+
+        if (!frame) {
+            throw new Error('JPEG file is corrupted');
+        }
+        this.jpegPlane(frame, quantization);
+        return this.jpegImage(frame);
+    }
+
+    jpegFrame(segment, progressive, adobeTransform) {
+        if (segment[0] !== 8) {
+            throw new Error('Only 8-bit JPEGs are supported');
+        }
+
+        const frame = {
+            progressive,
+            height: (segment[1] << 8) | segment[2],
+            width: (segment[3] << 8) | segment[4],
+            components: []
+        };
+        for (let i = 0; i < segment[5]; i++) {
+            const sampling = segment[7 + i * 3];
+            frame.components.push({
+                id: segment[6 + i * 3],
+                h: sampling >> 4,
+                v: sampling & 15,
+                quantization: segment[8 + i * 3]
+            });
+        }
+        if (!frame.width || !frame.height || frame.components.length === 0) {
+            throw new Error('JPEG file is corrupted');
+        }
+        if (frame.components.length === 4) {
+            throw new Error('CMYK JPEGs are not supported - save the image as RGB');
+        }
+
+        frame.maxH = Math.max(...frame.components.map(c => c.h));
+        frame.maxV = Math.max(...frame.components.map(c => c.v));
+        frame.mcusX = Math.ceil(frame.width / (8 * frame.maxH));
+        frame.mcusY = Math.ceil(frame.height / (8 * frame.maxV));
+
+        // The first component is Y in JFIF files; RGB ones (Adobe transform
+        // 0, or components named R, G, B) use green, the closest to it. Its
+        // coefficients are kept (progressive scans refine them bit by bit)
+        // and transformed once every scan is in.
+        const rgb = frame.components.length === 3 &&
+            (adobeTransform === 0 || frame.components.map(c => c.id).join() === '82,71,66');
+        const luminance = frame.components[rgb ? 1 : 0];
+        luminance.blocksX = frame.mcusX * luminance.h;
+        luminance.blocksY = frame.mcusY * luminance.v;
+        luminance.coefficients = new Int32Array(luminance.blocksX * luminance.blocksY * 64);
+        frame.luminance = luminance;
+        return frame;
+    }
+
+    // Canonical Huffman code lookup: max code, first code and first symbol
+    // per code length
+    huffmanTable(counts, symbols) {
+        const maxCode = new Int32Array(17).fill(-1);
+        const minCode = new Int32Array(17);
+        const firstSymbol = new Int32Array(17);
+        let code = 0;
+        let k = 0;
+        for (let length = 1; length <= 16; length++) {
+            firstSymbol[length] = k;
+            minCode[length] = code;
+            code += counts[length - 1];
+            k += counts[length - 1];
+            if (counts[length - 1]) maxCode[length] = code - 1;
+            code <<= 1;
+        }
+        return { maxCode, minCode, firstSymbol, symbols };
+    }
+
+    // Offset of the next marker that is neither stuffing nor a restart
+    nextMarker(bytes, position) {
+        while (position + 1 < bytes.length &&
+            !(bytes[position] === 0xff && bytes[position + 1] !== 0x00 && !(bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7))) {
+            position++;
+        }
+        return position;
+    }
+
+    // Entropy-decode one scan into the luminance coefficients (other
+    // components are decoded and dropped); returns the offset of the
+    // marker after it. Progressive scans follow ITU T.81 G.1.2: DC first
+    // and refinement, AC spectral bands with end-of-band runs, and AC
+    // successive approximation.
+    jpegScan(bytes, offset, frame, scan, spectral, restartInterval) {
+        let position = offset;
+        let buffer = 0;
+        let bitsLeft = 0;
+        let atMarker = false;
+        let endOfBands = 0;
+
+        const bit = () => {
+            if (bitsLeft === 0) {
+                buffer = 0;
+                bitsLeft = 8;
+                if (!atMarker && position < bytes.length) {
+                    if (bytes[position] === 0xff && bytes[position + 1] !== 0x00) {
+                        atMarker = true; // pad with zeros up to the marker
+                    } else {
+                        buffer = bytes[position];
+                        position += bytes[position] === 0xff ? 2 : 1;
+                    }
+                }
+            }
+            bitsLeft--;
+            return (buffer >> bitsLeft) & 1;
+        };
+        const bits = (count) => {
+            let value = 0;
+            for (let i = 0; i < count; i++) value = (value << 1) | bit();
+            return value;
+        };
+        const receive = (count) => {
+            const value = bits(count);
+            return value < 1 << (count - 1) ? value - (1 << count) + 1 : value;
+        };
+        const decodeSymbol = (table) => {
+            if (!table) {
+                throw new Error('JPEG file is corrupted');
+            }
+            let code = 0;
+            for (let length = 1; length <= 16; length++) {
+                code = (code << 1) | bit();
+                if (code <= table.maxCode[length]) {
+                    return table.symbols[table.firstSymbol[length] + code - table.minCode[length]];
+                }
+            }
+            throw new Error('JPEG file is corrupted');
+        };
+
+        const { start, end, high, low } = spectral;
+        const zigzag = this.zigzag;
+        const positive = 1 << low;
+        const negative = -1 << low;
+
+        const baseline = (component, block, at) => {
+            const size = decodeSymbol(component.dc);
+            component.prediction += size ? receive(size) : 0;
+            block[at] = component.prediction;
+
+            for (let k = 1; k < 64;) {
+                const symbol = decodeSymbol(component.ac);
+                const size = symbol & 15;
+                const run = symbol >> 4;
+                if (size === 0) {
+                    if (run !== 15) break;
+                    k += 16;
+                    continue;
+                }
+                k += run;
+                if (k > 63) break;
+                block[at + zigzag[k]] = receive(size);
+                k++;
+            }
+        };
+        const dcFirst = (component, block, at) => {
+            const size = decodeSymbol(component.dc);
+            component.prediction += size ? receive(size) : 0;
+            block[at] = component.prediction * positive;
+        };
+        const dcRefine = (component, block, at) => {
+            if (bit()) block[at] |= positive;
+        };
+        const acFirst = (component, block, at) => {
+            if (endOfBands > 0) {
+                endOfBands--;
+                return;
+            }
+            for (let k = start; k <= end;) {
+                const symbol = decodeSymbol(component.ac);
+                const size = symbol & 15;
+                const run = symbol >> 4;
+                if (size === 0) {
+                    if (run < 15) {
+                        endOfBands = (1 << run) - 1 + (run ? bits(run) : 0);
+                        break;
+                    }
+                    k += 16;
+                    continue;
+                }
+                k += run;
+                if (k > 63) break;
+                block[at + zigzag[k]] = receive(size) * positive;
+                k++;
+            }
+        };
+        const refine = (block, index) => {
+            if (bit() && (block[index] & positive) === 0) {
+                block[index] += block[index] >= 0 ? positive : negative;
+            }
+        };
+        const acRefine = (component, block, at) => {
+            let k = start;
+            if (endOfBands <= 0) {
+                for (; k <= end; k++) {
+                    const symbol = decodeSymbol(component.ac);
+                    let run = symbol >> 4;
+                    let value = 0;
+                    if (symbol & 15) {
+                        value = bit() ? positive : negative;
+                    } else if (run !== 15) {
+                        endOfBands = (1 << run) + (run ? bits(run) : 0);
+                        break;
+                    }
+
+                    // Refine non-zero coefficients on the way to the
+                    // run-th zero one
+                    while (k <= end) {
+                        const index = at + zigzag[k];
+                        if (block[index] !== 0) {
+                            refine(block, index);
+                        } else if (--run < 0) {
+                            break;
+                        }
+                        k++;
+                    }
+                    if (value && k <= end) block[at + zigzag[k]] = value;
+                }
+            }
+            if (endOfBands > 0) {
+                for (; k <= end; k++) {
+                    const index = at + zigzag[k];
+                    if (block[index] !== 0) refine(block, index);
+                }
+                endOfBands--;
+            }
+        };
+
+        const decode = !frame.progressive ? baseline
+            : start === 0 ? (high ? dcRefine : dcFirst)
+            : (high ? acRefine : acFirst);
+        const scratch = new Int32Array(64);
+        const block = (component, row, col) => {
+            if (component === frame.luminance) {
+                decode(component, component.coefficients, (row * component.blocksX + col) * 64);
+            } else {
+                scratch.fill(0);
+                decode(component, scratch, 0);
+            }
+        };
+
+        const restart = () => {
+            bitsLeft = 0;
+            atMarker = false;
+            endOfBands = 0;
+            while (position + 1 < bytes.length && !(bytes[position] === 0xff && bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7)) {
+                position++;
+            }
+            position += 2;
+            for (const component of scan) component.prediction = 0;
+        };
+
+        for (const component of scan) component.prediction = 0;
+        if (scan.length === 1) {
+            // Non-interleaved: the component's own blocks, row by row
+            const component = scan[0];
+            const blocksX = Math.ceil(Math.ceil(frame.width * component.h / frame.maxH) / 8);
+            const blocksY = Math.ceil(Math.ceil(frame.height * component.v / frame.maxV) / 8);
+            for (let n = 0; n < blocksX * blocksY; n++) {
+                if (restartInterval && n > 0 && n % restartInterval === 0) restart();
+                block(component, Math.floor(n / blocksX), n % blocksX);
+            }
+        } else {
+            for (let n = 0; n < frame.mcusX * frame.mcusY; n++) {
+                if (restartInterval && n > 0 && n % restartInterval === 0) restart();
+                const mcuY = Math.floor(n / frame.mcusX);
+                const mcuX = n % frame.mcusX;
+                for (const component of scan) {
+                    for (let v = 0; v < component.v; v++) {
+                        for (let h = 0; h < component.h; h++) {
+                            block(component, mcuY * component.v + v, mcuX * component.h + h);
+                        }
+                    }
+                }
+            }
+        }
+
+        return this.nextMarker(bytes, position);
+    }
+
+    // Dequantize and inverse-transform every luminance block into a plane
+    jpegPlane(frame, quantization) {
+        const luminance = frame.luminance;
+        const table = quantization[luminance.quantization];
+        if (!table) {
+            throw new Error('JPEG file is corrupted');
+        }
+
+        luminance.planeWidth = luminance.blocksX * 8;
+        luminance.plane = new Uint8ClampedArray(luminance.planeWidth * luminance.blocksY * 8);
+        const block = new Float32Array(64);
+        for (let row = 0; row < luminance.blocksY; row++) {
+            for (let col = 0; col < luminance.blocksX; col++) {
+                const at = (row * luminance.blocksX + col) * 64;
+                for (let k = 0; k < 64; k++) {
+                    block[this.zigzag[k]] = luminance.coefficients[at + this.zigzag[k]] * table[k];
+                }
+                this.idct(block, luminance.plane, luminance.planeWidth, col * 8, row * 8);
+            }
+        }
+    }
+
+    // 8x8 inverse DCT (rows, then columns) into the plane, level-shifted
+    idct(coefficients, plane, planeWidth, x0, y0) {
+        const table = this.idctTable;
+        const rows = new Float32Array(64);
+        for (let v = 0; v < 8; v++) {
+            for (let x = 0; x < 8; x++) {
+                let sum = 0;
+                for (let u = 0; u < 8; u++) sum += table[x * 8 + u] * coefficients[v * 8 + u];
+                rows[v * 8 + x] = sum;
+            }
+        }
+        for (let y = 0; y < 8; y++) {
+            const line = (y0 + y) * planeWidth + x0;
+            for (let x = 0; x < 8; x++) {
+                let sum = 0;
+                for (let v = 0; v < 8; v++) sum += table[y * 8 + v] * rows[v * 8 + x];
+                plane[line + x] = sum + 128;
+            }
+        }
+    }
+
+    // Luminance plane, upsampled if it was subsampled, as gray RGBA
+    jpegImage(frame) {
+        const { width, height, maxH, maxV, luminance } = frame;
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y * luminance.v / maxV) * luminance.planeWidth;
+            for (let x = 0; x < width; x++) {
+                const value = luminance.plane[row + Math.floor(x * luminance.h / maxH)];
+                const i = (y * width + x) * 4;
+                data[i] = data[i + 1] = data[i + 2] = value;
+                data[i + 3] = 255;
+            }
+        }
+        return { data, width, height };
+    }
+}
+
+// Export for use
+globalThis.ImageFileCodec = ImageFileCodec;
@@ -0,0 +1,206 @@
+// 🖼️ Image Payload Encoder
+// Turns a photo into a data URL small enough for one QR code (or a short
+// series): the image is scaled down, optionally reduced to grayscale or a
+// small palette, and re-encoded as WebP or JPEG. The largest size that fits
+// the byte budget at the chosen quality is found by binary search; quality
+// is only lowered when even the smallest size does not fit.
+//
+// Budgets are in characters of the resulting data URL, the unit the QR
+// generator limits are expressed in.
+class ImagePayloadEncoder {
+    constructor() {
+        this.minDimension = 16;
+        this.maxDimension = 1024;
+        this.minQuality = 0.1;
+        this.formats = ['image/webp', 'image/jpeg'];
+    }
+
+    // source: File/Blob or data URL
+    // options: { budget, format, quality (0-1), grayscale, paletteColors }
+    // Returns { dataURL, width, height, size, format, quality }
+    async encode(source, options = {}) {
+        const {
+            budget,
+            format = 'image/webp',
+            quality = 0.6,
+            grayscale = false,
+            paletteColors = 0
+        } = options;
+
+        if (!budget || budget <= 0) {
+            throw new Error('Image budget must be positive');
+        }
+        if (!this.formats.includes(format)) {
+            throw new Error(`Unsupported image format: ${format}`);
+        }
+
+        const image = await this.loadImage(source);
+        const longest = Math.max(image.width, image.height);
+        const render = (dimension, q) => this.render(image, dimension / longest, { format, quality: q, grayscale, paletteColors });
+
+        for (let q = quality; q >= this.minQuality - 1e-9; q = Math.round((q - 0.1) * 10) / 10) {
+            let low = Math.min(this.minDimension, longest);
+            let high = Math.min(this.maxDimension, longest);
+
+            let best = render(low, q);
+            if (best.size > budget) continue;
+
+            // Largest longest-side that still fits the budget
+            while (high - low > 1) {
+                const middle = Math.floor((low + high) / 2);
+                const attempt = render(middle, q);
+                if (attempt.size <= budget) {
+                    low = middle;
+                    best = attempt;
+                } else {
+                    high = middle;
+                }
+            }
+
+            const top = render(high, q);
+            return top.size <= budget ? top : best;
+        }
+
+        throw new Error('Image cannot be made small enough - allow more QR codes or a larger budget');
+    }
+
+    loadImage(source) {
+        return new Promise((resolve, reject) => {
+            const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+            const img = new Image();
+
+            img.onload = () => {
+                if (url !== source) URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                if (url !== source) URL.revokeObjectURL(url);
+                reject(new Error('Failed to load image'));
+            };
+            img.src = url;
+        });
+    }
+
+    render(image, scale, options) {
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+
+        // JPEG has no alpha; flatten onto white rather than black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image, 0, 0, width, height);
+
+        if (options.grayscale || options.paletteColors > 1) {
+            const imageData = context.getImageData(0, 0, width, height);
+            if (options.grayscale) this.toGrayscale(imageData.data);
+            if (options.paletteColors > 1) this.quantize(imageData.data, options.paletteColors);
+            context.putImageData(imageData, 0, 0);
+        }
+
+        let format = options.format;
+        let dataURL = canvas.toDataURL(format, options.quality);
+
+        // Browsers without a WebP encoder silently return PNG
+        if (!dataURL.startsWith(`data:${format}`)) {
+            format = 'image/jpeg';
+            dataURL = canvas.toDataURL(format, options.quality);
+        }
+
+        return { dataURL, width, height, size: dataURL.length, format, quality: options.quality };
+    }
+
+    toGrayscale(pixels) {
+        for (let i = 0; i < pixels.length; i += 4) {
+            const luma = Math.round(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
+            pixels[i] = pixels[i + 1] = pixels[i + 2] = luma;
+        }
+    }
+
+    // Median-cut palette of `colors` entries, then every pixel is replaced
+    // by its nearest palette colour. Flat areas re-encode much smaller.
+    quantize(pixels, colors) {
+        const palette = this.medianCut(pixels, colors);
+        const cache = new Map();
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            const key = (pixels[i] >> 3) << 10 | (pixels[i + 1] >> 3) << 5 | (pixels[i + 2] >> 3);
+            let color = cache.get(key);
+
+            if (!color) {
+                let bestDistance = Infinity;
+                for (const candidate of palette) {
+                    const dr = candidate[0] - pixels[i];
+                    const dg = candidate[1] - pixels[i + 1];
+                    const db = candidate[2] - pixels[i + 2];
+                    const distance = dr * dr + dg * dg + db * db;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        color = candidate;
+                    }
+                }
+                cache.set(key, color);
+            }
+
+            pixels[i] = color[0];
+            pixels[i + 1] = color[1];
+            pixels[i + 2] = color[2];
+        }
+    }
+
+    medianCut(pixels, colors) {
+        // Sample at most ~16k pixels; plenty to place a small palette
+        const step = Math.max(1, Math.floor(pixels.length / 4 / 16384));
+        const samples = [];
+        for (let i = 0; i < pixels.length; i += 4 * step) {
+            samples.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
+        }
+
+        const boxes = [samples];
+        while (boxes.length < colors) {
+            // Split the box with the widest channel range at its median
+            let target = -1;
+            let targetChannel = 0;
+            let widest = 0;
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                for (let channel = 0; channel < 3; channel++) {
+                    let min = 255;
+                    let max = 0;
+                    for (const pixel of box) {
+                        if (pixel[channel] < min) min = pixel[channel];
+                        if (pixel[channel] > max) max = pixel[channel];
+                    }
+                    if (max - min > widest) {
+                        widest = max - min;
+                        target = index;
+                        targetChannel = channel;
+                    }
+                }
+            });
+            if (target === -1) break;
+
+            const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+            const middle = Math.floor(box.length / 2);
+            boxes.splice(target, 1, box.slice(0, middle), box.slice(middle));
+        }
+
+        return boxes.map(box => {
+            const sum = [0, 0, 0];
+            for (const pixel of box) {
+                sum[0] += pixel[0];
+                sum[1] += pixel[1];
+                sum[2] += pixel[2];
+            }
+            return sum.map(value => Math.round(value / box.length));
+        });
+    }
+}
+
+// Export for use
+window.ImagePayloadEncoder = ImagePayloadEncoder;
@@ -0,0 +1,483 @@
+// 🔑 Key Manager Module
+// Holds this device's keys and the public keys it knows about:
+//   - an ECDH identity ('enc') and contacts, for recipient encryption
+//   - an ECDSA signing key ('sig') and trusted issuers, for signed QRs
+// Public keys travel between devices as SCANZO_PUBKEY QR payloads or as a
+// JSON export; private keys never leave the device. They are created as
+// non-extractable CryptoKeys and stored as such in IndexedDB (keyed by use),
+// so not even a script running on this origin can read their key material.
+// localStorage only holds the public half and the name.
+class KeyManager {
+    constructor() {
+        this.prefix = 'SCANZO_PUBKEY:';
+        this.base64 = new Base64Codec();
+        this.identityStorageKey = 'scanzoIdentity';
+        this.contactsStorageKey = 'scanzoContacts';
+        this.signingStorageKey = 'scanzoSigningKey';
+        this.issuersStorageKey = 'scanzoTrustedIssuers';
+        this.dbName = 'scanzoKeys';
+        this.storeName = 'privateKeys';
+        this.identity = null;
+        this.contacts = [];
+        this.signingKey = null;
+        this.issuers = [];
+
+        this.load();
+        // Earlier builds kept the private JWK in localStorage
+        this.migration = this.migrateLegacyKeys();
+    }
+
+    load() {
+        try {
+            const identity = localStorage.getItem(this.identityStorageKey);
+            const contacts = localStorage.getItem(this.contactsStorageKey);
+            const signingKey = localStorage.getItem(this.signingStorageKey);
+            const issuers = localStorage.getItem(this.issuersStorageKey);
+
+            this.identity = identity ? JSON.parse(identity) : null;
+            this.contacts = contacts ? JSON.parse(contacts) : [];
+            this.signingKey = signingKey ? JSON.parse(signingKey) : null;
+            this.issuers = issuers ? JSON.parse(issuers) : [];
+        } catch (error) {
+            console.error('Failed to load keys:', error);
+            this.identity = null;
+            this.contacts = [];
+            this.signingKey = null;
+            this.issuers = [];
+        }
+    }
+
+    saveIdentity() {
+        if (this.identity) {
+            localStorage.setItem(this.identityStorageKey, JSON.stringify(this.identity));
+        } else {
+            localStorage.removeItem(this.identityStorageKey);
+        }
+    }
+
+    saveContacts() {
+        localStorage.setItem(this.contactsStorageKey, JSON.stringify(this.contacts));
+    }
+
+    saveSigningKey() {
+        if (this.signingKey) {
+            localStorage.setItem(this.signingStorageKey, JSON.stringify(this.signingKey));
+        } else {
+            localStorage.removeItem(this.signingStorageKey);
+        }
+    }
+
+    saveIssuers() {
+        localStorage.setItem(this.issuersStorageKey, JSON.stringify(this.issuers));
+    }
+
+    algorithmFor(use) {
+        return use === 'sig'
+            ? { name: 'ECDSA', namedCurve: 'P-256' }
+            : { name: 'ECDH', namedCurve: 'P-256' };
+    }
+
+    // Private key store: { kid, privateKey } per use ('enc' or 'sig')
+    openDB() {
+        this.dbPromise = this.dbPromise || new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        });
+        return this.dbPromise;
+    }
+
+    async keyStore(mode, action) {
+        const db = await this.openDB();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async storePrivateKey(use, kid, privateKey) {
+        await this.keyStore('readwrite', store => store.put({ kid, privateKey }, use));
+    }
+
+    async loadPrivateKey(use, kid) {
+        await this.migration;
+        const entry = await this.keyStore('readonly', store => store.get(use));
+        if (!entry || entry.kid !== kid) {
+            throw new Error(use === 'sig'
+                ? 'The signing key is missing from this device - create a new one'
+                : 'The private key is missing from this device - generate a new keypair');
+        }
+        return entry.privateKey;
+    }
+
+    async deletePrivateKey(use) {
+        await this.keyStore('readwrite', store => store.delete(use));
+    }
+
+    // Move private JWKs left in localStorage by earlier builds into the key
+    // store as non-extractable keys, then drop them from localStorage
+    async migrateLegacyKeys() {
+        const legacy = [
+            ['enc', this.identity, () => this.saveIdentity(), ['deriveBits']],
+            ['sig', this.signingKey, () => this.saveSigningKey(), ['sign']]
+        ];
+
+        for (const [use, entry, save, usages] of legacy) {
+            if (!entry || !entry.privateJwk) continue;
+
+            try {
+                const privateKey = await crypto.subtle.importKey('jwk', entry.privateJwk, this.algorithmFor(use), false, usages);
+                await this.storePrivateKey(use, entry.kid, privateKey);
+                delete entry.privateJwk;
+                save();
+            } catch (error) {
+                console.error('Failed to move a private key out of localStorage:', error);
+            }
+        }
+    }
+
+    hasIdentity() {
+        return !!this.identity;
+    }
+
+    // Create a new P-256 keypair for this device, replacing any existing one
+    async generateIdentity(name = 'My device') {
+        await this.migration;
+        const pair = await crypto.subtle.generateKey(
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            ['deriveBits']
+        );
+
+        // Public keys stay exportable whatever the flag above says
+        const publicJwk = this.publicOnly(await crypto.subtle.exportKey('jwk', pair.publicKey));
+        const kid = await this.keyId(publicJwk);
+        await this.storePrivateKey('enc', kid, pair.privateKey);
+
+        this.identity = {
+            kid,
+            name,
+            publicJwk,
+            created: new Date().toISOString()
+        };
+        this.saveIdentity();
+
+        return this.getIdentityInfo();
+    }
+
+    async deleteIdentity() {
+        await this.deletePrivateKey('enc');
+        this.identity = null;
+        this.saveIdentity();
+    }
+
+    // Public details of the identity, safe to display
+    getIdentityInfo() {
+        if (!this.identity) return null;
+
+        const { kid, name, publicJwk, created } = this.identity;
+        return { kid, name, publicJwk, created };
+    }
+
+    async getPrivateKey() {
+        if (!this.identity) {
+            throw new Error('No keypair on this device');
+        }
+
+        return this.loadPrivateKey('enc', this.identity.kid);
+    }
+
+    // Key id: first 64 bits of the RFC 7638 JWK thumbprint, as hex
+    async keyId(jwk) {
+        const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+
+        return Array.from(new Uint8Array(digest).slice(0, 8))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    publicOnly(jwk) {
+        return { kty: 'EC', crv: jwk.crv, x: jwk.x, y: jwk.y };
+    }
+
+    // Create a new ECDSA P-256 key for signing QR codes
+    async generateSigningKey(name = 'My device') {
+        await this.migration;
+        const pair = await crypto.subtle.generateKey(
+            this.algorithmFor('sig'),
+            false,
+            ['sign', 'verify']
+        );
+
+        const publicJwk = this.publicOnly(await crypto.subtle.exportKey('jwk', pair.publicKey));
+        const kid = await this.keyId(publicJwk);
+        await this.storePrivateKey('sig', kid, pair.privateKey);
+
+        this.signingKey = {
+            kid,
+            name,
+            publicJwk,
+            created: new Date().toISOString()
+        };
+        this.saveSigningKey();
+
+        return this.getSigningInfo();
+    }
+
+    hasSigningKey() {
+        return !!this.signingKey;
+    }
+
+    getSigningInfo() {
+        if (!this.signingKey) return null;
+
+        const { kid, name, publicJwk, created } = this.signingKey;
+        return { kid, name, publicJwk, created };
+    }
+
+    // Signer for SignedPayloadCodec.sign(): { kid, privateKey }
+    async getSigner() {
+        if (!this.signingKey) {
+            throw new Error('No signing key on this device');
+        }
+
+        return {
+            kid: this.signingKey.kid,
+            privateKey: await this.loadPrivateKey('sig', this.signingKey.kid)
+        };
+    }
+
+    // Payload for sharing a public key as a QR code.
+    // use: 'enc' (recipient identity) or 'sig' (signing key)
+    exportPublicKey(use = 'enc') {
+        const source = use === 'sig' ? this.signingKey : this.identity;
+        if (!source) {
+            throw new Error(use === 'sig' ? 'No signing key on this device' : 'No keypair on this device');
+        }
+
+        const { kid, name, publicJwk } = source;
+        return this.prefix + this.base64.encodeText(JSON.stringify({ v: 1, use, kid, name, key: publicJwk }));
+    }
+
+    isPublicKeyPayload(payload) {
+        return typeof payload === 'string' && payload.startsWith(this.prefix);
+    }
+
+    // Parse and validate a SCANZO_PUBKEY payload
+    async parsePublicKey(payload) {
+        if (!this.isPublicKeyPayload(payload)) {
+            throw new Error('Not a ScanzoQR public key');
+        }
+
+        // UTF-8, so any device name works; earlier builds wrote Latin-1
+        const body = payload.substring(this.prefix.length);
+        let parsed;
+        try {
+            let json;
+            try {
+                json = this.base64.decodeText(body);
+            } catch {
+                json = atob(body);
+            }
+            parsed = JSON.parse(json);
+        } catch {
+            throw new Error('Public key QR is corrupted');
+        }
+
+        // Payloads without `use` predate signing keys and are always 'enc'
+        const use = parsed.use === 'sig' ? 'sig' : 'enc';
+        return { ...await this.validateContact(parsed.key, parsed.name, use), use };
+    }
+
+    async validateContact(jwk, name, use = 'enc') {
+        if (!jwk || jwk.kty !== 'EC' || jwk.crv !== 'P-256' || !jwk.x || !jwk.y) {
+            throw new Error('Unsupported public key');
+        }
+
+        const publicJwk = this.publicOnly(jwk);
+
+        // Importing checks that the point is actually on the curve
+        try {
+            await crypto.subtle.importKey(
+                'jwk',
+                publicJwk,
+                this.algorithmFor(use),
+                true,
+                use === 'sig' ? ['verify'] : []
+            );
+        } catch {
+            throw new Error('Invalid public key');
+        }
+
+        return {
+            kid: await this.keyId(publicJwk),
+            name: String(name || 'Unnamed contact').substring(0, 64),
+            publicJwk
+        };
+    }
+
+    // Add a contact (or trusted issuer, for signing keys) from a scanned
+    // SCANZO_PUBKEY payload
+    async importContact(payload, name = null) {
+        const { use, ...contact } = await this.parsePublicKey(payload);
+        const entry = { ...contact, name: name || contact.name };
+        return use === 'sig' ? this.trustIssuer(entry) : this.addContact(entry);
+    }
+
+    addContact(contact) {
+        if (this.identity && contact.kid === this.identity.kid) {
+            throw new Error('That is this device\'s own key');
+        }
+
+        const existing = this.contacts.find(c => c.kid === contact.kid);
+        if (existing) {
+            existing.name = contact.name;
+        } else {
+            this.contacts.push({ ...contact, added: new Date().toISOString() });
+        }
+
+        this.saveContacts();
+        return this.getContact(contact.kid);
+    }
+
+    getContact(kid) {
+        return this.contacts.find(c => c.kid === kid) || null;
+    }
+
+    getContacts() {
+        return [...this.contacts];
+    }
+
+    removeContact(kid) {
+        this.contacts = this.contacts.filter(c => c.kid !== kid);
+        this.saveContacts();
+    }
+
+    // Resolve key ids (contacts or this device) into importable recipients
+    async getRecipientKeys(kids) {
+        const recipients = [];
+
+        for (const kid of kids) {
+            let jwk = null;
+            if (this.identity && this.identity.kid === kid) {
+                jwk = this.identity.publicJwk;
+            } else {
+                const contact = this.getContact(kid);
+                jwk = contact ? contact.publicJwk : null;
+            }
+
+            if (!jwk) {
+                throw new Error(`Unknown recipient: ${kid}`);
+            }
+
+            recipients.push({
+                kid,
+                publicKey: await crypto.subtle.importKey(
+                    'jwk',
+                    jwk,
+                    { name: 'ECDH', namedCurve: 'P-256' },
+                    false,
+                    []
+                )
+            });
+        }
+
+        return recipients;
+    }
+
+    // Trust store: issuers whose signed QR codes verify on this device
+    trustIssuer(issuer) {
+        const existing = this.getIssuer(issuer.kid);
+        if (existing) {
+            existing.name = issuer.name;
+        } else {
+            this.issuers.push({ ...issuer, added: new Date().toISOString() });
+        }
+
+        this.saveIssuers();
+        return this.getIssuer(issuer.kid);
+    }
+
+    getIssuer(kid) {
+        return this.issuers.find(i => i.kid === kid) || null;
+    }
+
+    getTrustedIssuers() {
+        return [...this.issuers];
+    }
+
+    untrustIssuer(kid) {
+        this.issuers = this.issuers.filter(i => i.kid !== kid);
+        this.saveIssuers();
+    }
+
+    // Key lookup for SignedPayloadCodec.verify(). This device's own signing
+    // key is always trusted.
+    async resolveIssuerKey(kid) {
+        let issuer = this.getIssuer(kid);
+        if (!issuer && this.signingKey && this.signingKey.kid === kid) {
+            issuer = this.signingKey;
+        }
+        if (!issuer) return null;
+
+        return {
+            name: issuer.name,
+            publicKey: await crypto.subtle.importKey(
+                'jwk',
+                issuer.publicJwk,
+                this.algorithmFor('sig'),
+                false,
+                ['verify']
+            )
+        };
+    }
+
+    // JSON backup of contacts' and trusted issuers' public keys
+    exportContacts() {
+        const publicPart = ({ kid, name, publicJwk }) => ({ kid, name, publicJwk });
+
+        return {
+            version: '2.1.0',
+            exported: new Date().toISOString(),
+            contacts: this.contacts.map(publicPart),
+            issuers: this.issuers.map(publicPart)
+        };
+    }
+
+    // Merge contacts and issuers from an exportContacts() backup.
+    // Returns the number of new entries.
+    async importContacts(data) {
+        const contacts = Array.isArray(data) ? data : (data && data.contacts) || [];
+        const issuers = (data && !Array.isArray(data) && data.issuers) || [];
+        let imported = 0;
+
+        for (const entry of contacts) {
+            try {
+                const contact = await this.validateContact(entry.publicJwk, entry.name);
+                if (!this.getContact(contact.kid)) imported++;
+                this.addContact(contact);
+            } catch (error) {
+                console.warn('Skipped invalid contact:', error.message);
+            }
+        }
+
+        for (const entry of issuers) {
+            try {
+                const issuer = await this.validateContact(entry.publicJwk, entry.name, 'sig');
+                if (!this.getIssuer(issuer.kid)) imported++;
+                this.trustIssuer(issuer);
+            } catch (error) {
+                console.warn('Skipped invalid issuer:', error.message);
+            }
+        }
+
+        return imported;
+    }
+}
+
+// Export for use
+globalThis.KeyManager = KeyManager;
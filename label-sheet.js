@@ -0,0 +1,451 @@
+// 🏷️ Label Sheet PDF Writer
+// Lays QR codes out on printable label sheets and writes the PDF in the
+// browser - no service, no PDF library. Codes are drawn as vector modules
+// from the QREncoder matrix, so they stay sharp on any printer.
+//
+// Templates are common Avery sheets plus a custom grid on A4 or Letter.
+// Captions use the built-in Helvetica font (Latin-1 only; anything else is
+// printed as '?'). Optional cut marks run along every label edge in the page
+// margins. Codes generated with a logo keep it, on every part of a series,
+// at the version and level their options give: the centre is cleared as
+// LogoOverlay does on the canvas and the logo goes in as an image object,
+// its transparency as a soft mask. Streams are deflated when
+// CompressionStream is available.
+//
+// PDF units are points (1/72 in); templates are given in millimetres.
+class LabelSheetPDF {
+    constructor() {
+        this.mm = 72 / 25.4;
+        this.pageSizes = {
+            a4: { width: 210, height: 297 },
+            letter: { width: 215.9, height: 279.4 }
+        };
+
+        // Label size, sheet margins and pitch (label + gap) in mm
+        this.templates = {
+            'avery-l7160': { name: 'Avery L7160 (A4, 21 per sheet)', page: 'a4', cols: 3, rows: 7, width: 63.5, height: 38.1, left: 7.25, top: 15.15, pitchX: 66.04, pitchY: 38.1 },
+            'avery-l7163': { name: 'Avery L7163 (A4, 14 per sheet)', page: 'a4', cols: 2, rows: 7, width: 99.1, height: 38.1, left: 4.65, top: 15.15, pitchX: 101.6, pitchY: 38.1 },
+            'avery-l7651': { name: 'Avery L7651 (A4, 65 per sheet)', page: 'a4', cols: 5, rows: 13, width: 38.1, height: 21.2, left: 4.75, top: 10.7, pitchX: 40.64, pitchY: 21.2 },
+            'avery-5160': { name: 'Avery 5160 (Letter, 30 per sheet)', page: 'letter', cols: 3, rows: 10, width: 66.675, height: 25.4, left: 4.7625, top: 12.7, pitchX: 69.85, pitchY: 25.4 },
+            'avery-5163': { name: 'Avery 5163 (Letter, 10 per sheet)', page: 'letter', cols: 2, rows: 5, width: 101.6, height: 50.8, left: 3.96875, top: 12.7, pitchX: 106.3625, pitchY: 50.8 }
+        };
+
+        // Helvetica advance widths (per 1000 em) for ASCII 32-126
+        this.helveticaWidths = [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ];
+    }
+
+    // template: a key of this.templates, or 'custom' with
+    // custom: { page, rows, cols, margin, gap } (margin and gap in mm)
+    getLayout(template, custom = {}) {
+        if (template !== 'custom') {
+            const layout = this.templates[template];
+            if (!layout) {
+                throw new Error(`Unknown label template: ${template}`);
+            }
+            return { ...layout, ...this.pageSize(layout.page) };
+        }
+
+        const page = this.pageSizes[custom.page] ? custom.page : 'a4';
+        const size = this.pageSizes[page];
+        const cols = parseInt(custom.cols, 10);
+        const rows = parseInt(custom.rows, 10);
+        const margin = Math.max(0, Number(custom.margin) || 0);
+        const gap = Math.max(0, Number(custom.gap) || 0);
+
+        if (!(cols >= 1 && cols <= 20 && rows >= 1 && rows <= 40)) {
+            throw new Error('Custom sheets need 1-20 columns and 1-40 rows');
+        }
+
+        const width = (size.width - margin * 2 - gap * (cols - 1)) / cols;
+        const height = (size.height - margin * 2 - gap * (rows - 1)) / rows;
+        if (width < 10 || height < 10) {
+            throw new Error('Labels would be smaller than 10 mm - use fewer rows or columns');
+        }
+
+        return {
+            page, cols, rows, width, height,
+            left: margin, top: margin,
+            pitchX: width + gap, pitchY: height + gap,
+            ...this.pageSize(page)
+        };
+    }
+
+    // Page size in points
+    pageSize(page) {
+        const size = this.pageSizes[page];
+        return { pageWidth: size.width * this.mm, pageHeight: size.height * this.mm };
+    }
+
+    // items: [{ payload, caption?, options? }] where options are generator
+    // render options (color, errorCorrectionLevel, encoding, logo)
+    // settings: { template, custom, captions, cutMarks, startAt }
+    // Returns a Blob of type application/pdf
+    async build(items, settings = {}) {
+        if (!items || items.length === 0) {
+            throw new Error('No QR codes to place on labels');
+        }
+
+        const layout = this.getLayout(settings.template || 'avery-l7160', settings.custom);
+        const perPage = layout.cols * layout.rows;
+        const startAt = Math.min(Math.max(parseInt(settings.startAt, 10) || 0, 0), perPage - 1);
+
+        // Skipped positions let a part-used sheet go back in the printer
+        const pages = [];
+        items.forEach((item, index) => {
+            const slot = startAt + index;
+            const pageIndex = Math.floor(slot / perPage);
+            if (!pages[pageIndex]) pages[pageIndex] = [];
+            pages[pageIndex].push({ item, position: slot % perPage });
+        });
+
+        // Each logo is one image object, shared by every label showing it
+        const logos = await this.loadLogos(items);
+
+        const streams = pages.map(labels => {
+            let content = '';
+            for (const { item, position } of labels) {
+                content += this.drawLabel(item, position, layout, settings.captions !== false, logos);
+            }
+            if (settings.cutMarks) {
+                content += this.drawCutMarks(layout);
+            }
+            return content;
+        });
+
+        return this.writePDF(streams, layout, logos);
+    }
+
+    // Logo data URL -> { name, width, height, rgb, alpha } with the pixels
+    // split into colour and (when any are see-through) alpha channels
+    async loadLogos(items) {
+        const logos = new Map();
+        for (const item of items) {
+            const logo = item.options && item.options.logo;
+            if (!logo || logos.has(logo.href)) continue;
+
+            const image = new Image();
+            image.src = logo.href;
+            await image.decode();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth;
+            canvas.height = image.naturalHeight;
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0);
+            const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+            const pixels = canvas.width * canvas.height;
+            const rgb = new Uint8Array(pixels * 3);
+            const alpha = new Uint8Array(pixels);
+            for (let i = 0; i < pixels; i++) {
+                rgb.set(data.subarray(i * 4, i * 4 + 3), i * 3);
+                alpha[i] = data[i * 4 + 3];
+            }
+
+            logos.set(logo.href, {
+                name: `Im${logos.size + 1}`,
+                width: canvas.width,
+                height: canvas.height,
+                rgb,
+                alpha: alpha.some(value => value < 255) ? alpha : null
+            });
+        }
+        return logos;
+    }
+
+    drawLabel(item, position, layout, withCaption, logos) {
+        const mm = this.mm;
+        const col = position % layout.cols;
+        const row = Math.floor(position / layout.cols);
+
+        // Label box in points, origin bottom-left
+        const x = (layout.left + col * layout.pitchX) * mm;
+        const y = layout.pageHeight - (layout.top + row * layout.pitchY + layout.height) * mm;
+        const width = layout.width * mm;
+        const height = layout.height * mm;
+        const padding = Math.min(width, height) * 0.08;
+
+        const caption = withCaption ? this.toWinAnsi(item.caption || '') : '';
+        const wide = width / height > 1.6;
+
+        let content = '';
+        if (wide && caption) {
+            // QR on the left, caption beside it
+            const size = height - padding * 2;
+            const textX = x + padding * 2 + size;
+            content += this.drawQR(item, x + padding, y + padding, size, logos);
+            content += this.drawText(caption, textX, y + height / 2, width - size - padding * 3, Math.min(12, height / 4), 'left');
+        } else {
+            const captionHeight = caption ? Math.min(10, height * 0.14) : 0;
+            const size = Math.min(width - padding * 2, height - padding * 2 - (caption ? captionHeight + padding / 2 : 0));
+            content += this.drawQR(item, x + (width - size) / 2, y + height - padding - size, size, logos);
+            if (caption) {
+                content += this.drawText(caption, x + width / 2, y + padding + captionHeight * 0.2, width - padding * 2, captionHeight, 'center');
+            }
+        }
+
+        return content;
+    }
+
+    // Dark modules as filled rectangles, one per horizontal run, then the
+    // logo if the code has one
+    drawQR(item, x, y, size, logos) {
+        const options = item.options || {};
+        const color = { dark: '#000000', light: '#ffffff', ...options.color };
+        const level = options.errorCorrectionLevel || 'M';
+        this.encoder = this.encoder || new QREncoder();
+        const { modules } = this.encoder.create(item.payload, { ...options.encoding, errorCorrectionLevel: level });
+        const unit = size / modules.size;
+
+        let content = 'q\n';
+        const light = this.rgb(color.light);
+        if (light && light !== '1 1 1') {
+            content += `${light} rg\n${this.n(x)} ${this.n(y)} ${this.n(size)} ${this.n(size)} re f\n`;
+        }
+
+        content += `${this.rgb(color.dark) || '0 0 0'} rg\n`;
+        for (let row = 0; row < modules.size; row++) {
+            let col = 0;
+            while (col < modules.size) {
+                if (!modules.get(row, col)) {
+                    col++;
+                    continue;
+                }
+                const start = col;
+                while (col < modules.size && modules.get(row, col)) col++;
+
+                const runX = x + start * unit;
+                const runY = y + size - (row + 1) * unit;
+                content += `${this.n(runX)} ${this.n(runY)} ${this.n((col - start) * unit)} ${this.n(unit)} re\n`;
+            }
+        }
+        content += 'f\nQ\n';
+
+        if (options.logo && logos.has(options.logo.href)) {
+            content += this.drawLogo(logos.get(options.logo.href), options.logo.scale, modules.size, x, y, unit, light);
+        }
+        return content;
+    }
+
+    // Zone cleared in the light colour with the logo centred inside it,
+    // keeping its aspect ratio
+    drawLogo(logo, scale, moduleCount, x, y, unit, light) {
+        this.logoOverlay = this.logoOverlay || new LogoOverlay();
+        const zone = this.logoOverlay.zone(moduleCount, scale);
+        const zoneX = x + zone.start * unit;
+        const zoneY = y + (moduleCount - zone.start - zone.size) * unit;
+        const side = zone.size * unit;
+
+        const inner = (zone.size - this.logoOverlay.clearZone * 2) * unit;
+        const ratio = Math.min(inner / logo.width, inner / logo.height);
+        const width = logo.width * ratio;
+        const height = logo.height * ratio;
+
+        return `q\n${light || '1 1 1'} rg\n${this.n(zoneX)} ${this.n(zoneY)} ${this.n(side)} ${this.n(side)} re f\n` +
+            `${this.n(width)} 0 0 ${this.n(height)} ${this.n(zoneX + (side - width) / 2)} ${this.n(zoneY + (side - height) / 2)} cm\n` +
+            `/${logo.name} Do\nQ\n`;
+    }
+
+    // Single line of Helvetica, shrunk to fit and then truncated
+    drawText(text, x, y, maxWidth, fontSize, align) {
+        let size = fontSize;
+        while (size > 5 && this.textWidth(text, size) > maxWidth) size -= 0.5;
+
+        let line = text;
+        if (this.textWidth(line, size) > maxWidth) {
+            while (line.length > 1 && this.textWidth(line + '...', size) > maxWidth) {
+                line = line.substring(0, line.length - 1);
+            }
+            line += '...';
+        }
+
+        const width = this.textWidth(line, size);
+        const startX = align === 'center' ? x - width / 2 : x;
+        const startY = align === 'center' ? y : y - size / 3;
+
+        return `BT\n/F1 ${this.n(size)} Tf\n0 0 0 rg\n${this.n(startX)} ${this.n(startY)} Td\n(${this.escapeText(line)}) Tj\nET\n`;
+    }
+
+    // Short lines in the page margins along every label edge
+    drawCutMarks(layout) {
+        const mm = this.mm;
+        const { pageWidth, pageHeight } = layout;
+
+        const xs = new Set();
+        const ys = new Set();
+        for (let col = 0; col < layout.cols; col++) {
+            xs.add(this.n((layout.left + col * layout.pitchX) * mm));
+            xs.add(this.n((layout.left + col * layout.pitchX + layout.width) * mm));
+        }
+        for (let row = 0; row < layout.rows; row++) {
+            ys.add(this.n(pageHeight - (layout.top + row * layout.pitchY) * mm));
+            ys.add(this.n(pageHeight - (layout.top + row * layout.pitchY + layout.height) * mm));
+        }
+
+        const gridLeft = layout.left * mm;
+        const gridRight = (layout.left + (layout.cols - 1) * layout.pitchX + layout.width) * mm;
+        const gridTop = pageHeight - layout.top * mm;
+        const gridBottom = pageHeight - (layout.top + (layout.rows - 1) * layout.pitchY + layout.height) * mm;
+        const gapMark = 1 * mm;
+        const length = 4 * mm;
+
+        let content = 'q\n0.25 w\n0 0 0 RG\n';
+        for (const x of xs) {
+            if (gridTop + gapMark < pageHeight) {
+                content += `${x} ${this.n(gridTop + gapMark)} m ${x} ${this.n(Math.min(pageHeight, gridTop + gapMark + length))} l S\n`;
+            }
+            if (gridBottom - gapMark > 0) {
+                content += `${x} ${this.n(gridBottom - gapMark)} m ${x} ${this.n(Math.max(0, gridBottom - gapMark - length))} l S\n`;
+            }
+        }
+        for (const y of ys) {
+            if (gridLeft - gapMark > 0) {
+                content += `${this.n(gridLeft - gapMark)} ${y} m ${this.n(Math.max(0, gridLeft - gapMark - length))} ${y} l S\n`;
+            }
+            if (gridRight + gapMark < pageWidth) {
+                content += `${this.n(gridRight + gapMark)} ${y} m ${this.n(Math.min(pageWidth, gridRight + gapMark + length))} ${y} l S\n`;
+            }
+        }
+        content += 'Q\n';
+
+        return content;
+    }
+
+    async writePDF(streams, layout, logos = new Map()) {
+        const pageWidth = this.n(layout.pageWidth);
+        const pageHeight = this.n(layout.pageHeight);
+
+        // 1 catalog, 2 pages, 3 font, then a page and a content stream per
+        // page, then each logo's image and soft mask
+        const objects = [];
+        const kids = streams.map((_, index) => `${4 + index * 2} 0 R`).join(' ');
+        objects.push(this.latin1('<< /Type /Catalog /Pages 2 0 R >>'));
+        objects.push(this.latin1(`<< /Type /Pages /Kids [${kids}] /Count ${streams.length} >>`));
+        objects.push(this.latin1('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+
+        // Object numbers of each logo's image and, if it has one, soft mask
+        let next = 4 + streams.length * 2;
+        const refs = Array.from(logos.values()).map(logo => ({ logo, image: next++, mask: logo.alpha ? next++ : null }));
+        const xObjects = refs.length > 0
+            ? ` /XObject << ${refs.map(ref => `/${ref.logo.name} ${ref.image} 0 R`).join(' ')} >>`
+            : '';
+
+        for (let index = 0; index < streams.length; index++) {
+            const contentRef = 5 + index * 2;
+            objects.push(this.latin1(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+                `/Resources << /Font << /F1 3 0 R >>${xObjects} >> /Contents ${contentRef} 0 R >>`
+            ));
+            objects.push(await this.streamObject('', this.latin1(streams[index])));
+        }
+
+        for (const { logo, mask } of refs) {
+            const image = `/Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /BitsPerComponent 8`;
+            objects.push(await this.streamObject(`${image} /ColorSpace /DeviceRGB${mask ? ` /SMask ${mask} 0 R` : ''}`, logo.rgb));
+            if (mask) {
+                objects.push(await this.streamObject(`${image} /ColorSpace /DeviceGray`, logo.alpha));
+            }
+        }
+
+        const chunks = [this.latin1('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+        const offsets = [];
+        let offset = chunks[0].length;
+        objects.forEach((body, index) => {
+            const chunk = this.concat([this.latin1(`${index + 1} 0 obj\n`), body, this.latin1('\nendobj\n')]);
+            offsets.push(offset);
+            offset += chunk.length;
+            chunks.push(chunk);
+        });
+
+        let xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        for (const position of offsets) {
+            xref += `${String(position).padStart(10, '0')} 00000 n \n`;
+        }
+        xref += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+        chunks.push(this.latin1(xref));
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    // Stream object with its dictionary entries, deflated when possible
+    async streamObject(entries, data) {
+        let filter = '';
+        if (typeof CompressionStream !== 'undefined') {
+            data = await this.deflate(data);
+            filter = ' /Filter /FlateDecode';
+        }
+        return this.concat([
+            this.latin1(`<< ${entries ? entries + ' ' : ''}/Length ${data.length}${filter} >>\nstream\n`),
+            data,
+            this.latin1('\nendstream')
+        ]);
+    }
+
+    async deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    textWidth(text, size) {
+        let width = 0;
+        for (const char of text) {
+            const code = char.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? this.helveticaWidths[code - 32] : 556;
+        }
+        return width * size / 1000;
+    }
+
+    // Keep what WinAnsi (Latin-1 for our purposes) can show
+    toWinAnsi(text) {
+        return String(text).replace(/\s+/g, ' ').trim().replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+    }
+
+    escapeText(text) {
+        return text.replace(/[\\()]/g, char => '\\' + char);
+    }
+
+    // '#rgb' / '#rrggbb' (alpha ignored) -> 'r g b' in 0-1, or null
+    rgb(hex) {
+        let value = String(hex || '').replace('#', '');
+        if (value.length === 3 || value.length === 4) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) return null;
+
+        return [0, 2, 4]
+            .map(i => this.n(parseInt(value.substring(i, i + 2), 16) / 255))
+            .join(' ');
+    }
+
+    n(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    latin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+
+    concat(parts) {
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            bytes.set(part, offset);
+            offset += part.length;
+        }
+        return bytes;
+    }
+}
+
+// Export for use
+window.LabelSheetPDF = LabelSheetPDF;
@@ -0,0 +1,217 @@
+// 🏢 Logo Overlay Module
+// Puts a logo in the centre of a QR code. The modules under the logo (plus a
+// clear zone around it) are lost to the scanner and have to be rebuilt by
+// Reed-Solomon error correction, so the error correction level is raised to
+// Q or H, and a logo is refused when it would hide more codewords than any
+// block can correct.
+//
+// The check is exact rather than an area estimate: the covered modules are
+// mapped back to codewords along the QR data placement path, the codewords
+// to their interleaved error correction blocks, and every block must keep
+// its damage within `budget` of what it can correct (the rest is left for
+// glare, blur and print defects).
+class LogoOverlay {
+    constructor() {
+        this.defaultScale = 0.2;
+        this.maxScale = 0.3;
+        this.clearZone = 1;
+        this.budget = 0.75;
+        this.exportSize = 256;
+        this.levels = ['L', 'M', 'Q', 'H'];
+
+        // Block structure per version and level, from the capacity tables
+        this.encoder = new QREncoder();
+        const capacity = this.encoder.capacity;
+        this.blockCounts = capacity.blockCounts;
+        this.blockECCodewords = capacity.blockECCodewords;
+        this.protection = capacity.protection;
+    }
+
+    // Levels worth trying for a logo: at least Q, never below what was asked
+    candidateLevels(requested = 'M') {
+        const floor = Math.max(this.levels.indexOf(requested), this.levels.indexOf('Q'));
+        return this.levels.slice(floor);
+    }
+
+    // Lowest level that survives the logo. When even H cannot recover the
+    // covered codewords - short content in a small symbol has few error
+    // correction codewords to spare - the minimum version is raised until
+    // one does. Returns { level, size, zone, damage, minVersion } with size
+    // the symbol's width in modules and minVersion undefined unless raised;
+    // throws when no version up to 40 fits. `create(content, level,
+    // minVersion)` builds the symbol the code will be drawn from.
+    fit(content, requested = 'M', scale = this.defaultScale, create = (text, level, minVersion) => this.encoder.create(text, { errorCorrectionLevel: level, minVersion })) {
+        if (!(scale > 0 && scale <= this.maxScale)) {
+            throw new Error(`Logo size must be between 1% and ${Math.round(this.maxScale * 100)}% of the code`);
+        }
+
+        let worst = null;
+        let minVersion;
+        for (;;) {
+            let smallest = Infinity;
+            for (const level of this.candidateLevels(requested)) {
+                let qr;
+                try {
+                    qr = create(content, level, minVersion);
+                } catch {
+                    continue; // too long for this level
+                }
+
+                const zone = this.zone(qr.modules.size, scale);
+                const damage = this.damage(qr.modules, qr.version, level, zone);
+                if (damage.worst <= this.budget) {
+                    return { level, size: qr.modules.size, zone, damage, minVersion };
+                }
+                worst = damage;
+                smallest = Math.min(smallest, qr.version);
+            }
+
+            // Stop once nothing was built, version 40 is reached or the
+            // version is pinned and did not move
+            if (smallest === Infinity || smallest >= 40 || (minVersion && smallest < minVersion)) break;
+            minVersion = smallest + 1;
+        }
+
+        if (!worst) {
+            throw new Error('Content too long to add a logo - shorten it or remove the logo');
+        }
+        throw new Error(`Logo covers too much of the code (${Math.round(worst.worst * 100)}% of what error correction can recover) - make it smaller`);
+    }
+
+    // Centred square of modules hidden by the logo and its clear zone.
+    // Same parity as the symbol so it sits exactly in the middle.
+    zone(size, scale) {
+        let side = Math.ceil(size * scale) + this.clearZone * 2;
+        if (side % 2 !== size % 2) side++;
+        return { start: (size - side) / 2, size: side };
+    }
+
+    // Damaged codewords per block against what each block can correct.
+    // Returns { blocks, correctable, worst } where worst is the highest
+    // damage ratio.
+    damage(modules, version, level, zone) {
+        const levelIndex = this.levels.indexOf(level);
+        const blockCount = this.blockCounts[version - 1][levelIndex];
+        const ecPerBlock = this.blockECCodewords[version - 1][levelIndex];
+        const protection = (this.protection[version] || [0, 0, 0, 0])[levelIndex];
+        const correctable = Math.floor((ecPerBlock - protection) / 2);
+
+        const placement = this.codewordPositions(modules);
+        const totalCodewords = Math.floor(placement.bits / 8);
+        const blockOf = this.blockMap(totalCodewords, blockCount, ecPerBlock);
+
+        const damaged = new Set();
+        const end = zone.start + zone.size;
+        for (let row = zone.start; row < end; row++) {
+            for (let col = zone.start; col < end; col++) {
+                const codeword = placement.codewords[row * modules.size + col];
+                if (codeword >= 0 && codeword < totalCodewords) damaged.add(codeword);
+            }
+        }
+
+        const blocks = new Array(blockCount).fill(0);
+        for (const codeword of damaged) {
+            blocks[blockOf[codeword]]++;
+        }
+
+        return {
+            blocks,
+            correctable,
+            worst: Math.max(...blocks) / correctable
+        };
+    }
+
+    // Codeword index of every data module, following the placement path
+    // (two-column zig-zag from the bottom right, skipping the timing column).
+    // Function pattern modules map to -1.
+    codewordPositions(modules) {
+        const size = modules.size;
+        const codewords = new Int32Array(size * size).fill(-1);
+        let bit = 0;
+        let row = size - 1;
+        let step = -1;
+
+        for (let col = size - 1; col > 0; col -= 2) {
+            if (col === 6) col--;
+
+            while (true) {
+                for (let c = 0; c < 2; c++) {
+                    if (!modules.isReserved(row, col - c)) {
+                        codewords[row * size + col - c] = Math.floor(bit / 8);
+                        bit++;
+                    }
+                }
+
+                row += step;
+                if (row < 0 || row >= size) {
+                    row -= step;
+                    step = -step;
+                    break;
+                }
+            }
+        }
+
+        return { codewords, bits: bit };
+    }
+
+    // Block of each codeword in transmission order. Data codewords are
+    // interleaved across blocks (the later, longer blocks take the extra
+    // one), then the error correction codewords the same way.
+    blockMap(totalCodewords, blockCount, ecPerBlock) {
+        const longBlocks = totalCodewords % blockCount;
+        const shortData = Math.floor(totalCodewords / blockCount) - ecPerBlock;
+        const map = [];
+
+        for (let i = 0; i <= shortData; i++) {
+            for (let block = 0; block < blockCount; block++) {
+                const dataLength = shortData + (block >= blockCount - longBlocks ? 1 : 0);
+                if (i < dataLength) map.push(block);
+            }
+        }
+        for (let i = 0; i < ecPerBlock; i++) {
+            for (let block = 0; block < blockCount; block++) {
+                map.push(block);
+            }
+        }
+
+        return map;
+    }
+
+    // The logo as a PNG data URL at most `exportSize` pixels across, which
+    // the SVG export embeds and saved history keeps without the original file
+    encode(image) {
+        const ratio = Math.min(this.exportSize / image.width, this.exportSize / image.height, 1);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * ratio));
+        canvas.height = Math.max(1, Math.round(image.height * ratio));
+
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/png');
+    }
+
+    // Clear the zone in the light colour and draw the logo inside it,
+    // keeping its aspect ratio. `margin` is the quiet zone in modules.
+    draw(canvas, image, zone, moduleCount, options = {}) {
+        const margin = options.margin ?? 4;
+        const light = (options.color && options.color.light) || '#ffffff';
+        const unit = canvas.width / (moduleCount + margin * 2);
+        const context = canvas.getContext('2d');
+
+        const x = (margin + zone.start) * unit;
+        const size = zone.size * unit;
+        context.fillStyle = light;
+        context.fillRect(x, x, size, size);
+
+        const inner = (zone.size - this.clearZone * 2) * unit;
+        const ratio = Math.min(inner / image.width, inner / image.height);
+        const width = image.width * ratio;
+        const height = image.height * ratio;
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image, x + (size - width) / 2, x + (size - height) / 2, width, height);
+    }
+}
+
+// Export for use
+globalThis.LogoOverlay = LogoOverlay;
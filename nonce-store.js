@@ -0,0 +1,62 @@
+// 🔥 Consumed Nonce Store
+// Remembers the nonces of one-time private QRs that were unlocked on this
+// device, so the same payload is refused the next time it is scanned.
+// Entries for QRs with an expiry are dropped once that expiry has passed
+// (EnvelopeCodec refuses them anyway); the rest are kept.
+//
+// This is a per-device guarantee: another device, or this one after its
+// storage is cleared, can still open the QR with the password.
+class NonceStore {
+    constructor() {
+        this.storageKey = 'scanzoConsumedNonces';
+        this.nonces = {};
+
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.nonces = stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.error('Failed to load consumed nonces:', error);
+            this.nonces = {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.nonces));
+    }
+
+    isConsumed(nonce) {
+        return !!nonce && !!this.nonces[nonce];
+    }
+
+    // Returns the date the nonce was first consumed, or null
+    consumedAt(nonce) {
+        return this.isConsumed(nonce) ? new Date(this.nonces[nonce].consumed) : null;
+    }
+
+    // expiresAt: the QR's own expiry (Date or null)
+    consume(nonce, expiresAt = null) {
+        if (!nonce || this.isConsumed(nonce)) return;
+
+        this.prune();
+        this.nonces[nonce] = {
+            consumed: Date.now(),
+            exp: expiresAt ? expiresAt.getTime() : null
+        };
+        this.save();
+    }
+
+    prune(now = Date.now()) {
+        for (const [nonce, entry] of Object.entries(this.nonces)) {
+            if (entry.exp && entry.exp <= now) {
+                delete this.nonces[nonce];
+            }
+        }
+    }
+}
+
+// Export for use
+window.NonceStore = NonceStore;
@@ -0,0 +1,3465 @@
+// 🔑 Password Dictionary
+// Frequency-ranked lists for password-strength.js, most common first:
+// COMMON_PASSWORDS is the top 10000 leaked passwords and COMMON_WORDS the
+// top 19743 English words from Wikipedia and TV and film subtitles
+// (words already in COMMON_PASSWORDS are left out). Kept locally so strength
+// checks work offline.
+// Source: zxcvbn frequency lists (https://github.com/dropbox/zxcvbn),
+// Copyright (c) 2012-2016 Dan Wheeler and Dropbox, Inc., MIT License.
+const COMMON_PASSWORDS = (
+    '123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon ' +
+    '123123 baseball abc123 football monkey letmein shadow master 696969 mustang ' +
+    '666666 qwertyuiop 123321 1234567890 pussy superman 654321 1qaz2wsx 7777777 ' +
+    'fuckyou qazwsx jordan 123qwe 000000 killer trustno1 hunter harley zxcvbnm ' +
+    'asdfgh buster batman soccer tigger charlie sunshine iloveyou fuckme ranger ' +
+    'hockey computer starwars asshole pepper klaster 112233 zxcvbn freedom ' +
+    'princess maggie pass ginger 11111111 131313 fuck love cheese 159753 summer ' +
+    'chelsea dallas biteme matrix yankees 6969 corvette austin access thunder ' +
+    'merlin secret diamond hello hammer fucker 1234qwer silver gfhjkm internet ' +
+    'samantha golfer scooter test orange cookie q1w2e3r4t5 maverick sparky ' +
+    'phoenix mickey bigdog snoopy guitar whatever chicken camaro mercedes peanut ' +
+    'ferrari falcon cowboy welcome sexy samsung steelers smokey dakota arsenal ' +
+    'boomer eagles tigers marina nascar booboo gateway yellow porsche monster ' +
+    'spider diablo hannah bulldog junior london purple compaq lakers iceman ' +
+    'qwer1234 hardcore cowboys money banana ncc1701 boston tennis q1w2e3r4 ' +
+    'coffee scooby 123654 nikita yamaha mother barney brandy chester fuckoff ' +
+    'oliver player forever rangers midnight chicago bigdaddy redsox angel badboy ' +
+    'fender jasper slayer rabbit natasha marine bigdick wizard marlboro raiders ' +
+    'prince casper fishing flower jasmine iwantu panties adidas winter winner ' +
+    'gandalf password1 enter ghbdtn 1q2w3e4r golden cocacola jordan23 winston ' +
+    'madison angels panther blowme sexsex bigtits spanky bitch sophie asdfasdf ' +
+    'horny thx1138 toyota tiger dick canada 12344321 blowjob 8675309 muffin ' +
+    'liverpoo apples qwerty123 passw0rd abcd1234 pokemon 123abc slipknot qazxsw ' +
+    '123456a scorpion qwaszx butter startrek rainbow asdfghjkl razz newyork ' +
+    'redskins gemini cameron qazwsxedc florida liverpool turtle sierra viking ' +
+    'booger butthead doctor rocket 159357 dolphins captain bandit jaguar packers ' +
+    'pookie peaches 789456 asdf dolphin helpme blue theman maxwell qwertyui ' +
+    'shithead lovers maddog giants nirvana metallic hotdog rosebud mountain ' +
+    'warrior stupid elephant suckit success bond007 jackass alexis porn lucky ' +
+    'scorpio samson q1w2e3 azerty rush2112 driver freddy 1q2w3e4r5t sydney ' +
+    'gators dexter red123 123456q 12345a bubba creative voodoo golf trouble ' +
+    'america nissan gunner garfield bullshit asdfghjk 5150 fucking apollo ' +
+    '1qazxsw2 2112 eminem legend airborne bear beavis apple brooklyn godzilla ' +
+    'skippy 4815162342 buddy qwert kitten magic shelby beaver phantom asdasd ' +
+    'xavier braves darkness blink182 copper platinum qweqwe tomcat 01012011 ' +
+    'girls bigboy 102030 animal police online 11223344 voyager lifehack 12qwaszx ' +
+    'fish sniper 315475 trinity blazer heaven lover snowball playboy loveme ' +
+    'bubbles hooters cricket willow donkey topgun nintendo saturn destiny ' +
+    'pakistan pumpkin digital sergey redwings explorer tits private runner ' +
+    'therock guinness lasvegas beatles 789456123 fire cassie christin qwerty1 ' +
+    'celtic asdf1234 andrey broncos 007007 babygirl eclipse fluffy cartman ' +
+    'michigan carolina testing alexande birdie pantera cherry vampire mexico ' +
+    'dickhead buffalo genius montana beer minecraft maximus flyers lovely ' +
+    'stalker metallica doggie snickers speedy bronco lol123 paradise yankee ' +
+    'horses magnum dreams 147258369 lacrosse ou812 goober enigma qwertyu scotty ' +
+    'pimpin bollocks surfer cock poohbear genesis star asd123 qweasdzxc racing ' +
+    'hello1 hawaii eagle1 viper poopoo einstein boobies 12345q bitches drowssap ' +
+    'simple badger alaska action jester drummer 111222 spitfire forest maryjane ' +
+    'champion diesel svetlana friday hotrod 147258 chevy lucky1 westside ' +
+    'security google badass tester shorty thumper hitman mozart zaq12wsx boobs ' +
+    'reddog 010203 lizard a123456 123456789a ruslan eagle 1232323q scarface ' +
+    'qwerty12 147852 a12345 buddha porno 420420 spirit money1 stargate qwe123 ' +
+    'naruto mercury liberty 12345qwert semperfi suzuki popcorn spooky marley ' +
+    'scotland kitty cherokee vikings simpsons rascal qweasd hummer loveyou ' +
+    'michael1 patches russia jupiter penguin passion cumshot vfhbyf honda ' +
+    'vladimir sandman passport raider bastard 123789 infinity assman bulldogs ' +
+    'fantasy sucker 1234554321 horney domino budlight disney ironman usuckballz1 ' +
+    'softball brutus redrum bigred mnbvcxz fktrcfylh karina marines digger ' +
+    'kawasaki cougar fireman oksana monday cunt justice nigger super wildcats ' +
+    'tinker logitech dancer swordfis avalon everton alexandr motorola patriots ' +
+    'hentai madonna pussy1 ducati colorado connor juventus galore smooth ' +
+    'freeuser warcraft boogie titanic wolverin elizabet arizona valentin saints ' +
+    'asdfg accord test123 password123 christ yfnfif stinky slut spiderma naughty ' +
+    'chopper hello123 ncc1701d extreme skyline poop zombie pearljam 123qweasd ' +
+    'froggy awesome vision pirate fylhtq dreamer bullet predator empire 123123a ' +
+    'kirill charlie1 panthers penis skipper nemesis rasdzv3 peekaboo rolltide ' +
+    'cardinal psycho danger mookie happy1 wanker chevelle manutd goblue 9379992 ' +
+    'hobbes vegeta fyfcnfcbz 852456 picard 159951 windows loverboy victory ' +
+    'vfrcbv bambam serega 123654789 turkey tweety galina hiphop rooster changeme ' +
+    'berlin taurus suckme polina electric avatar 134679 maksim raptor alpha1 ' +
+    'hendrix newport bigcock brazil spring a1b2c3 madmax alpha britney sublime ' +
+    'darkside bigman wolfpack classic hercules ronaldo letmein1 1q2w3e 741852963 ' +
+    'spiderman blizzard 123456789q cheyenne cjkysirj tiger1 wombat bubba1 ' +
+    'pandora zxc123 holiday wildcat devils horse alabama 147852369 caesar 12312 ' +
+    'buddy1 bondage pussycat pickle shaggy catch22 leather chronic a1b2c3d4 ' +
+    'admin qqq111 qaz123 airplane kodiak freepass billybob sunset katana phpbb ' +
+    'chocolat snowman angel1 stingray firebird wolves zeppelin detroit pontiac ' +
+    'gundam panzer vagina outlaw redhead tarheels greenday nastya 01011980 ' +
+    'hardon engineer dragon1 hellfire serenity cobra fireball lickme darkstar ' +
+    '1029384756 01011 mustang1 flash 124578 strike beauty pavilion 01012000 ' +
+    'bobafett dbrnjhbz bigmac bowling chris1 ytrewq natali pyramid rulez ' +
+    'welcome1 dodgers apache swimming whynot teens trooper fuckit defender ' +
+    'precious 135790 packard weasel popeye lucifer cancer icecream 142536 raven ' +
+    'swordfish presario viktor rockstar blonde james1 wutang spike pimp atlanta ' +
+    'airforce thailand casino lennon mouse 741852 hacker bluebird hawkeye 456123 ' +
+    'theone catfish sailor goldfish nfnmzyf tattoo pervert barbie maxima nipples ' +
+    'machine trucks wrangler rocks tornado lights cadillac bubble pegasus madman ' +
+    'longhorn browns target 666999 eatme qazwsx123 microsoft dilbert christia ' +
+    'baller lesbian shooter xfiles seattle qazqaz cthutq amateur prelude corona ' +
+    'freaky malibu 123qweasdzxc assassin 246810 atlantis integra pussies iloveu ' +
+    'lonewolf dragons monkey1 unicorn software bobcat stealth peewee openup ' +
+    '753951 srinivas zaqwsx valentina shotgun trigger veronika bruins coyote ' +
+    'babydoll joker dollar lestat rocky1 hottie random butterfly wordpass smiley ' +
+    'sweety snake chipper woody samurai devildog gizmo maddie soso123aljg ' +
+    'mistress freedom1 flipper express hjvfirf moose cessna piglet polaris ' +
+    'teacher montreal cookies wolfgang scully fatboy wicked balls tickle bunny ' +
+    'dfvgbh foobar transam pepsi fetish oicu812 basketba toshiba hotstuff sunday ' +
+    'booty gambit 31415926 impala stephani jessica1 hooker lancer knicks ' +
+    'shamrock fuckyou2 stinger 314159 redneck deftones squirt siemens blaster ' +
+    'trucker subaru renegade ibanez manson swinger reaper blondie mylove galaxy ' +
+    'blahblah enterpri travel 1234abcd babylon5 indiana skeeter master1 sugar ' +
+    'ficken smoke bigone sweetpea fucked trfnthbyf marino escort smitty bigfoot ' +
+    'babes larisa trumpet spartan valera babylon asdfghj yankees1 bigboobs ' +
+    'stormy mister hamlet aardvark butterfl marathon paladin cavalier manchester ' +
+    'skater indigo hornet buckeyes 01011990 indians karate hesoyam toronto ' +
+    'diamonds chiefs buckeye 1qaz2wsx3edc highland hotsex charger redman passwor ' +
+    'maiden drpepper storm pornstar garden 12345678910 pencil sherlock timber ' +
+    'thuglife insane pizza jungle jesus1 aragorn 1a2b3c hamster david1 triumph ' +
+    'techno lollol pioneer catdog 321654 fktrctq morpheus 141627 pascal shadow1 ' +
+    'hobbit wetpussy erotic consumer blabla justme stones chrissy spartak ' +
+    'goforit burger pitbull adgjmptw italia barcelona hunting colors kissme ' +
+    'virgin overlord pebbles sundance emerald doggy racecar irina element ' +
+    '1478963 zipper alpine basket goddess poison nipple sakura chichi huskers ' +
+    '13579 pussys q12345 ultimate ncc1701e blackie nicola rommel matthew1 ' +
+    'caserta omega geronimo sammy1 trojan 123qwe123 philips nugget tarzan chicks ' +
+    'aleksandr bassman trixie portugal anakin dodger bomber superfly madness ' +
+    'q1w2e3r4t5y6 loser 123asd fatcat ybrbnf soldier warlock wrinkle1 desire ' +
+    'sexual babe seminole alejandr 951753 11235813 westham andrei concrete ' +
+    'access14 weed letmein2 ladybug naked christop trombone tintin bluesky ' +
+    'rhbcnbyf qazxswedc onelove cdtnkfyf whore vfvjxrf titans stallion truck ' +
+    'hansolo blue22 smiles beagle panama kingkong flatron inferno mongoose ' +
+    'connect poiuyt snatch qawsed juice blessed rocker snakes turbo bluemoon ' +
+    'sex4me finger jamaica a1234567 mulder beetle fuckyou1 passat immortal ' +
+    'plastic 123454321 anthony1 whiskey dietcoke suck spunky magic1 monitor ' +
+    'cactus exigen planet ripper teen spyder apple1 nolimit hollywoo sluts ' +
+    'sticky trunks 1234321 14789632 pickles sailing bonehead ghbdtnbr delta ' +
+    'charlott rubber 911911 112358 molly1 yomama hongkong jumper william1 ' +
+    'ilovesex faster unreal cumming memphis 1123581321 nylons legion sebastia ' +
+    'shalom pentium geheim werewolf funtime ferret orion curious 555666 niners ' +
+    'cantona sprite philly pirates abgrtyu lollipop eternity boeing super123 ' +
+    'sweets cooldude tottenha green1 jackoff stocking 7895123 moomoo martini ' +
+    'biscuit drizzt colt45 fossil makaveli snapper satan666 maniac salmon ' +
+    'patriot verbatim nasty shasta asdzxc shaved blackcat raistlin qwerty12345 ' +
+    'punkrock cjkywt 01012010 4128 waterloo crimson twister oxford musicman ' +
+    'seinfeld biggie condor ravens megadeth wolfman cosmos sharks banshee keeper ' +
+    'foxtrot gn56gn56 skywalke velvet black1 sesame dogs squirrel privet sunrise ' +
+    'wolverine sucks legolas grendel ghost cats carrot frosty lvbnhbq blades ' +
+    'stardust frog qazwsxed 121314 coolio brownie groovy twilight daytona ' +
+    'vanhalen pikachu peanuts licker hershey jericho intrepid ninja 1234567a ' +
+    'zaq123 lobster goblin punisher strider shogun kansas amadeus seven7 jason1 ' +
+    'neptune showtime muscle oldman ekaterina rfrfirf getsome showme 111222333 ' +
+    'obiwan skittles danni tanker maestro tarheel anubis hannibal anal newlife ' +
+    'gothic shark fighter blue123 blues 123456z princes slick chaos thunder1 ' +
+    'sabine 1q2w3e4r5t6y python test1 mirage devil clover tequila chelsea1 ' +
+    'surfing delete potato chubby panasonic sandiego portland baggins fusion ' +
+    'sooners blackdog buttons californ moscow playtime mature 1a2b3c4d dagger ' +
+    'dima stimpy asdf123 gangster warriors iverson chargers byteme swallow ' +
+    'liquid lucky7 dingdong nymets cracker mushroom 456852 crusader bigguy miami ' +
+    'dkflbvbh bugger nimrod tazman stranger newpass doodle powder gotcha ' +
+    'guardian dublin slapshot septembe 147896325 pepsi1 milano grizzly woody1 ' +
+    'knights photos 2468 nookie charly rammstein brasil 123321123 scruffy ' +
+    'munchkin poopie 123098 kittycat latino walnut 1701 thegame viper1 1passwor ' +
+    'kolobok picasso robert1 barcelon bananas trance auburn coltrane eatshit ' +
+    'goodluck starcraft wheels parrot postal blade wisdom pink gorilla katerina ' +
+    'pass123 andrew1 shaney14 dumbass osiris oakland discover ranger1 spanking ' +
+    'lonestar bingo meridian ping heather1 dookie stonecol megaman 192837465 ' +
+    'rjntyjr ledzep lowrider 25802580 richard1 firefly griffey racerx paradox ' +
+    'ghjcnj gangsta zaq1xsw2 tacobell weezer sirius halflife buffett shiloh ' +
+    '123698745 vertigo sergei aliens sobaka keyboard kangaroo sinner soccer1 ' +
+    'bonjour socrates chucky hotboy sprint 0007 sarah1 scarlet celica shazam ' +
+    'formula1 sommer trebor qwerasdf jeep mailcreated5240 bollox asshole1 ' +
+    'fuckface honda1 rebels vacation lexmark penguins 12369874 ragnarok formula ' +
+    '258456 tempest vfhecz tacoma qwertz colombia flames rockon duck prodigy ' +
+    'wookie dodgeram mustangs 123qaz sithlord smoker server bang incubus ' +
+    'scoobydo oblivion molson kitkat titleist rescue zxcv1234 carpet 1122 ' +
+    'bigballs tardis jimbob xanadu blueeyes shaman mersedes pooper pussy69 ' +
+    'golfing hearts mallard 12312312 kenwood patrick1 dogg cowboys1 oracle ' +
+    '123zxc nuttertools 102938 topper 1122334455 shemale sleepy gremlin yourmom ' +
+    '123987 gateway1 printer monkeys peterpan mikey kingston cooler analsex ' +
+    'jimbo pa55word asterix freckles birdman frank1 defiant aussie stud blondes ' +
+    'tatyana 445566 aspirine mariners jackal deadhead katrin anime rootbeer ' +
+    'frogger polo scooter1 hallo noodles thomas1 parola shaolin celine 11112222 ' +
+    'plymouth creampie justdoit ohyeah fatass assfuck amazon 1234567q kisses ' +
+    'magnus camel nopass bosco 987456 6751520 harley1 putter champs massive ' +
+    'spidey lightnin camelot letsgo gizmodo aezakmi bones caliente 12121 ' +
+    'goodtime thankyou raiders1 brucelee redalert aquarius 456654 catherin ' +
+    'smokin pooh mypass astros roller porkchop sapphire qwert123 kevin1 a1s2d3f4 ' +
+    'beckham atomic rusty1 vanilla qazwsxedcrfv hunter1 kaktus cxfcnmt blacky ' +
+    '753159 elvis1 aggies blackjac bangkok scream 123321q iforgot power1 kasper ' +
+    'abc12 buster1 slappy shitty veritas chevrole amber1 01012001 vader ' +
+    'amsterdam jammer primus spectrum eduard granny horny1 sasha1 clancy usa123 ' +
+    'satan diamond1 hitler avenger 1221 spankme 123456qwerty simba smudge ' +
+    'scrappy labrador john316 syracuse front242 falcons husker candyman commando ' +
+    'gator pacman delta1 pancho krishna fatman clitoris pineappl lesbians ' +
+    '8j4ye3uz barkley vulcan punkin boner celtics monopoly flyboy romashka ' +
+    'hamburg 123456aa lick gangbang 223344 area51 spartans aaa111 tricky ' +
+    'snuggles drago homerun vectra homer1 hermes topcat cuddles infiniti ' +
+    '1234567890q cosworth goose phoenix1 killer1 ivanov bossman qawsedrf peugeot ' +
+    'exigent doberman durango brandon1 plumber telefon horndog laguna rbhbkk ' +
+    'dawg webmaster breeze beast porsche9 beefcake leopard redbull oscar1 topdog ' +
+    'godsmack theking pics omega1 speaker viktoria fuckers bowler starbuck ' +
+    'gjkbyf valhalla anarchy blacks herbie kingpin starfish nokia loveit ' +
+    'achilles 906090 labtec ncc1701a fitness jordan1 brando arsenal1 bull kicker ' +
+    'napass desert sailboat bohica tractor hidden muppet jackson1 jimmy1 ' +
+    'terminator phillies pa55w0rd terror farside swingers legacy frontier ' +
+    'butthole doughboy jrcfyf tuesday sabbath daniel1 nebraska homers qwertyuio ' +
+    'azamat fallen agent007 striker camels iguana looker pinkfloy moloko ' +
+    'qwerty123456 dannyboy luckydog 789654 pistol whocares charmed skiing select ' +
+    'franky puppy daniil vladik vette vfrcbvrf ihateyou nevada moneys vkontakte ' +
+    'mandingo puppies 666777 mystic zidane kotenok dilligaf budman bunghole ' +
+    'zvezda 123457 triton golfball technics trojans panda laptop rookie 01011991 ' +
+    '15426378 aberdeen gustav jethro enterprise igor stripper filter hurrican ' +
+    'rfnthbyf lespaul gizmo1 butch 132435 dthjybrf 1366613 excalibu 963852 ' +
+    'nofear momoney possum cutter oilers moocow cupcake gbpltw batman1 splash ' +
+    'svetik super1 soleil bogdan melissa1 vipers babyboy tdutybq lancelot ccbill ' +
+    'keystone passwort flamingo firefox dogman vortex rebel noodle raven1 zaphod ' +
+    'killme pokemon1 coolman danila designer skinny kamikaze deadman gopher ' +
+    'doobie warhammer deeznuts freaks engage chevy1 steve1 apollo13 poncho ' +
+    'hammers azsxdc dracula 000007 sassy bitch1 boots deskjet 12332 macdaddy ' +
+    'mighty rangers1 manchest sterlin casey1 meatball mailman sinatra cthulhu ' +
+    'summer1 bubbas cartoon bicycle eatpussy truelove sentinel tolkien breast ' +
+    'capone lickit summit 123456k peter1 daisy1 kitty1 123456789z crazy1 ' +
+    'jamesbon texas1 sexygirl 362436 sonic billyboy redhot microsof microlab ' +
+    'daddy1 rockets iloveyo fernand gordon24 danie cutlass polska star69 titties ' +
+    'pantyhos 01011985 thekid aikido gofish mayday 1234qwe coke anfield sony ' +
+    'lansing smut scotch sexx catman 73501505 hustler saun dfkthbz passwor1 ' +
+    'jenny1 azsxdcfv cheers irish1 gabrie tinman orioles 1225 charlton fortuna ' +
+    '01011970 airbus rustam xtreme bigmoney zxcasd retard grumpy huskies boxing ' +
+    '4runner kelly1 ultima warlord fordf150 oranges rotten asdfjkl superstar ' +
+    'denali sultan bikini saratoga thor figaro sixers wildfire vladislav 128500 ' +
+    'sparta mayhem greenbay chewie music1 number1 cancun fabie mellon poiuytrewq ' +
+    'cloud9 crunch bigtime chicken1 piccolo bigbird 321654987 billy1 mojo ' +
+    '01011981 maradona sandro chester1 bizkit rjirfrgbde 789123 rightnow ' +
+    'jasmine1 hyperion treasure meatloaf armani rovers jarhead 01011986 cruise ' +
+    'coconut dragoon utopia davids cosmo rfhbyf reebok 1066 charli giorgi sticks ' +
+    'sayang pass1234 exodus anaconda zaqxsw illini woofwoof emily1 sandy1 packer ' +
+    'poontang govols jedi tomato beaner cooter creamy lionking happy123 albatros ' +
+    'poodle kenworth dinosaur greens goku happyday eeyore tsunami cabbage ' +
+    'holyshit turkey50 memorex chaser bogart orgasm tommy1 volley whisper knopka ' +
+    'ericsson walleye 321123 pepper1 katie1 chickens tyler1 corrado twisted ' +
+    '100000 zorro clemson zxcasdqwe tootsie milana zenith fktrcfylhf shania ' +
+    'frisco polniypizdec0211 crazybab junebug fugazi rereirf vfvekz 1001 sausage ' +
+    'vfczyz koshka clapton justin1 anhyeuem condom fubar hardrock skywalker ' +
+    'tundra cocks gringo 150781 canon vitalik aspire stocks samsung1 applepie ' +
+    'abc12345 arjay gandalf1 boob pillow sparkle gmoney rockhard lucky13 samiam ' +
+    'everest hellyeah bigsexy skorpion rfrnec hedgehog australi candle slacker ' +
+    'dicks voyeur jazzman america1 bobby1 br0d3r wolfie vfksirf 1qa2ws3ed ' +
+    '13243546 fright yosemite temp karolina fart barsik surf cheetah baddog ' +
+    'deniska starship bootie milena hithere kume greatone dildo 50cent albion ' +
+    'amanda1 midget lion maxell football1 cyclone freeporn nikola bonsai kenshin ' +
+    'slider balloon roadkill killbill 222333 jerkoff 78945612 dinamo tekken ' +
+    'rambler goliath cinnamon malaka backdoor fiesta packers1 rastaman fletch ' +
+    'sojdlg123aljg stefano artemis calico nyjets damnit robotech duchess rctybz ' +
+    'hooter keywest 18436572 hal9000 mechanic pingpong operator presto sword ' +
+    'rasputin spank bristol faggot shado 963852741 amsterda 321456 wibble ' +
+    'carrera alibaba majestic ramses duster route66 trident clipper steeler ' +
+    'wrestlin divine kipper gotohell kingfish snake1 passwords buttman pompey ' +
+    'viagra zxcvbnm1 spurs 332211 slutty lineage2 oleg macross pooter brian1 ' +
+    'qwert1 charles1 slave jokers yzerman swimmer ne1469 nwo4life solnce seamus ' +
+    'lolipop pupsik moose1 ivanova secret1 matador love69 420247 ktyjxrf subway ' +
+    'cinder vermont pussie chico florian magick guiness allsop ghetto flash1 ' +
+    'a123456789 typhoon dfkthf depeche skydive dammit seeker fuckthis crysis ' +
+    'kcj9wx5n umbrella r2d2c3po 123123q snoopdog critter theboss ding 162534 ' +
+    'splinter kinky cyclops jayhawk 456321 caramel qwer123 underdog caveman ' +
+    'onlyme grapes feather hotshot fuckher renault george1 sex123 pippen 000001 ' +
+    '789987 floppy cunts megapass 1000 pornos usmc kickass great1 quattro 135246 ' +
+    'wassup helloo p0015123 nicole1 chivas shannon1 bullseye java fishes ' +
+    'blackhaw jamesbond tunafish juggalo dkflbckfd 123789456 dallas1 translator ' +
+    '122333 beanie alucard gfhjkm123 supersta magicman ashley1 cohiba xbox360 ' +
+    'caligula 12131415 facial 7753191 dfktynbyf cobra1 cigars fang klingon ' +
+    'bob123 safari looser 10203 deepthroat malina 200000 tazmania gonzo goalie ' +
+    'jacob1 monaco cruiser misfit vh5150 tommyboy marino13 yousuck sharky ' +
+    'vfhufhbnf horizon absolut brighton 123456r death1 kungfu maxx forfun ' +
+    'mamapapa enter1 budweise banker getmoney kostya qazwsx12 bigbear vector ' +
+    'fallout nudist gunners royals chainsaw scania trader blueboy walrus ' +
+    'eastside kahuna qwerty1234 love123 steph 01011989 cypress champ undertaker ' +
+    'ybrjkfq europa snowboar sabres moneyman chrisbln minime nipper groucho ' +
+    'whitey viewsonic penthous wolf359 fabric flounder coolguy whitesox passme ' +
+    'smegma skidoo thanatos fucku2 snapple dalejr mondeo thesims mybaby panasoni ' +
+    'sinbad thecat topher frodo sneakers q123456 z1x2c3 alfa chicago1 taylor1 ' +
+    'ghjcnjnfr cat123 olivier cyber titanium 0420 madison1 jabroni dang hambone ' +
+    'intruder holly1 gargoyle sadie1 static poseidon studly newcastl sexxxx ' +
+    'poppy johannes danzig beastie musica buckshot sunnyday adonis bluedog ' +
+    'bonkers 2128506 chrono compute spawn 01011988 turbo1 smelly wapbbs goldstar ' +
+    'ferrari1 778899 quantum pisces boomboom gunnar 1024 test1234 florida1 nike ' +
+    'superman1 multiplelo custom motherlode 1qwerty westwood usnavy apple123 ' +
+    'daewoo korn stereo sasuke sunflowe watcher dharma 555777 mouse1 assholes ' +
+    'babyblue 123qwerty marius walmart snoop starfire tigger1 paintbal knickers ' +
+    'aaliyah lokomotiv theend winston1 sapper rover erotica scanner racer zeus ' +
+    'sexy69 doogie bayern joshua1 newbie scott1 losers droopy outkast martin1 ' +
+    'dodge1 wasser ufkbyf rjycnfynby thirteen 12345z 112211 hotred deejay ' +
+    'hotpussy 192837 jessic philippe scout panther1 cubbies havefun magpie ' +
+    'fghtkm avalanch newyork1 pudding leonid harry1 cbr600 audia4 bimmer fucku ' +
+    '01011984 idontknow vfvfgfgf 1357 aleksey builder 01011987 zerocool ' +
+    'godfather mylife donuts allmine redfish 777888 sascha nitram bounce 333666 ' +
+    'smokes 1x2zkg8w rodman stunner zxasqw12 hoosier hairy beretta insert ' +
+    '123456s rtyuehe francesc tights cheese1 micron quartz hockey1 gegcbr searay ' +
+    'jewels bogey paintball celeron padres bing syncmaster ziggy simon1 beaches ' +
+    'prissy diehard orange1 mittens aleksandra queens 02071986 biggles thongs ' +
+    'southpark artur twinkle gretzky rabota cambiami monalisa gollum chuckles ' +
+    'spike1 gladiator whisky spongebob sexy1 03082006 mazafaka meathead 4121 ' +
+    'ou8122 barefoot 12345678q cfitymrf bigass a1s2d3 kosmos blessing titty ' +
+    'clevelan terrapin ginger1 johnboy maggot clarinet deeznutz 336699 stumpy ' +
+    'stoney footbal traveler volvo bucket snapon pianoman hawkeyes futbol ' +
+    'casanova tango goodboy scuba honey1 sexyman warthog mustard abc1234 nickel ' +
+    '10203040 meowmeow 1012 boricua prophet sauron 12qwas reefer andromeda ' +
+    'crystal1 joker1 90210 goofy loco lovesex triangle whatsup mellow bengals ' +
+    'monster1 maste 01011910 lover1 love1 123aaa sunshin smeghead hokies sting ' +
+    'welder rambo cerberus bunny1 rockford monke 1q2w3e4r5 goldwing gabriell ' +
+    'buzzard crjhgbjy james007 rainman groove tiberius purdue nokia6300 hayabusa ' +
+    'shou jagger diver zigzag poochie usarmy phish redwood redwing 12345679 ' +
+    'salamander silver1 abcd123 sputnik boobie ripple eternal 12qw34er thegreat ' +
+    'allstar slinky gesperrt mishka whiskers pinhead overkill sweet1 rhfcjnrf ' +
+    'montgom240 sersolution jamie1 starman proxy swords nikolay bacardi rasta ' +
+    'badgirl rebecca1 wildman penny1 spaceman 1007 10101 logan1 hacked bulldog1 ' +
+    'helmet windsor buffy1 runescape trapper 123451 banane dbrnjh ripken ' +
+    '12345qwe frisky shun fester oasis lightning ib6ub9 cicero kool pony thedog ' +
+    '784512 01011992 megatron illusion edward1 napster 11223 squash roadking ' +
+    'woohoo 19411945 hoosiers 01091989 tracker bagira midway leavemealone br549 ' +
+    '14725836 235689 menace rachel1 feng laser stoned realmadrid 787898 balloons ' +
+    'tinkerbell 5551212 maria1 pobeda heineken sonics moonlight optimus comet ' +
+    'orchid 02071982 jaybird kashmir 12345678a chuang chunky peach mortgage ' +
+    'rulezzz saleen chuckie zippy fishing1 gsxr750 doghouse maxim reader shai ' +
+    'buddah benfica chou salomon meister eraser blackbir bigmike starter pissing ' +
+    'angus deluxe eagles1 hardcock 135792468 mian seahawks godfathe bookworm ' +
+    'gregor intel talisman blackjack babyface hawaiian dogfood zhong 01011975 ' +
+    'sancho ludmila medusa mortimer 123456654321 roadrunn just4me stalin ' +
+    '01011993 handyman alphabet pizzas calgary clouds password2 cgfhnfr cubswin ' +
+    'gong lexus max123 xxx123 digital1 gfhjkm1 7779311 missy1 michae beautifu ' +
+    'gator1 1005 pacers buddie chinook heckfy dutchess sally1 breasts beowulf ' +
+    'darkman jenn tiffany1 zhei quan qazwsx1 satana shang idontkno smiths puddin ' +
+    'nasty1 teddybea valkyrie passwd chao boxster killers yoda cheater inuyasha ' +
+    'beast1 wareagle foryou dragonball mermaid bhbirf teddy1 dolphin1 misty1 ' +
+    'delphi gromit sponge qazzaq fytxrf gameover diao sergi beamer beemer ' +
+    'kittykat rancid manowar adam12 diggler assword austin1 wishbone gonavy ' +
+    'sparky1 fisting thedude sinister 1213 venera novell salsero jayden fuckoff1 ' +
+    'linda1 vedder 02021987 1pussy redline lust jktymrf 02011985 dfcbkbq ' +
+    'dragon12 chrome gamecube titten cong bella1 leng 02081988 eureka bitchass ' +
+    '147369 banner lakota 123321a mustafa preacher hotbox 02041986 z1x2c3v4 ' +
+    'playstation 01011977 claymore electra checkers zheng qing armagedon ' +
+    '02051986 wrestle svoboda bulls nimbus alenka madina newpass6 onetime ' +
+    'aa123456 bartman 02091987 silverad electron 12345t devil666 oliver1 skylar ' +
+    'rhtdtlrj gobucks johann 12011987 milkman 02101985 camper thunderb bigbutt ' +
+    'jammin davide cheeks goaway lighter claudi thumbs pissoff ghostrider ' +
+    'cocaine teng squall lotus hootie blackout doitnow subzero 02031986 marine1 ' +
+    '02021988 pothead 123456qw skate 1369 peng antoni neng miao bcfields 1492 ' +
+    'marika 794613 musashi tulips nong piao chai ruan southpar 02061985 nude ' +
+    'mandarin 654123 ninjas cannabis jetski xerxes zhuang kleopatra dickie bilbo ' +
+    'pinky morgan1 1020 1017 dieter baseball1 tottenham quest yfnfkmz dirtbike ' +
+    '1234567890a mango jackson5 ipswich iamgod 02011987 tdutybz modena qiao ' +
+    'slippery qweasd123 bluefish samtron toon 111333 iscool 02091986 petrov ' +
+    'fuzzy zhou 1357924680 mollydog deng 02021986 1236987 pheonix zhun ghblehjr ' +
+    'othello starcraf 000111 sanfran a11111 cameltoe badman vasilisa jiang ' +
+    '1qaz2ws luan sveta 12qw12 akira chuai 369963 cheech beatle pickup paloma ' +
+    '01011983 caravan elizaveta gawker banzai pussey mullet seng bingo1 bearcat ' +
+    'flexible farscape borussia zhuai templar guitar1 toolman yfcntymrf chloe1 ' +
+    'xiang slave1 guai nuggets 02081984 mantis slim scorpio1 fyutkbyf thedoors ' +
+    '02081987 02061986 123qq123 zappa fergie 7ugd5hip2j huai asdfzxcv sunflower ' +
+    'pussyman deadpool bigtit 01011982 love12 lassie skyler gatorade carpedie ' +
+    'jockey mancity spectre 02021984 cameron1 artemka reng 02031984 iomega jing ' +
+    'moritz spice rhino spinner heater zhai hover talon grease qiong corleone ' +
+    'ltybcrf tian cowboy1 hippie chimera ting alex123 02021985 mickey1 corsair ' +
+    'sonoma aaron1 xxxpass bacchus webmaste chuo xyz123 chrysler spurs1 artem ' +
+    'shei cosmic 01020304 deutsch gabriel1 123455 oceans 987456321 binladen ' +
+    'latinas a12345678 speedo buttercu 02081989 21031988 merlot millwall ceng ' +
+    'kotaku jiong dragonba 2580 stonecold snuffy 01011999 02011986 hellos blaze ' +
+    'maggie1 slapper istanbul bonjovi babylove mazda bullfrog phoeni meng ' +
+    'porsche1 nomore 02061989 bobdylan capslock orion1 zaraza teddybear ntktajy ' +
+    'myname rong wraith mets niao 02041984 smokie chevrolet dialog gfhjkmgfhjkm ' +
+    'dotcom vadim monarch athlon mikey1 hamish pian liang coolness chui thoma ' +
+    'ramones ciccio chippy eddie1 house1 ning marker cougars jackpot barbados ' +
+    'reds pdtplf knockers cobalt amateurs dipshit napoli kilroy pulsar jayhawks ' +
+    'daemon alexey weng shuang 9293709b13 shiner eldorado soulmate mclaren ' +
+    'golfer1 andromed duan 50spanks sexyboy dogshit 02021983 shuo kakashka ' +
+    'syzygy 111111a yeahbaby qiang netscape fulham 120676 gooner zhui rainbow6 ' +
+    'laurent dog123 halifax freeway carlitos 147963 eastwood microphone monkey12 ' +
+    '1123 persik coldbeer geng nuan danny1 fgtkmcby entropy gadget just4fun ' +
+    'sophi baggio carlito 1234567891 02021989 02041983 specialk piramida suan ' +
+    'bigblue salasana hopeful mephisto bailey1 hack annie1 generic violetta ' +
+    'spencer1 arcadia 02051983 hondas 9562876 trainer jones1 smashing liao ' +
+    '159632 iceberg rebel1 snooker temp123 zang matteo fastball q2w3e4r5 bamboo ' +
+    'fuckyo shutup astro buddyboy nikitos redbird maxxxx shitface 02031987 kuai ' +
+    'kissmyass sahara radiohea 1234asdf wildcard maxwell1 patric plasma heynow ' +
+    'bruno1 shao bigfish misfits sassy1 sheng 02011988 02081986 testpass nanook ' +
+    'cygnus licking slavik pringles xing 1022 ninja1 submit dundee tiburon ' +
+    'pinkfloyd yummy shuai guang chopin obelix insomnia stroker 1a2s3d4f 1223 ' +
+    'playboy1 lazarus jorda spider1 homerj sleeper 02041982 darklord cang ' +
+    '02041988 02041987 tripod magician jelly telephon 15975 vsjasnel12 pasword ' +
+    'iverson3 pavlov homeboy gamecock amigo brodie budapest yjdsqgfhjkm reckless ' +
+    '02011980 pang tiger123 2469 mason1 orient 01011979 zong cdtnbr maksimka ' +
+    '1011 bushido taxman giorgio sphinx kazantip 02101984 concorde verizon ' +
+    'lovebug georg sam123 seadoo qazwsxedc123 jiao jezebel pharmacy abnormal ' +
+    'jellybea maxime puffy islander bunnies jiggaman drakon 010180 pluto zhjckfd ' +
+    '12365 classics crusher mordor hooligan strawberry 02081985 scrabble ' +
+    'hawaii50 1224 wg8e3wjf cthtuf premium arrow 123456qwe mazda626 ramrod ' +
+    'tootie rhjrjlbk ghost1 1211 bounty niang 02071984 goat killer12 sweetnes ' +
+    'porno1 masamune 426hemi corolla mariposa hjccbz doomsday bummer blue12 zhao ' +
+    'bird33 excalibur samsun kirsty buttfuck kfhbcf zhuo marcello ozzy 02021982 ' +
+    'dynamite 655321 master12 123465 lollypop stepan 1qa2ws spiker goirish ' +
+    'callum michael2 moonbeam attila henry1 lindros andrea1 sporty lantern ' +
+    '12365478 nextel violin volcom 998877 water1 imation inspiron dynamo citadel ' +
+    'placebo clowns tiao 02061988 tripper dabears haggis merlin1 02031985 ' +
+    'anthrax amerika iloveme vsegda burrito bombers snowboard forsaken katarina ' +
+    'a1a2a3 woofer tigger2 fullmoon tiger2 spock hannah1 snoopy1 sexxxy sausages ' +
+    'stanislav cobain robotics exotic green123 mobydick senators pumpkins fergus ' +
+    'asddsa 147741 258852 windsurf reddevil vfitymrf nevermind nang woodland ' +
+    '4417 mick shui q1q2q3 wingman 69696 superb zuan ganesh pecker zephyr ' +
+    'anastasiya icu812 larry1 02081982 broker zalupa mihail vfibyf dogger 7007 ' +
+    'paddle varvara schalke 1z2x3c presiden yankees2 tuning poopy 02051982 ' +
+    'concord vanguard stiffy rjhjktdf felix1 wrench firewall boxer bubba69 ' +
+    'popper 02011984 temppass gobears cuan tipper fuckme1 kamila thong puss ' +
+    'bigcat drummer1 02031982 sowhat digimon tigers1 rang jingle bian uranus ' +
+    'soprano mandy1 dusty1 fandango aloha pumpkin1 postman 02061980 dogcat ' +
+    'bombay pussy123 onetwo highheel pippo julie1 laura1 pepito beng smokey1 ' +
+    'stylus stratus reload duckie karen1 jimbo1 225588 369258 krusty snappy ' +
+    'asdf12 electro 111qqq kuang fishin clit abstr christma qqqqq1 1234560 ' +
+    'carnage guyver boxers kittens zeng 1000000 qwerty11 toaster cramps yugioh ' +
+    '02061987 icehouse zxcvbnm123 pineapple namaste harrypotter mygirl falcon1 ' +
+    'earnhard fender1 spikes nutmeg 01081989 dogboy 02091983 369852 softail ' +
+    'mypassword prowler bigboss 1112 harvest heng jubilee killjoy basset keng ' +
+    'zaqxswcde redsox1 biao titan misfit99 robot wifey kidrock 02101987 gameboy ' +
+    'enrico 1z2x3c4v broncos1 arrows havana banger cookie1 chriss 123qw platypus ' +
+    'cindy1 lumber pinball foxy london1 1023 05051987 02041985 password12 ' +
+    'superma longbow radiohead nigga 12051988 spongebo qwert12345 abrakadabra ' +
+    'dodgers1 02101989 chillin niceguy pistons hookup santafe bigben jets 1013 ' +
+    'vikings1 mankind viktoriya beardog hammer1 02071980 reddwarf magelan ' +
+    'longjohn jennife gilles carmex2 02071987 stasik bumper doofus slamdunk ' +
+    'pixies garion steffi alessandro beerman niceass warrior1 honolulu 134679852 ' +
+    'visa johndeer mother1 windmill boozer oatmeal aptiva busty delight tasty ' +
+    'slick1 bergkamp badgers guitars puffin 02091981 nikki1 irishman miller1 ' +
+    'zildjian 123000 airwolf magnet anai install 02041981 02061983 astra romans ' +
+    'megan1 mudvayne freebird muscles dogbert 02091980 02091984 snowflak ' +
+    '01011900 mang joseph1 nygiants playstat junior1 vjcrdf qwer12 webhompas ' +
+    'giraffe pelican jefferso comanche bruiser monkeybo kjkszpj 123456l micro ' +
+    'albany 02051987 angel123 epsilon aladin death666 hounddog josephin altima ' +
+    'chilly 02071988 78945 ultra 02041979 gasman thisisit pavel idunno kimmie ' +
+    '05051985 paulie ballin medion moondog manolo pallmall climber fishbone ' +
+    'genesis1 153624 toffee tbone clippers krypton jerry1 picturs compass ' +
+    '111111q 02051988 1121 02081977 sairam getout 333777 cobras 22041987 ' +
+    'bigblock severin booster norwich whiteout ctrhtn 123456m 02061984 hewlett ' +
+    'shocker fuckinside 02031981 chase1 white1 versace 123456789s basebal ' +
+    'iloveyou2 bluebell 08031986 anthon stubby foreve undertak werder saiyan ' +
+    'mama123 medic chipmunk mike123 mazdarx7 qwe123qwe bowwow kjrjvjnbd celeb ' +
+    'choochoo demo lovelife 02051984 colnago lithium 02051989 15051981 zzzxxx ' +
+    'welcom anastasi fidelio franc 26061987 roadster stone55 drifter hookem ' +
+    'hellboy 1234qw cbr900rr sinned good123654 storm1 gypsy zebra zachary1 ' +
+    'toejam buceta 02021979 testing1 redfox lineage mike1 highbury koroleva ' +
+    'nathan1 washingt 02061982 02091985 vintage redbaron dalshe mykids 11051987 ' +
+    'macbeth julien james123 krasotka 111000 10011986 987123 pipeline tatarin ' +
+    'sensei codered komodo frogman 7894561230 nascar24 juicy 01031988 redrose ' +
+    'mydick pigeon tkbpfdtnf smirnoff 1215 spam winner1 flyfish moskva 81fukkc ' +
+    '21031987 olesya starligh summer99 13041988 fishhead freesex super12 ' +
+    '06061986 azazel scoobydoo 02021981 cabron yogibear sheba1 konstantin tranny ' +
+    'chilli terminat ghbywtccf slowhand soccer12 cricket1 fuckhead 1002 seagull ' +
+    'achtung blam bigbob bdsm nostromo survivor cnfybckfd lemonade boomer1 ' +
+    'rainbow1 rober irinka cocksuck peaches1 itsme sugar1 zodiac upyours dinara ' +
+    '135791 sunny1 chiara johnson1 02041989 solitude habibi sushi markiz smoke1 ' +
+    'rockies catwoman johnny1 qwerty7 bearcats username 01011978 wanderer ohshit ' +
+    '02101986 sigma stephen1 paradigm 02011989 flanker sanity jsbach spotty ' +
+    'bologna fantasia chevys borabora cocker 74108520 123ewq 12021988 01061990 ' +
+    'gtnhjdbx 02071981 01011960 sundevil 3000gt mustang6 gagging maggi armstron ' +
+    'yfnfkb 13041987 revolver 02021976 trouble1 madcat jeremy1 jackass1 volkswag ' +
+    '30051985 corndog pool6123 marines1 03041991 pizza1 piggy sissy 02031979 ' +
+    'sunfire angelus undead 24061986 14061991 wildbill shinobi 45m2do5bs 123qwer ' +
+    '21011989 cleopatr lasvega hornets amorcit 11081989 coventry nirvana1 destin ' +
+    'sidekick 20061988 02081983 gbhfvblf sneaky bmw325 22021989 nfytxrf sekret ' +
+    'kalina zanzibar hotone qazws wasabi heidi1 highlander blues1 hitachi paolo ' +
+    '23041987 slayer1 simba1 02011981 tinkerbe kieran 01121986 172839 boiler ' +
+    '1125 bluesman waffle asdfgh01 threesom conan 1102 reflex 18011987 nautilus ' +
+    'everlast fatty vader1 01071986 cyborg ghbdtn123 birddog rubble 02071983 ' +
+    'suckers 02021973 skyhawk 12qw12qw dakota1 joebob nokia6233 woodie longdong ' +
+    'lamer troll ghjcnjgfhjkm 420000 boating nitro armada messiah 1031 penguin1 ' +
+    '02091989 americ 02071989 redeye asdqwe123 07071987 monty1 goten spikey ' +
+    'sonata 635241 tokiohotel sonyericsson citroen compaq1 1812 umpire belmont ' +
+    'jonny pantera1 nudes palmtree 14111986 fenway bighead razor gryphon ' +
+    'andyod22 aaaaa1 taco 10031988 enterme malachi dogface reptile 01041985 ' +
+    'dindom handball marseille candy1 19101987 torino tigge matthias viewsoni ' +
+    '13031987 stinker evangelion 24011985 123456123 rampage sandrine 02081980 ' +
+    'thecrow astral 28041987 sprinter private1 seabee shibby 02101988 25081988 ' +
+    'fearless junkie 01091987 aramis antelope draven fuck1 mazda6 eggman ' +
+    '02021990 barselona buddy123 19061987 fyfnjkbq nancy1 12121990 10071987 ' +
+    'sluggo kille hotties irishka zxcasdqwe123 shamus fairlane honeybee soccer10 ' +
+    '13061986 fantomas 17051988 10051987 20111986 gladiato karachi gambler gordo ' +
+    '01011995 biatch matthe 25800852 papito excite buffalo1 bobdole cheshire ' +
+    'player1 28021992 thewho 10101986 pinky1 mentor tomahawk brown1 03041986 ' +
+    'bismillah bigpoppa ijrjkfl 01121988 runaway 08121986 skibum studman helper ' +
+    'squeak holycow manfred harlem glock gideon 987321 14021985 yellow1 wizard1 ' +
+    'margarit success1 medved sf49ers lambda pasadena johngalt quasar 1776 ' +
+    '02031980 coldplay amand playa bigpimp 04041991 capricorn elefant sweetness ' +
+    'bruce1 luca dominik 10011990 biker 09051945 datsun elcamino trinitro malice ' +
+    'audi voyager1 02101983 joe123 carpente spartan1 mario1 glamour diaper ' +
+    '12121985 22011988 winter1 asimov callisto nikolai pebble 02101981 vendetta ' +
+    'david123 boytoy 11061985 02031989 iloveyou1 stupid1 cayman casper1 zippo ' +
+    'yamahar1 wildwood foxylady calibra 02041980 27061988 dungeon leedsutd ' +
+    '30041986 11051990 bestbuy antares dominion 24680 01061986 skillet enforcer ' +
+    'derparol 01041988 196969 29071983 f00tball purple1 mingus 25031987 21031990 ' +
+    'remingto giggles klaste 3x7pxr 01011994 coolcat 29051989 megane 20031987 ' +
+    '02051980 04041988 synergy 0000007 macman iforget adgjmp vjqgfhjkm 28011987 ' +
+    'rfvfcenhf 16051989 25121987 16051987 rogue mamamia 08051990 20091991 1210 ' +
+    'carnival bolitas paris1 dmitriy dimas 05051989 papillon knuckles 29011985 ' +
+    'hola tophat 28021990 100500 cutiepie devo 415263 ducks ghjuhfvvf asdqwe ' +
+    '22021986 freefall parol 02011983 zarina buste vitamin warez bigones ' +
+    '17061988 baritone jamess twiggy mischief bitchy hetfield 1003 dontknow ' +
+    'grinch 18061990 12031985 12031987 calimero 224466 letmei 15011987 acmilan ' +
+    'alexandre 02031977 08081988 whiteboy 21051991 barney1 02071978 money123 ' +
+    '18091985 bigdawg 02031988 cygnusx1 zoloto 31011987 firefigh blowfish ' +
+    'screamer lfybbk 20051988 chelse 11121986 01031989 harddick sexylady ' +
+    '30031988 02041974 auditt pizdec kojak kfgjxrf 20091988 123456ru wp2003wp ' +
+    '1204 15051990 slugger kordell1 03031986 swinging 01011974 02071979 rockie ' +
+    'dimples 1234123 1dragon trucking rusty2 roger1 marijuana kerouac 02051978 ' +
+    '08031985 paco thecure keepout kernel noname123 13121985 francisc bozo ' +
+    '02011982 22071986 02101979 obsidian 12345qw spud tabasco 02051985 jaguars ' +
+    'dfktynby kokomo popova notused sevens 4200 magneto 02051976 roswell ' +
+    '15101986 21101986 lakeside bigbang aspen little1 14021986 loki suckmydick ' +
+    'strawber carlos1 nokian73 dirty1 joshu 25091987 16121987 02041975 advent ' +
+    '17011987 slimshady whistler 10101990 stryker 22031984 15021985 01031985 ' +
+    'blueball 26031988 ksusha bahamut robocop chris123 impreza prozac bookie ' +
+    'bricks 13021990 alice1 cassandr 11111q john123 4ever korova 02051973 142857 ' +
+    '25041988 paramedi eclipse1 salope 07091990 1124 darkangel 23021986 999666 ' +
+    'nomad 02051981 smackdow 01021990 yoyoma argentin moonligh 57chevy bootys ' +
+    'hardone capricor galant spanker dkflbr 24111989 magpies krolik 21051988 ' +
+    'cevthrb cheddar 22041988 bigbooty scuba1 qwedsa duffman bukkake acura ' +
+    'johncena sexxy 258369 cherries 12345s asgard leopold fuck123 mopar lalakers ' +
+    'dogpound matrix1 crusty spanner kestrel fenris universa peachy assasin ' +
+    'lemmein eggplant hejsan canucks wendy1 doggy1 aikman tupac turnip godlike ' +
+    'fussball golden1 19283746 april1 django petrova captain1 vincent1 ratman ' +
+    'taekwondo chocha serpent perfect1 capetown vampir amore gymnast timeout ' +
+    'nbvjatq blue32 ksenia nazgul budweiser clutch mariya sylveste 02051972 ' +
+    'beaker cartman1 q11111 sexxx forever1 loser1 marseill magellan vehpbr ' +
+    'sexgod jktxrf hallo123 132456 liverpool1 southpaw seneca camden 357159 ' +
+    'camero tenchi johndoe 145236 roofer 741963 vlad 02041978 fktyrf zxcv123 ' +
+    'wingnut wolfpac notebook pufunga7782 brandy1 biteme1 goodgirl redhat ' +
+    '02031978 challeng millenium hoops maveric noname angus1 gaell onion olympus ' +
+    'sabrina1 ricard sixpack gratis gagged camaross hotgirls flasher 02051977 ' +
+    'bubba123 goldfing moonshin gerrard volkov sonyfuck mandrake 258963 tracer ' +
+    'lakers1 asians susan1 money12 helmut boater diablo2 1234zxcv dogwood ' +
+    'bubbles1 happy2 randy1 aries beach1 marcius2 navigator goodie hellokitty ' +
+    'fkbyjxrf earthlink lookout jumbo opendoor stanley1 marie1 12345m 07071977 ' +
+    'ashle wormix murzik 02081976 lakewood bluejays loveya commande gateway2 ' +
+    'peppe 01011976 7896321 goth oreo slammer rasmus faith1 knight1 stone1 ' +
+    'redskin ironmaiden gotmilk destiny1 dejavu 1master midnite timosha espresso ' +
+    'delfin toriamos oberon ceasar markie 1a2s3d ghhh47hj7649 vjkjrj daddyo ' +
+    'dougie disco auggie lekker therock1 ou8123 start1 noway p4ssw0rd shadow12 ' +
+    '333444 saigon 2fast4u capecod 23skidoo qazxcv beater bremen aaasss ' +
+    'roadrunner peace1 12345qwer 02071975 platon bordeaux vbkfirf 135798642 ' +
+    'test12 supernov beatles1 qwert40 optimist vanessa1 prince1 ilovegod ' +
+    'nightwish natasha1 alchemy bimbo blue99 patches1 gsxr1000 richar hattrick ' +
+    'hott solaris proton nevets enternow beavis1 amigos 159357a ambers lenochka ' +
+    '147896 suckdick shag intercourse blue1234 spiral 02061977 tosser ilove ' +
+    '02031975 cowgirl canuck q2w3e4 munch spoons waterboy 123567 evgeniy savior ' +
+    'zasada redcar mamacita terefon globus doggies htubcnhfwbz 1008 cuervo ' +
+    'suslik azertyui limewire houston1 stratfor steaua coors tennis1 12345qwerty ' +
+    'stigmata derf klondike patrici marijuan hardball odyssey nineinch boston1 ' +
+    'pass1 beezer sandr charon power123 a1234 vauxhall 875421 awesome1 reggae ' +
+    'boulder funstuff iriska krokodil rfntymrf sterva champ1 bball peeper ' +
+    'm123456 toolbox cabernet sheepdog magic32 pigpen 02041977 holein1 lhfrjy ' +
+    'banan dabomb natalie1 jennaj montana1 joecool funky steven1 ringo junio ' +
+    'sammy123 qqqwww baltimor footjob geezer 357951 mash4077 cashmone pancake ' +
+    'monic grandam bongo yessir gocubs nastia vancouve barley dragon69 watford ' +
+    'ilikepie 02071976 laddie 123456789m hairball toonarmy pimpdadd cvthnm hunte ' +
+    'davinci lback sophie1 firenze q1234567 admin1 bonanza elway7 daman strap ' +
+    'azert wxcvbn afrika theforce 123456t idefix wolfen houdini scheisse default ' +
+    'beech maserati 02061976 sigmachi dylan1 bigdicks eskimo mizzou 02101976 ' +
+    'riccardo egghead 111777 kronos ghbrjk chaos1 jomama rfhnjirf rodeo dolemite ' +
+    'cafc91 nittany pathfind mikael password9 vqsablpzla purpl gabber modelsne ' +
+    'myxworld hellsing punker rocknrol fishon fuck69 02041976 lolol twinkie ' +
+    'tripleh cirrus redbone killer123 biggun allegro gthcbr smith1 wanking ' +
+    'bootsy barry1 mohawk koolaid 5329 futurama samoht klizma 996633 lobo honeys ' +
+    'peanut1 556677 zxasqw joemama javelin samm 223322 sandra1 flicks montag ' +
+    'nataly 3006 tasha1 1235789 dogbone poker1 p0o9i8u7 goodday smoothie toocool ' +
+    'max333 metroid archange vagabond billabon 22061941 tyson1 02031973 darkange ' +
+    'skateboard evolutio morrowind wizards frodo1 rockin cumslut plastics ' +
+    'zaqwsxcde 5201314 doit outback bumble dominiqu persona nevermore alinka ' +
+    '02021971 forgetit sexo all4one c2h5oh petunia sheeba kenny1 elisabet ' +
+    'aolsucks woodstoc pumper 02011975 fabio granada scrapper 123459 minimoni ' +
+    'q123456789 breaker 1004 02091976 ncc74656 slimshad friendster austin31 ' +
+    'wiseguy donner dilbert1 132465 blackbird buffet jellybean barfly behappy ' +
+    '01011971 carebear fireblad 02051975 boxcar cheeky kiteboy hello12 panda1 ' +
+    'elvisp opennow doktor alex12 02101977 pornking flamengo 02091975 snowbird ' +
+    'lonesome robin1 11111a weed420 baracuda bleach 12345abc nokia1 metall ' +
+    'singapor mariner herewego dingo tycoon cubs blunts proview 123456789d ' +
+    'kamasutra lagnaf vipergts navyseal starwar masterbate wildone peterbil ' +
+    'cucumber butkus 123qwert climax deniro gotribe cement scooby1 summer69 ' +
+    'harrier shodan newyear 02091977 starwars1 romeo1 sedona harald doubled ' +
+    'sasha123 bigguns salami awnyce kiwi homemade pimping azzer bradley1 ' +
+    'warhamme linkin dudeman qwe321 pinnacle maxdog flipflop lfitymrf fucker1 ' +
+    'acidburn esquire sperma fellatio jeepster thedon sexybitch pookey spliff ' +
+    'widget vfntvfnbrf trinity1 mutant samuel1 meliss gohome 1q2q3q mercede ' +
+    'comein grin cartoons paragon henrik rainyday pacino senna bigdog1 alleycat ' +
+    '12345qaz narnia mustang2 tanya1 gianni apollo11 wetter clovis escalade ' +
+    'rainbows freddy1 smart1 daisydog s123456 cocksucker pushkin lefty sambo ' +
+    'fyutkjxtr hiziad boyz whiplash orchard newark adrenalin 1598753 bootsie ' +
+    'chelle trustme chewy golfgti tuscl ambrosia 5wr2i7h8 penetration shonuf ' +
+    'jughead payday stickman gotham kolokol johnny5 kolbasa stang puppydog ' +
+    'charisma gators1 mone jakarta draco nightmar 01011973 inlove laetitia ' +
+    '02091973 tarpon nautica meadow 0192837465 luckyone 14881488 chessie ' +
+    'goldeney tarakan 69camaro bungle wordup interne fuckme2 515000 dragonfl ' +
+    'sprout 02081974 gerbil bandit1 02071971 melanie1 phialpha camber kathy1 ' +
+    'adriano gonzo1 10293847 bigjohn bismarck 7777777a scamper 12348765 rabbits ' +
+    '222777 bynthytn dima123 alexander1 mallorca dragster favorite6 beethove ' +
+    'burner cooper1 fosters hello2 normandy 777999 sebring 1michael lauren1 ' +
+    'blake1 killa 02091971 nounours trumpet1 thumper1 playball xantia rugby1 ' +
+    'rocknroll guillaum angela1 strelok prosper buttercup masterp dbnfkbr ' +
+    'cambridg venom treefrog lumina 1234566 supra sexybabe freee shen frogs ' +
+    'driller pavement grace1 dicky checker smackdown pandas cannibal asdffdsa ' +
+    'blue42 zyjxrf nthvbyfnjh melrose neon jabber gamma 369258147 aprilia ' +
+    'atticus benessere catcher skipper1 azertyuiop sixty9 thierry treetop jello ' +
+    'melons 123456789qwe tantra buzzer catnip bouncer computer1 sexyone ananas ' +
+    'young1 olenka sexman mooses kittys sephiroth contra hallowee skylark ' +
+    'sparkles 777333 1qazxsw23edc lucas1 q1w2e3r gofast hannes amethyst ploppy ' +
+    'flower2 hotass amatory volleyba dixie1 bettyboo ticklish 02061974 frenchy ' +
+    'phish1 murphy1 trustno 02061972 leinad mynameis spooge jupiter1 hyundai ' +
+    'frosch junkmail abacab marbles 32167 casio sunshine1 wayne1 longhair caster ' +
+    'snicker 02101973 gannibal skinhead hansol gatsby segblue2 montecar plato ' +
+    'gumby kaboom matty bosco1 888999 jazzy panter jesus123 charlie2 giulia ' +
+    'candyass sex69 travis1 farmboy special1 02041973 letsdoit password01 ' +
+    'allison1 abcdefg1 notredam ilikeit 789654123 liberty1 rugger uptown ' +
+    'alcatraz 123456w airman 007bond navajo kenobi terrier stayout grisha ' +
+    'frankie1 fluff 1qazzaq1 1234561 virginie 1234568 tango1 werdna octopus ' +
+    'fitter dfcbkbcf blacklab 115599 montrose allen1 supernova frederik ' +
+    'ilovepussy justice1 radeon playboy2 blubber sliver swoosh motocros lockdown ' +
+    'pearls thebear istheman pinetree biit 1234rewq rustydog tampabay titts ' +
+    'babycake jehovah vampire1 streaming collie camil fidelity calvin1 stitch ' +
+    'gatit restart puppy1 budgie grunt capitals hiking dreamcas zorro1 321678 ' +
+    'riffraff makaka playmate napalm rollin amstel zxcvb123 samanth rumble ' +
+    'fuckme69 jimmys 951357 pizzaman 1234567899 tralala delpiero alexi yamato ' +
+    'itisme 1million vfndtq kahlua londo wonderboy carrots tazz ratboy rfgecnf ' +
+    '02081973 nico fujitsu tujhrf sergbest blobby 02051970 sonic1 1357911 ' +
+    'smirnov video1 panhead bucky 02031974 44332211 duffer cashmoney left4dead ' +
+    'bagpuss salman 01011972 titfuck 66613666 england1 malish dresden lemans ' +
+    'darina zapper 123456as 123456qqq met2002 02041972 redstar blue23 1234509876 ' +
+    'pajero booyah please1 tetsuo semper finder hanuman sunlight 123456n ' +
+    '02061971 treble cupoi password99 dimitri 3ip76k2 popcorn1 lol12345 stellar ' +
+    'nympho shark1 keith1 saskia bigtruck revoluti rambo1 asd222 feelgood phat ' +
+    'gogators bismark cola puck furball burnout slonik bowtie mommy1 icecube ' +
+    'fabienn mouser papamama rolex giants1 blue11 trooper1 momdad iklo morten ' +
+    'rhubarb gareth 123456d blitz canada1 r2d2 brest tigercat usmarine lilbit ' +
+    'benny1 azrael lebowski 12345r madagaskar begemot loverman dragonballz ' +
+    'italiano mazda3 naughty1 onions diver1 cyrano capcom asdfg123 forlife ' +
+    'fisherman weare138 requiem mufasa alpha123 piercing hellas abracadabra ' +
+    'duckman caracas macintos 02011971 jordan2 crescent fduecn hogtied eatmenow ' +
+    'ramjet 18121812 kicksass whatthe discus rfhfvtkmrf rufus1 sqdwfe mantle ' +
+    'vegitto trek dan123 paladin1 rudeboy liliya lunchbox riversid acapulco ' +
+    'libero dnsadm maison toomuch boobear hemlock sextoy pugsley misiek athome ' +
+    'migue altoids marcin 123450 rhfcfdbwf jeter2 rhinos rjhjkm mercury1 ' +
+    'ronaldinho shampoo makayla kamilla masterbating tennesse holger john1 ' +
+    'matchbox hores poptart parlament goodyear asdfgh1 02081970 hardwood alain ' +
+    'erection hfytnrb highlife implants benjami dipper jeeper bendover ' +
+    'supersonic babybear laserjet gotenks bama natedogg aol123 pokemo rabbit1 ' +
+    'raduga sopranos cashflow menthol pharao hacking 334455 ghjcnbnenrf lizzy ' +
+    'muffin1 pooky penis1 flyer gramma dipset becca ireland1 diana1 donjuan pong ' +
+    'ziggy1 alterego simple1 cbr900 logger 111555 claudia1 cantona7 matisse ' +
+    'ljxtymrf victori harle mamas encore mangos iceman1 diamon alexxx tiamat ' +
+    '5000 desktop mafia smurf princesa shojou blueberr welkom maximka 123890 ' +
+    '123q123 tammy1 bobmarley clips demon666 ismail termite laser1 missie altair ' +
+    'donna1 bauhaus trinitron mogwai flyers88 juniper nokia5800 boroda jingles ' +
+    'qwerasdfzxcv shakur 777666 legos mallrats 1qazxsw goldeneye tamerlan julia1 ' +
+    'backbone spleen 49ers shady darkone medic1 justi giggle cloudy aisan douche ' +
+    'parkour bluejay huskers1 redwine 1qw23er4 satchmo 1231234 nineball stewart1 ' +
+    'ballsack probes kappa amiga flipper1 dortmund 963258 trigun 1237895 ' +
+    'homepage blinky screwy gizzmo belkin chemist coolhand chachi braves1 ' +
+    'thebest greedisgood pro100 banana1 101091m 123456g wonderfu barefeet ' +
+    '8inches 1111qqqq kcchiefs qweasdzxc123 metal1 jennifer1 xian asdasd123 ' +
+    'pollux cheerleaers fruity mustang5 turbos shopper photon espana hillbill ' +
+    'oyster macaroni gigabyte jesper motown tuxedo buster12 triplex cyclones ' +
+    'estrell mortis holla 456987 fiddle sapphic jurassic thebeast ghjcnjq baura ' +
+    'spock1 metallica1 karaoke nemrac58 love1234 02031970 flvbybcnhfnjh frisbee ' +
+    'diva ajax feathers flower1 soccer11 allday mierda pearl1 amature marauder ' +
+    '333555 redheads womans egorka godbless 159263 nimitz aaaa1111 sashka madcow ' +
+    'socce greywolf baboon pimpdaddy 123456789r reloaded lancia rfhfylfi dicker ' +
+    'placid grimace 22446688 olemiss whores culinary wannabe maxi 1234567aa ' +
+    'amelie riley1 trample phantom1 baberuth bramble asdfqwer vides 4you ' +
+    'abc123456 taichi aztnm smother outsider hakr blackhawk bigblack girlie ' +
+    'spook valeriya gianluca freedo 1q2q3q4q handbag lavalamp cumm pertinant ' +
+    'whatup nokia123 redlight patrik 111aaa poppy1 dfytxrf aviator sweeps ' +
+    'kristin1 cypher elway yinyang access1 poophead tucson noles1 monterey ' +
+    'waterfal dank dougal 918273 suede minnesot legman bukowski ganja mammoth ' +
+    'riverrat asswipe daredevi lian arizona1 kamikadze alex1234 smile1 angel2 ' +
+    '55bgates bellagio 0001 wanrltw stiletto lipton arsena biohazard bbking ' +
+    'chappy tetris as123456 darthvad lilwayne nopassword 7412369 ' +
+    '123456789987654321 natchez glitter 14785236 mytime rubicon moto pyon wazzup ' +
+    'tbird shane1 nightowl getoff beckham7 trueblue hotgirl nevermin deathnote ' +
+    '13131 taffy bigal copenhag apricot gallaries dtkjcbgtl totoro onlyone ' +
+    'civicsi jesse1 baby123 sierra1 festus abacus sickboy fishtank fungus charle ' +
+    'golfpro teensex mario66 seaside aleksei rosewood blackberry 1020304050 ' +
+    'bedlam schumi deerhunt contour darkelf surveyor deltas pitchers 741258963 ' +
+    'dipstick funny1 lizzard 112233445566 jupiter2 softtail titman greenman ' +
+    'z1x2c3v4b5 smartass 12345677 notnow myworld nascar1 chewbacc nosferatu ' +
+    'downhill dallas22 kuan blazers whales soldat craving powerman yfcntyf ' +
+    'hotrats cfvceyu qweasdzx princess1 feline qqwwee chitown 1234qaz mastermind ' +
+    '114477 dingbat care1839 standby kismet atreides dogmeat icarus monkeyboy ' +
+    'alex1 mouses nicetits sealteam chopper1 crispy winter99 rrpass1 myporn ' +
+    'myspace1 corazo topolino ass123 lawman muffy orgy 1love passord hooyah ' +
+    'ekmzyf pretzel amonra nestle 01011950 jimbeam happyman z12345 stonewal ' +
+    'helios manunited harcore dick1 gaymen 2hot4u light1 qwerty13 kakashi pjkjnj ' +
+    'alcatel taylo allah buddydog ltkmaby mongo blonds start123 audia6 123456v ' +
+    'civilwar bellaco turtles mustan deadspin aaa123 fynjirf lucky123 tortoise ' +
+    'amor summe waterski zulu drag0n dtxyjcnm gizmos strife interacial pusyy ' +
+    'goose1 bear1 equinox matri jaguar1 tobydog sammys nachos traktor bryan1 ' +
+    'morgoth 444555 dasani miami1 mashka xxxxxx1 ownage nightwin hotlips ' +
+    'passmast cool123 skolko eldiablo manu 1357908642 screwyou badabing foreplay ' +
+    'hydro kubrick seductive demon1 comeon galileo aladdin metoo happines 902100 ' +
+    'mizuno caddy bizzare girls1 redone ohmygod sable bonovox girlies hamper ' +
+    'opus gizmodo1 aaabbb pizzahut 999888 rocky2 anton1 kikimora peavey ocelot ' +
+    'a1a2a3a4 2wsx3edc jackie1 solace sprocket galary chuck1 volvo1 shurik ' +
+    'poop123 locutus virago wdtnjxtr tequier bisexual doodles makeitso fishy ' +
+    '789632145 nothing1 fishcake sentry libertad oaktree fivestar adidas1 ' +
+    'vegitta mississi spiffy carme neutron vantage agassi boners 123456789v ' +
+    'hilltop taipan barrage kenneth1 fister martian willem lfybkf bluestar ' +
+    'moonman ntktdbpjh paperino bikers daffy benji quake dragonfly suckcock ' +
+    'danilka lapochka belinea calypso asshol camero1 abraxas mike1234 womam ' +
+    'q1q2q3q4q5 youknow maxpower audi80 sonora raymond1 tickler tadpole belair ' +
+    'crazyman finalfantasy 999000 jonatha paisley kissmyas morgana monste mantra ' +
+    'spunk magic123 jonesy mark1 alessand 741258 baddest ghbdtnrfrltkf zxccxz ' +
+    'tictac augustin racers 7grout foxfire 99762000 openit nathanie 1z2x3c4v5b ' +
+    'seadog gangbanged lovehate hondacbr harpoon mamochka fisherma bismilla ' +
+    'locust wally1 spiderman1 saffron utjhubq 123456987 20spanks safeway pisser ' +
+    'bdfyjd kristen1 bigdick1 magenta vfhujif anfisa friday13 qaz123wsx ' +
+    '0987654321q tyrant guan meggie kontol nurlan ayanami rocket1 yaroslav ' +
+    'websol76 mutley hugoboss websolutions elpaso gagarin badboys sephirot ' +
+    '918273645 newuser qian edcrfv booger1 852258 lockout timoxa94 mazda323 ' +
+    'firedog sokolova skydiver jesus777 1234567890z soulfly canary malinka ' +
+    'guillerm hookers dogfart surfer1 osprey india123 rhjkbr stoppedby nokia5530 ' +
+    '123456789o blue1 werter divers 3000 123456f alpina cali whoknows godspeed ' +
+    '986532 foreskin fuzzy1 heyyou didier slapnuts fresno rosebud1 sandman1 ' +
+    'bears1 blade1 honeybun queen1 baronn pakista philipp 9111961 topsecret ' +
+    'sniper1 214365 slipper letsfuck pippen33 godawgs mousey qw123456 scrotum ' +
+    'loveis lighthou bp2002 nancy123 jeffrey1 susieq buddy2 ralphie trout1 willi ' +
+    'antonov sluttey rehbwf marty1 darian losangeles letme1n 12345d pusssy ' +
+    'godiva ender golfnut leonidas a1b2c3d4e5 puffer general1 wizzard lehjxrf ' +
+    'racer1 bigbucks cool12 buddys zinger esprit vbienrf josep tickling froggie ' +
+    '987654321a 895623 daddys crumbs gucci mikkel opiate tracy1 christophe ' +
+    'came11 777555 petrovich humbug dirtydog allstate horatio wachtwoord ' +
+    'creepers squirts rotary bigd georgia1 fujifilm 2sweet dasha yorkie slimjim ' +
+    'wiccan kenzie system1 skunk b12345 getit pommes daredevil sugars bucker ' +
+    'piston lionheart 1bitch 515051 catfight recon icecold fantom vodafone ' +
+    'kontakt boris1 vfcnth canine 01011961 valleywa faraon chickenwing101 ' +
+    'qq123456 livewire livelife roosters jeepers ilya1234 coochie pavlik dewalt ' +
+    'dfhdfhf architec blackops 1qaz2wsx3edc4rfv rhfcjnf wsxedc teaser sebora ' +
+    '25252 rhino1 ankara swifty decimal redleg shanno nermal candies smirnova ' +
+    'dragon01 photo1 ranetki a1s2d3f4g5 axio wertzu maurizio 6uldv8 zxcvasdf ' +
+    'punkass flowe graywolf peddler 3rjs1la7qe mpegs seawolf ladyboy pianos ' +
+    'piggies vixen alexus orpheus gdtrfb z123456 macgyver hugetits ralph1 ' +
+    'flathead maurici mailru goofball nissan1 nikon stopit odin big1 smooch ' +
+    'reboot famil bullit anthony7 gerhard methos 124038 morena eagle2 jessica2 ' +
+    'zebras getlost gfynthf 123581321 sarajevo indon comets tatjana rfgbnjirf ' +
+    'joystick batman12 123456c sabre beerme victory1 kitties 1475369 badboy1 ' +
+    'booboo1 comcast slava squid saxophon lionhear qaywsx bustle nastena roadway ' +
+    'loader hillside starlight 24681012 niggers access99 bazooka molly123 ' +
+    'blackice bandi cocacol nfhfrfy timur muschi horse1 quant4307s squerting ' +
+    'oscars mygirls flashman tangerin goofy1 p0o9i8 housewifes newness monkey69 ' +
+    'escorpio password11 hippo warcraft3 qazxsw123 qpalzm ribbit ghbdtndctv ' +
+    'bogota star123 258000 lincoln1 bigjim lacoste firestorm legenda indain ' +
+    'ludacris milamber 1009 evangeli letmesee a111111 hooters1 bigred1 shaker ' +
+    'husky a4tech cnfkrth argyle rjhjdf nataha 0o9i8u7y gibson1 sooners1 ' +
+    'glendale archery hoochie stooge aaaaaa1 scorpions school1 vegas1 rapier ' +
+    'mike23 bassoon groupd2013 macaco baker1 labia freewill santiag silverado ' +
+    'butch1 vflfufcrfh monica1 rugrat cornhole aerosmit bionicle gfgfvfvf ' +
+    'daniel12 virgo fmale favorite2 detroit1 pokey shredder baggies wednesda ' +
+    'cosmo1 mimosa sparhawk firehawk romario 911turbo funtimes fhntvrf nexus6 ' +
+    '159753456 timothy1 bajingan terry1 frenchie raiden 1mustang babemagnet ' +
+    '74123698 nadejda truffles rapture douglas1 lamborghini motocross rjcvjc ' +
+    '748596 skeeter1 dante1 angel666 telecom carsten pietro bmw318 astro1 ' +
+    'carpediem samir orang helium scirocco fuzzball rushmore rebelz hotspur ' +
+    'lacrimosa chevys10 madonna1 domenico yfnfirf jachin shelby1 bloke dawgs ' +
+    'dunhill atlanta1 service1 mikado devilman angelit reznor euphoria lesbain ' +
+    'checkmat browndog phreak blaze1 crash1 farida mutter luckyme horsemen vgirl ' +
+    'jediknig asdas cesare allnight rockey starlite truck1 passfan samue cazzo ' +
+    'wrinkles homely eatme1 sexpot snapshot dima1995 asthma thetruth ducky ' +
+    'blender priyanka gaucho dutchman sizzle kakarot 651550 passcode ' +
+    'justinbieber 666333 elodie sanjay 110442 alex01 lotus1 2300mj lakshmi ' +
+    'zoomer quake3 12349876 teapot 12345687 ramada pennywis striper pilot1 ' +
+    'chingon optima nudity ethan1 euclid beeline loyola biguns zaq12345 bravo1 ' +
+    'disney1 buffa assmunch vivid 6661313 wellingt aqwzsx madala11 9874123 ' +
+    'sigmar pictere tiptop bettyboop dinero tahiti gregory1 bionic speed1 fubar1 ' +
+    'lexus1 denis1 hawthorn saxman suntzu bernhard dominika camaro1 hunter12 ' +
+    'balboa bmw2002 seville diablo1 vfhbyjxrf 1234abc carling lockerroom punani ' +
+    'darth baron1 vaness 1password libido picher 232425 karamba futyn007 ' +
+    'daydream 11001001 dragon123 friends1 bopper rocky123 chooch asslover ' +
+    'shimmer riddler openme tugboat sexy123 midori gulnara christo swatch laker ' +
+    'offroad puddles hackers mannheim manager1 horseman roman1 dancer1 komputer ' +
+    'pictuers nokia5130 ejaculation lioness 123456y evilone nastenka pushok ' +
+    'javie lilman 3141592 mjolnir toulouse pussy2 bigworm smoke420 fullback ' +
+    'extensa dreamcast belize delboy willie1 casablanca csyjxtr ricky1 bonghit ' +
+    'salvator basher pussylover rosie1 963258741 vivitron cobra427 meonly ' +
+    'armageddon myfriend zardoz qwedsazxc kraken fzappa starfox 333999 illmatic ' +
+    'capoeira weenie ramzes freedom2 toasty pupkin shinigami fhvfutljy nocturne ' +
+    'churchil thumbnils tailgate neworder sexymama goarmy cerebus michelle1 ' +
+    'vbifyz surfsup earthlin dabulls basketbal aligator mojojojo saibaba ' +
+    'welcome2 wifes wdtnjr 12345w slasher papabear terran footman hocke 153759 ' +
+    'texans tom123 sfgiants billabong aassdd monolith xxx777 l3tm31n ticktock ' +
+    'newone hellno japanees contortionist admin123 scout1 alabama1 divx1 rochard ' +
+    'privat radar1 bigdad fhctybq tortuga citrus avanti fantasy1 woodstock ' +
+    's12345 fireman1 embalmer woodwork bonzai konyor newstart jigga panorama ' +
+    'goats smithy rugrats hotmama daedalus nonstop fruitbat lisenok quaker ' +
+    'violator 12345123 my3sons cajun fraggle gayboy oldfart vulva knickerless ' +
+    'orgasms undertow binky litle kfcnjxrf masturbation bunnie alexis1 planner ' +
+    'transexual sparty leeloo monies fozzie stinger1 landrove anakonda scoobie ' +
+    'yamaha1 henti star12 rfhlbyfk beyonce catfood cjytxrf zealots strat ' +
+    'fordtruc archangel silvi sativa boogers miles1 bigjoe tulip petite greentea ' +
+    'shitter jonboy voltron morticia evanescence 3edc4rfv longshot windows1 ' +
+    'serge aabbcc starbucks sinful drywall prelude1 www123 camel1 homebrew ' +
+    'marlins 123412 letmeinn domini swampy plokij fordf350 webcam michele1 ' +
+    'bolivi 27731828 wingzero qawsedrftg shinji sverige jasper1 piper1 cummer ' +
+    'iiyama gocats amour alfarome jumanji mike69 fantasti 1monkey w00t88 shawn1 ' +
+    'lorien 1a2s3d4f5g koleso murph natascha sunkist kennwort emine grinder ' +
+    'm12345 q1q2q3q4 cheeba money2 qazwsxedc1 diamante prosto pdiddy stinky1 ' +
+    'gabby1 luckys franci pornographic moochie gfhjdjp samdog empire1 ' +
+    'comicbookdb emili motdepasse iphone braveheart reeses nebula sanjose bubba2 ' +
+    'kickflip arcangel superbow porsche911 xyzzy nigger1 dagobert devil1 alatam ' +
+    'monkey2 barbara1 12345v vfpfafrf alessio babemagn aceman arrakis kavkaz ' +
+    '987789 jasons berserk sublime1 rogue1 myspace buckwhea csyekz pussy4me ' +
+    'vette1 boots1 boingo arnaud budlite redstorm paramore becky1 imtheman ' +
+    'chango marley1 milkyway 666555 giveme mahalo lux2000 lucian paddy praxis ' +
+    'shimano bigpenis creeper newproject2004 rammstei j3qq4h7h2v hfljcnm ' +
+    'lambchop anthony2 bugman gfhjkm12 dreamer1 stooges cybersex diamant ' +
+    'cowboyup maximus1 sentra 615243 goethe manhatta fastcar selmer 1213141516 ' +
+    'yfnfitymrf denni chewey yankee1 elektra 123456789p trousers fishface ' +
+    'topspin orwell vorona sodapop motherfu ibilltes forall kookie ronald1 ' +
+    'balrog maximilian mypasswo sonny1 zzxxcc tkfkdg magoo mdogg heeled gitara ' +
+    'lesbos marajade tippy morozova enter123 lesbean pounded asd456 fialka ' +
+    'scarab sharpie spanky1 gstring sachin 12345asd princeto hellohel ursitesux ' +
+    'billows 1234kekc kombat cashew duracell kseniya sevenof9 kostik arthur1 ' +
+    'corvet07 rdfhnbhf songoku tiberian needforspeed 1qwert dropkick kevin123 ' +
+    'panache libra a123456a kjiflm vfhnsirf cntgfy iamcool narut buffer sk8ordie ' +
+    'urlaub fireblade blanked marishka gemini1 altec gorillaz chief1 revival47 ' +
+    'ironman1 space1 ramstein doorknob devilmaycry nemesis1 sosiska pennstat ' +
+    'monday1 pioner shevchenko detectiv evildead blessed1 aggie coffees tical ' +
+    'scotts bullwink marsel krypto adrock rjitxrf asmodeus rapunzel theboys ' +
+    'hotdogs deepthro maxpayne veronic fyyeirf otter cheste abbey1 thanos ' +
+    'bedrock bartok google1 xxxzzz rodent montecarlo hernande mikayla 123456789l ' +
+    'bravehea 12locked ltymub pegasus1 ameteur saltydog faisal milfnew momsuck ' +
+    'everques ytngfhjkz m0nkey businessbabe cooki custard 123456ab lbvjxrf ' +
+    'outlaws 753357 qwerty78 udacha insider chees fuckmehard shotokan katya ' +
+    'seahorse vtldtlm turtle1 mike12 beebop heathe everton1 darknes barnie ' +
+    'rbcekz alisher toohot theduke 555222 reddog1 breezy bulldawg monkeyman ' +
+    'baylee losangel mastermi apollo1 aurelie zxcvb12345 cayenne bastet wsxzaq ' +
+    'geibcnbr yello fucmy69 redwall ladybird bitchs cccccc1 rktjgfnhf ghjdthrf ' +
+    'quest1 oedipus linus impalass fartman 12345k fokker 159753a optiplex ' +
+    'bbbbbb1 realtor slipkno santacru rowdy jelena smeller 3984240 ddddd1 sexyme ' +
+    'janet1 3698741 eatme69 cazzone today1 poobear ignatius master123 newpass1 ' +
+    'heather2 snoopdogg blondinka pass12 honeydew fuckthat 890098890 lovem ' +
+    'goldrush gecko biker1 llama pendejo avalanche fremont snowman1 gandolf ' +
+    'chowder 1a2b3c4d5e flyguy magadan 1fuck pingvin nokia5230 ab1234 lothar ' +
+    'lasers bignuts renee1 royboy skynet 12340987 1122334 dragrace lovely1 ' +
+    '22334455 booter 12345612 corvett 123456qq capital1 videoes funtik wyvern ' +
+    'flange sammydog hulkster 13245768 not4you vorlon omegared filippo 123mudar ' +
+    'samadams petrus chris12 charlie123 123456789123 icetea sunderla adrian1 ' +
+    '123qweas kazanova aslan monkey123 fktyeirf goodsex 123ab lbtest banaan ' +
+    'bluenose 837519 asd12345 waffenss whateve 1a2a3a4a trailers vfhbirf bhbcrf ' +
+    'klaatu turk182 monsoon beachbum sunbeam succes clyde1 viking1 rawhide ' +
+    'bubblegum princ mackenzi hershey1 222555 dima55 niggaz manatee aquila ' +
+    'anechka pamel bugsbunn lovel sestra newport1 althor hornyman wakeup zzz111 ' +
+    'phishy cerber torrent thething solnishko babel buckeye1 peanu ethernet ' +
+    'uncencored baraka 665544 chris2 rb26dett willy1 choppers texaco biggirl ' +
+    '123456b anna2614 sukebe caralho callofduty rt6ytere jesus7 angel12 1money ' +
+    'timelord allblack pavlova romanov tequiero yitbos lookup bulls23 snowflake ' +
+    'dickweed barks lever irisha firestar fred1234 ghjnjnbg danman gatito betty1 ' +
+    'milhouse kbctyjr masterbaiting delsol papit doggys 123698741 bdfyjdf ' +
+    'invictus bloods kayla1 yourmama apple2 angelok bigboy1 pontiac1 verygood ' +
+    'yeshua twins2 porn4me 141516 rasta69 james2 bosshog candys adventur stripe ' +
+    'djkjlz dokken austin316 skins hogwarts vbhevbh navigato desperado xxx666 ' +
+    'cneltyn vasiliy hazmat daytek eightbal fred1 four20 74227422 fabia ' +
+    'aerosmith manue wingchun boohoo hombre sanity72 goatboy fuckm partizan ' +
+    'avrora utahjazz submarin pussyeat heinlein control1 costaric smarty chuan ' +
+    'triplets snowy snafu teacher1 vangogh vandal evergree cochise qwerty99 ' +
+    'pyramid1 saab900 sniffer qaz741 lebron23 mark123 wolvie blackbelt yoshi ' +
+    'feeder janeway nutella fuking asscock deepak poppie bigshow housewife grils ' +
+    'tonto cynthia1 temptress irakli belle1 russell1 manders frank123 seabass ' +
+    'gforce songbird zippy1 naught brenda1 chewy1 hotshit topaz 43046721 ' +
+    'girfriend marinka jakester thatsme planeta falstaff patrizia reborn riptide ' +
+    'cherry1 shuan nogard chino oasis1 qwaszx12 goodlife davis1 1911a1 harrys ' +
+    'shitfuck 12345678900 russian7 007700 bulls1 porshe danil dolphi river1 ' +
+    'sabaka gobigred deborah1 volkswagen miamo alkaline muffdive 1letmein fkbyrf ' +
+    'goodguy hallo1 nirvan ozzie cannonda cvbhyjdf marmite germany1 joeblow ' +
+    'radio1 love11 raindrop 159852 jacko newday fathead elvis123 caspe citibank ' +
+    'sports1 deuce boxter fakepass golfman snowdog birthday4 nonmembe niklas ' +
+    'parsifal krasota theshit 1235813 maganda nikita1 omicron cassie1 columbo ' +
+    'buick sigma1 thistle bassin rickster apteka sienna skulls miamor coolgirl ' +
+    'gravis 1qazxc virgini hunter2 akasha batma motorcyc bambino tenerife ' +
+    'fordf250 zhuan iloveporn markiza hotbabes becool fynjybyf wapapapa forme ' +
+    'mamont pizda dragonz sharon1 scrooge mrbill pfloyd leeroy natedog ishmael ' +
+    '777111 tecumseh carajo 0000000000o blackcock fedorov antigone feanor ' +
+    'novikova bobert peregrin spartan117 pumkin rayman manuals tooltime 555333 ' +
+    'bonethug marina1 bonnie1 tonyhawk laracroft mahalkita 18273645 terriers ' +
+    'gamer hoser littlema molotok glennwei lemon1 caboose tater 12345654321 ' +
+    'brians fritz1 mistral jigsaw fuckshit hornyguy southside edthom antonio1 ' +
+    'bobmarle pitures ilikesex crafty nexus boarder fulcrum astonvil yanks1 ' +
+    'yngwie account1 zooropa hotlegs sammi gumbo rover1 perkele maurolarastefy ' +
+    'lampard 357753 barracud dmband abcxyz pathfinder 335577 yuliya micky jayman ' +
+    'asdfg12345 1596321 halcyon rerfhtre feniks zaxscd gotyoass jaycee samson1 ' +
+    'jamesb vibrate grandpri camino colossus davidb mamo4ka nicky1 homer123 ' +
+    'pinguin watermelon shadow01 lasttime glider 823762 helen1 pyramids tulane ' +
+    'osama rostov john12 scoote bhbyrf gohan galeries joyful bigpussy tonka ' +
+    'mowgli astalavista zzz123 leafs dalejr8 unicorn1 777000 primal bigmama ' +
+    'okmijn killzone qaz12345 snookie zxcvvcxz davidc epson rockman ceaser ' +
+    'beanbag katten 3151020 duckhunt segreto matros ragnar 699669 sexsexse ' +
+    '123123z fuckyeah bigbutts gbcmrf element1 marketin saratov elbereth ' +
+    'blaster1 yamahar6 grime masha juneau 1230123 pappy lindsay1 mooner seattle1 ' +
+    'katzen lucent polly1 lagwagon pixie misiaczek 666666a smokedog lakers24 ' +
+    'eyeball ironhors ametuer volkodav vepsrf kimmy gumby1 poi098 ovation 1q2w3 ' +
+    'drinker penetrating summertime 1dallas prima modles takamine hardwork ' +
+    'macintosh tahoe passthie chiks sundown flowers1 boromir music123 phaedrus ' +
+    'albert1 joung malakas gulliver parker1 balder sonne jessie1 domainlock2005 ' +
+    'express1 vfkbyf youandme raketa koala dhjnvytyjub nhfrnjh testibil ybrbnjc ' +
+    '987654321q axeman pintail pokemon123 dogggg shandy thesaint 11122233 ' +
+    'x72jhhu3z theclash raptors zappa1 djdjxrf hell666 friday1 vivaldi pluto1 ' +
+    'lance1 guesswho jeadmi corgan skillz skippy1 mango1 gymnastic satori 362514 ' +
+    'theedge cxfcnkbdfz sparkey deicide bagels lololol lemmings r4e3w2q1 silve ' +
+    'staind schnuffi dazzle basebal1 leroy1 bilbo1 luckie qwerty2 goodfell ' +
+    'hermione peaceout davidoff yesterda killah flippy chrisb zelda1 headless ' +
+    'muttley fuckof tittys catdaddy photog beeker reaver ram1500 yorktown bolero ' +
+    'tryagain arman chicco learjet alexei jenna1 go2hell 12s3t4p55 ' +
+    'momsanaladventure mustang9 protoss rooter ginola dingo1 mojave erica1 ' +
+    '1qazse4 marvin1 redwolf sunbird dangerou maciek girsl hawks1 packard1 ' +
+    'excellen dashka soleda toonces acetate nacked jbond007 alligator debbie1 ' +
+    'wellhung monkeyma supers rigger larsson vaseline rjnzhf maripos 123456asd ' +
+    'cbr600rr doggydog cronic jason123 trekker flipmode druid sonyvaio dodges ' +
+    'mayfair mystuff fun4me samanta sofiya magics 1ranger arcane sixtynin 222444 ' +
+    'omerta luscious gbyudby bobcats envision chance1 seaweed holdem tomate ' +
+    'mensch slicer acura1 goochi qweewq punter repoman tomboy never1 cortina ' +
+    'gomets 147896321 369852147 dogma bhjxrf loglatin eragon strato gazelle ' +
+    'growler 885522 klaudia payton34 fuckem butchie scorpi lugano 123456789k ' +
+    'nichola chipper1 spide uhbujhbq rsalinas vfylfhby longhorns bugatti ' +
+    'everquest blackass 999111 snakeman p455w0rd fanatic family1 pfqxbr 777vlad ' +
+    'mysecret marat phoenix2 october1 genghis panties1 cooker citron ace123 ' +
+    '1234569 gramps blackcoc kodiak1 hickory ivanhoe blackboy escher sincity ' +
+    'beaks meandyou spaniel canon1 timmy1 lancaste polaroid edinburg fuckedup ' +
+    'hotman cueball golfclub gopack bookcase worldcup dkflbvbhjdbx twostep ' +
+    '17171717aa letsplay zolushka stella1 pfkegf kingtut 67camaro barracuda ' +
+    'wiggles gjhjkm prancer patata kjifhf theman1 romanova sexyass copper1 ' +
+    'dobber sokolov pomidor algernon cadman amoremio william2 silly1 bobbys ' +
+    'hercule hd764nw5d7e1vb1 defcon deutschland robinhood alfalfa machoman ' +
+    'lesbens pandora1 easypay tomservo nadezhda goonies saab9000 jordyn f15eagle ' +
+    'dbrecz 12qwerty greatsex thrawn blunted baywatch doggystyle loloxx chevy2 ' +
+    'january1 kodak bushel 78963214 ub6ib9 zz8807zpl briefs hawker 224488 first1 ' +
+    'bonzo brent1 erasure 69213124 sidewind soccer13 622521 mentos kolibri ' +
+    'onepiece united1 ponyboy keksa12 wayer mypussy andrej mischa mille bruno123 ' +
+    'garter bigpun talgat familia jazzy1 mustang8 newjob 747400 bobber blackbel ' +
+    'hatteras ginge camelot1 blue44 rebbyt34 ebony1 vegas123 myboys aleksander ' +
+    'ijrjkflrf lopata pilsner lotus123 m0nk3y andreev freiheit balls1 drjynfrnt ' +
+    'mazda1 waterpolo shibumi 852963 123bbb cezer121 blondie1 volkova rattler ' +
+    'kleenex ben123 sanane happydog satellit qazplm qazwsxedcrfvtgb meowmix ' +
+    'badguy facefuck spice1 blondy major1 25000 anna123 654321a sober1 deathrow ' +
+    'patterso china1 naruto1 hawkeye1 waldo1 butchy crayon 5tgb6yhn klopik ' +
+    'crocodil mothra imhorny pookie1 splatter slippy lizard1 router buratino ' +
+    'yahweh 123698 dragon11 123qwe456 peepers trucker1 ganjaman 1hxboqg2 ' +
+    'cheyanne storys sebastie zztop maddison 4rfv3edc darthvader jeffro iloveit ' +
+    'victor1 hotty delphin lifeisgood gooseman shifty insertions dude123 abrupt ' +
+    '123masha boogaloo chronos stamford pimpster kthjxrf getmein amidala flubber ' +
+    'fettish grapeape dantes oralsex jack1 foxcg33 winchest francis1 getin ' +
+    'archon cliffy blueman 1basebal sport1 emmitt22 porn123 bignasty morga ' +
+    '123hfjdk147 ferrar juanito fabiol caseydog steveo peternorth paroll kimchi ' +
+    'bootleg gaijin secre acacia eatme2 amarillo monkey11 rfhfgep tylers ' +
+    'a1a2a3a4a5 sweetass blower rodina babushka camilo cimbom tiffan vfnbkmlf ' +
+    'ohbaby gotigers lindsey1 dragon13 romulus qazxsw12 zxcvbn1 dropdead ' +
+    'hitman47 snuggle eleven11 bloopers 357mag avangard bmw320 ginscoot dshade ' +
+    'masterkey voodoo1 rootedit caramba leahcim hannover 8phrowz622 tim123 ' +
+    'cassius 000000a angelito zzzzz1 badkarma star1 malaga glenwood footlove ' +
+    'golf1 summer12 helpme1 fastcars titan1 police1 polinka marusya augusto ' +
+    'shiraz pantyhose donald1 blaise arabella brigada c3por2d2 peter01 marco1 ' +
+    'hellow dillweed uzumymw geraldin loveyou2 toyota1 088011 gophers indy500 ' +
+    'slainte 5hsu75kpot teejay renat racoon sabrin angie1 shiznit harpua sexyred ' +
+    'latex tucker1 alexandru wahoo teamwork deepblue goodison rundmc r2d2c3p0 ' +
+    'puppys samba ayrton boobed 999777 topsecre blowme1 123321z loudog random1 ' +
+    'pantie drevil mandolin 121212q hottub brother1 failsafe spade1 matvey ' +
+    'open1234 carmen1 priscill schatzi kajak gooddog trojans1 gordon1 kayak ' +
+    'calamity argent ufhvjybz seviyi penfold assface dildos hawkwind crowbar ' +
+    'yanks ruffles rastus luv2epus open123 aquafina dawns jared1 teufel 12345c ' +
+    'vwgolf pepsi123 amores passwerd 01478520 boliva smutty headshot password3 ' +
+    'davidd zydfhm gbgbcmrf pornpass insertion ceckbr test2 car123 checkit ' +
+    'dbnfkbq niggas nyyankee muskrat nbuhtyjr gunner1 ocean1 fabienne chrissy1 ' +
+    'wendys loveme89 batgirl cerveza igorek steel1 ragman boris123 novifarm ' +
+    'sexy12 qwerty777 mike01 giveitup 123456abc fuckall crevice hackerz gspot ' +
+    'eight8 assassins texass swallows 123458 baldur moonshine labatt modem ' +
+    'sydney1 voland dbnfkz hotchick jacker princessa dawgs1 holiday1 booper ' +
+    'reliant miranda1 jamaica1 andre1 badnaamhere barnaby tiger7 david12 margaux ' +
+    'corsica 085tzzqi universi thewall nevermor martin6 qwerty77 cipher apples1 ' +
+    '0102030405 seraphim black123 imzadi gandon ducati99 1shadow dkflbvbhjdyf ' +
+    '44magnum bigbad feedme samantha1 ultraman redneck1 jackdog usmc0311 fresh1 ' +
+    'monique1 tigre alphaman cool1 greyhoun indycar crunchy 55chevy carefree ' +
+    'willow1 063dyjuy xrated assclown federica hilfiger trivia bronco1 mamita ' +
+    '100200300 simcity lexingky akatsuki retsam johndeere abudfv raster elgato ' +
+    'businka satanas mattingl redwing1 shamil patate mannn moonstar evil666 ' +
+    'b123456 bowl300 tanechka 34523452 carthage babygir santino bondarenko ' +
+    'jesuss chico1 numlock shyguy sound1 kirby1 needit mostwanted 427900 funky1 ' +
+    'steve123 passions anduril kermit1 prospero lusty barakuda dream1 broodwar ' +
+    'porky christy1 mahal yyyyyy1 allan1 1sexy flintsto capri cumeater heretic ' +
+    'robert2 hippos blindax marykay collecti kasumi 112233q 123258 chemistr ' +
+    'coolboy 0o9i8u kabuki righton tigress nessie sergej andrew12 yfafyz ' +
+    'ytrhjvfyn angel7 victo mobbdeep lemming transfor 1725782 myhouse aeynbr ' +
+    'muskie leno4ka westham1 cvbhyjd daffodil pussylicker pamela1 stuffer ' +
+    'warehous tinker1 2w3e4r pluton louise1 polarbea 253634 prime1 anatoliy ' +
+    'januar wysiwyg cobraya ralphy whaler xterra cableguy 112233a porn69 jamesd ' +
+    'aqualung jimmy123 lumpy luckyman kingsize golfing1 alpha7 leeds1 marigold ' +
+    'lol1234 teabag alex11 10sne1 saopaulo shanny roland1 basser 3216732167 ' +
+    'carol1 year2005 morozov saturn1 joseluis bushed redrock memnoch lalaland ' +
+    'indiana1 lovegod gulnaz buffalos loveyou1 anteater pattaya jaydee redshift ' +
+    'bartek summerti coffee1 ricochet incest schastie rakkaus h2opolo suikoden ' +
+    'perro dance1 loveme1 whoopass vladvlad boober flyers1 alessia gfcgjhn ' +
+    'pipers papaya gunsling coolone blackie1 gonads gfhjkzytn foxhound qwert12 ' +
+    'gangrel ghjvtntq bluedevi mywife summer01 hangman licorice patter vfr750 ' +
+    'thorsten 515253 ninguna dakine strange1 mexic vergeten 12345432 8phrowz624 ' +
+    'stampede floyd1 sailfish raziel ananda giacomo freeme crfprf 74185296 ' +
+    'allstars master01 solrac gfnhbjn bayliner bmw525 3465xxx catter single1 ' +
+    'michael3 pentium4 nitrox mapet123456 halibut killroy xxxxx1 phillip1 ' +
+    'poopsie arsenalfc buffys kosova all4me 32165498 arslan opensesame brutis ' +
+    'charles2 pochta nadegda backspac mustang0 invis gogeta 654321q adam25 ' +
+    'niceday truckin gfdkbr biceps sceptre bigdave lauras user345 sandys shabba ' +
+    'ratdog cristiano natha march13 gumball getsdown wasdwasd redhead1 dddddd1 ' +
+    'longlegs 13572468 starsky ducksoup bunnys omsairam whoami fred123 danmark ' +
+    'flapper swanky lakings yfhenj asterios rainier searcher dapper ltdjxrf ' +
+    'horsey seahawk shroom tkfkdgo aquaman tashkent number9 messi10 1asshole ' +
+    'milenium illumina vegita jodeci buster01 bareback goldfinger fire1 33rjhjds ' +
+    'sabian thinkpad smooth1 sully bonghits sushi1 magnavox colombi voiture ' +
+    'limpone oldone aruba rooster1 zhenya nomar5 touchdow limpbizkit rhfcfdxbr ' +
+    'baphomet afrodita bball1 madiso ladles lovefeet matthew2 theworld ' +
+    'thunderbird dolly1 123rrr forklift alfons berkut speedy1 saphire oilman ' +
+    'creatine pussylov bastard1 456258 wicked1 filimon skyline1 fucing yfnfkbz ' +
+    'hot123 abdulla nippon nolimits billiard booty1 buttplug westlife coolbean ' +
+    'aloha1 lopas asasin 1212121 october2 whodat good4u d12345 kostas ilya1992 ' +
+    'regal pioneer1 volodya focus1 bastos nbvjif fenix anita1 vadimka nickle ' +
+    'jesusc 123321456 teste christ1 essendon evgenii celticfc adam1 forumwp ' +
+    'lovesme 26exkp chillout burly thelast1 marcus1 metalgear test11 ronaldo7 ' +
+    'socrate world1 franki mommie vicecity postov1000 charlie3 oldschool 333221 ' +
+    'legoland antoshka counterstrike buggy mustang3 123454 qwertzui toons chesty ' +
+    'bigtoe tigger12 limpopo rerehepf diddle nokia3250 solidsnake conan1 ' +
+    'rockroll 963369 titanic1 qwezxc cloggy prashant katharin maxfli takashi ' +
+    'cumonme michael9 mymother pennstate khalid 48151623 fightclub showboat ' +
+    'mateusz elrond teenie arrow1 mammamia dustydog dominator erasmus zxcvb1 ' +
+    '1a2a3a bones1 dennis1 galaxie pleaseme whatever1 junkyard galadriel ' +
+    'charlies 2wsxzaq1 crimson1 behemoth teres master11 fairway shady1 pass99 ' +
+    '1batman joshua12 baraban apelsin mousepad melon twodogs 123321qwe metalica ' +
+    'ryjgrf pipiska rerfhfxf lugnut cretin iloveu2 powerade aaaaaaa1 omanko ' +
+    'kovalenko isabe chobits 151nxjmt shadow11 zcxfcnkbdf gy3yt2rgls vfhbyrf ' +
+    '159753123 bladerunner goodone wonton doodie 333666999 fuckyou123 kitty123 ' +
+    'chisox orlando1 skateboa red12345 destroye snoogans satan1 juancarlo ' +
+    'goheels jetson scottt fuckup aleksa gfhfljrc passfind oscar123 derrick1 ' +
+    'hateme viper123 pieman audi100 tuffy andover shooter1 10000 makarov grant1 ' +
+    'nighthaw 13576479 browneye batigol nfvfhf chocolate1 7hrdnw23 petter bantam ' +
+    'morlii jediknight brenden argonaut goodstuf wisconsi 315920 abigail1 ' +
+    'dirtbag splurge k123456 lucky777 valdepen gsxr600 322223 ghjnjrjk ' +
+    'zaq1xsw2cde3 schwanz walter1 letmein22 nomads 124356 codeblue nokian70 ' +
+    'fucke footbal1 agyvorc aztecs passw0r smuggles femmes ballgag krasnodar ' +
+    'tamuna schule sixtynine empires erfolg dvader ladygaga elite1 venezuel ' +
+    'nitrous kochamcie olivia1 trustn01 arioch sting1 131415 tristar 555000 ' +
+    'maroon 135799 marsik 555556 fomoco natalka cwoui tartan davecole nosferat ' +
+    'hotsauce dmitry horus dimasik skazka boss302 bluebear vesper ultras ' +
+    'tarantul asd123asd azteca theflash 8ball 1footbal titlover lucas123 number6 ' +
+    'sampson1 789852 party1 dragon99 adonai carwash metropol psychnau vthctltc ' +
+    'hounds firework blink18 145632 wildcat1 satchel rice80 ghtktcnm sailor1 ' +
+    'cubano anderso rocks1 mike11 famili dfghjc besiktas roygbiv nikko bethan ' +
+    'minotaur rakesh orange12 hfleuf jackel myangel favorite7 1478520 asssss ' +
+    'agnieszka haley1 raisin htubyf 1buster cfiekz derevo 1a2a3a4a5a baltika ' +
+    'raffles scruffy1 clitlick louis1 buddha1 walker1 makoto shadow2 redbeard ' +
+    'vfvfvskfhfve mycock sandydog lineman network1 favorite8 longdick mustangg ' +
+    'mavericks indica 1killer cisco1 angelofwar blue69 brianna1 bubbaa slayer666 ' +
+    'level42 baldrick brutus1 lowdown haribo lovesexy 500000 thissuck picker ' +
+    'stephy 1fuckme characte telecast 1bigdog repytwjdf thematrix hammerhe ' +
+    'chucha ganesha gunsmoke georgi sheltie 1harley knulla sallas westie dragon7 ' +
+    'conker crappie margosha lisboa 3e2w1q shrike grifter ghjcnjghjcnj asdfg1 ' +
+    'mnbvcxz1 myszka posture boggie rocketman flhtyfkby twiztid vostok pi314159 ' +
+    'force1 televizor gtkmvtym samhain imcool jadzia dreamers strannik k2trix ' +
+    'steelhea nikitin commodor brian123 chocobo whopper ibilljpf megafon ararat ' +
+    'thomas12 ghbrjkbcn q1234567890 hibernia kings1 jim123 redfive 68camaro ' +
+    'iawgk2 xavier1 1234567u d123456 ndirish airborn halfmoon fluffy1 ranchero ' +
+    'sneaker soccer2 passion1 cowman birthday1 johnn razzle glock17 wsxqaz ' +
+    'nubian lucky2 jelly1 henderso eric1 123123e boscoe01 fuck0ff simpson1 ' +
+    'sassie rjyjgkz nascar3 watashi loredana janus wilso conman david2 mothe ' +
+    'iloveher snikers davidj fkmnthyfnbdf mettss ratfink 123456h lostsoul ' +
+    'sweet16 brabus wobble petra1 fuckfest otters sable1 svetka spartacu ' +
+    'bigstick milashka 1lover pasport champagn papichul hrvatska hondacivic ' +
+    'kevins tacit moneybag gohogs rasta1 246813579 ytyfdbcnm gubber darkmoon ' +
+    'vitaliy 233223 playboys tristan1 joyce1 oriflame mugwump access2 autocad ' +
+    'thematri qweqwe123 lolwut ibill01 multisyn 1233211 pelikan rob123 chacal ' +
+    '1234432 griffon pooch dagestan geisha satriani anjali rocketma gixxer ' +
+    'pendrago vincen hellokit killyou ruger doodah bumblebe badlands galactic ' +
+    'emachines foghorn jackso jerem avgust frontera 123369 daisymae hornyboy ' +
+    'welcome123 tigger01 diabl angel13 interex iwantsex rockydog kukolka sawdust ' +
+    'online1 3234412 bigpapa jewboy 3263827 dave123 riches 333222 tony1 toggle ' +
+    'farter 124816 tities balle brasilia southsid micke ghbdtn12 patit ' +
+    'ctdfcnjgjkm olds442 zzzzzz1 nelso gremlins gypsy1 carter1 slut69 farcry ' +
+    '7415963 michael8 birdie1 charl 123456789abc 100001 aztec sinjin bigpimpi ' +
+    'closeup atlas1 nvidia doggone classic1 manana malcolm1 rfkbyf hotbabe ' +
+    'rajesh dimebag ganjubas rodion jagr68 seren syrinx funnyman karapuz ' +
+    '123456789n bloomin admin18533362 biggdogg ocarina poopy1 hellome internet1 ' +
+    'booties blowjobs matt1 donkey1 swede 1jennife evgeniya lfhbyf coach1 444777 ' +
+    'green12 patryk pinewood justin12 271828 89600506779 notredame tuborg lemond ' +
+    'sk8ter million1 wowser pablo1 st0n3 jeeves funhouse hiroshi gobucs angeleye ' +
+    'bereza winter12 catalin qazedc andros ramazan vampyre sweethea imperium ' +
+    'murat jamest flossy sandeep morgen salamandra bigdogg stroller njdevils ' +
+    'nutsack vittorio playful rjyatnrf tookie ubnfhf michi 777444 shadow13 ' +
+    'devils1 radiance toshiba1 beluga amormi dandfa trust1 killemall smallville ' +
+    'polgara billyb landscap steves exploite zamboni damage11 dzxtckfd trader12 ' +
+    'pokey1 kobe08 damager egorov dragon88 ckfdbr lisa69 blade2 audis4 nelson1 ' +
+    'nibbles 23176djivanfros mutabor artofwar matvei metal666 hrfzlz schwinn ' +
+    'poohbea seven77 thinker 123456789qwerty sobriety jakers karamelka vbkfyf ' +
+    'volodin iddqd dale03 roberto1 lizaveta qqqqqq1 cathy1 08154711 davidm ' +
+    'quixote bluenote tazdevil katrina1 bigfoot1 bublik marma olechka fatpussy ' +
+    'marduk arina nonrev67 qqqq1111 camill wtpfhm'
+).split(' ');
+
+const COMMON_WORDS = (
+    'the you and that was for what this know with have from his just not were ' +
+    'are which your doc https also but has all had well first one about their ' +
+    'right its after get new here who out they going two like her yeah she been ' +
+    'can other when want time think during there now into school him more how ' +
+    'may got years did over why only see year come most good would really world ' +
+    'look city will some okay where back between later mean three tell state ' +
+    'such hey then national could used made yes known something under because ' +
+    'many say university take united way while little part make season need team ' +
+    'gonna these never american than too film second born sure south our became ' +
+    'sorry states war let through thing being maybe including down both man ' +
+    'before very north high should however anything people said family much ' +
+    'early any history even album off area please them doing series thank ' +
+    'against give until thought since help district talk county god name still ' +
+    'work wait life find group nothing music again following things number ' +
+    'company several call four told called great played better released ever ' +
+    'career night league away game believe government feel house everything each ' +
+    'based fine day last same keep won does use put station around club stop ' +
+    'international town located guy population general always college listen ' +
+    'east wanted found guys age huh march those end big september lot began ' +
+    'happened home thanks public church trying line kind june wrong river ' +
+    'talking member guess system care place bad century mom band remember july ' +
+    'getting york january together october dad song leave august understand best ' +
+    'former actually british hear party baby named nice held father village else ' +
+    'show stay local done november took course service might december mind built ' +
+    'every another enough major try within hell along came members someone five ' +
+    'single whole due yourself although idea small ask old must left coming ' +
+    'final looking large woman include room building knew served tonight ' +
+    'president real received son games hope death went february hmm main happy ' +
+    'third pretty set saw children girl own sir order friend species already ' +
+    'park saying law next air job published problem road minute died thinking ' +
+    'book men heard women honey army matter often myself according education ' +
+    'exactly central having country probably division happen english top hurt ' +
+    'included boy development dead french gotta community alone among excuse ' +
+    'water start play kill side hard list times today near car late ready form ' +
+    'without original wants different hold center wanna power yet led seen ' +
+    'students deal german once moved gone court morning six supposed land ' +
+    'friends council head island stuff worry record live million truth research ' +
+    'face art forget established true award cause street soon military knows ' +
+    'television telling given wife region support chance western run production ' +
+    'move non anyone political person point bye cup somebody period heart ' +
+    'business miss title making started meet various anyway election phone using ' +
+    'reason england damn role lost produced looks become bring program case ' +
+    'works turn field wish total tomorrow office kids class trust written check ' +
+    'association change radio anymore union least level championship working ' +
+    'director makes few taking force means created brother department hate ' +
+    'founded ago services says married beautiful though gave per fact crazy site ' +
+    'sit open afraid act important short rest society fun version kid royal word ' +
+    'present watch northern glad worked everyone professional sister full ' +
+    'minutes returned everybody joined bit story couple france whoa european ' +
+    'either currently mrs language feeling social daughter california wow india ' +
+    'gets days asked design break promise further door round close australia ' +
+    'hand wrote easy san question project tried control far southern walk ' +
+    'railway needs board mine popular killed continued hospital free anybody ' +
+    'battle alright considered wedding video shut common able position die ' +
+    'living perfect half stand playing comes recorded hit red waiting post ' +
+    'dinner described funny average husband records almost special pay modern ' +
+    'answer appeared cool announced eyes areas news rock child release elected ' +
+    'yours others moment example sleep term read opened similar sounds formed ' +
+    'sonny route pick census sometimes current bed schools date originally plan ' +
+    'lake hours developed lose race hands himself serious forces shit addition ' +
+    'behind information inside upon ahead province week match wonderful event ' +
+    'fight songs past result cut events quite win eastern sick track lead eat ' +
+    'teams nobody science goes human save construction seems minister finally ' +
+    'germany lives awards worried available upset throughout carly training met ' +
+    'style brought body seem museum sort australian safe health seven leaving ' +
+    'signed front chief shot eventually loved appointed asking sea running ' +
+    'centre clear debut figure tour hot points felt media parents light drink ' +
+    'range absolutely character across daddy features sweet families alive ' +
+    'largest sense indian meant network happens less bet performance blood ' +
+    'players refer kidding europe lie sold meeting festival dear usually seeing ' +
+    'taken sound despite fault designed ten committee buy process hour return ' +
+    'speak official lady episode jen institute thinks stage christmas followed ' +
+    'outside performed hang japanese possible personal worse thus mistake arts ' +
+    'ooh space handle low spend months totally includes giving china study ' +
+    'marriage middle realize magazine unless leading sex japan send groups ' +
+    'needed aircraft scared featured picture federal talked civil ass rights ' +
+    'hundred model changed coach completely canadian explain books certainly ' +
+    'remained sign eight boys type relationship independent loves completed hair ' +
+    'capital lying academy choice instead anywhere kingdom future organization ' +
+    'weird countries luck studies competition turned sports touch size kiss ' +
+    'above crane section questions finished obviously gold wonder involved pain ' +
+    'reported calling management somewhere systems throw industry straight ' +
+    'directed cold market fast fourth words movement food technology none bank ' +
+    'drive ground feelings campaign base marry lower drop sent cannot rather ' +
+    'dream added protect provided twenty coast surprise grand sweetheart ' +
+    'historic poor valley looked conference mad bridge except winning gun ' +
+    'approximately films dance chinese takes awarded appreciate degree ' +
+    'especially russian situation shows besides native pull female replaced ' +
+    'worth municipality sheridan square amazing studio expect medical swear data ' +
+    'piece african busy successful happening mid movie bay attack catch previous ' +
+    'perhaps operations step spanish fall theatre watching student kept republic ' +
+    'darling beginning dog provide honor ship moving primary till owned admit ' +
+    'writing problems tournament murder culture introduced evil texas definitely ' +
+    'related feels natural honest parts eye governor broke reached missed ' +
+    'ireland longer units dollars senior tired decided evening italian starting ' +
+    'whose entire higher trip africa niles standard suppose income calm ' +
+    'professor imagine placed fair regional caught los blame buildings sitting ' +
+    'championships favor active apartment novel terrible energy clean generally ' +
+    'learn interest frasier via relax economic accident previously wake stated ' +
+    'prove itself smart channel message below missing operation forgot leader ' +
+    'interested traditional table trade nbsp structure mouth limited pregnant ' +
+    'runs ring prior careful regular shall famous dude saint ride navy figured ' +
+    'foreign wear listed shoot artist stick catholic follow airport angry ' +
+    'results write parliament stopped collection ran unit standing officer ' +
+    'forgive goal jail attended wearing command ladies staff kinda commission ' +
+    'lunch lived cristian location greenlee plays gotten commercial hoping ' +
+    'places phoebe foundation thousand significant ridge older paper medal tough ' +
+    'self tape scored count companies boyfriend highway proud activities agree ' +
+    'programs birthday wide musical share notable offer library hurry numerous ' +
+    'feet paris wondering towards decision individual ones allowed finish plant ' +
+    'voice property herself annual contract mess whom deserve highest evidence ' +
+    'initially cute required dress earlier interesting assembly hotel artists ' +
+    'enjoy rural quiet seat concerned practice staying defeated beat ended ' +
+    'sweetie soviet mention length clothes spent fell manager neither press mmm ' +
+    'associated fix author respect issues prison additional attention characters ' +
+    'holding lord calls zealand surprised policy bar engine keeping township ' +
+    'gift noted historical putting complete dark financial owe religious ice ' +
+    'mission helping contains normal nine aunt recent lawyer represented apart ' +
+    'pennsylvania plans administration jax opening girlfriend secretary floor ' +
+    'lines whether report executive box youth judge closed upstairs theory sake ' +
+    'writer mommy italy possibly angeles worst appearance acting feature accept ' +
+    'queen blow launched strange legal saved terms conversation entered plane ' +
+    'issue mama edition yesterday singer lied greek quick majority lately ' +
+    'background stuck source difference anti store cultural complex bought ' +
+    'changes doubt recording listening stadium walking islands cops operated ' +
+    'deep particularly dangerous basketball buffy month sleeping uses chloe port ' +
+    'rafe castle join mostly card names crime fort gentlemen selected willing ' +
+    'increased window status walked earth guilty subsequently likes pacific ' +
+    'fighting cover difficult variety soul certain joke goals favorite remains ' +
+    'uncle upper promised congress bother becoming seriously studied cell irish ' +
+    'knowing nature broken particular advice loss somehow caused paid chart ' +
+    'losing push forced helped create killing era boss retired liked material ' +
+    'innocent review rules rate learned singles thirty referred risk larger ' +
+    'letting individuals speaking shown ridiculous provides afternoon products ' +
+    'apologize speed nervous democratic charge poland patient parish boat ' +
+    'olympics cities hide themselves detective temple planning wing huge genus ' +
+    'breakfast households horrible serving awful cost pleasure wales driving ' +
+    'stations hanging passed picked supported sell view quit cases apparently ' +
+    'forms dying actor notice male congratulations matches visit males stars ' +
+    'tracks letter females decide administrative forward median fool effect ' +
+    'showed biography smell train seemed engineering spell camp memory offered ' +
+    'pictures chairman slow houses seconds mainly hungry hearing surface kitchen ' +
+    'therefore nearly score realized ancient kick subject grab prime discuss ' +
+    'seasons fifty claimed reading experience idiot specific suddenly jewish ' +
+    'agent failed destroy overall bucks believed shoes plot peace troops arms ' +
+    'greater demon spain livvie consists consider broadcast papers heavy ' +
+    'incredible increase witch raised drunk separate attorney campus tells knock ' +
+    'appears ways presented gives lies nose composed skye recently turns ' +
+    'influence keeps fifth jealous nations drug creek sooner references cares ' +
+    'elections plenty britain extra double outta cast weekend meaning matters ' +
+    'earned gosh carried opportunity producer impossible latter waste housing ' +
+    'pretend brothers jump attempt eating article proof response slept border ' +
+    'arrest remaining breathe nearby perfectly direct warm ships pulled value ' +
+    'twice workers easier politician goin academic dating label suit romantic ' +
+    'commander drugs rule comfortable fellow finds residents checked authority ' +
+    'divorce editor begin transport ourselves dutch closer projects ruin ' +
+    'responsible smile covered laugh territory treat flight fear races defense ' +
+    'otherwise tower excited emperor mail albums hiding facilities stole daily ' +
+    'pacey stories noticed assistant fired managed excellent primarily bringing ' +
+    'quality bottom function note proposed sudden distribution bathroom ' +
+    'conditions honestly prize sing journal foot code remind vice charges ' +
+    'newspaper witness corps finding highly tree constructed dare mayor hardly ' +
+    'critical secondary steal corporation silly rugby contact regiment teach ' +
+    'ohio shop appearances plus serve colonel allow fresh nation trial multiple ' +
+    'invited discovered roll directly reach scene dirty levels choose growth ' +
+    'emergency elements dropped acquired butt credit officers obvious physical ' +
+    'locked loving latin nuts host agreed jersey prue graduated goodbye arrived ' +
+    'condition issued guard literature fuckin metal grow estate cake vote mood ' +
+    'immediately crap quickly crying asian belong competed partner extended ' +
+    'trick produce pressure urban dressed taste promoted neck contemporary nurse ' +
+    'global raise formerly lots appear carry industrial whoever types drinking ' +
+    'opera ministry breaking soldiers file commonly lock mass wine formation ' +
+    'spot smaller paying typically assume drama asleep shortly turning density ' +
+    'viki senate bedroom effects shower iran nikolas polish camera prominent ' +
+    'fill naval reasons settlement forty divided bigger basis nope republican ' +
+    'breath languages doctors distance pants treatment freak continue movies ' +
+    'product folks mile cream sources wild footballer truly format desk clubs ' +
+    'convince leadership client initial threw offers hurts operating spending ' +
+    'avenue answers officially shirt columbia chair grade rough squadron doin ' +
+    'fleet sees percent ought farm empty leaders wind agreement aware likely ' +
+    'dealing equipment pack website tight mount hurting grew guest method ' +
+    'arrested transferred salem intended confused renamed surgery iron expecting ' +
+    'asia deacon reserve unfortunately capacity goddamn politics bottle widely ' +
+    'beyond activity whenever advanced pool relations opinion scottish starts ' +
+    'dedicated jerk crew secrets founder falling episodes necessary lack barely ' +
+    'amount dancing build tests efforts copy concept cousin follows ahem ordered ' +
+    'twelve leaves tess positive skin economy fifteen entertainment speech ' +
+    'affairs orders memorial complicated ability nowhere illinois escape ' +
+    'communities biggest color restaurant text grateful railroad usual ' +
+    'scientific burn focus address comedy someplace serves screw exchange ' +
+    'everywhere environment regret cars goodness direction mistakes organized ' +
+    'details firm responsibility description suspect agency corner analysis hero ' +
+    'purpose dumb destroyed terrific reception whoo planned hole revealed ' +
+    'memories infantry architecture teeth growing ruined featuring bite ' +
+    'household stenbeck candidate liar removed showing situated cards models ' +
+    'desperate knowledge search solo pathetic technical spoke organizations ' +
+    'scare assigned marah conducted afford participated settle largely stayed ' +
+    'purchased checking register hired gained heads combined concern ' +
+    'headquarters blew adopted alcazar potential champagne protection connection ' +
+    'scale tickets approach happiness spread saving independence kissing ' +
+    'mountains hated titled personally geography suggest applied prepared safety ' +
+    'onto mixed downstairs accepted ticket continues captured loose rail holy ' +
+    'defeat duty principal convinced recognized throwing lieutenant kissed ' +
+    'mentioned legs semi loud owner saturday joint babies liberal actress ' +
+    'warning traffic miracle creation carrying basic blind notes ugly unique ' +
+    'shopping supreme hates declared sight simply bride plants coat sales ' +
+    'clearly massachusetts celebrate designated brilliant parties wanting jazz ' +
+    'forrester compared lips becomes custody resources screwed titles buying ' +
+    'concert toast learning thoughts remain reality teaching lexie versions ' +
+    'attitude content advantage alongside grandfather revolution sami sons ' +
+    'grandma block someday premier roof impact marrying champions powerful ' +
+    'districts grown generation grandmother estimated fake volume image ideas ' +
+    'sites exciting account familiar roles bomb sport bout quarter harmony ' +
+    'providing schedule zone capable yard practically scoring correct classes ' +
+    'clue presence forgotten performances appointment representatives deserves ' +
+    'hosted threat split bloody taught lonely origin shame olympic jacket claims ' +
+    'hook critics scary facility investigation occurred invite suffered shooting ' +
+    'municipal lesson damage criminal defined victim resulted funeral ' +
+    'respectively considering expanded burning platform strength draft harder ' +
+    'opposition sisters expected pushed educational shock ontario pushing ' +
+    'climate heat reports chocolate atlantic miserable surrounding corinthos ' +
+    'performing nightmare reduced brings ranked zander allows crash birth ' +
+    'chances nominated sending younger recognize newly healthy kong boring ' +
+    'positions feed theater engaged philadelphia headed heritage treated finals ' +
+    'knife disease drag sixth badly laws hire reviews paint constitution pardon ' +
+    'tradition behavior swedish closet theme warn fiction gorgeous rome milk ' +
+    'medicine survive trains ends resulting dump existing rent deputy remembered ' +
+    'environmental thanksgiving labour rain classical revenge develop prefer ' +
+    'fans spare granted pray receive disappeared alternative aside begins ' +
+    'statement nuclear sometime fame meat buried fantastic connected breathing ' +
+    'identified laughing palace stood falls affair letters ours combat depends ' +
+    'sciences protecting effort jury villages brave inspired fingers regions ' +
+    'murdered towns explanation conservative picking chosen blah animals ' +
+    'stronger labor handsome attacks unbelievable materials anytime yards shake ' +
+    'steel oakdale representative wherever orchestra pulling peak facts entitled ' +
+    'waited officials lousy returning circumstances reference disappointed ' +
+    'northwest weak imperial trusted convention license examples nothin ocean ' +
+    'trash publication understanding painting slip subsequent sounded frequently ' +
+    'awake religion friendship brigade stomach fully weapon sides threatened ' +
+    'acts mystery cemetery vegas relatively understood oldest basically ' +
+    'suggested switch succeeded frankly achieved cheap application lifetime ' +
+    'programme deny cells clock votes garbage promotion graduate tear armed ears ' +
+    'supply indeed flying changing communist singing figures tiny literary ' +
+    'decent netherlands avoid korea messed worldwide filled citizens touched ' +
+    'disappear faculty exact draw pills stock kicked seats harm occupied fortune ' +
+    'methods pretending unknown insurance articles fancy claim drove holds cared ' +
+    'authorities belongs audience nights sweden lorelai interview lift obtained ' +
+    'timing covers guarantee settled chest transfer woke marked burned allowing ' +
+    'watched funding heading challenge selfish southeast drinks unlike doll ' +
+    'crown committed rise elevator portion freeze transportation noise sector ' +
+    'wasting phase ceremony properties uncomfortable edge staring tropical files ' +
+    'standards bike institutions stress philosophy permission legislative thrown ' +
+    'hills possibility brand borrow fund fabulous conflict doors unable ' +
+    'screaming founding bone refused xander attempts metres meal permanent ' +
+    'apology starring anger applications honeymoon creating bail effective ' +
+    'parking aired fixed extensive wash employed stolen enemy sensitive ' +
+    'expansion stealing billboard photo rank chose battalion lets multi comfort ' +
+    'vehicle worrying fought pocket alliance mateo category bleeding perform ' +
+    'shoulder federation ignore poetry talent bronze tied bands garage entry ' +
+    'dies vehicles demons bureau dumped maximum witches billion rude trees crack ' +
+    'intelligence bothering greatest radar screen soft refers meantime ' +
+    'commissioned gimme gallery kinds injury fate confirmed concentrate setting ' +
+    'throat treaty prom adult messages americans intend broadcasting ashamed ' +
+    'supporting somethin pilot manage mobile guilt writers interrupt programming ' +
+    'guts existence tongue squad shoe minnesota basement copies sentence korean ' +
+    'purse provincial glasses sets cabin defence universe offices repeat ' +
+    'agricultural mirror internal wound core travers northeast tall retirement ' +
+    'engagement factory therapy actions emotional prevent jeez communications ' +
+    'decisions ending soup weekly thrilled containing stake functions chef ' +
+    'attempted moves interior extremely weight moments bowl expensive ' +
+    'recognition counting incorporated shots increasing kidnapped ultimately ' +
+    'cleaning documentary shift derived plate attacked impressed lyrics smells ' +
+    'mexican trapped external aidan churches knocked centuries charming ' +
+    'metropolitan attractive selling argue opposed puts personnel whip mill ' +
+    'embarrassed visited package presidential hitting roads bust pieces stairs ' +
+    'norwegian alarm controlled pure nail rear nerve influenced incredibly ' +
+    'wrestling walks weapons dirt launch stamp composer terribly locations ' +
+    'friendly developing damned circuit jobs specifically suffering studios ' +
+    'disgusting shared stopping canal deliver wisconsin riding publishing helps ' +
+    'approved disaster domestic bars consisted crossed determined trap comic ' +
+    'talks establishment eggs exhibition chick southwest threatening fuel spoken ' +
+    'electronic introduce cape confession converted embarrassing educated bags ' +
+    'melbourne impression hits gate wins reputation producing presents norway ' +
+    'chat slightly suffer occur argument surname talkin identity crowd represent ' +
+    'homework constituency coincidence funds cancel proved pride links solve ' +
+    'structures hopefully athletic pounds birds pine contest mate users illegal ' +
+    'poet generous institution outfit display maid receiving bath rare punch ' +
+    'contained freaked guns begging motion recall piano enjoying temperature ' +
+    'prepare publications wheel passenger defend contributed signs toward ' +
+    'painful cathedral yourselves inhabitants maris architect exist suspicious ' +
+    'athletics cooking muslim button courses warned abandoned sixty signal pity ' +
+    'successfully yelling disambiguation awhile tennessee confidence dynasty ' +
+    'offering heavily pleased maryland panic jews hers representing gettin ' +
+    'budget refuse weather grandpa missouri testify introduction choices faced ' +
+    'cruel pair mental chapel gentleman reform coma height cutting vietnam ' +
+    'proteus occurs guests motor expert cambridge benefit lands faces focused ' +
+    'jumped sought toilet patients sneak shape halloween invasion privacy ' +
+    'chemical smoking importance reminds communication twins selection swing ' +
+    'regarding solid homes options voivodeship commitment maintained crush ' +
+    'borough ambulance failure wallet aged gang passing eleven agriculture ' +
+    'option oregon laundry teachers assure flow stays philippines skip trail ' +
+    'fail seventh discussion portuguese clinic resistance betrayed reaching ' +
+    'sticking negative bored fashion mansion scheduled soda downtown sheriff ' +
+    'universities suite trained handled skills busted scenes load views happier ' +
+    'notably studying typical romance incident procedure candidates commit ' +
+    'engines assignment decades suicide composition minds commune swim chain ' +
+    'yell llanview austria chasing sale proper values believes employees humor ' +
+    'chamber hopes regarded lawyers winners giant registered latest task escaped ' +
+    'investment parent colonial tricks swiss insist user dropping entirely cheer ' +
+    'flag medication stores flesh closely routine entrance sandwich laid handed ' +
+    'journalist false coal beating equal warrant causes awfully turkish odds ' +
+    'quebec treating techniques thin promote suggesting junction fever easily ' +
+    'sweat dates silent kentucky clever singapore sweater residence mall ' +
+    'violence sharing advance assuming survey judgment humans goodnight ' +
+    'expressed divorced passes surely streets steps distinguished confess ' +
+    'qualified math folk listened establish comin egypt answered artillery ' +
+    'vulnerable visual bless improved dreaming actual chip finishing zero medium ' +
+    'pissed protein nate switzerland kills productions tears operate knees ' +
+    'poverty chill neighborhood brains organisation unusual consisting packed ' +
+    'consecutive dreamed sections cure partnership lookin extension grave ' +
+    'reaction cheating factor breaks costs locker bodies gifts device awkward ' +
+    'ethnic thursday racial joking flat reasonable objects dozen chapter curse ' +
+    'improve quartermaine musicians millions courts dessert controversy rolling ' +
+    'membership detail merged alien wars delicious expedition closing interests ' +
+    'vampires arab wore comics tail gain secure describes salad mining murderer ' +
+    'bachelor spit crisis offense joining dust decade conscience bread ' +
+    'distributed answering habitat lame routes invitation arena grief cycle ' +
+    'smiling divisions pregnancy briefly prisoner vocals delivery directors ' +
+    'guards degrees virus object shrink recordings freezing installed wreck ' +
+    'adjacent massimo demand wire voted technically causing blown businesses ' +
+    'anxious ruled cave grounds holidays starred cleared drawn wishes opposite ' +
+    'caring stands candles formal bound operates charm persons pulse counties ' +
+    'jumping compete jokes wave boom israeli occasion ncaa silence resigned ' +
+    'nonsense brief frightened greece slipped combination dimera demographics ' +
+    'blowing historian relationships contain kidnapping commonwealth spin ' +
+    'musician tool collected roxy argued packing louisiana blaming session wrap ' +
+    'cabinet obsessed parliamentary fruit electoral torture loan personality ' +
+    'profit regularly fairy conservation necessarily islamic seventy purchase ' +
+    'print motel charts underwear residential grams earliest exhausted designs ' +
+    'believing paintings freaking survived carefully moth trace items touching ' +
+    'goods messing grey recovery anniversary intention criticism consequences ' +
+    'images belt discovery sacrifice observed courage underground enjoyed ' +
+    'progress attracted additionally remove participate testimony thousands ' +
+    'intense reduce heal elementary defending owners unfair stating relieved ' +
+    'iraq loyal resolution slowly capture buzz tank alcohol rooms surprises ' +
+    'hollywood psychiatrist finance plain queensland attic reign maintain ' +
+    'uniform iowa terrified landing cleaned broad zach outstanding threaten ' +
+    'circle fella path enemies manufacturing satisfied assistance imagination ' +
+    'sequence hooked gmina headache crossing forgetting leads counselor ' +
+    'universal andie shaped acted kings badge attached naturally medieval frozen ' +
+    'ages sakes metro appropriate colony trunk affected dunno scholars costume ' +
+    'oklahoma sixteen coastal impressive soundtrack kicking painted junk attend ' +
+    'grabbed definition understands meanwhile describe purposes clients trophy ' +
+    'owns require affect marketing witnesses popularity starving cable instincts ' +
+    'mathematics happily mississippi discussing represents deserved scheme ' +
+    'strangers appeal surveillance distinct admire factors questioning acid ' +
+    'dragged subjects barn roughly deeply terminal wrapped economics wasted ' +
+    'senator tense diocese hoped prix fellas contrast roommate argentina mortal ' +
+    'czech fascinating wings stops relief arrangements stages agenda duties ' +
+    'literally propose novels honesty accused underneath whilst sauce equivalent ' +
+    'promises charged lecture measure eighty documents torn couples shocked ' +
+    'request backup danish differently defensive ninety guide deck devices ' +
+    'biological statistics pheebs credited ease tries creep passengers waitress ' +
+    'allied telephone frame ripped puerto raising peninsula scratch concluded ' +
+    'rings instruments prints wounded thee differences arguing associate ephram ' +
+    'forests asks afterwards oops replace diner requirements annoying aviation ' +
+    'taggert solution sergeant offensive blast ownership towel inner clown ' +
+    'legislation habit hungarian creature contributions bermuda actors snap ' +
+    'translated react denmark paranoid steam handling depending eaten aspects ' +
+    'therapist assumed comment injured sink severe reporter admitted nurses ' +
+    'determine beats shore priority technique interrupting arrival warehouse ' +
+    'measures loyalty translation inspector debuted pleasant delivered excuses ' +
+    'returns threats rejected guessing separated tend visitors praying damaged ' +
+    'motive storage unconscious accompanied mysterious markets unhappy ' +
+    'industries tone losses switched gulf rappaport charter sookie strategy ' +
+    'neighbor corporate loaded socialist swore somewhat piss significantly ' +
+    'balance physics toss mounted misery satellite thief experienced squeeze ' +
+    'constant lobby relative pattern geez restored exercise belgium forth ' +
+    'connecticut booked partners sandburg harvard poker retained eighteen ' +
+    'networks protected bury mode everyday artistic digging parallel creepy ' +
+    'collaboration wondered debate liver involving hmmm journey magical linked ' +
+    'fits salt discussed authors moral components helpful context searching ' +
+    'occupation flew requires depressed occasionally aisle policies cris tamil ' +
+    'amen ottoman vows revolutionary neighbors hungary darn poem cents versus ' +
+    'arrange gardens annulment amongst useless audio adventure makeup resist ' +
+    'frequency fourteen meters celebrating orthodox inch continuing debt ' +
+    'suggests violent legislature sand coalition guitarist celebration eighth ' +
+    'reminded classification phones practices paperwork soil emotions tokyo ' +
+    'stubborn instance pound limit tension coverage stroke considerable steady ' +
+    'ranking overnight colleges chips cavalry beef centers suits daughters boxes ' +
+    'twin cassadine equipped collect broadway tragedy narrow spoil hosts realm ' +
+    'rates wipe domain surgeon boundary stretch arranged stepped nephew whereas ' +
+    'neat brazilian limo forming confident rating perspective strategic climb ' +
+    'competitions punishment trading finest covering springfield baltimore hint ' +
+    'commissioner furniture infrastructure blanket origins twist replacement ' +
+    'proceed praised fries disc worries collections niece expression gloves ' +
+    'ukraine soap driven signature edited disappoint austrian crawl solar ' +
+    'convicted ensure flip premiered counsel successor doubts wooden crimes ' +
+    'operational accusing hispanic shaking concerns remembering rapid hallway ' +
+    'prisoners halfway childhood bothered meets madam influential gather tunnel ' +
+    'cameras employment blackmail tribe symptoms qualifying rope adapted ' +
+    'ordinary temporary imagined celebrated cigarette appearing supportive ' +
+    'increasingly explosion depression trauma adults ouch cinema furious ' +
+    'entering cheat laboratory avoiding script whew flows thick romania oooh ' +
+    'accounts boarding fictional approve pittsburgh urgent achieve shhh ' +
+    'monastery misunderstanding franchise drawer formally phony tools interfere ' +
+    'newspapers catching revival bargain sponsored tragic processes respond ' +
+    'vienna punish springs penthouse missions thou classified rach ohhh annually ' +
+    'insult branches bugs lakes beside gender begged manner absolute advertising ' +
+    'strictly normally socks maintenance senses adding sneaking characteristics ' +
+    'reward integrated polite decline checks modified tale strongly physically ' +
+    'critic instructions victims fooled malaysia blows arkansas tabby nazi ' +
+    'bitter restoration adorable powered monument tested hundreds suggestion ' +
+    'depth jewelry alike controversial jacks admiral distracted criticized ' +
+    'shelter brick lessons honorary constable initiative circus output audition ' +
+    'visiting tune birmingham shoulders progressive mask existed helpless carbon ' +
+    'feeding explains credits sucked colour robbery rising objection hence ' +
+    'behave defeating valuable superior shadows filmed courtroom listing ' +
+    'confusing column talented surrounded smarter orleans mistaken principles ' +
+    'customer territories bizarre struck scaring participation motherfucker ' +
+    'indonesia alert movements vecchio index reverend commerce foolish conduct ' +
+    'compliment constitutional bastards spiritual worker ambassador wheelchair ' +
+    'vocal protective completion gentle edinburgh reverse residing picnic ' +
+    'tourism knee finland cage bears wives medals wednesday resident voices ' +
+    'themes toes visible stink indigenous scares involvement pour basin cheated ' +
+    'electrical slide ukrainian ruining concerts filling boats exit styles ' +
+    'cottage processing upside rival proves drawing parked vessels diary ' +
+    'experimental complaining declined confessed touring pipe supporters merely ' +
+    'compilation massage coaching chop cited spill dated prayer roots betray ' +
+    'string waiter explained scam transit rats traditionally fraud poems brush ' +
+    'minimum tables representation sympathy pill releases filthy effectively ' +
+    'seventeen architectural employee triple bracelet indicated pays greatly ' +
+    'fairly elevation deeper clinical arrive printed tracking spite proposal ' +
+    'shed peaked recommend producers oughta romanized nanny rapidly menu stream ' +
+    'diet innings corn meetings roses counter patch householder dime honour ' +
+    'devastated lasted subtle agencies bullets document beans exists pile ' +
+    'surviving confirm experiences strings honors parade landscape borrowed ' +
+    'hurricane toys harbor straighten panel steak competing premonition profile ' +
+    'planted vessel honored farmers exam lists convenient revenue traveling ' +
+    'exception laying customers insisted dish participants aitoro wildlife ' +
+    'kindly utah grandson bible donor gradually temper preserved teenager ' +
+    'replacing proven symphony mothers begun denial longest backwards siege tent ' +
+    'provinces swell mechanical noon genre happiest transmission drives agents ' +
+    'thinkin executed spirits videos potion benefits holes funded fence rated ' +
+    'whatsoever instrumental rehearsal ninth overheard similarly lemme dominated ' +
+    'hostage destruction bench passage tryin technologies taxi thereafter shove ' +
+    'outer moron facing impress affiliated needle opportunities intelligent ' +
+    'instrument instant governments disagree scholar stinks evolution rianna ' +
+    'channels recover shares groom sessions gesture widespread constantly ' +
+    'occasions bartender engineers suspects scientists sealed signing legally ' +
+    'battery hears competitive dresses alleged sheet eliminated psychic supplies ' +
+    'teenage judges knocking hampshire judging regime accidentally portrayed ' +
+    'waking penalty rumor taiwan manners denied homeless submarine hollow ' +
+    'scholarship desperately substantial tapes transition referring victorian ' +
+    'item http genoa nevertheless gear filed majesty supports cried continental ' +
+    'tons tribes spells ratio instinct doubles quote useful motorcycle honours ' +
+    'convincing blocks fashioned principle aids retail accomplished departure ' +
+    'grip ranks bump patrol upsetting yorkshire needing vancouver invisible ' +
+    'inter forgiveness extent feds afghanistan compare strip bothers railways ' +
+    'tooth component inviting organ earn symbol compromise categories cocktail ' +
+    'encouraged tramp abroad jabot civilian intimate periods dignity traveled ' +
+    'dealt writes souls struggle informed immediate gods recommended dressing ' +
+    'adaptation cigarettes egyptian alistair graduating leak assault fond drums ' +
+    'corky nomination seduce historically liquor voting fingerprints allies ' +
+    'enchantment detailed butters achievement stuffed percentage stavros arabic ' +
+    'emotionally assist transplant frequent tips toured oxygen apply nicely ' +
+    'lunatic intersection drill maine complain touchdown announcement throne ' +
+    'unfortunate produces slap contribution prayers emerged plug obtain opens ' +
+    'archbishop oath seek researchers mutual remainder yacht populations ' +
+    'remembers clan fried finnish extraordinary overseas bait fifa warton ' +
+    'licensed sworn chemistry stare festivals safely mediterranean reunion ' +
+    'injuries burst animated seeking dive publisher aboard volumes expose limits ' +
+    'buddies venue trusting jerusalem booze generated sweep trials sore islam ' +
+    'scudder youngest properly ruling parole glasgow ditch germans canceled ' +
+    'songwriter speaks persian glow municipalities wears donated thirsty viewed ' +
+    'skull belgian ringing cooperation dorm posted dining tech bend dual ' +
+    'unexpected volunteer pancakes settlers harsh commanded flattered claiming ' +
+    'ahhh approval troubles delhi fights usage favourite terminus eats partly ' +
+    'rage electricity undercover locally spoiled editions sloane premiere shine ' +
+    'absence destroying belief deliberately traditions conspiracy statue ' +
+    'thoughtful indicate sandwiches manor plates stable nails attributed ' +
+    'miracles possession fridge managing drank viewers contrary chile beloved ' +
+    'overview allergic seed washed regulations stalking essential solved ' +
+    'minority sack cargo misses segment forgiven endemic bent forum maciver ' +
+    'deaths involve monthly dragging playoffs cooked erected pointing practical ' +
+    'foul machines dull suburb beneath relation heels faking descent deaf indoor ' +
+    'stunt continuous jealousy characterized hopeless solutions fears caribbean ' +
+    'cuts rebuilt scenario serbian necklace summary crashed contested accuse ' +
+    'psychology restraining pitch homicide attending helicopter muhammad firing ' +
+    'tenure safer drivers auction diameter videotape assets tore venture ' +
+    'reservations punk pops airlines appetite concentration wounds athletes ' +
+    'vanquish volunteers ironic pages fathers mines excitement influences anyhow ' +
+    'sculpture tearing protest sends ferry rape behalf laughed drafted belly ' +
+    'apparent dealer furthermore cooperate ranging accomplish romanian wakes ' +
+    'democracy spotted lanka sorts significance reservation linear ashes tastes ' +
+    'certified supposedly voters loft recovered intentions tours integrity ' +
+    'demolished wished boundaries towels assisted suspected identify ' +
+    'investigating grades inappropriate elsewhere lipstick mechanism lawn ' +
+    'compassion reportedly cafeteria aimed scarf conversion precisely suspended ' +
+    'obsession photography loses departments lighten beijing infection ' +
+    'locomotives granddaughter publicly explode dispute balcony magazines resort ' +
+    'spying conventional publicity platforms depend internationally cracked ' +
+    'capita conscious settlements ally dramatic absurd derby vicious ' +
+    'establishing invented involves forbid statistical directions implementation ' +
+    'defendant immigrants bare exposed announce diverse screwing layer salesman ' +
+    'vast robbed ceased leap connections lakeview belonged insanity interstate ' +
+    'reveal uefa possibilities organised kidnap abuse gown deployed chairs ' +
+    'cattle wishing partially setup filming punished mainstream criminals ' +
+    'reduction regrets automatic raped rarely quarters subsidiary lamp decides ' +
+    'dentist merger anyways comprehensive anonymous displayed semester amendment ' +
+    'risks guinea owes exclusively lungs manhattan explaining concerning ' +
+    'delicate commons tricked radical eager serbia doomed baptist adoption buses ' +
+    'stab initiated sickness portrait scum harbour floating choir envelope ' +
+    'citizen vault sole sorel unsuccessful pretended manufactured potatoes ' +
+    'enforcement plea connecting photograph increases payback patterns ' +
+    'misunderstood sacred kiddo muslims healing clothing cascade hindu capeside ' +
+    'unincorporated stabbed sentenced remarkable advisory brat tanks privilege ' +
+    'campaigns passionate fled nerves repeated lawsuit remote kidney rebellion ' +
+    'disturbed implemented cozy texts tire fitted shirts tribute oven writings ' +
+    'ordering sufficient delay ministers risky monsters devoted honorable ' +
+    'jurisdiction grounded coaches closest interpretation breakdown pole bald ' +
+    'businessman abandon peru scar sporting collar prices worthless cuba sucking ' +
+    'relocated enormous opponent disturbing arrangement disturb elite distract ' +
+    'manufacturer deals responded conclusions suitable vodka distinction dishes ' +
+    'calendar crawling dominant briefcase tourist wiped earning whistle ' +
+    'prefecture sits ties roast preparation rented anglo pigs pursue flirting ' +
+    'worship deposit archaeological bottles chancellor topic bangladesh riot ' +
+    'scores overreacting traded logical lowest hostile horror embarrass outdoor ' +
+    'casual biology beacon commented amusing specialized altar loop claus ' +
+    'arriving survival farming skirt housed shave historians porch ghosts patent ' +
+    'favors pupils drops christianity dizzy opponents chili athens advise ' +
+    'northwestern strikes maps rehab promoting photographer reveals peaceful ' +
+    'flights leery exclusive heavens lions fortunately norfolk fooling hebrew ' +
+    'expectations extensively cigar eldest weakness shops ranch acquisition ' +
+    'practicing virtual examine renowned cranes margin bribe ongoing sail ' +
+    'essentially prescription iranian hush alternate fragile sailed forensics ' +
+    'reporting expense conclusion drugged originated cows temperatures bells ' +
+    'exposure visitor secured suitcase landed sorta rifle scan framework ' +
+    'manticore identical insecure martial imagining focuses hardest topics clerk ' +
+    'ballet wrist fighters belonging starters wealthy silk negotiations pump ' +
+    'evolved pale bases nicer oriented haul acres flies democrat boot heights ' +
+    'thumb restricted vary graduation elders aftermath quietly chess pulls ' +
+    'illness idiots participating erase vertical denying collective ankle ' +
+    'immigration amnesia demonstrated accepting leaf heartbeat completing devane ' +
+    'organic confront missile minus leeds legitimate eligible fixing grammar ' +
+    'arrogant confederate tuna improvement supper congressional slightest wealth ' +
+    'sins cincinnati sayin spaces recipe indicates pier corresponding paternity ' +
+    'reaches humiliating repair genuine isolated snack taxes rational ' +
+    'congregation minded ratings guessed leagues weddings diplomatic tumor ' +
+    'submitted humiliated winds aspirin awareness spray photographs picks ' +
+    'maritime eyed nigeria drowning accessible contacts animation ritual ' +
+    'restaurants perfume philippine hiring inaugural hating dismissed docks ' +
+    'armenian creatures illustrated visions reservoir thanking speakers thankful ' +
+    'programmes sock resource nineteen genetic fork interviews throws camps ' +
+    'teenagers regulation stressed computers slice preferred rolls travelled ' +
+    'plead comparison ladder distinctive kicks recreation detectives requested ' +
+    'assured southeastern tellin dependent shallow brisbane responsibilities ' +
+    'breeding repay playoff howdy expand girlfriends bonus deadly gauge ' +
+    'comforting departed ceiling qualification verdict inspiration insensitive ' +
+    'shipping spilled slaves respected variations messy shield interrupted ' +
+    'theories halliwell munich blond recognised bleed emphasis wardrobe favour ' +
+    'takin variable murders seeds backs undergraduate underestimate territorial ' +
+    'justify intellectual harmless qualify frustrated mini fold banned enzo ' +
+    'pointed communicate democrats bugging assessment arson judicial whack ' +
+    'examination salary attempting rumors objective obligation partial liking ' +
+    'characteristic dearest hardware congratulate pradesh vengeance execution ' +
+    'rack ottawa puzzle metre fires drum courtesy exhibitions caller withdrew ' +
+    'blamed attendance tops phrase quiz journalism prep logo curiosity measured ' +
+    'circles error barbecue christians sunnydale trio spinning protestant ' +
+    'psychotic theology cough respective accusations atmosphere resent buddhist ' +
+    'laughs substitute freshman curriculum envy fundamental drown outbreak ' +
+    'bartlet rabbi asses intermediate sofa designation poster globe highness ' +
+    'liberation dock simultaneously apologies diseases theirs experiments stat ' +
+    'locomotive stall difficulties realizes mainland psych nepal mmmm relegated ' +
+    'fools contributing understandable database treats developments succeed ' +
+    'veteran stir carries relaxed ranges makin instruction gratitude lodge ' +
+    'faithful protests accent obama witter newcastle wandering experiment locate ' +
+    'physician inevitable describing gretel challenges deed corruption crushed ' +
+    'delaware controlling adventures smelled ensemble robe succession gossip ' +
+    'renaissance gambling tenth cosmetics altitude accidents receives surprising ' +
+    'approached stiff crosses sincere syria rushed croatia refrigerator warsaw ' +
+    'preparing professionals nightmares improvements mijo worn ignoring airline ' +
+    'hunch compound fireworks permitted drowned preservation brass reducing ' +
+    'whispering printing sophisticated scientist luggage activist hike comprises ' +
+    'explore sized emotion societies crashing enters contacted ruler ' +
+    'complications gospel shining earthquake rolled extend righteous autonomous ' +
+    'reconsider croatian goody serial geek decorated frightening relevant ethics ' +
+    'ideal creeps grows courthouse grass camping tier affection towers smythe ' +
+    'wider haircut welfare essay columns baked alumni apologized descendants ' +
+    'vibe interface respects reserves receipt banking mami colonies hats ' +
+    'manufacturers destructive magnetic adore closure adopt pitched tracked ' +
+    'vocalist shorts preserve reminding enrolled dough cancelled creations ' +
+    'equation cabot barrel nickname snuck bulgaria slight heroes reporters exile ' +
+    'pressing mathematical magnificent demands madame input lazy structural ' +
+    'glorious tube fiancee stem bits approaches visitation argentine sane axis ' +
+    'kindness manuscript shoulda inherited rescued depicted mattress targets ' +
+    'lounge visits lifted veterans importantly regard glove removal enterprises ' +
+    'efficiency disappointment organisations condo concepts beings lebanon ' +
+    'admitting manga yelled petersburg waving rally spoon supplied screech ' +
+    'amounts satisfaction yale reads tournaments nailed broadcasts worm signals ' +
+    'tick pilots resting azerbaijan marvelous architects fuss enzyme cortlandt ' +
+    'literacy chased declaration pockets placing luckily batting lilith ' +
+    'incumbent filing bulgarian conversations consistent consideration poll ' +
+    'consciousness defended worlds landmark innocence southwestern forehead raid ' +
+    'aggressive resignation trailer travels slam casualties quitting prestigious ' +
+    'inform namely delighted aims daylight recipient danced warfare confidential ' +
+    'readers aunts collapse washing coached tossed controls spectra volleyball ' +
+    'marrow coup lined lesser implying verse hatred pairs grill exhibited corpse ' +
+    'proteins clues molecular sober abilities offended integration morgue ' +
+    'consist infected aspect humanity advocate distraction administered cart ' +
+    'governing wired hospitals violation commenced promising coins harassment ' +
+    'lords glue variation resumed cursed canton brutal artificial warlocks ' +
+    'elevated wagon palm unpleasant difficulty proving civic priorities ' +
+    'efficient northeastern lease inducted flame radiation disappearance ' +
+    'affiliate depressing boards thrill stakes sitter byzantine ribs consumption ' +
+    'flush freight earrings interaction deadline oblast corporal numbered ' +
+    'collapsed seminary update contracts snapped extinct smack predecessor melt ' +
+    'bearing figuring cultures delusional functional coulda neighboring burnt ' +
+    'revised tender cylinder sperm grants realise narrative pork reforms popped ' +
+    'athlete interrogation tales esteem reflect choosing presidency undo ' +
+    'compositions pres specialist prayed cricketer plague founders manipulate ' +
+    'sequel insulting widow detention disbanded delightful associations ' +
+    'coffeehouse backed betrayal thereby apologizing pitcher adjust commanding ' +
+    'wrecked boulevard wont singers whipped crops rides militia reminder ' +
+    'reviewed monsieur centres faint waves bake consequently distress fortress ' +
+    'correctly tributary complaint portions blocked bombing tortured excellence ' +
+    'risking nest pointless payment handing mars dumping plaza cups unity alibi ' +
+    'victories struggling scotia shiny farms risked nominations mummy variant ' +
+    'mint attacking hose suspension hobby installation fortunate graphics ' +
+    'fleischman estates fitting comments curtain acoustic counseling destination ' +
+    'rode venues puppet surrender modeling retreat memo libraries irresponsible ' +
+    'quarterback humiliation customs hiya berkeley freakin collaborated felony ' +
+    'gathered choke syndrome blackmailing dialogue appreciated recruited tabloid ' +
+    'shanghai suspicion neighbouring recovering psychological pledge saudi ' +
+    'panicked moderate nursery exhibit louder innovation jeans depot ' +
+    'investigator binding homecoming brunswick frustrating situations buys ' +
+    'certificate busting actively buff shakespeare sleeve editorial irony ' +
+    'presentation dope ports declare relay autopsy nationalist workin methodist ' +
+    'torch archives prick experts limb maintains hysterical collegiate goddamnit ' +
+    'bishops fetch maintaining dimension temporarily crowded embassy clip essex ' +
+    'climbing wellington bonding connects woah reformed trusts bengal negotiate ' +
+    'recalled lethal inches iced doctrine fantasies deemed deeds legendary bore ' +
+    'reconstruction babysitter statements questioned palestinian outrageous ' +
+    'meter kiriakis achievements insulted riders grudge interchange driveway ' +
+    'spots deserted auto definite accurate beep chorus wires dissolved ' +
+    'suggestions missionary searched thai owed operators lend drunken ' +
+    'generations demanding failing costanza delayed conviction cork bumped ' +
+    'nashville weigh perceived touches venezuela tempted cult shout emerging ' +
+    'resolve tomb relate abolished poisoned documented meals gaining invitations ' +
+    'canyon haunted episcopal bogus stored autograph assists affects compiled ' +
+    'tolerate kerala stepping kilometers spontaneous mosque sleeps grammy ' +
+    'probation theorem manny unions fist segments spectacular glacier hostages ' +
+    'arrives heroin theatrical havin circulation habits conferences encouraging ' +
+    'chapters consult displays burgers circular boyfriends authored bailed ' +
+    'conductor baggage fewer watches dimensional troubled nationwide torturing ' +
+    'liga teasing yugoslavia sweetest peer qualities vietnamese postpone ' +
+    'fellowship overwhelmed armies malkovich regardless impulse relating classy ' +
+    'dynamic charging politicians amazed mixture policeman serie hypocrite ' +
+    'somerset humiliate imprisoned hideous posts beliefs costumes beta bluffing ' +
+    'layout betting independently bein electronics bedtime provisions alcoholic ' +
+    'fastest vegetable logic tray headquartered suspicions creates spreading ' +
+    'challenged splendid beaten shrimp appeals shouting plains pressed protocol ' +
+    'nooo graphic grieving accommodate gladly iraqi fling midfielder eliminate ' +
+    'span cereal commentary aaah freestyle sonofabitch reflected paralyzed ' +
+    'palestine lotta lighting locks burial guaranteed virtually dummy backing ' +
+    'despise prague dental tribal briefing heir bluff identification batteries ' +
+    'prototype whatta criteria sounding dame servants arch presume tissue ' +
+    'handwriting footage fainted extending dried procedures allright ' +
+    'predominantly acknowledge updated whacked rhythm toxic preliminary reliable ' +
+    'cafe quicker disorder overwhelming prevented lining suburbs harassing ' +
+    'discontinued fatal retiring endless oral dolls followers convict extends ' +
+    'whatcha massacre unlikely journalists shutting conquest positively larvae ' +
+    'overcome pronounced goddam behaviour essence diversity dose sustained ' +
+    'diagnosis addressed cured geographic bully restrictions ahold voiced ' +
+    'yearbook milwaukee tempting dialect shelf quoted prosecution grid pouring ' +
+    'nationally possessed nearest greedy roster wonders twentieth thorough ' +
+    'separation spine indies rath manages psychiatric citing meaningless ' +
+    'intervention latte guidance jammed severely ignored migration fiance ' +
+    'artwork evidently focusing contempt rivals compromised trustees cans varied ' +
+    'weekends enabled urge committees theft centered suing skating shipment ' +
+    'slavery scissors cardinals responding forcing proposition tasks noises ' +
+    'auckland matching youtube hormones argues hail colored grandchildren ' +
+    'advisor gently mumbai smashed requiring sexually theological sentimental ' +
+    'registration nicest refugees manipulated nineteenth intern survivors ' +
+    'handcuffs runners framed colleagues errands priests entertaining contribute ' +
+    'crib variants carriage workshop barge concentrated spends creator slipping ' +
+    'lectures seated temples rubbing exploration rely requirement reject ' +
+    'interactive recommendation navigation reckon companion headaches perth ' +
+    'float allegedly embrace releasing corners citizenship whining observation ' +
+    'sweating stationed skipped mountie sheep motives breed listens discovers ' +
+    'cristobel encourage cleaner kilometres cheerleader journals balsom ' +
+    'performers unnecessary isle stunning saskatchewan scent hybrid ' +
+    'quartermaines hotels pose lancashire montega dubbed loosen airfield info ' +
+    'anchor hottest suburban haunt theoretical gracious sussex forgiving ' +
+    'anglican errand stockholm cakes permanently blames upcoming abortion ' +
+    'privately sketch receiver shifts optical plotting highways perimeter congo ' +
+    'pals colours mere aggregate mattered authorized lonigan repeatedly ' +
+    'interference varies eyewitness fluid enthusiasm innovative diapers ' +
+    'transformed strongest praise shaken convoy punched demanded portal ' +
+    'discography catches attraction backyard export terrorists audiences ' +
+    'sabotage ordained organs enlisted needy occasional cuff westminster ' +
+    'civilization syrian woof heavyweight bosnia prank consultant obnoxious ' +
+    'eventual mates improving hereby aires gabby wickets faked epic cellar ' +
+    'reactions whitelighter scandal void strangle discrimination sour buenos ' +
+    'muffins patron interfering investors demonic conjunction clearing testament ' +
+    'boutique construct barrington encountered terrace celebrity smoked ' +
+    'expanding righty georgian quack brands petey retain pact underwent knot ' +
+    'algorithm ketchup foods disappearing provision cordy orbit uptight ' +
+    'transformation ticking associates terrifying tactical tease compact swamp ' +
+    'varieties secretly stability rejection refuge reflection gathering ' +
+    'realizing moreover rays manila mentally configuration marone gameplay ' +
+    'doubted discipline deception entity congressman comprising cheesy composers ' +
+    'toto skill stalling monitoring scoop ruins ribbon museums immune ' +
+    'sustainable expects aerial destined altered bets codes bathing voyage ' +
+    'appreciation friedrich accomplice conflicts wander storyline shoved ' +
+    'travelling sewer conducting scroll merit retire indicating lasts referendum ' +
+    'fugitive currency freezer encounter discount particles cranky automobile ' +
+    'crank workshops clearance acclaimed bodyguard inhabited anxiety doctorate ' +
+    'accountant cuban whoops phenomenon volunteered dome talents enrollment ' +
+    'stinking tobacco remotely governance garlic trend decency equally cord ' +
+    'manufacture beds hydrogen altogether grande uniforms compensation ' +
+    'tremendous download popping pianist outa grain observe shifted lung neutral ' +
+    'hangs evaluation feelin define dudes cycling donation seized disguise array ' +
+    'curb relatives bites motors antique firms toothbrush varying realistic ' +
+    'automatically predict restore landlord nicknamed hourglass findings ' +
+    'hesitate governed consolation investigate babbling manitoba tipped ' +
+    'administrator stranded vital smartest integral repeating indonesian puke ' +
+    'confusion psst publishers paycheck enable overreacted geographical macho ' +
+    'inland juvenile naming grocery civilians freshen reconnaissance disposal ' +
+    'indianapolis cuffs lecturer caffeine deer vanished tourists unfinished ' +
+    'exterior ripping rhode pinch bassist flattering symbols expenses scope ' +
+    'dinners ammunition colleague yuan ciao poets belthazor punjab attorneys ' +
+    'nursing woulda cent whereabouts developers waitin estimates truce ' +
+    'presbyterian tripped nasa tasted holdings steer generate poisoning renewed ' +
+    'manipulative computing immature cyprus husbands arabia heel duration ' +
+    'granddad compounds delivering gastropod condoms permit addict valid trashed ' +
+    'touchdowns raining facade pasta interactions needles mineral leaning ' +
+    'practiced detector allegations coolest consequence batch goalkeeper ' +
+    'appointments baronet almighty copyright vegetables uprising spark carved ' +
+    'perfection targeted pains competitors momma mentions mole sanctuary meow ' +
+    'fees hairs pursued getaway tampa cracking chronicle compliments ' +
+    'capabilities behold specified verge specimens tougher toll timer accounting ' +
+    'tapped limestone taped staged specialty upgraded snooping philosophical ' +
+    'shoots streams rendezvous guild pentagon revolt leverage rainfall ' +
+    'jeopardize supporter janitor princeton grandparents terrain forbidden ' +
+    'hometown clueless probability bidding assembled ungrateful paulo ' +
+    'unacceptable surrey tutor voltage serum developer scuse destroyer pajamas ' +
+    'floors mouths lineup lure curve irrational prevention doom potentially ' +
+    'cries onwards beautifully trips arresting imposed approaching hosting ' +
+    'traitor striking sympathetic strict smug admission smash apartments rental ' +
+    'solely prostitute utility premonitions proceeded jumps observations ' +
+    'inventory euro darlin incidents committing vinyl banging profession asap ' +
+    'haven worms distant violated expelled vent rivalry traumatic runway traced ' +
+    'torpedo sweaty zones shaft shrine overboard dimensions insight ' +
+    'investigations healed lithuania grasp idaho experiencing pursuit crappy ' +
+    'copenhagen crab considerably chunk locality awww wireless stain decrease ' +
+    'shack genes reacted thermal pronounce deposits poured hindi moms habitats ' +
+    'marriages withdrawn jabez biblical handful monuments flipped casting ' +
+    'fireplace plateau embarrassment thesis disappears managers concussion ' +
+    'flooding bruises assassination brakes acknowledged twisting interim swept ' +
+    'inscription summon guided splitting pastor sloppy finale settling insects ' +
+    'reschedule transported notch activists hooray marshal grabbing intensity ' +
+    'exquisite airing disrespect cardiff thornhart proposals straw lifestyle ' +
+    'slapped prey shipped herald shattered capitol ruthless aboriginal refill ' +
+    'measuring payroll lasting numb interpreted mourning occurring manly desired ' +
+    'hunk drawings entertain healthcare drift panels dreadful elimination ' +
+    'doorstep oslo confirmation ghana chops blog appreciates sabha vague intent ' +
+    'tires superintendent stressful governors stashed bankruptcy stash sensed ' +
+    'equity preoccupied disk predictable layers noticing slovenia madly prussia ' +
+    'gunshot quartet dozens mechanics dork graduates confuse politically ' +
+    'cleaners monks charade screenplay chalk nato cappuccino absorbed bouquet ' +
+    'topped amulet petition addiction bold morocco warming exhibits unlock ' +
+    'canterbury satisfy publish sacrificed rankings relaxing crater lone ' +
+    'dominican blocking enhanced blend planes blankets lutheran addicted ' +
+    'governmental yuck joins hunger collecting hamburger brussels greeting ' +
+    'unified greet streak gravy strategies gram flagship dreamt surfaces dice ' +
+    'oval caution archive backpack etymology agreeing imprisonment whale ' +
+    'instructor taller noting supervisor remix sacrifices opposing phew servant ' +
+    'ounce rotation irrelevant width gran trans felon maker favorites synthesis ' +
+    'farther excess fade tactics erased snail easiest convenience lighthouse ' +
+    'compassionate sequences cane cornwall backstage plantation agony mythology ' +
+    'adores performs veins foundations tweek populated thieves horizontal ' +
+    'surgical speedway strangely activated stetson performer recital diving ' +
+    'proposing conceived productive edmonton meaningful subtropical immunity ' +
+    'environments hassle prompted goddamned semifinals frighten caps dearly bulk ' +
+    'cease treasury ambition recreational wage telegraph unstable continent ' +
+    'salvage portraits richer relegation refusing catholics raging graph pumping ' +
+    'velocity pressuring rulers mortals endangered lowlife secular intimidated ' +
+    'observer intentionally learns inspire inquiry forgave idol devotion ' +
+    'dictionary despicable certification deciding estimate dash cluster comfy ' +
+    'armenia breach observatory bark revived aaaah nadu switching consumers ' +
+    'swallowed hypothesis stove manuscripts screamed contents scars arguments ' +
+    'russians editing pounding trails poof arctic pipes essays pawn belfast ' +
+    'legit acquire invest promotional farewell undertaken curtains corridor ' +
+    'civilized proceedings caviar antarctic boost millennium token labels ' +
+    'superstition delegates supernatural vegetation sadness acclaim recorder ' +
+    'directing psyched substance motivated outcome microwave diploma hallelujah ' +
+    'philosopher fraternity malta dryer albanian cocoa vicinity chewing degc ' +
+    'acceptable legends unbelievably regiments smiled consent smelling terrorist ' +
+    'simpler scattered respectable presidents remarks gravity khasinau ' +
+    'orientation indication deployment gutter duchy grabs refuses fulfill ' +
+    'estonia flashlight crowned ellenor separately blooded renovation blink ' +
+    'rises blessings wilderness beware objectives uhhh agreements turf empress ' +
+    'swings slopes slips inclusion shovel equality shocking decree puff ballot ' +
+    'mirrors criticised locking rochester heartless recurring fras struggled ' +
+    'childish disabled cardiac henri utterly poles tuscany prussian ticked ' +
+    'convert stunned bacteria statesville poorly sadly sudan purely geological ' +
+    'kiddin wyoming jerks consistently hitch minimal flirt withdrawal fare ' +
+    'interviewed equals proximity dismiss repairs christening initiatives casket ' +
+    'pakistani republicans breakup propaganda biting viii antibiotics abstract ' +
+    'accusation commercially abducted availability witchcraft mechanisms thread ' +
+    'naples runnin discussions punching underlying paramedics lens newest ' +
+    'proclaimed murdering advised masks spelling lawndale auxiliary initials ' +
+    'attract grampa lithuanian choking editors charms careless accordance bushes ' +
+    'measurement buns novelist bummed ussr shred formats saves councils saddle ' +
+    'contestants rethink indie regards facebook precinct parishes persuade ' +
+    'barrier meds battalions manipulating sponsor llanfair consulting leash ' +
+    'terrorism hearted implement guarantees uganda fucks crucial disgrace ' +
+    'unclear deposition notion bookstore distinguish boil collector vitals ' +
+    'attractions veil filipino trespassing ecology sidewalk investments sensible ' +
+    'capability punishing renovated overtime iceland optimistic albania ' +
+    'obsessing accredited notify scouts mornin armor jeopardy sculptor jaffa ' +
+    'cognitive injection errors hilarious gaming desires condemned confide ' +
+    'successive cautious consolidated yada baroque entries vindictive regulatory ' +
+    'vial reserved teeny treasurer stroll variables sittin arose scrub ' +
+    'technological rebuild rounded posters provider ordeal rhine nuns agrees ' +
+    'intimacy accuracy inheritance genera exploded decreased donate frankfurt ' +
+    'distracting ecuador despair edges crackers particle wildwind rendered ' +
+    'virtue calculated thoroughly careers tails faction spicy rifles sketches ' +
+    'americas sights gaelic sheer portsmouth shaving resides seize merchants ' +
+    'scarecrow fiscal refreshing premises prosecute coin platter draws napkin ' +
+    'presenter misplaced acceptance merchandise ceremonies loony pollution jinx ' +
+    'consensus heroic membrane frankenstein brigadier ambitious nonetheless ' +
+    'syrup genres solitary supervision resemblance predicted reacting magnitude ' +
+    'premature finite lavery differ flashes ancestry cheque vale awright ' +
+    'delegation acquainted removing wrapping proceeds untie placement salute ' +
+    'emigrated realised siblings priceless molecules partying payments lightly ' +
+    'considers lifting demonstration kasnoff proportion insisting newer glowing ' +
+    'valve generator achieving explosives confederation cutie continuously ' +
+    'confronted luxury buts notre blouse introducing ballistic coordinates ' +
+    'antidote charitable analyze squadrons allowance disorders adjourned ' +
+    'geometry unto winnipeg understatement ulster tucked loans touchy longtime ' +
+    'subconscious receptor screws preceding sarge belgrade roommates mandate ' +
+    'rambaldi wrestler offend neighbourhood nerd factories knives buddhism ' +
+    'irresistible imported incapable sectors hostility protagonist goddammit ' +
+    'steep fuse elaborate frat prohibited curfew artifacts blackmailed prizes ' +
+    'walkin pupil starve cooperative sleigh sovereign sarcastic subspecies ' +
+    'recess carriers rebound allmusic pinned nationals parlor settings outfits ' +
+    'autobiography livin neighborhoods heartache analog haired facilitate ' +
+    'fundraiser voluntary doorman jointly discreet newfoundland dilucca ' +
+    'organizing cracks raids considerate exercises climbed nobel catering ' +
+    'machinery apophis baltic zoey crop urine granite strung dense stitches ' +
+    'websites sordid mandatory sark seeks protector surrendered phoned anthology ' +
+    'pets comedian hostess bombs flaw slot flavor synopsis deveraux critically ' +
+    'consumed arcade confidentiality marking bourbon equations straightened ' +
+    'halls specials indo spaghetti inaugurated prettier embarked powerless ' +
+    'speeds playin clause playground invention paranoia premiership instantly ' +
+    'likewise havoc presenting exaggerating demonstrate eavesdropping designers ' +
+    'doughnuts organize diversion examined deepest cutest bavaria comb troop ' +
+    'bela referee behaving detection anyplace zurich accessory prairie workout ' +
+    'rapper translate wingspan stuffing eurovision speeding luxembourg slime ' +
+    'slovakia royalty inception polls disputed marital mammals lurking ' +
+    'entrepreneur lottery makers imaginary evangelical greetings yield fairwinds ' +
+    'clergy elegant trademark elbow defunct credibility allocated credentials ' +
+    'depicting claws volcanic chopped batted bridal conquered bedside sculptures ' +
+    'babysitting providers witty reflects unforgivable armoured underworld ' +
+    'locals tempt walt tabs herzegovina sophomore contracted selfless entities ' +
+    'secrecy sponsorship restless prominence okey flowing movin ethiopia ' +
+    'metaphor marketed messes corporations meltdown withdraw lecter carnegie ' +
+    'incoming induced gasoline investigated diefenbaker portfolio buckle ' +
+    'flowering admired opinions adjustment viewing warmth classroom throats ' +
+    'donations seduced bounded queer perception parenting leicester noses fruits ' +
+    'luckiest charleston graveyard academics gifted statute footsteps complaints ' +
+    'dimeras smallest cynical deceased wedded petroleum verbal resolved ' +
+    'unpredictable commanders tuned algebra stoop southampton slides modes ' +
+    'sinking cultivation rigged transmitter plumbing spelled lingerie obtaining ' +
+    'hankey sizes greed acre everwood pageant elope bats dresser abbreviated ' +
+    'chauffeur correspondence bulletin barracks bugged feast bouncing tackles ' +
+    'temptation raja strangest derives slammed geology sarcasm disputes pending ' +
+    'translations packages counted orderly constantinople obsessive seating ' +
+    'murderers macedonia meteor preventing inconvenience accommodation glimpse ' +
+    'homeland froze explored execute invaded courageous provisional consulate ' +
+    'transform closes sphere bosses unsuccessfully bees missionaries amends ' +
+    'conservatives wuss highlights wolfram traces wacky organisms unemployed ' +
+    'openly testifying dancers syringe fossils stew absent startled monarchy ' +
+    'sorrow combining sleazy lanes shaky stint screams dynamics rsquo chains ' +
+    'remark missiles poke screening nutty module mentioning tribune mend ' +
+    'generating inspiring miners impulsive nottingham housekeeper seoul foam ' +
+    'unofficial fingernails owing conditioning linking baking rehabilitation ' +
+    'whine citation thug louisville starved mollusk sniffing depicts sedative ' +
+    'differential programmed zimbabwe picket kosovo paged recommendations hound ' +
+    'responses homosexual pottery homo scorer hips aided forgets exceptions ' +
+    'flipping dialects flea telecommunications flatter defines dwell elderly ' +
+    'dumpster lunar choo coupled assignments flown ants vile espn unreasonable ' +
+    'tossing bordered thanked fragments steals guidelines souvenir gymnasium ' +
+    'scratched valued psychopath complexity outs papal obstruction presumably ' +
+    'obey maternal lump challenging insists reunited harass advancing gloat ' +
+    'comprised filth uncertain edgy favorable didn twelfth coroner correspondent ' +
+    'confessing nobility bruise livestock betraying expressway bailing chilean ' +
+    'appealing tide adebisi researcher wrath emissions wandered profits waist ' +
+    'lengths vain accompanying traps witnessed stepfather itunes poking drainage ' +
+    'obligated slope heavenly reinforced dilemma feminist crazed sanskrit ' +
+    'contagious develops coaster physicians cheering outlets bundle isbn vomit ' +
+    'coordinator thingy averaged speeches termed robbing occupy raft diagnosed ' +
+    'pumped yearly pillows humanitarian peep prospect packs spacecraft neglected ' +
+    'stems enacted loneliness linux intrude ancestors helluva karnataka gardener ' +
+    'constitute forresters immigrant drooling thriller betcha ecclesiastical ' +
+    'vase generals supermarket celebrations squat enhance spitting heating rhyme ' +
+    'advocated relieve evident receipts advances racket bombardment pictured ' +
+    'watershed pause shuttle overdue wicket motivation twitter morgendorffer ' +
+    'adds kidnapper branded insect teaches horns schemes feminine pension ' +
+    'eyeballs advocacy dumps conservatory disappointing cairo crock varsity ' +
+    'convertible freshwater claw providence clamp seemingly canned shells ' +
+    'cambias cuisine bathtub specially avanya peaks artery intensive weep ' +
+    'publishes warmer trilogy suspense skilled summoned nacional spiders ' +
+    'unemployment reiber destinations raving parameters pushy verses postponed ' +
+    'trafficking ohhhh determination noooo infinite mold savings laughter ' +
+    'alignment incompetent linguistic hugging countryside groceries dissolution ' +
+    'drip measurements communicating advantages auntie licence adios subfamily ' +
+    'wraps highlands wiser modest willingly regent weirdest algeria timmih crest ' +
+    'thinner teachings swelling knockout swat brewery steroids combine ' +
+    'sensitivity conventions scrape descended rehearse chassis prophecy ' +
+    'primitive ledge fiji justified explicitly insults cumberland hateful ' +
+    'uruguay handles laboratories doorway bypass chatting elect buyer informal ' +
+    'buckaroo preceded bedrooms holocaust askin tackle ammo minneapolis tutoring ' +
+    'quantity subpoena securities scratching console privileges doctoral pager ' +
+    'religions mart commissioners intriguing expertise idiotic unveiled grape ' +
+    'precise enlighten diplomat corrupt standings brunch infant bridesmaid ' +
+    'disciplines barking sicily applause endorsed acquaintance systematic ' +
+    'wretched charted superficial armored soak mild smoothly lateral sensing ' +
+    'townships restraint hurling posing prolific pleading invested payoff ' +
+    'wartime oprah compatible nemo galleries morals moist loaf battlefield jumpy ' +
+    'decoration ignorant convent herbal tubes hangin terrestrial germs nominee ' +
+    'generosity requests flashing delegate doughnut leased clumsy dubai ' +
+    'chocolates polar captive applying behaved addresses apologise munster ' +
+    'vanity sings stumbled commercials preview teamed poisonous dances perjury ' +
+    'eleventh parental midland onboard cedar mugged flee minding sandstone linen ' +
+    'snails knots inspection interviewing divide humour asset grind themed ' +
+    'greasy comparable goons paramount drastic dairy coop archaeology comparing ' +
+    'intact cocky institutes clearer rectangular bruised instances brag phases ' +
+    'bind reflecting worthwhile substantially whoop applies vanquishing vacant ' +
+    'tabloids lacked sprung copa spotlight coloured sentencing encounters racist ' +
+    'sponsors provoke encoded pining possess overly revenues locket ucla imply ' +
+    'chaired impatient hovering enabling hotter playwright fest stoke endure ' +
+    'sociology dots tibetan doren frames debts motto crawled financing chained ' +
+    'illustrations brit gibraltar breaths chateau weirdo bolivia warmed ' +
+    'transmitted wand enclosed troubling persuaded urged strapped folded soaked ' +
+    'suffolk skipping regulated scrambled rattle submarines profound myth musta ' +
+    'oriental mocking malaysian misunderstand effectiveness limousine narrowly ' +
+    'kacl acute hustle sunk forensic replied enthusiastic utilized duct tasmania ' +
+    'drawers consortium devastating quantities conquer gains clarify parkway ' +
+    'chores enlarged cheerleaders sided cheaper employers callin adequate ' +
+    'blushing accordingly barging assumption abused ballad yoga mascot wrecking ' +
+    'distances wits peaking waffles saxony virginity projected vibes affiliation ' +
+    'uninvited limitations unfaithful metals teller guatemala strangled scots ' +
+    'scheming theaters ropes kindergarten rescuing verb rave employer postcard ' +
+    'differs discharge morphine controller lotion seasonal lads marching kidneys ' +
+    'guru judgement campuses itch avoided indefinitely vatican grenade maori ' +
+    'glamorous excessive genetically chartered freud modifications discretion ' +
+    'caves delusions monetary crate sacramento competent mixing bakery ' +
+    'institutional argh celebrities ahhhh irrigation wedge shapes wager ' +
+    'broadcaster unfit anthem tripping attributes torment demolition superhero ' +
+    'offshore stirring specification spinal surveys sorority yugoslav seminar ' +
+    'contributor scenery auditorium rabble lebanese pneumonia capturing perks ' +
+    'airports override classrooms ooooh chennai mija paths manslaughter tendency ' +
+    'mailed determining lime lacking lettuce upgrade intimidate sailors guarded ' +
+    'detected grieve kingdoms grad sovereignty frustration freely doorbell ' +
+    'decorative chinatown momentum authentic scholarly arraignment georges ' +
+    'annulled gandhi allergies speculation wanta transactions verify undertook ' +
+    'vegetarian interact tighter similarities telegram cove stalk teammate ' +
+    'spared constituted shoo painters satisfying tends saddam madagascar ' +
+    'requesting partnerships pens afghan overprotective personalities obstacles ' +
+    'attained notified rebounds nasedo masses grandchild synagogue genuinely ' +
+    'reopened flushed asylum fluids embedded floss imaging escaping catalogue ' +
+    'ditched defenders cramp taxonomy corny fiber bunk afterward bitten appealed ' +
+    'billions communists bankrupt lisbon yikes rica wrists judaism ultrasound ' +
+    'adviser ultimatum batsman thirst ecological sniff commands shakes lgbt ' +
+    'salsa cooling retrieve accessed reassuring wards pumps shiva neurotic ' +
+    'employs negotiating thirds scenic monitors worcester millionaire tallest ' +
+    'lydecker contestant limp humanities incriminating economist hatchet textile ' +
+    'gracias constituencies gordie motorway fills tram feeds percussion doubting ' +
+    'cloth decaf leisure biopsy whiz baden voluntarily flags ventilator resemble ' +
+    'unpack riots unload coined toad sitcom spooked composite snitch implies ' +
+    'schillinger daytime reassure tanzania persuasive penalties mystical ' +
+    'optional mysteries competitor matrimony excluded mails steering jock ' +
+    'reversed headline autonomy explanations reviewer dispatch breakthrough ' +
+    'curly professionally cupid damages condolences pomeranian comrade deputies ' +
+    'cassadines valleys bulb ventures bragging highlighted awaits electorate ' +
+    'assaulted mapping ambush shortened adolescent executives abort tertiary ' +
+    'yank specimen whit launching vaguely bibliography undermine sank tying ' +
+    'pursuing swamped binary stabbing descendant slippers marched slash natives ' +
+    'sincerely ideology sigh turks setback adolf secondly archdiocese rotting ' +
+    'tribunal precaution exceptional pcpd nigerian melting preference liaison ' +
+    'fails hots loading hooking comeback headlines vacuum haha favored ganz ' +
+    'alter fury remnants felicity consecrated fangs spectators encouragement ' +
+    'trends earring patriarch dreidel feedback dory paved donut sentences ' +
+    'dictate councillor decorating astronomy cocktails advocates bumps broader ' +
+    'blueberry commentator believable commissions backfired identifying backfire ' +
+    'revealing apron theatres adjusting incomplete vous enables vouch ' +
+    'constituent vitamins reformation ummm tract tattoos haiti slimy atmospheric ' +
+    'sibling screened shhhh explosive renting czechoslovakia peculiar acids ' +
+    'parasite symbolic paddington subdivision marries liberals mailbox ' +
+    'incorporate magically challenger lovebirds erie knocks filmmaker informant ' +
+    'laps exits kazakhstan drazen organizational distractions evolutionary ' +
+    'disconnected chemicals dinosaurs dedication dashwood riverside crooked ' +
+    'fauna conveniently moths wink maharashtra warped annexed underestimated ' +
+    'tacky resembles shoving underwater seizure garnered reset timeline pushes ' +
+    'remake opener suited mornings educator mash hectares invent automotive ' +
+    'indulge feared horribly latvia hallucinating finalist festive narrator ' +
+    'eyebrows portable enjoys airways desperation plaque dealers designing ' +
+    'darkest villagers daph licensing boragora flank belts statues bagel ' +
+    'struggles authorization deutsche auditions migrated agitated cellular ' +
+    'wishful jacksonville wimp wimbledon vanish defining unbearable highlight ' +
+    'tonic preparatory suffice planets suction cologne slaying employ safest ' +
+    'frequencies rocking detachment relive readily puttin libya prettiest resign ' +
+    'noisy halt newlyweds helicopters nauseous reef misguided landmarks mildly ' +
+    'collaborative midst irregular liable retaining judgmental helsinki indy ' +
+    'folklore hunted weakened givin viscount fascinated interred elephants ' +
+    'professors dislike memorable deluded mega decorate repertoire crummy rowing ' +
+    'contractions dorsal carve albeit bottled progressed bonded operative ' +
+    'bahamas coronation unavailable liner twenties telugu trustworthy domains ' +
+    'surgeons philharmonic stupidity detect skies bengali remorse synthetic ' +
+    'preferably tensions pies atlas nausea dramatically napkins paralympics mule ' +
+    'xbox mourn shire melted kiev mashed lengthy inherit sued greatness ' +
+    'notorious golly seas excused screenwriter dumbo transfers drifting aquatic ' +
+    'delirious pioneers damaging unesco cubicle radius compelled abundant comm ' +
+    'tunnels chooses syndicated checkup inventor boredom accreditation bandages ' +
+    'janeiro alarms exeter windshield ceremonial omaha whaddya cadet transparent ' +
+    'predators surprisingly resided sunglasses prose slit slavic roar precision ' +
+    'reade abbot prognosis deity probe engaging pitiful cambodia persistent ' +
+    'estonian peas compliance nosy demonstrations nagging protesters morons ' +
+    'reactor masterpiece commodore martinis successes limbo chronicles liars ' +
+    'mare irritating extant inclined listings hump minerals hoynes tonnes fiasco ' +
+    'parody eatin cultivated cubans traders concentrating pioneering colorful ' +
+    'supplement clam slovak cider preparations brochure collision barto ' +
+    'partnered bargaining vocational wiggle atoms welcoming malayalam weighing ' +
+    'welcomed vanquished documentation stains curved sooo functioning snacks ' +
+    'presently smear formations sire incorporates resentment nazis psychologist ' +
+    'botanical pint nucleus overhear ethical morality greeks landingham metric ' +
+    'kisser automated hoot whereby holling stance handshake europeans grilled ' +
+    'duet formality disability elevators purchasing depths email confirms ' +
+    'telescope boathouse displaced accidental sodium westbridge comparative ' +
+    'wacko processor ulterior inning thugs precipitation thighs aesthetic ' +
+    'tangled import stirred coordination snag feud sling alternatively sleaze ' +
+    'mobility rumour tibet ripe regained remarried succeeding puddle hierarchy ' +
+    'pins apostolic perceptive catalog miraculous reproduction longing ' +
+    'inscriptions lockup vicar librarian clusters impressions posthumously ' +
+    'immoral rican hypothetically loosely guarding additions gourmet ' +
+    'photographic gabe nowadays faxed selective extortion derivative downright ' +
+    'keyboards digest guides cranberry collectively bygones affecting buzzing ' +
+    'combines burying operas bikes networking weary decisive taping terminated ' +
+    'takeout continuity sweeping finishes stepmother ancestor stale consul senor ' +
+    'heated seaborn simulation pros leipzig pepperoni incorporating newborn ' +
+    'georgetown ludicrous injected circa geeks forestry forged portrayal faults ' +
+    'councillors drue advancement dire complained dief forewings desi confined ' +
+    'deceiving transaction caterer definitions calmed reduces budge televised ' +
+    'ankles vending rapids typing phenomena tribbiani belarus alps squared ' +
+    'landscapes snowing quarterly shades specifications sexist commemorate ' +
+    'rewrite continuation regretted isolation raises antenna picky downstream ' +
+    'orphan patents mural ensuing misjudged tended miscarriage saga memorize ' +
+    'lifelong leaking columnist jitters labeled invade gymnastics interruption ' +
+    'papua illegally anticipated handicapped demise glitch encompasses gittes ' +
+    'madras finer antarctica distraught interval dispose icon dishonest rams ' +
+    'digs midlands dads ingredients cruelty priory circling strengthen canceling ' +
+    'rouge butterflies explicit belongings gaza barbrady aging amusement ' +
+    'securing alias anthropology zombies listeners adaptations unborn underway ' +
+    'swearing vista stables malay squeezed fortified sensational lightweight ' +
+    'resisting violations radioactive concerto questionable financed privileged ' +
+    'jesuit portofino observers owning trustee overlook descriptions orson ' +
+    'nordic oddly resistant interrogate opted imperative accepts impeccable ' +
+    'prohibition hurtful andhra hors inflation heap negro graders wholly glance ' +
+    'imagery disgust spur devious instructed destruct gloucester crazier cycles ' +
+    'countdown middlesex chump destroyers cheeseburger statewide burglar ' +
+    'evacuated berries hyderabad ballroom peasants assumptions mice annoyed ' +
+    'shipyard allergy coordinate admirer pitching admirable colombian activate ' +
+    'exploring underpants numbering twit compression tack countess strokes ' +
+    'hiatus stool exceed sham raced scrap archipelago retarded traits ' +
+    'resourceful soils remarkably refresh vowel pressured android precautions ' +
+    'facto pointy angola nightclub amino mustache holders maui logistics lace ' +
+    'circuits hunh emergence hubby kuwait flare partition dont emeritus dokey ' +
+    'outcomes dangerously submission crushing promotes clinging barack choked ' +
+    'negotiated chem loaned cheerleading stripped checkbook cashmere excavations ' +
+    'calmly treatments blush fierce believer participant amazingly exports alas ' +
+    'decommissioned cameo toilets remarked tacos residences stairwell fuselage ' +
+    'spirited mound sewing undergo rubbed quarry punches node protects midwest ' +
+    'nuisance specializing motherfuckers occupies mingle kynaston showcase knack ' +
+    'molecule kinkle offs impose modules gullible salon godmother exposition ' +
+    'funniest revision friggin peers folding positioned fashions hunters eater ' +
+    'competes dysfunctional algorithms drool reside dripping zagreb ditto ' +
+    'calcium cruising uranium criticize silicon conceive airs clone counterpart ' +
+    'cedars outlet caliber collectors brighter sufficiently blinded canberra ' +
+    'birthdays inmates banquet anatomy anticipate ensuring annoy curves whim ' +
+    'aviv whichever firearms volatile basque veto volcano vested thrust shroud ' +
+    'sheikh rests extensions reindeer installations quarantine aluminum pleases ' +
+    'darker painless sacked orphans emphasized orphanage aligned offence ' +
+    'asserted obliged pseudonym negotiation spanning narcotics decorations ' +
+    'mistletoe eighteenth meddling orbital manifest spatial lookit subdivided ' +
+    'lilah notation intrigued decay injustice macedonian homicidal amended ' +
+    'gigantic declining exposing cyclist elves feat disturbance unusually ' +
+    'disastrous commuter depended birthplace demented latitude correction ' +
+    'activation cooped overhead cheerful buyers finalists brownies whites ' +
+    'beverage encyclopedia basics tenor arvin qatar weighs survives upsets ' +
+    'complement unethical concentrations swollen uncommon sweaters astronomical ' +
+    'stupidest bangalore sensation pius scalpel genome props memoir prescribed ' +
+    'recruit pompous prosecutor objections modification mushrooms paired mulwray ' +
+    'container manipulation basilica lured arlington internship displacement ' +
+    'insignificant germanic inmate mongolia incentive proportional fulfilled ' +
+    'debates disagreement matched crypt calcutta cornered rows copied tehran ' +
+    'brightest aerospace beethoven prevalent attendant arise amaze lowland ' +
+    'yogurt wyndemere spokesman vocabulary supervised tulsa advertisements ' +
+    'tactic clash stuffy tunes respirator revelation pretends wanderers ' +
+    'polygraph quarterfinals pennies fisheries ordinarily steadily olives ' +
+    'memoirs necks pastoral morally renewable martyr confluence leftovers ' +
+    'acquiring joints strips hopping slogan homey upstream hints scouting ' +
+    'heartbroken analyst forge practitioners florist turbine firsthand ' +
+    'strengthened fiend heavier dandy prehistoric crippled plural corrected ' +
+    'excluding conniving isles conditioner persecution clears turin chemo ' +
+    'rotating bubbly villain bladder hemisphere beeper unaware baptism arabs ' +
+    'wiring corpus wench relied weaknesses singular volunteering unanimous ' +
+    'violating schooling unlocked passive tummy angles surrogate dominance subid ' +
+    'instituted stray aria startle outskirts specifics balanced slowing ' +
+    'beginnings scoot financially robbers structured rightful parachute richest ' +
+    'viewer qfxmjrie attitudes puffs subjected pierced escapes pencils ' +
+    'derbyshire paralysis erosion makeover addressing luncheon styled ' +
+    'linksynergy declaring jerky originating jacuzzi colts hitched adjusted ' +
+    'hangover stained fracture occurrence flock fortifications firemen baghdad ' +
+    'disgusted nitrogen darned localities clams yemen borrowing galway banged ' +
+    'debris wildest lodz weirder victorious unauthorized pharmaceutical stunts ' +
+    'substances sleeves unnamed sixties dwelling shush atop shalt developmental ' +
+    'retro activism quits voter pegged refugee painfully forested paging relates ' +
+    'omelet overlooking memorized genocide lawfully kannada jackets insufficient ' +
+    'intercept oversaw ingredient partisan grownup dioxide glued recipients ' +
+    'fulfilling factions enchanted mortality delusion capped daring expeditions ' +
+    'compelling receptors carton reorganized bridesmaids prominently bribed atom ' +
+    'boiling flooded bathrooms flute bandage orchestral awaiting scripts assign ' +
+    'mathematician arrogance airplay antiques detached ainsley rebuilding ' +
+    'turkeys dwarf trashing brotherhood stockings salvation stalked expressions ' +
+    'stabilized arabian skates cameroon sedated poetic robes recruiting ' +
+    'respecting bundesliga psyche inserted presumptuous scrapped prejudice ' +
+    'disabilities paragraph evacuation mocha pasha mints undefeated mating ' +
+    'crafts mantan rituals lorne aluminium loads norm listener pools itinerary ' +
+    'submerged hepatitis occupying heave pathway guesses exams fading prosperity ' +
+    'examining wrestlers dumbest promotions dishwasher basal deceive permits ' +
+    'cunning nationalism cripple trim convictions merge confided gazette ' +
+    'compulsive tributaries compromising transcription burglary caste bumpy ' +
+    'porto brainwashed emerge benes modeled arnie adjoining affirmative ' +
+    'counterparts adrenaline paraguay adamant redevelopment watchin renewal ' +
+    'waitresses unreleased transgenic equilibrium toughest similarity tainted ' +
+    'minorities surround soviets stormed comprise spree nodes spilling tasked ' +
+    'spectacle unrelated soaking expired shreds johan sewers precursor severed ' +
+    'examinations scarce electrons scamming socialism scalp exiled rewind ' +
+    'admiralty rehearsing floods pretentious wigan potions nonprofit overrated ' +
+    'lacks obstacle brigades nerds screens meems repaired mcmurphy hanover ' +
+    'maternity fascist maneuver labs loathe osaka fertility delays eloping ' +
+    'judged ecstatic statutory ecstasy colt divorcing dignan offspring costing ' +
+    'solving clubhouse bred clocks assisting candid retains bursting somalia ' +
+    'breather grouped braces corresponds bending tunisia arsonist chaplain ' +
+    'adored eminent absorb chord valiant uphold spans unarmed viral topolsky ' +
+    'innovations thrilling possessions thigh mikhail terminate kolkata sustain ' +
+    'icelandic spaceship implications snore introduces sneeze racism smuggling ' +
+    'workforce salty alto quaint compulsory patronize admits patio censorship ' +
+    'morbid onset mamma reluctant kettle inferior joyous iconic invincible ' +
+    'progression interpret liability insecurities turnout impulses satellites ' +
+    'illusions behavioral holed coordinated exploit exploitation drivin ' +
+    'posterior defenseless averaging dedicate fringe cradle krakow coupon ' +
+    'mountainous countless greenwich conjure para cardboard plantations booking ' +
+    'reinforcements backseat offerings accomplishment famed wordsworth intervals ' +
+    'wisely constraints valet individually vaccine nutrition urges unnatural ' +
+    'taxation unlucky threshold truths tomatoes traumatized fungi tasting ' +
+    'contractor swears ethiopian strawberries apprentice steaks diabetes stats ' +
+    'wool skank gujarat seducing honduras secretive norse scumbag bucharest ' +
+    'screwdriver schedules arguably rooting accompany rightfully prone rattled ' +
+    'teammates qualifies perennial puppets vacancy prospects polytechnic pronto ' +
+    'deficit posse okinawa polling functionality pedestal reminiscent palms ' +
+    'tolerance muddy transferring morty myanmar microscope concludes merci ' +
+    'neighbours lecturing hydraulic inject economically incriminate slower ' +
+    'hygiene plots grapefruit charities gazebo synod funnier investor cuter ' +
+    'catholicism bossy identifies booby bronx aides interpretations zende ' +
+    'adverse winthrop judiciary warrants hereditary valentines nominal undressed ' +
+    'sensor underage symmetry truthfully cubic tampered triangular suffers ' +
+    'tenants speechless divisional sparkling outreach sidelines representations ' +
+    'shrek passages railing undergoing puberty cartridge pesky testified outrage ' +
+    'exceeded outdoors impacts motions limiting moods railroads lunches defeats ' +
+    'litter regain kidnappers rendering itching humid intuition retreated ' +
+    'imitation reliability humility governorate hassling antwerp gallons ' +
+    'infamous drugstore implied dosage packaging disrupt lahore dipping trades ' +
+    'deranged billed debating extinction cuckoo ecole cremated rejoined ' +
+    'craziness recognizes cooperating projection circumstantial qualifications ' +
+    'chimney stripes blinking forts biscuits socially admiring lexington weeping ' +
+    'accurately triad sexuality trashy westward soothing wikipedia slumber ' +
+    'pilgrimage slayers abolition skirts choral siren stuttgart shindig nests ' +
+    'sentiment expressing rosco strikeouts riddance assessed quaid monasteries ' +
+    'purity reconstructed proceeding humorous pretzels marxist panicking fertile ' +
+    'mckechnie consort lovin urdu leaked patronage intruding peruvian ' +
+    'impersonating devised ignorance lyric hamburgers baba footprints nassau ' +
+    'fluke communism fleas extraction festivities popularly fences markings ' +
+    'feisty inability evacuate litigation emergencies accounted deceived ' +
+    'processed creeping emirates craziest tempo corpses cadets conned eponymous ' +
+    'coincidences contests bounced broadly bodyguards oxide blasted courtyard ' +
+    'bitterness frigate baloney directory ashtray apex apocalypse outline ' +
+    'zillion regency watergate chiefly wallpaper patrols telesave secretariat ' +
+    'sympathize cliffs sweeter residency startin privy spades armament sodas ' +
+    'australians snowed dorset sleepover geometric signor genetics seein ' +
+    'scholarships retainer fundraising restroom flats rested demographic ' +
+    'repercussions multimedia reliving captained reconcile documentaries prevail ' +
+    'updates preaching canvas overreact blockade guerrilla noose songwriting ' +
+    'moustache administrators manicure intake maids drought landlady ' +
+    'implementing hypothetical fraction hopped cannes homesick refusal hives ' +
+    'inscribed hesitation meditation herbs announcing hectic exported heartbreak ' +
+    'ballots haunting gangs curator frown basel fingerprint arches exhausting ' +
+    'flour everytime subordinate disregard confrontation cling gravel chevron ' +
+    'simplified chaperone berkshire blinding patriotic bitty tuition beads ' +
+    'employing battling servers badgering castile anticipation posting ' +
+    'upstanding combinations unprofessional discharged unhealthy miniature ' +
+    'turmoil mutations truthful constellation toothpaste incarnation tippin ' +
+    'ideals thoughtless necessity tagataya granting shooters ancestral senseless ' +
+    'crowds rewarding pioneered propane mormon preposterous methodology pigeons ' +
+    'rama pastry indirect overhearing complexes obscene bavarian negotiable ' +
+    'patrons loner uttar jogging skeleton itchy bollywood insinuating flemish ' +
+    'insides viable hospitality bloc hormone breeds hearst triggered forthcoming ' +
+    'sustainability fists tailed fifties referenced etiquette comply endings ' +
+    'takeover destroys latvian despises homestead deprived platoon cuddy ' +
+    'communal crust nationality cloak excavated circumstance targeting chewed ' +
+    'sundays casserole posed bidder physicist bearer turret artoo endowment ' +
+    'applaud marginal appalling dispatched vowed commentators virgins ' +
+    'renovations vigilante attachment undone collaborations throttle ridges ' +
+    'testosterone barriers tailor obligations symptom shareholders swoop ' +
+    'suitcases defenses stomp presided sticker rite stakeout backgrounds ' +
+    'spoiling arbitrary snatched affordable smoochy gloucestershire smitten ' +
+    'thirteenth shameless inlet restraints miniseries researching possesses ' +
+    'renew detained refund pressures reclaim subscription raoul realism puzzles ' +
+    'solidarity purposely proto punks postgraduate prosecuted noun plaid burmese ' +
+    'picturing abundance pickin homage parasites reasoning mysteriously anterior ' +
+    'multiply robust mascara fencing jukebox shifting interruptions vowels ' +
+    'gunfire garde furnace profitable elbows loch duplicate anchored drapes ' +
+    'coastline deliberate samoa decoy terminology cryptic prostitution coupla ' +
+    'magistrate condemn venezuelan complicate speculated colossal regulate ' +
+    'clerks fixture clarity colonists brushed digit banished induction argon ' +
+    'manned alarmed expeditionary worships computational versa centennial ' +
+    'uncanny principally technicality vein sundae preserving stumble engineered ' +
+    'stripping numerical shuts cancellation schmuck conferred satin continually ' +
+    'saliva borne robber seeded relentless advertisement reconnect unanimously ' +
+    'recipes treaties rearrange infections rainy ions psychiatrists sensors ' +
+    'policemen lowered plunge amphibious plugged lava patched fourteenth ' +
+    'overload bahrain niagara mindless nicaragua menus squares lullaby ' +
+    'congregations lotte leavin periodic killin proprietary karinsky invalid ' +
+    'contributors hides seller grownups overs griff emission flaws procession ' +
+    'flashy presumed flaming illustrator fettes zinc evicted gases dread tens ' +
+    'degrassi applicable dealings stretches dangers reproductive cushion ' +
+    'sixteenth bowel apparatus barged accomplishments abide canoe abandoning ' +
+    'guam wonderfully oppose recruitment violate accumulated suicidal limerick ' +
+    'stayin namibia sorted staging slamming remixes sketchy ordnance shoplifting ' +
+    'uncertainty raiser pedestrian quizmaster temperate prefers treason needless ' +
+    'deposited motherhood registry momentarily cerambycidae migraine attracting ' +
+    'lifts lankan leukemia reprinted leftover shipbuilding keepin homosexuality ' +
+    'hinks neurons hellhole eliminating gowns goodies resume gallon ministries ' +
+    'futures beneficial entertained blackpool eighties surplus conspiring ' +
+    'northampton cheery licenses benign constructing apiece announcer ' +
+    'adjustments standardized abusive alternatives abduction taipei wiping ' +
+    'inadequate whipping failures welles yields unspeakable medalist ' +
+    'unidentified titular trivial obsolete transcripts torah textbook burlington ' +
+    'supervise predecessors superstitious lublin stricken retailers stimulating ' +
+    'castles spielberg depiction slices issuing shelves gubernatorial scratches ' +
+    'propulsion sabotaged tiles retrieval damascus repressed discs rejecting ' +
+    'alternating quickie pomerania ponies peasant peeking tavern outraged ' +
+    'redesignated moping illustration moaning focal mausoleum mans licked codex ' +
+    'kovich specialists klutz productivity interrogating antiquity interfered ' +
+    'controversies insulin promoter infested pits incompetence companions hyper ' +
+    'behaviors horrified lyrical handedly prestige gekko creativity fraid ' +
+    'swansea fractured dramas examiner approximate eloped feudal disoriented ' +
+    'tissues dashing crude crashdown campaigned courier unprecedented cockroach ' +
+    'chancel chipped amendments brushing surroundings bombed allegiance bolts ' +
+    'exchanges baths align baptized firmly astronaut optimal assurance ' +
+    'commenting anemia reigning abuela landings abiding obscure withholding ' +
+    'weave contemporaries wearin paternal weaker devi suffocating endurance ' +
+    'straws communes straightforward incorporation stench denominations steamed ' +
+    'exchanged starboard routing sideways resorts shrinks amnesty shortcut ' +
+    'slender scram explores roasted suppression roaming heats riviera ' +
+    'pronunciation respectfully centred repulsive coupe psychiatry stirling ' +
+    'provoked freelance penitentiary treatise painkillers linguistics ninotchka ' +
+    'laos mitzvah informs milligrams discovering midge pillars marshmallows ' +
+    'encourages looky halted lapse robots kubelik definitive intellect maturity ' +
+    'improvise tuberculosis implant venetian silesian giddy unchanged geniuses ' +
+    'originates fruitcake mali footing lincolnshire fightin quotes drinkin ' +
+    'seniors doork premise detour contingent cuddle distribute crashes danube ' +
+    'combo gorge colonnade logging cheats dams cetera curling bailiff ' +
+    'seventeenth auditioning specializes assed wetlands amused deities alienate ' +
+    'assess aiding thickness aching rigid unwanted culminated topless utilities ' +
+    'tongues substrate tiniest insignia superiors nile soften assam sheldrake ' +
+    'shri rawley currents raisins suffrage presses canadians plaster mortar ' +
+    'nessa asteroid narrowed bosnian minions discoveries merciful enzymes ' +
+    'lawsuits sanctioned intimidating replica infirmary hymn inconvenient ' +
+    'investigators imposter tidal hugged dominate honoring derivatives holdin ' +
+    'converting hades leinster godforsaken verbs fumes honoured forgery ' +
+    'criticisms foolproof dismissal folder discrete flattery masculine ' +
+    'fingertips reorganization exterminator unlimited explodes wurttemberg ' +
+    'eccentric sacks dodging allocation disguised bahn crave jurisdictions ' +
+    'constructive participates concealed lagoon compartment famine chute ' +
+    'communion chinpokomon culminating bodily surveyed astronauts shortage ' +
+    'alimony cables accustomed intersects abdominal cassette wrinkle foremost ' +
+    'wallow adopting valium solicitor untrue outright uncover bihar trembling ' +
+    'reissued treasures farmland torched dissertation toenails turnpike timed ' +
+    'baton termites photographed telly christchurch taunting kyoto taransky ' +
+    'finances talker rails succubus histories smarts linebacker sliding kilkenny ' +
+    'sighting accelerated semen dispersed seizures handicap scarred absorption ' +
+    'savvy rancho sauna ceramic saddest captivity sacrificing cites rubbish font ' +
+    'riled weighed ratted mater rationally utilize provenance bravery phonse ' +
+    'extract perky validity pedal slovenian overdose seminars nasal discourse ' +
+    'nanites ranged mushy duel movers ironically missus warships midterm sega ' +
+    'merits temporal melodramatic surpassed manure prolonged knitting recruits ' +
+    'invading northumberland interpol greenland incapacitated contributes ' +
+    'hotline patented hauling eligibility gunpoint unification grail discusses ' +
+    'ganza reply framing translates flannel beirut faded relies eavesdrop torque ' +
+    'desserts northward calories reviewers breathtaking monastic bleak accession ' +
+    'blacked neural batter tramway aggravated heirs yanked sikh wigand ' +
+    'subscribers whoah amenities unwind taliban undoubtedly audit unattractive ' +
+    'rotterdam twitch wagons trimester kurdish torrance favoured timetable ' +
+    'combustion taxpayers meanings strained persia stared browser slapping ' +
+    'diagnostic sincerity niger siding shenanigans denomination shacking ' +
+    'dividing sappy parameter samaritan branding poorer badminton politely ' +
+    'leningrad paste sparked oysters hurricanes overruled beetles nightcap ' +
+    'propeller mosquito mozambique millimeter refined merrier diagram manhood ' +
+    'exhaust lucked vacated kilos readings ignition markers hauled ' +
+    'reconciliation harmed determines goodwill concurrent freshmen imprint ' +
+    'fenmore primera fasten organism farce demonstrating exploding filmmakers ' +
+    'erratic vanderbilt drunks affiliates ditching traction evaluated cramped ' +
+    'defendants contacting megachile closets investigative clientele zambia ' +
+    'chimp assassinated bargained rewarded arranging probable anesthesia ' +
+    'staffordshire amuse foreigners altering directorate afternoons nominees ' +
+    'accountable consolidation abetting commandant wolek reddish waved differing ' +
+    'uneasy unrest toddy drilling tattooed bohemia spauldings resembling sliced ' +
+    'instrumentation sirens considerations schibetta haute scatter promptly ' +
+    'rinse variously remedy dwellings redemption clans pleasures tablet optimism ' +
+    'enforced oblige cockpit mmmmm semifinal masked hussein malicious prisons ' +
+    'mailing ceylon kosher emblem kiddies monumental judas phrases isolate ' +
+    'correspond insecurity crossover incidentally outlined heals characterised ' +
+    'headlights acceleration growl caucus grilling crusade glazed protested ' +
+    'flunk composing floats rajasthan fiery habsburg fairness rhythmic ' +
+    'exercising interception excellency inherent disclosure cooled cupboard ' +
+    'ponds counterfeit spokesperson condescending gradual conclusive ' +
+    'consultation clicked kuala cleans globally cholesterol suppressed cashed ' +
+    'builders broccoli avengers brats suffix blueprints integer blindfold ' +
+    'enforce billing fibers attach unionist appalled proclamation alrighty ' +
+    'uncovered wynant infrared unsolved adapt unreliable eisenhower toots ' +
+    'utilizing tighten captains sweatshirt stretched steinbrenner observing ' +
+    'steamy assumes spouse prevents sonogram analyses slots saxophone sleepless ' +
+    'caucasus shines notices retaliate villains rephrase dartmouth redeem mongol ' +
+    'rambling hostilities quilt stretching quarrel veterinary prying lenses ' +
+    'proverbial texture priced prompting prescribe overthrow prepped excavation ' +
+    'pranks islanders possessive masovian plaintiff battleship pediatrics ' +
+    'biographer overlooked replay outcast degradation nightgown departing mumbo ' +
+    'luftwaffe mediocre fleeing mademoiselle oversight lunchtime immigrated ' +
+    'lifesaver serbs leaned fishermen lambs strengthening interns respiratory ' +
+    'hounding italians hellmouth denotes hahaha radial goner escorted ghoul ' +
+    'motif gardening wiltshire frenzy expresses foyer accessories extras ' +
+    'reverted exaggerate establishments everlasting inequality enlightened ' +
+    'protocols dialed charting devote famously deceitful satirical entirety ' +
+    'cosmetic trench contaminated friction conspired atletico conning sampling ' +
+    'cavern subset carving weekday butting upheld boiled sharply blurry ' +
+    'correlation babysit incorrect ascension mughal aaaaah travelers wildly ' +
+    'hasan whoopee earnings whiny offset weiskopf evaluate walkie specialised ' +
+    'vultures recognizing vacations flexibility upfront nagar unresolved ' +
+    'postseason tampering algebraic stockholders capitalism snaps crystals ' +
+    'sleepwalking melodies shrunk polynomial sermon racecourse seduction ' +
+    'defences scams austro revolve wembley phenomenal attracts patrolling ' +
+    'anarchist paranormal resurrection ounces reviewing omigod decreasing ' +
+    'nightfall prefix lashing ratified innocents mutation infierno displaying ' +
+    'incision separating humming restoring haunts assemblies gloss ordinance ' +
+    'gloating priesthood frannie cruisers fetal appoint feeny moldova entrapment ' +
+    'imports discomfort directive detonator epidemic dependable militant concede ' +
+    'senegal complication signaling commotion restriction commence critique ' +
+    'chulak retrospective caucasian nationalists casually undertake brainer ' +
+    'sioux bolie canals ballpark algerian anwar redesigned analyzing ' +
+    'philanthropist accommodations depict youse conceptual wring turbines ' +
+    'wallowing intellectuals transgenics eastward thrive applicants tedious ' +
+    'contractors stylish vendors strippers undergone sterile namesake squeezing ' +
+    'ensured squeaky tones sprained substituted solemn hindwings snoring arrests ' +
+    'shattering tombs shabby transitional seams principality scrawny reelection ' +
+    'revoked taiwanese residue cavity reeks manifesto recite broadcasters ' +
+    'ranting spawned quoting thoroughbred predicament identities plugs ' +
+    'generators pinpoint proposes petrified hydroelectric pathological ' +
+    'johannesburg passports cortex oughtta scandinavian nighter killings ' +
+    'navigate aggression kippie boycott intrigue catalyst intentional physiology ' +
+    'insufferable fifteenth hunky waterfront chromosome horrifying organist ' +
+    'hearty costly hamptons calculation grazie cemeteries funerals flourished ' +
+    'forks recognise fetched juniors excruciating merging enjoyable disciples ' +
+    'endanger ashore dumber workplace drying enlightenment diabolical diminished ' +
+    'crossword debated corry hailed comprehend podium clipped educate classmates ' +
+    'mandated candlelight distributor brutally litre brutality electromagnetic ' +
+    'boarded flotilla bathrobe estuary authorize peterborough assemble staircase ' +
+    'aerobics selections wholesome melodic whiff confronts vermin wholesale ' +
+    'trophies integrate trait intercepted tragically catalonia toying unite ' +
+    'testy immense tasteful palatinate stocked switches spinach earthquakes ' +
+    'sipping occupational sidetracked successors scrubbing praising scraping ' +
+    'concluding sanctity faculties robberies firstly ridin overhaul retribution ' +
+    'empirical refrain metacritic realities inauguration radiant evergreen ' +
+    'protesting laden projector winged plutonium philosophers payin amalgamated ' +
+    'parting geoff centimeters nooooo napoleonic motherfucking upright measly ' +
+    'planting manic brewing lalita fined juggling sensory jerking migrants intro ' +
+    'wherein inevitably inactive hypnosis headmaster huddle warwickshire ' +
+    'horrendous siberia hobbies terminals heartfelt denounced harlin academia ' +
+    'hairdresser divinity gonorrhea bilateral fussing clive furtwangler omitted ' +
+    'fleeting peerage flawless relics flashed apartheid fetus syndicate eulogy ' +
+    'fearing distinctly fixtures disrespectful desirable denies dismantled ' +
+    'crossbow ethnicity cregg valves crabs biodiversity cowardly aquarium ' +
+    'contraction ideological contingency visibility confirming creators condone ' +
+    'analyzed coffins tenant cleansing balkan cheesecake postwar certainty ' +
+    'supplier cages smithsonian risen briefed morphology bravest digits bosom ' +
+    'bohemian boils wilmington binoculars vishnu bachelorette demonstrates ' +
+    'appetizer aforementioned ambushed biographical alerted mapped woozy ' +
+    'khorasan withhold phosphate vulgar presentations utmost ecosystem unleashed ' +
+    'processors unholy calculations unhappiness mosaic unconditional clashes ' +
+    'typewriter penned typed recalls twists coding supermodel angular subpoenaed ' +
+    'lattice stringing macau skeptical accountability schoolgirl extracted ' +
+    'romantically pollen rocked therapeutic revoir overlap reopen violinist ' +
+    'puncture deposed preach candidacy polished infants planetarium covenant ' +
+    'penicillin bacterial peacefully restructuring nurturing dungeons ordination ' +
+    'mmhmm conducts midgets builds marklar invasive lodged customary lifeline ' +
+    'concurrently jellyfish relocation infiltrate cello hutch statutes horseback ' +
+    'borneo heist entrepreneurs gents sanctions frickin packet freezes ' +
+    'rockefeller forfeit piedmont flakes comparisons flair waterfall fathered ' +
+    'receptions eternally glacial epiphany surge disgruntled signatures ' +
+    'discouraged alterations delinquent advertised decipher enduring danvers ' +
+    'somali cubes botanist credible coping canonical chills motifs cherished ' +
+    'longitude catastrophe circulated bombshell alloy birthright indirectly ' +
+    'billionaire margins ample preserves affections internally admiration ' +
+    'besieged abbotts shale whatnot peripheral watering drained vinegar baseman ' +
+    'unthinkable reassigned unseen tobago unprepared soloist unorthodox socio ' +
+    'underhanded grazing uncool contexts timeless roofs thump portraying ' +
+    'thermometer ottomans theoretically shrewsbury tapping noteworthy tagged ' +
+    'lamps swung supplying stares beams spiked qualifier solves portray smuggle ' +
+    'greenhouse scarier stronghold saucer hitter quitter rites prudent ' +
+    'cretaceous powdered urging poked derive pointers nautical peril aiming ' +
+    'penetrate fortunes penance verde opium donors nudge reliance nostrils ' +
+    'exceeding neurological exclusion mockery exercised mobster simultaneous ' +
+    'medically continents loudly guiding insights pillar implicate gradient ' +
+    'hypocritical poznan humanly eruption holiness clinics healthier moroccan ' +
+    'hammered indicator haldeman trams gunman piers gloom parallels freshly ' +
+    'fragment francs teatro flunked potassium flawed satire emptiness compressed ' +
+    'drugging businessmen dozer influx derevko seine deprive perspectives ' +
+    'deodorant shelters cryin decreases crocodile mounting coloring colder ' +
+    'confederacy cognac equestrian clocked expulsion clippings mayors charades ' +
+    'liberia chanting resisted certifiable affinity caterers shrub brute ' +
+    'unexpectedly brochures stimulus botched amtrak blinders deported bitchin ' +
+    'perpendicular banter statesman woken wharf ulcer storylines tread ' +
+    'romanesque thankfully weights swine surfaced swimsuit interceptions swans ' +
+    'dhaka stressing crambidae steaming orchestras stamped rwanda stabilize ' +
+    'conclude squirm constitutes snooze subsidiaries shuffle admissions shredded ' +
+    'prospective seafood shear scratchy bilingual savor campaigning sadistic ' +
+    'presiding rhetorical domination revlon commemorative realist trailing ' +
+    'prosecuting confiscated prophecies petrol polyester acquisitions petals ' +
+    'polymer persuasion onlyinclude paddles chloride elevations nuthin ' +
+    'resolutions neighbour hurdles negroes pledged muster likelihood meningitis ' +
+    'objected matron erect lockers encoding letterman databases legged aristotle ' +
+    'indictment hindus hypnotized marshes housekeeping bowled hopelessly ' +
+    'ministerial hallucinations grange grader acronym goldilocks annexation ' +
+    'girly squads flask ambient envelopes pilgrims downside botany doves sofla ' +
+    'dissolve astronomer discourage planetary disapprove descending diabetic ' +
+    'bestowed deliveries ceramics decorator diplomacy crossfire metabolism ' +
+    'criminally colonization containment potomac comrades africans complimentary ' +
+    'engraved chatter recycling catchy commitments cashier resonance cartel ' +
+    'disciplinary caribou jamaican cardiologist narrated brawl spectral booted ' +
+    'tipperary barbershop waterford aryan stationary angst arbitration ' +
+    'administer transparency zellie threatens wreak crossroads whistles slalom ' +
+    'vandalism oversee vamps centenary uterus incidence upstate economies ' +
+    'unstoppable livery understudy moisture tristin newsletter transcript ' +
+    'autobiographical tranquilizer bhutan toxins propelled tonsils dependence ' +
+    'stempel moderately spotting adobe spectator barrels spatula subdivisions ' +
+    'softer outlook snotty labelled slinging stratford showered arising sexiest ' +
+    'diaspora sensual barony sadder automobiles rimbaud ornamental restrain ' +
+    'slated resilient norms remission primetime reinstate generalized rehash ' +
+    'analysts recollection vectors rabies libyan popsicle yielded plausible ' +
+    'certificates pediatric rooted patronizing vernacular ostrich belarusian ' +
+    'ortolani marketplace oooooh prediction omelette fairfax mistrial malawi ' +
+    'marseilles viruses loophole wooded laughin demos kevvy mauritius irritated ' +
+    'prosperous infidelity coincided hypothermia liberties horrific huddersfield ' +
+    'groupie ascent grinding warnings graceful hinduism goodspeed glucose ' +
+    'gestures pulitzer frantic unused extradition filters echelon illegitimate ' +
+    'disks acquitted dawnie protestants dared canopy damsel staple curled ' +
+    'psychedelic collateral winding collage abbas chant pathways calculating ' +
+    'cheltenham bumping lagos bribes niche boardwalk invaders blinds proponents ' +
+    'blindly barred bleeds conversely bickering doncaster beasts recession ' +
+    'backside embraced avenge rematch apprehended concession anguish emigration ' +
+    'abusing upgrades youthful bowls yells tablets yanking remixed whomever ' +
+    'loops kensington vomiting shootout vengeful monarchs unpacking organizers ' +
+    'unfamiliar harmful undying punjabi tumble broadband trolls exempt ' +
+    'treacherous neolithic tipping profiles tantrum portrays tanked parma ' +
+    'summons cyrillic straps quasi stomped attested stinkin regimental stings ' +
+    'revive staked torpedoes squirrels heidelberg sprinkles rhythms speculate ' +
+    'spherical sorting denote skinned hymns sicko icons sicker theologian ' +
+    'shootin qaeda shatter exceptionally seeya reinstated schnapps comune ' +
+    'playhouse ronee lobbying respectful grossing regroup viceroy regretting ' +
+    'delivers reeling visually reckoned armistice ramifications utrecht puddy ' +
+    'syllable projections vertices preschool analogous plissken annex platonic ' +
+    'refurbished permalash entrants outdone knighted outburst disciple mutants ' +
+    'rhetoric mugging detailing misfortune inactivated miserably ballads ' +
+    'miraculously algae medications intensified margaritas favourable manpower ' +
+    'sanitation lovemaking receivers logically pornography leeches commemorated ' +
+    'latrine cannons kneel entrusted inflict manifold impostor photographers ' +
+    'hypocrisy pueblo hippies textiles heterosexual steamer heightened myths ' +
+    'hecuba marquess healer onward gunned liturgical grooming romney groin ' +
+    'uzbekistan gooey consistency gloomy denoted frying hertfordshire ' +
+    'friendships convex fredo hearings firepower sulfur fathom universidad ' +
+    'exhaustion podcast evils selecting endeavor emperors eggnog arises dreaded ' +
+    'justices crotch mongolian coughing exploited coronary termination cookin ' +
+    'digitally consummate infectious congrats sedan companionship symmetric ' +
+    'caved penal caspar illustrate bulletproof formulation brilliance attribute ' +
+    'breakin problematic brash modular blasting inverse aloud berth airtight ' +
+    'searches advising rutgers advertise leicestershire adultery enthusiasts ' +
+    'aches lockheed wronged upwards upbeat transverse trillion accolades ' +
+    'thingies backward tending archaeologists tarts crusaders surreal nuremberg ' +
+    'specs defects specialize ferries spade vogue shrew containers shaping ' +
+    'openings selves transporting schoolwork separates roomie lumpur ' +
+    'recuperating purchases rabid attain quart wichita provocative topology ' +
+    'proudly woodlands pretenses deleted prenatal periodically pharmaceuticals ' +
+    'syntax pacing overturned overworked musicals originals nicotine strasbourg ' +
+    'murderous instability mileage nationale mayonnaise prevailing massages ' +
+    'cache losin marathi interrogated versailles injunction unmarried impartial ' +
+    'grains homing straits heartbreaker antagonist hacks segregation glands ' +
+    'assistants giver fraizh contention flips dictatorship flaunt unpopular ' +
+    'englishman motorcycles electrocuted criterion dusting analytical ducking ' +
+    'salzburg drifted militants donating hanged cylon worcestershire crutches ' +
+    'emphasize crates paralympic cowards erupted comfortably convinces chummy ' +
+    'offences chitchat oxidation childbirth nouns businesswoman populace brood ' +
+    'atari blatant spanned bethy hazardous barring educators bagged playable ' +
+    'awakened births asbestos airplanes preseason worshipped generates winnings ' +
+    'invites meteorological visualize handbook unprotected foothills unleash ' +
+    'enclosure trays diffusion thicker mirza therapists convergence takeoff ' +
+    'geelong streisand coefficient storeroom connector stethoscope stacked ' +
+    'cylindrical spiteful disasters sneaks pleaded snapping knoxville ' +
+    'slaughtered contamination slashed compose simplest libertarian silverware ' +
+    'arrondissement shits franciscan secluded intercontinental scruples ' +
+    'susceptible scrubs initiation scraps malaria ruptured unbeaten roaring ' +
+    'consonants receptionist waived recap saloon raditch popularized radiator ' +
+    'estadio pushover pseudo plastered interdisciplinary pharmacist transports ' +
+    'perverse transformers perpetrator carriages ornament bombings ointment ' +
+    'revolves nineties ceded napping collaborator nannies celestial mousse ' +
+    'exemption moors colchester momentary maltese misunderstandings oceanic ' +
+    'manipulator ligue malfunction crete laced shareholder kivar routed kickin ' +
+    'depictions infuriating ridden impressionable advisors holdup calculate ' +
+    'hires lending hesitated guangzhou headphones simplicity hammering newscast ' +
+    'groundwork scheduling grotesque snout graces eliot gauze undertaking ' +
+    'gangsters armenians frivolous nottinghamshire freeing whitish fours ' +
+    'consulted forwarding deficiency ferrars salle faulty cinemas fantasizing ' +
+    'superseded extracurricular rigorous empathy kerman divorces convened ' +
+    'detonate landowners depraved modernization demeaning evenings deadlines ' +
+    'pitches dalai conditional cursing scandinavia cufflink differed crows ' +
+    'formulated coupons cyclists comforted swami claustrophobic guyana casinos ' +
+    'dunes camped electrified busboy appalachian bluth abdomen bennetts ' +
+    'scenarios baskets prototypes attacker sindh aplastic consonant angrier ' +
+    'adaptive affectionate boroughs zapped wolverhampton wormhole modelling ' +
+    'weaken cylinders unrealistic amounted unravel minimize unimportant ' +
+    'ambassadors unforgettable lenin twain settler suspend coincide superbowl ' +
+    'approximation stutter grouping stewardess murals stepson bullying standin ' +
+    'registers spandex rumours souvenirs engagements sociopath energetic ' +
+    'skeletons vertex shivering annals sexier bordering selfishness geologic ' +
+    'scrapbook yellowish ritalin runoff ribbons converts reunite allegheny ' +
+    'remarry facilitated relaxation saturdays rattling colliery rapist monitored ' +
+    'psychosis rainforest prepping interfaces poses geographically pleasing ' +
+    'impaired pisses prevalence piling joachim persecuted paperback padded ' +
+    'slowed operatives shankar negotiator distinguishing natty seminal menopause ' +
+    'categorized mennihan authorised martimmys auspices loyalties bandwidth ' +
+    'laynie asserts lando rebranded justifies balkans intimately supplemented ' +
+    'inexperienced seldom impotent weaving immortality capsule horrors apostles ' +
+    'hooky populous hinges monmouth heartbreaking payload handcuffed symphonic ' +
+    'gypsies densely guacamole shoreline grovel managerial graziella masonry ' +
+    'goggles antioch gestapo averages fussy textbooks ferragamo royalist feeble ' +
+    'coliseum eyesight tandem explosions brewers experimenting diocesan ' +
+    'enchanting posthumous doubtful walled dizziness incorrectly dismantle ' +
+    'distributions detectors ensued deserving reasonably defective graffiti ' +
+    'dangling propagation dancin automation crumble harmonic creamed augmented ' +
+    'cramping middleweight conceal limbs clockwork elongated chrissakes landfall ' +
+    'chrissake comparatively chopping literal cabinets grossed brooding koppen ' +
+    'bonfire wavelength blurt bloated cerebral blackmailer boasts beforehand ' +
+    'congestion bathed physiological bathe practitioner barcode coasts banish ' +
+    'cartoonist badges undisclosed babble frontal await launches attentive ' +
+    'burgundy aroused qualifiers antibodies imposing animosity stade flanked ' +
+    'wrinkled assyrian wonderland raided willed multiplayer whisk montane ' +
+    'waltzing chesapeake waitressing pathology vigilant drains upbringing ' +
+    'vineyards unselfish intercollegiate uncles semiconductor trendy grassland ' +
+    'trajectory convey striped citations stamina predominant stalled rejects ' +
+    'staking benefited stacks yahoo spoils graphs snuff busiest snooty ' +
+    'encompassing snide hamlets shrinking explorers senora suppress secretaries ' +
+    'minors scoundrel graphical saline calculus salads sediment rundown intends ' +
+    'riddles diverted relapse mainline recommending unopposed raspberry cottages ' +
+    'plight initiate pecan alumnus pantry towed overslept autism ornaments ' +
+    'forums niner darlington negligent modernist negligence oxfordshire nailing ' +
+    'lectured mucho capitalist mouthed suppliers monstrous panchayat malpractice ' +
+    'actresses lowly foundry loitering southbound logged commodity lingering ' +
+    'wesleyan lettin divides lattes palestinians kamal luton juror caretaker ' +
+    'jillefsky nobleman jacked mutiny irritate organizer intrusion preferences ' +
+    'insatiable nomenclature infect splits impromptu unwilling icing offenders ' +
+    'hmmmm timor hefty relying gasket halftime frightens semitic flapping ' +
+    'arithmetic firstborn milestone faucet jesuits estranged arctiidae envious ' +
+    'retrieved dopey consuming doesn contender disposition edged disposable ' +
+    'plagued disappointments inclusive dipped transforming dignified khmer ' +
+    'deceit federally dealership insurgents deadbeat distributing curses amherst ' +
+    'coven rendition counselors prosecutors concierge viaduct clutches ' +
+    'disqualified casbah kabul callous liturgy cahoots prevailed brotherly ' +
+    'reelected britches instructors brides swimmers bethie aperture beige ' +
+    'churchyard autographed interventions attendants totals attaboy darts ' +
+    'astonishing metropolis appreciative fuels antibiotic fluent aneurysm ' +
+    'northbound afterlife correctional affidavit inflicted zoning barrister ' +
+    'whats realms whaddaya culturally vasectomy aristocratic unsuspecting ' +
+    'collaborating toula emphasizes topanga choreographer tonio inputs toasted ' +
+    'ensembles tiring humboldt terrorized practised tenderness endowed tailing ' +
+    'strains sweats infringement suffocated archaeologist sucky congregational ' +
+    'subconsciously magna starvin relativity sprouts efficiently spineless ' +
+    'proliferation sorrows mixtape snowstorm abruptly smirk regeneration slicery ' +
+    'commissioning sledding yukon slander archaic simmer reluctantly signora ' +
+    'retailer sigmund northamptonshire seventies universally sedate crossings ' +
+    'scented boilers sandals nickelodeon rollers revue retraction abbreviation ' +
+    'resigning retaliation recuperate scripture receptive routinely racketeering ' +
+    'medicinal queasy benedictine provoking kenyan priors retention prerogative ' +
+    'deteriorated premed glaciers pinched apprenticeship pendant coupling ' +
+    'outsiders researched orbing topography opportunist entrances olanov anaheim ' +
+    'neurologist pivotal nanobot compensate mommies arched molested modify ' +
+    'misread reinforce mannered dusseldorf laundromat journeys intercom ' +
+    'motorsport inspect conceded insanely sumatra infatuation spaniards ' +
+    'indulgent quantitative indiscretion loire inconsiderate cinematography ' +
+    'hurrah discarded howling botswana herpes morale hasta engined harassed ' +
+    'zionist hanukkah philanthropy groveling sainte groosalug fatalities gander ' +
+    'cypriot galactica motorsports futile indicators fridays pricing flier ' +
+    'institut fixes bethlehem exploiting implicated exorcism gravitational ' +
+    'evasive differentiation endorse rotor emptied thriving dreary precedent ' +
+    'dreamy ambiguous downloaded concessions dodged forecast doctored conserved ' +
+    'disobeyed fremantle disneyland asphalt disable landslide dehydrated ' +
+    'middlesbrough contemplating coconuts humidity cockroaches overseeing ' +
+    'clogged chronological chilling diaries chaperon multinational cameraman ' +
+    'crimean bulbs turnover bucklands improvised bribing youths brava declares ' +
+    'bracelets tasmanian bowels canadiens bluepoint fumble appetizers refinery ' +
+    'appendix weekdays antics unconstitutional anointed upward analogy guardians ' +
+    'almonds brownish yammering imminent winch hamas weirdness endorsement ' +
+    'wangler naturalist vibrations martyrs vendor caledonia unmarked chords ' +
+    'unannounced yeshiva twerp reptiles trespass severity travesty mitsubishi ' +
+    'transfusion fairs trainee installment towelie substitution tiresome ' +
+    'repertory straightening keyboardist staggering interpreter sonar silesia ' +
+    'socializing noticeable sinus rhineland sinners transmit shambles ' +
+    'inconsistent serene booklet scraped academies scones epithet scepter ' +
+    'pertaining sarris progressively saberhagen aquatics ridiculously scrutiny ' +
+    'ridicule prefect rents toxicity reconciled rugged radios consume publicist ' +
+    'pubes evolve prune uniquely prude cabaret precrime mediated postponing ' +
+    'landowner pluck transgender perish palazzo peppermint compilations peeled ' +
+    'albuquerque overdo induce nutshell sinai nostalgic remastered mulan ' +
+    'efficacy mouthing underside mistook analogue meddle specify maybourne ' +
+    'possessing martimmy advocating lobotomy compatibility livelihood liberated ' +
+    'lippman greenville likeness mecklenburg kindest header kaffee memorials ' +
+    'jocks sewage jerked rhodesia jeopardizing jazzed salaries insured atoll ' +
+    'inquisition coordinating inhale partisans ingenious repealed holier amidst ' +
+    'helmets subjective heirloom optimization heinous nectar haste evolving ' +
+    'harmsway exploits hardship madhya hanky styling gutters accumulation ' +
+    'gruesome raion groping postage goofing responds godson buccaneers glare ' +
+    'frontman finesse brunei figuratively choreography ferrie coated ' +
+    'endangerment kinetic dreading sampled dozed inflammatory dorky ' +
+    'complementary dmitri eclectic divert norte discredit vijay dialing ' +
+    'cufflinks mainz crutch casualty craps connectivity corrupted laureate ' +
+    'cocoon franchises cleavage yiddish cannery reputed bystander unpublished ' +
+    'brushes economical bruising periodicals bribery vertically brainstorm ' +
+    'bicycles bolted brethren binge capacities ballistics unitary astute ' +
+    'archeological arroway tehsil adventurous domesday adoptive wehrmacht ' +
+    'addicts justification addictive angered yadda mysore whitelighters fielded ' +
+    'wematanye abuses weeds nutrients wedlock ambitions wallets taluk ' +
+    'vulnerability battleships vroom symbolism vents superiority upped neglect ' +
+    'unsettling attendees unharmed commentaries trippin collaborators trifle ' +
+    'predictions tracing yorker tormenting breeders thats investing syphilis ' +
+    'libretto subtext informally stickin coefficients spices memorandum sores ' +
+    'pounder smacked collingwood slumming tightly sinks envisioned signore arbor ' +
+    'shitting mistakenly shameful captures shacked nesting septic conflicting ' +
+    'seedy enhancing righteousness streetcar relish manufactures rectify ' +
+    'buckinghamshire ravishing rewards quickest commemorating phoebs stony ' +
+    'perverted expenditure peeing tornadoes pedicure semantic pastrami relocate ' +
+    'passionately weimar ozone iberian outnumbered sighted oregano intending ' +
+    'offender ensign nukes beverages nosed expectation nighty differentiate ' +
+    'nifty centro mounties utilizes motivate saxophonist moons catchment ' +
+    'misinterpreted transylvania mercenary ecosystems mentality shortest ' +
+    'marsellus sediments lupus socialists lumbar ineffective lovesick kapoor ' +
+    'lobsters formidable leaky heroine laundering guantanamo latch prepares ' +
+    'jafar scattering instinctively pamphlet inspires verified indoors elector ' +
+    'incarcerated barons hundredth totaling handkerchief shrubs gynecologist ' +
+    'pyrenees guittierez amalgamation groundhog mutually grinning longitudinal ' +
+    'goodbyes comte geese negatively fullest masonic eyelashes envoy eyelash ' +
+    'sexes enquirer akbar endlessly mythical elusive tonga disarm bishopric ' +
+    'detest assessments deluding malaya dangle warns cotillion interiors corsage ' +
+    'reefs conjugal reflections confessional neutrality cones musically ' +
+    'commandment nomadic coded waterways coals provence chuckle collaborate ' +
+    'christmastime scaled cheeseburgers adulthood chardonnay emerges celery ' +
+    'euros campfire optics calming incentives burritos overland brundle ' +
+    'periodical broflovski liege brighten awarding borderline realization ' +
+    'blinked slang bling affirmed beauties schooner bauers hokkaido battered ' +
+    'czechoslovak articulate protectorate alienated undrafted ahhhhh disagreed ' +
+    'agamemnon commencement accountants electors spruce wrongful swindon wrapper ' +
+    'fueled workaholic equatorial winnebago inventions whispered suites warts ' +
+    'slovene vacate backdrop unworthy adjunct unanswered energies tonane remnant ' +
+    'tolerated inhabit throwin alliances throbbing simulcast thrills reactors ' +
+    'thorns mosques thereof travellers outfielder tarot plumage sunscreen ' +
+    'migratory stretcher benin stereotype experimented soggy fibre sobbing ' +
+    'projecting sizable drafting sightings laude shucks evidenced shrapnel ' +
+    'northernmost sever indicted senile directional seaboard replication scorned ' +
+    'croydon saver comedies rebellious jailed rained organizes putty devotees ' +
+    'prenup reservoirs pores turrets pinching originate pertinent economists ' +
+    'peeping songwriters paints junta ovulating trenches opposites mounds occult ' +
+    'proportions nutcracker comedic nutcase apostle newsstand azerbaijani ' +
+    'newfound farmhouse mocked resembled midterms disrupted marshmallow playback ' +
+    'marbury mixes maclaren diagonal leans relevance krudski govern knowingly ' +
+    'programmer keycard gdansk junkies maize juilliard soundtracks jolinar ' +
+    'tendencies irritable mastered invaluable impacted inuit believers ' +
+    'intoxicating kilometre instruct intervene insolent chairperson inexcusable ' +
+    'aerodrome incubator sails illustrious subsidies hunsecker ensures ' +
+    'houseguest aesthetics homosexuals congresses homeroom ratios hernia ' +
+    'sardinia harming southernmost handgun functioned hallways controllers ' +
+    'hallucination downward gunshots randomly groupies distortion groggy regents ' +
+    'goiter palatine gingerbread disruption giggling spirituality frigging ' +
+    'vidhan fledged tracts fedex compiler fairies ventilation exchanging ' +
+    'anchorage exaggeration symposium esteemed assert enlist pistols drags ' +
+    'excelled dispense avenues disloyal convoys disconnect moniker desks ' +
+    'constructions dentists proponent delacroix phased degenerate spines ' +
+    'daydreaming organising cushions schleswig cuddly policing corroborate ' +
+    'campeonato complexion mined compensated hourly cobbler croix closeness ' +
+    'lucrative chilled authenticity checkmate haitian channing stimulation ' +
+    'carousel burkina calms espionage bylaws midfield benefactor manually ' +
+    'ballgame staffed baiting awakening backstabbing metabolic artifact ' +
+    'biographies airspace entrepreneurship adversary conspicuous actin guangdong ' +
+    'accuses preface accelerant subgroup abundantly mythological abstinence ' +
+    'adjutant zissou feminism zandt vilnius yapping oversees witchy honourable ' +
+    'willows tripoli whadaya stylized vilandra kinase veiled societe undress ' +
+    'notoriety undivided altitudes underestimating configurations ultimatums ' +
+    'outward twirl transmissions truckload announces tremble auditor toasting ' +
+    'ethanol tingling clube tents nanjing tempered mecca sulking haifa stunk ' +
+    'blogs sponges postmaster spills paramilitary softly depart snipers ' +
+    'positioning scourge potent rooftop recognizable riana spire revolting ' +
+    'brackets revisit remembrance refreshments overlapping redecorating turkic ' +
+    'recapture articulated raysy scientology pretense operatic prejudiced deploy ' +
+    'precogs readiness pouting biotechnology poofs restrict pimple ' +
+    'cinematographer piles inverted pediatrician synonymous padre ' +
+    'administratively packets westphalia paces commodities orvelle replaces ' +
+    'oblivious downloads objectivity centralized nighttime munitions nervosa ' +
+    'preached mexicans sichuan meurice fashionable melts implementations ' +
+    'matchmaker matrices maeby lugosi loyalist lipnik luzon leprechaun ' +
+    'celebrates kissy hazards kafka heiress introductions mercenaries intestines ' +
+    'synonym inspirational creole insightful ljubljana inseparable technician ' +
+    'injections auditioned inadvertently technicians hussy viewpoint huckabees ' +
+    'wetland hittin mongols hemorrhaging princely headin sharif haystack coating ' +
+    'hallowed dynasties grudges southward granilith doubling grandkids grading ' +
+    'mayoral gracefully harvesting godsend conjecture gobbles goaltender ' +
+    'fragrance oceania fliers spokane finchley welterweight farts bracket ' +
+    'eyewitnesses gatherings expendable weighted existential newscasts dorms ' +
+    'mussolini delaying affiliations degrading disadvantage deduction vibrant ' +
+    'darlings spheres danes sultanate cylons distributors counsellor disliked ' +
+    'contraire establishes consciously marches conjuring drastically ' +
+    'congratulating yielding cokes jewellery buffay yokohama brooch vascular ' +
+    'bitching airlift bistro canons bijou subcommittee bewitched repression ' +
+    'benevolent strengths bends graded bearings outspoken barren fused aptitude ' +
+    'pembroke amish filmography amazes redundant abomination fatigue worldly ' +
+    'repeal whispers threads whadda reissue wayward pennant wailing edible ' +
+    'vanishing vapor upscale corrections untouchable stimuli unspoken ' +
+    'commemoration uncontrollable dictator unavoidable anand unattended ' +
+    'secession trite amassed transvestite orchards toupee pontifical timid ' +
+    'experimentation timers greeted terrorizing bangor swana forwards stumped ' +
+    'decomposition strolling quran storybook trolley storming chesterfield ' +
+    'stomachs traverse stoked sermons stationery burials springtime skier ' +
+    'spontaneity climbs spits consultants spins petitioned soaps reproduce ' +
+    'sentiments parted scramble illuminated scone kurdistan rooftops reigned ' +
+    'retract occupants reflexes packaged rawdon geometridae ragged woven quirky ' +
+    'regulating quantico protagonists psychologically crafted prodigal affluent ' +
+    'pounce clergyman potty consoles pleasantries migrant pints supremacy ' +
+    'petting attackers perceive caliph onstage defect notwithstanding convection ' +
+    'nibble rallies newmans huron neutralize resin mutilated segunda ' +
+    'millionaires quota mayflower warship masquerade overseen mangy criticizing ' +
+    'macreedy shrines lunatics glamorgan lovable lowering locating beaux limping ' +
+    'hampered lasagna invasions kwang conductors keepers collects juvie ' +
+    'bluegrass jaded surrounds ironing substrates intuitive perpetual intensely ' +
+    'chronology insure pulmonary incantation executions hysteria crimea ' +
+    'hypnotize compiling humping noctuidae happenin battled griet tumors ' +
+    'grasping minsk glorified novgorod ganging serviced yeast focker computation ' +
+    'flunking swamps flimsy theodor flaunting baronetcy fixated salford ' +
+    'fitzwallace uruguayan fainting shortages eyebrow odisha exonerated siberian ' +
+    'ether novelty electrician cinematic egotistical invitational earthly decks ' +
+    'dusted dowager dignify oppression detonation bandits debrief appellate ' +
+    'dazzling clade damnedest palaces daisies signalling crushes galaxies ' +
+    'crucify industrialist contraband tensor confronting learnt collapsing ' +
+    'incurred cocked magistrates clicks binds cliche orbits circled ciudad ' +
+    'chandelier willingness carburetor peninsular callers basins broads ' +
+    'biomedical breathes shafts bloodshed marlborough blindsided bournemouth ' +
+    'blabbing withstand bialystock fitzroy bashing dunedin ballerina variance ' +
+    'aviva steamship arteries integrating anomaly muscular airstrip fines ' +
+    'agonizing akron adjourn bulbophyllum aaaaa malmo yearning disclosed wrecker ' +
+    'cornerstone witnessing runways whence medicines warhead unsure gettysburg ' +
+    'unheard progresses unfreeze frigates unfold bodied unbalanced ' +
+    'transformations ugliest transforms troublemaker helens toddler modelled ' +
+    'tiptoe versatile threesome regulator thirties pursuits thermostat ' +
+    'legitimacy swipe amplifier surgically scriptures subtlety voyages stung ' +
+    'examines stumbling presenters stubs octagonal stride poultry strangling ' +
+    'sprayed anatolia socket computed smuggled migrate showering directorial ' +
+    'shhhhh hybrids sabotaging localized rumson preferring rounding guggenheim ' +
+    'risotto persisted repairman grassroots rehearsed inflammation ratty fishery ' +
+    'ragging otago radiology vigorous racquetball professions racking ' +
+    'instructional quieter inexpensive quicksand insurgency prowl legislators ' +
+    'prompt sequels premeditated surnames prematurely agrarian prancing ' +
+    'stainless porcupine nairobi plated minas pinocchio forerunner peeked ' +
+    'aristocracy peddle transitions panting sicilian overweight showcased ' +
+    'overrun doses outing hiroshima outgrown summarized obsess gearbox nursed ' +
+    'emancipation nodding limitation negativity nuclei negatives seismic ' +
+    'musketeers abandonment mugger dominating motorcade appropriations merrily ' +
+    'occupations matured electrification masquerading hilly marvellous ' +
+    'contracting maniacs exaggerated lovey entertainer louse kazan linger oricon ' +
+    'lilies cartridges lawful characterization kudos parcel knuckle maharaja ' +
+    'juices exceeds judgments aspiring itches obituary intolerable flattened ' +
+    'intermission contrasted inept narration incarceration replies implication ' +
+    'oblique imaginative outpost huckleberry fronts holster arranger heartburn ' +
+    'talmud gunna keynes groomed doctrines graciously endured fulfillment ' +
+    'confesses fugitives fortification forsaking supervisors forgives kilometer ' +
+    'foreseeable academie flavors jammu flares bathurst fixation piracy fickle ' +
+    'prostitutes fantasize navarre famished cumulative fades cruises expiration ' +
+    'lifeboat exclamation twinned erasing radicals eiffel interacting eerie ' +
+    'expenditures earful wexford duped libre dulles futsal dissing curated ' +
+    'dissect clockwise dispenser colloquially dilated procurement detergent ' +
+    'immaculate desdemona lyricist debriefing enhancement damper porcelain ' +
+    'curing alzheimer crispina highlighting crackpot judah courting ' +
+    'disagreements cordial storytelling conflicted sheltered comprehension ' +
+    'wroclaw commie vaudeville cleanup contrasts chiropractor neoclassical ' +
+    'charmer compares chariot contrasting cauldron deciduous catatonic francaise ' +
+    'bullied descriptive buckets cyclic brilliantly reactive breathed ' +
+    'antiquities booths meiji boardroom repeats blowout creditors blindness ' +
+    'forcibly blazing newmarket biologically picturesque bibles impending biased ' +
+    'uneven beseech bison barbaric raceway balraj solvent audacity ecumenical ' +
+    'anticipating optic alcoholics professorship airhead harvested agendas ' +
+    'waterway admittedly banjo absolution pharaoh youre geologist yippee ' +
+    'scanning wittlesey dissent withheld recycled willful unmanned whammy ' +
+    'retreating weakest gospels washes aqueduct virtuous branched videotapes ' +
+    'tallinn vials groundbreaking unplugged syllables unpacked hangar unfairly ' +
+    'designations turbulence procedural tumbling craters tricking cabins ' +
+    'tremendously encryption traitors anthropologist torches montevideo tinga ' +
+    'outgoing thyroid inverness teased chattanooga tawdry fascism taker calais ' +
+    'sympathies chapels swiped groundwater sundaes downfall suave misleading ' +
+    'strut robotic stepdad tortricidae spewing pixel spasm handel socialize ' +
+    'prohibit slither crewe simulator renaming shutters reprised shrewd kickoff ' +
+    'shocks leftist semantics spaced schizophrenic integers scans causeway ' +
+    'savages pines authorship runny organise ruckus ptolemy royally ' +
+    'accessibility roadblocks virtues rewriting lesions revoke iroquois repent ' +
+    'redecorate atheist recovers synthesized recourse biennial ratched ' +
+    'confederates ramali dietary racquet skaters quince stresses quiche tariff ' +
+    'puppeteer koreans puking intercity puffed republics problemo quintet ' +
+    'praises baroness pouch naive postcards amplitude pooped insistence poised ' +
+    'tbilisi piled residues phoney grammatical phobia diversified patching ' +
+    'egyptians parenthood accompaniment pardner vibration oozing repository ' +
+    'ohhhhh mandal numbing topological nostril distinctions nosey coherent ' +
+    'neatly invariant nappa batters nameless nuevo mortuary internationals ' +
+    'moronic implements modesty follower midwife bahia mcclane widened matuka ' +
+    'independents maitre cantonese lumps totaled lucid guadalajara loosened ' +
+    'wolverines loins befriended lawnmower muzzle lamotta surveying kroehner ' +
+    'hungarians jinxy medici jessep deportation jamming rayon jailhouse approx ' +
+    'jacking recounts intruders attends inhuman clerical infatuated hellenic ' +
+    'indigestion furnished implore alleging implanted soluble hormonal systemic ' +
+    'hoboken gallantry hillbilly bolshevik heartwarming intervened headway ' +
+    'hostel hatched gunpowder hartmans specialising harping stimulate grapevine ' +
+    'leiden gnome removes forties thematic flyin floral flirted bafta fingernail ' +
+    'printers exhilarating conglomerate enjoyment eroded embark analytic dumper ' +
+    'successively dubious lehigh drell thessaloniki docking kilda disillusioned ' +
+    'clauses dishonor ascended disbarred nehru dicey scripted custodial tokugawa ' +
+    'counterproductive competence corned diplomats cords exclude contemplate ' +
+    'consecration concur freedoms conceivable assaults cobblepot revisions ' +
+    'chickened blacksmith checkout textual carpe sparse concacaf campers slain ' +
+    'buyin uploaded bullies enraged braid whaling boxed guise bouncy stadiums ' +
+    'blueberries debuting blubbering dormitory bloodstream cardiovascular bigamy ' +
+    'yunnan beeped dioceses bearable consultancy autographs notions alarming ' +
+    'lordship wretch archdeacon wimps collided widower medial whirlwind ' +
+    'airfields whirl garment warms wrestled vandelay adriatic unveiling reversal ' +
+    'undoing refueling unbecoming verification turnaround jakob touche horseshoe ' +
+    'togetherness intricate tickles veracruz ticker teensy taunt sweethearts ' +
+    'stitched standpoint staffers spotless soothe smothered sickening shouted ' +
+    'shepherds shawl seriousness schooled schoolboy roped reminders raggedy ' +
+    'preemptive plucked pheromones particulars pardoned overpriced overbearing ' +
+    'outrun ohmigod nosing nicked neanderthal mosquitoes mortified milky messin ' +
+    'mecha markinson marivellas mannequin manderley madder macready lookie ' +
+    'locusts lifetimes lanna lakhi kholi impersonate hyperdrive horrid hopin ' +
+    'hogging hearsay harpy harboring hairdo hafta grasshopper gobble gatehouse ' +
+    'foosball floozy fished firewood finalize felons euphemism entourage elitist ' +
+    'elegance drokken drier dredge dossier diseased diarrhea diagnose despised ' +
+    'defuse contesting conserve conscientious conjured collars clogs chenille ' +
+    'chatty chamomile casing calculator brittle breached blurted birthing ' +
+    'bikinis astounding assaulting aroma appliance antsy amnio alienating ' +
+    'aliases adolescence xerox wrongs workload willona whistling werewolves ' +
+    'wallaby unwelcome unseemly unplug undermining ugliness tyranny tuesdays ' +
+    'trumpets transference ticks tangible tagging swallowing superheroes studs ' +
+    'strep stowed stomping steffy sprain spouting sponsoring sneezing smeared ' +
+    'slink shakin sewed seatbelt scariest scammed sanctimonious roasting rightly ' +
+    'retinal rethinking resented reruns remover racks purest progressing ' +
+    'presidente preeclampsia postponement portals poppa pliers pinning pelvic ' +
+    'pampered padding overjoyed ooooo octavius nonono nicknames neurosurgeon ' +
+    'narrows misled mislead mishap milltown milking meticulous mediocrity ' +
+    'meatballs machete lurch layin knockin khruschev jurors jumpin jugular ' +
+    'jeweler intellectually inquiries indulging indestructible indebted imitate ' +
+    'ignores hyperventilating hyenas hurrying hermano hellish heheh harshly ' +
+    'handout grunemann glances giveaway getup gerome furthest frosting frail ' +
+    'forwarded forceful flavored flammable flaky fingered fatherly ethic ' +
+    'embezzlement duffel dotted distressed disobey disappearances dinky diminish ' +
+    'diaphragm deuces creme courteous comforts coerced clots clarification ' +
+    'chunks chickie chases chaperoning cartons caper calves caged bustin bulging ' +
+    'bringin boomhauer blowin blindfolded biscotti ballplayer bagging auster ' +
+    'assurances aschen arraigned anonymity alters albatross agreeable adoring ' +
+    'abduct wolfi weirded watchers washroom warheads vincennes urgency ' +
+    'understandably uncomplicated uhhhh twitching treadmill thermos tenorman ' +
+    'tangle talkative swarm surrendering summoning strive stilts stickers ' +
+    'squashed spraying sparring soaring snort sneezed slaps skanky singin sidle ' +
+    'shreck shortness shorthand sharper shamed sadist rydell rusik roulette ' +
+    'resumes respiration recount reacts purgatory princesses presentable ' +
+    'ponytail plotted pinot pigtails phillippe peddling paroled orbed offends ' +
+    'moonlit minefield metaphors malignant mainframe magicks maggots maclaine ' +
+    'loathing leper leaps leaping lashed larch larceny lapses ladyship juncture ' +
+    'jiffy jakov invoke infantile inadmissible horoscope hinting hideaway ' +
+    'hesitating heddy heckles hairline gripe gratifying governess goebbels ' +
+    'freddo foresee fascination exemplary executioner etcetera escorts endearing ' +
+    'eaters earplugs draped disrupting disagrees dimes devastate detain ' +
+    'depositions delicacy darklighter cynicism cyanide cutters cronus ' +
+    'continuance conquering confiding compartments combing cofell clingy cleanse ' +
+    'christmases cheered cheekbones buttle burdened bruenell broomstick brained ' +
+    'bozos bontecou bluntman blazes blameless bizarro bellboy beaucoup barkeep ' +
+    'awaken astray assailant appease aphrodisiac alleys yesss wrecks woodpecker ' +
+    'wondrous wimpy willpower wheeling weepy waxing waive videotaped veritable ' +
+    'untouched unlisted unfounded unforeseen twinge triggers traipsing toxin ' +
+    'tombstone thumping therein testicles telephones tarmac talby tackled ' +
+    'swirling suicides suckered subtitles sturdy strangler stockbroker stitching ' +
+    'steered standup squeal sprinkler spontaneously splendor spiking spender ' +
+    'snipe snagged skimming siddown showroom shovels shotguns shoelaces shitload ' +
+    'shellfish sharpest shadowy seizing scrounge scapegoat sayonara saddled ' +
+    'rummaging roomful renounce reconsidered recharge realistically radioed ' +
+    'quirks quadrant punctual practising pours poolhouse poltergeist pocketbook ' +
+    'plainly picnics pesto pawing passageway partied oneself numero nostalgia ' +
+    'nitwit neuro mixer meanest mcbeal matinee margate marce manipulations ' +
+    'manhunt manger magicians loafers litvack lightheaded lifeguard lawns ' +
+    'laughingstock ingested indignation inconceivable imposition impersonal ' +
+    'imbecile huddled housewarming horizons homicides hiccups hearse hardened ' +
+    'gushing gushie greased goddamit freelancer forging fondue flustered flung ' +
+    'flinch flicker fixin festivus fertilizer farted faggots exonerate evict ' +
+    'enormously encrypted emdash embracing duress dupres dowser doormat ' +
+    'disfigured disciplined dibbs depository deathbed dazzled cuttin cures ' +
+    'crowding crepe crammed copycat contradict confidant condemning conceited ' +
+    'commute comatose clapping circumference chuppah chore choksondik chestnuts ' +
+    'briault bottomless bonnet blokes berluti beret beggars bankroll bania athos ' +
+    'arsenic apperantly ahhhhhh afloat accents zipped zeros zeroes zamir yuppie ' +
+    'youngsters yorkers wisest wipes wield weirdos wednesdays vicksburg upchuck ' +
+    'untraceable unsupervised unpleasantness unhook unconscionable uncalled ' +
+    'trappings tragedies townie thurgood thine tetanus terrorize temptations ' +
+    'tanning tampons swarming straitjacket steroid startling starry squander ' +
+    'speculating sollozzo sneaked slugs skedaddle sinker silky shortcomings ' +
+    'sellin seasoned scrubbed screwup scrapes scarves sandbox salesmen rooming ' +
+    'romances revere reproach reprieve rearranging ravine rationalize raffle ' +
+    'punchy psychobabble provocation profoundly prescriptions preferable ' +
+    'polishing poached pledges pirelli perverts oversized overdressed outdid ' +
+    'nuptials nefarious mouthpiece motels mopping mongrel missin metaphorically ' +
+    'mertin memos melodrama melancholy measles meaner mantel maneuvering ' +
+    'mailroom luring listenin lifeless licks levon legwork kneecaps kippur ' +
+    'kiddie kaput justifiable insistent insidious innuendo innit indecent ' +
+    'imaginable horseshit hemorrhoid hella healthiest haywire hamsters hairbrush ' +
+    'grouchy grisly gratuitous glutton glimmer gibberish ghastly gentler ' +
+    'generously geeky fuhrer fronting foolin faxes faceless extinguisher expel ' +
+    'etched endangering ducked dodgeball dives dislocated discrepancy devour ' +
+    'derail dementia daycare cynic crumbling cowardice covet cornwallis ' +
+    'corkscrew cookbook commandments coincidental cobwebs clouded clogging ' +
+    'clicking clasp chopsticks chefs chaps cashing carat calmer brazen ' +
+    'brainwashing bradys bowing boned bloodsucking bleachers bleached bedpan ' +
+    'bearded barrenger bachelors awwww assures assigning asparagus apprehend ' +
+    'anecdote amoral aggravation afoot acquaintances accommodating yakking ' +
+    'worshipping wladek willya willies wigged whoosh whisked watered warpath ' +
+    'volts violates valuables uphill unwise untimely unsavory unresponsive ' +
+    'unpunished unexplained tubby trolling toxicology tormented toothache tingly ' +
+    'timmiihh thursdays thoreau terrifies temperamental telegrams talkie takers ' +
+    'symbiote swirl suffocate stupider strapping steckler springing someway ' +
+    'sleepyhead sledgehammer slant slams showgirl shoveling shmoopy sharkbait ' +
+    'scrambling schematics sandeman sabbatical rummy reykjavik revert responsive ' +
+    'rescheduled requisition relinquish rejoice reckoning recant rebadow ' +
+    'reassurance rattlesnake ramble primed pricey prance pothole pocus persist ' +
+    'perpetrated pekar peeling pastime parmesan pacemaker overdrive ominous ' +
+    'observant nothings noooooo nonexistent nodded nieces neglecting nauseating ' +
+    'mutated musket mumbling mowing mouthful mooseport monologue mistrust meetin ' +
+    'masseuse mantini mailer madre lowlifes locksmith livid liven limos ' +
+    'liberating lhasa leniency leering laughable lashes lasagne laceration ' +
+    'korben katan kalen jittery jammies irreplaceable intubate intolerant ' +
+    'inhaler inhaled indifferent indifference impound impolite humbly heroics ' +
+    'heigh guillotine guesthouse grounding grips gossiping goatee gnomes gellar ' +
+    'frutt frobisher freudian foolishness flagged femme fatso fatherhood ' +
+    'fantasized fairest faintest eyelids extravagant extraterrestrial ' +
+    'extraordinarily escalator elevate drivel dissed dismal disarray dinnertime ' +
+    'devastation dermatologist delicately defrost debutante debacle damone ' +
+    'dainty cuvee culpa crucified creeped crayons courtship convene ' +
+    'congresswoman concocted compromises comprende comma coleslaw clothed ' +
+    'clinically chickenshit checkin cesspool caskets calzone brothel boomerang ' +
+    'bodega blasphemy bitsy bicentennial berlini beatin beards barbas barbarians ' +
+    'backpacking arrhythmia arousing arbitrator antagonize angling anesthetic ' +
+    'altercation aggressor adversity acathla aaahhh wreaking workup wonderin ' +
+    'wither wielding waxed vibrating veterinarian venting vasey valor validate ' +
+    'upholstery untied unscathed uninterrupted unforgiving undies uncut twinkies ' +
+    'tucking treatable treasured tranquility townspeople torso tomei tipsy ' +
+    'tinsel tidings thirtieth tantrums tamper talky swayed swapping suitor ' +
+    'stylist stirs standoff sprinklers sparkly snobby snatcher smoother sleepin ' +
+    'shrug shoebox sheesh shackles setbacks sedatives screeching scorched ' +
+    'scanned satyr roadblock riverbank ridiculed resentful repellent recreate ' +
+    'reconvene rebuttal realmedia quizzes questionnaire punctured pucker prolong ' +
+    'professionalism pleasantly pigsty penniless paychecks patiently parading ' +
+    'overactive ovaries orderlies oracles oiled offending nudie neonatal ' +
+    'neighborly moops moonlighting mobilize mmmmmm milkshake menial meats mayan ' +
+    'maxed mangled magua lunacy luckier liters lansbury kooky knowin jeopardized ' +
+    'inkling inhalation inflated infecting incense inbound impractical ' +
+    'impenetrable idealistic hypocrites hurtin humbled hologram hokey hocus ' +
+    'hitchhiking hemorrhoids headhunter hassled harts hardworking haircuts ' +
+    'hacksaw genitals gazillion gammy gamesphere fugue footwear folly ' +
+    'flashlights fives filet extenuating estrogen entails embezzled eloquent ' +
+    'egomaniac ducts drowsy drones doree donovon disguises diggin deserting ' +
+    'depriving defying deductible decorum decked daylights daybreak dashboard ' +
+    'damnation cuddling crunching crickets crazies councilman coughed conundrum ' +
+    'complimented cohaagen clutching clued clader cheques checkpoint chats ' +
+    'channeling ceases carasco capisce cantaloupe cancelling campsite burglars ' +
+    'breakfasts blueprint bleedin blabbed beneficiary basing avert atone arlyn ' +
+    'approves apothecary antiseptic aleikuum advisement zadir wobbly withnail ' +
+    'whattaya whacking wedged wanders vaginal unimaginable undeniable ' +
+    'unconditionally uncharted unbridled tweezers tvmegasite trumped triumphant ' +
+    'trimming treading tranquilizers toontown thunk suture suppressing strays ' +
+    'stonewall stogie stepdaughter stace squint spouses splashed speakin sounder ' +
+    'sorrier sorrel sombrero solemnly softened snobs snippy snare smoothing ' +
+    'slump slimeball slaving silently shiller shakedown sensations scrying ' +
+    'scrumptious screamin saucy santoses roundup roughed rosary robechaux ' +
+    'retrospect rescind reprehensible repel remodeling reconsidering reciprocate ' +
+    'railroaded psychics promos pristine printout priestess prenuptial precedes ' +
+    'pouty phoning peppy pariah parched panes overloaded overdoing nymphs nother ' +
+    'notebooks nearing nearer monstrosity milady mieke mephesto medicated ' +
+    'marshals manilow mammogram lotsa loopy lesion lenient learner laszlo kross ' +
+    'kinks jinxed involuntary insubordination ingrate inflatable incarnate inane ' +
+    'hypoglycemia huntin humongous hoodlum honking hemorrhage helpin hathor ' +
+    'hatching grotto grandmama gorillas godless girlish ghouls gershwin frosted ' +
+    'flutter flagpole fetching fatter faithfully exert evasion escalate enticing ' +
+    'enchantress elopement drills downtime downloading dorks doorways divulge ' +
+    'dissociative disgraceful disconcerting deteriorate destinies depressive ' +
+    'dented denim decruz decidedly deactivate daydreams curls culprit cruelest ' +
+    'crippling cranberries corvis copped commend coastguard cloning cirque ' +
+    'churning chock chivalry catalogues cartwheels carols canister buttered ' +
+    'bundt buljanoff bubbling brokers broaden brimstone brainless bores ' +
+    'badmouthing autopilot ascertain aorta ampata allenby accosted absolve ' +
+    'aborted aaagh aaaaaah yonder yellin wyndham wrongdoing woodsboro wigging ' +
+    'wasteland warranty waltzed walnuts vividly veggie unnecessarily unloaded ' +
+    'unicorns understated unclean umbrellas twirling turpentine tupperware ' +
+    'triage treehouse tidbit tickled threes thousandth thingie terminally ' +
+    'teething tassel talkies swoon switchboard swerved suspiciously ' +
+    'subsequentlyne subscribe strudel stroking strictest stensland starin ' +
+    'stannart squirming squealing sorely softie snookums sniveling smidge sloth ' +
+    'skulking simian sightseeing siamese shudder shoppers sharpen shannen semtex ' +
+    'secondhand seance scowl scorn safekeeping russe rummage roshman roomies ' +
+    'roaches rinds retrace retires resuscitate rerun reputations rekall ' +
+    'refreshment reenactment recluse ravioli raves raking purses punishable ' +
+    'punchline puked prosky previews poughkeepsie poppins polluted placenta ' +
+    'pissy petulant perseverance pears pawns pastries partake panky palate ' +
+    'overzealous orchids obstructing objectively obituaries obedient nothingness ' +
+    'musty motherly mooning momentous mistaking minutemen milos microchip meself ' +
+    'merciless menelaus mazel masturbate mahogany lysistrata lillienfield ' +
+    'likable liberate leveled letdown larynx lardass lainey lagged klorel ' +
+    'kidnappings keyed karmic jeebies irate invulnerable intrusive insemination ' +
+    'inquire injecting informative informants impure impasse imbalance ' +
+    'illiterate hurled hunts hematoma headstrong handmade handiwork growling ' +
+    'gorky getcha gesundheit gazing galley foolishly fondness floris ferocious ' +
+    'feathered fateful fancies fakes faker expire essentials eskimos ' +
+    'enlightening enchilada emissary embolism elsinore ecklie drenched drazi ' +
+    'doped dogging doable dislikes dishonesty disengage discouraging derailed ' +
+    'deformed deflect defer deactivated crips constellations congressmen ' +
+    'complimenting clubbing clawing chromium chimes chews cheatin chaste ' +
+    'cellblock caving catered catacombs calamari bucking brulee brits brisk ' +
+    'breezes bounces boudoir binks bellied behrani behaves bedding balmy ' +
+    'badmouth backers avenging aromatherapy armpit armoire anythin anonymously ' +
+    'anniversaries aftershave affliction adrift admissible adieu acquittal yucky ' +
+    'yearn whitter whirlpool wendigo watchdog wannabes wakey vomited voicemail ' +
+    'valedictorian uttered unwed unrequited unnoticed unnerving unkind unjust ' +
+    'uniformed unconfirmed unadulterated unaccounted uglier turnoff trampled ' +
+    'tramell toads timbuktu throwback thimble tasteless tarantula tamale ' +
+    'takeovers swish supposing streaking stargher stanzi stabs squeamish ' +
+    'splattered spiritually spilt speciality smacking skywire skips skaara ' +
+    'simpatico shredding showin shortcuts shite shielding shamelessly serafine ' +
+    'sentimentality seasick schemer scandalous sainted riedenschneider rhyming ' +
+    'revel retractor retards resurrect remiss reminiscing remanded reiben ' +
+    'regains refuel refresher redoing redheaded reassured rearranged rapport ' +
+    'qumar prowling prejudices precarious powwow pondering plunger plunged ' +
+    'pleasantville playpen phlegm perfected pancreas paley ovary outbursts ' +
+    'oppressed ooohhh omoroca offed nurture nursemaid nosebleed necktie ' +
+    'muttering munchies mucking mogul mitosis misdemeanor miscarried millionth ' +
+    'migraines midler manicurist mandelbaum manageable malfunctioned magnanimous ' +
+    'loudmouth longed lifestyles liddy lickety leprechauns komako klute kennel ' +
+    'justifying irreversible inventing intergalactic insinuate inquiring ' +
+    'ingenuity inconclusive incessant improv impersonation hyena humperdinck ' +
+    'hubba housework hoffa hither hissy hippy hijacked heparin hellooo hearth ' +
+    'hassles hairstyle hahahaha hadda gutted gulls gritty grievous graft ' +
+    'gossamer gooder gambled gadgets fundamentals frustrations frolicking frock ' +
+    'frilly foreseen footloose fondly flirtation flinched flatten farthest ' +
+    'exposer evading escrow empathize embryos embodiment ellsberg ebola dulcinea ' +
+    'dreamin drawbacks doting doose doofy disturbs disorderly disgusts detox ' +
+    'denominator demeanor deliriously decode debauchery croissant cravings ' +
+    'cranked coworkers councilor confuses confiscate confines conduit compress ' +
+    'combed clouding clamps cinch chinnery celebratory catalogs carpenters ' +
+    'carnal canin bundys bulldozer buggers bueller brainy booming bookstores ' +
+    'bloodbath bittersweet bellhop beeping beanstalk beady baudelaire bartenders ' +
+    'bargains averted armadillo appreciating appraised antlers aloof allowances ' +
+    'alleyway affleck abject zilch youore xanax wrenching wouldn witted wicca ' +
+    'whorehouse whooo whips vouchers victimized vicodin untested unsolicited ' +
+    'unfocused unfettered unfeeling unexplainable understaffed underbelly ' +
+    'tutorial tryst trampoline towering tirade thieving thang swimmin swayzak ' +
+    'suspecting superstitions stubbornness streamers strattman stonewalling ' +
+    'stiffs stacking spout splice sonrisa smarmy slows slicing sisterly shrill ' +
+    'shined seeming sedley seatbelts scour scold schoolyard scarring salieri ' +
+    'rustling roxbury rewire revved retriever reputable remodel reins ' +
+    'reincarnation rance rafters rackets quail pumbaa proclaim probing privates ' +
+    'pried prewedding premeditation posturing posterity pleasurable pizzeria ' +
+    'pimps penmanship penchant pelvis overturn overstepped overcoat ovens ' +
+    'outsmart outed ooohh oncologist omission offhand odour nyazian notarized ' +
+    'nightie navel nabbed mystique mover mortician morose moratorium mockingbird ' +
+    'mobsters mingling methinks messengered merde masochist martouf martians ' +
+    'marinara manray majorly magnifying mackerel lurid lugging lonnegan ' +
+    'loathsome llantano liberace leprosy latinos lanterns lamest laferette kraut ' +
+    'intestine innocencia inhibitions ineffectual indisposed incurable ' +
+    'inconvenienced inanimate improbable implode hydrant hustling hustled huevos ' +
+    'hooey hoods honcho hinge hijack heimlich hamunaptra haladki haiku haggle ' +
+    'gutsy grunting grueling gribbs greevy grandstanding godparents glows ' +
+    'glistening gimmick gaping fraiser formalities foreigner folders foggy fitty ' +
+    'fiends favours eyeing extort expedite escalating epinephrine entitles ' +
+    'entice eminence eights earthlings eagerly dunville dugout doublemeat doling ' +
+    'dispensing dispatcher discoloration diners diddly dictates diazepam ' +
+    'derogatory delights defies decoder dealio danson cutthroat crumbles ' +
+    'croissants crematorium craftsmanship cordless cools conked confine ' +
+    'concealing complicates communique cockamamie coasters clobbered clipping ' +
+    'clipboard clemenza cleanser circumcision chanukah certainaly cellmate ' +
+    'cancels cadmium buzzed bumstead bucko browsing broth braver boggling ' +
+    'bobbing blurred birkhead benet belvedere bellies begrudge beckworth banky ' +
+    'baldness baggy babysitters aversion astonished assorted appetites angina ' +
+    'amiss ambulances alibis airway admires adhesive yoyou xxxxxx wreaked ' +
+    'wracking woooo wooing wised wilshire wedgie waging violets vincey uplifting ' +
+    'untrustworthy unmitigated uneventful undressing underprivileged unburden ' +
+    'umbilical tweaking turquoise treachery tosses torching toothpick toasts ' +
+    'thickens tereza tenacious teldar taint swill sweatin subtly subdural streep ' +
+    'stopwatch stockholder stillwater stalkers squished squeegee splinters ' +
+    'spliced splat spied spackle sophistication snapshots smite sluggish ' +
+    'slithered skeeters sidewalks sickly shrugs shrubbery shrieking shitless ' +
+    'settin sentinels selfishly scarcely sangria sanctum sahjhan rustle roving ' +
+    'rousing rosomorf riddled responsibly renoir remoray remedial refundable ' +
+    'redirect recheck ravenwood rationalizing ramus ramelle quivering pyjamas ' +
+    'psychos provocations prouder protestors prodded proctologist primordial ' +
+    'pricks prickly precedents pentangeli pathetically parka parakeet panicky ' +
+    'overthruster outsmarted orthopedic oncoming offing nutritious nuthouse ' +
+    'nourishment nibbling newlywed narcissist mutilation mundane mummies mumble ' +
+    'mowed morvern mortem mopes molasses misplace miscommunication miney midlife ' +
+    'menacing memorizing massaging masking magnets luxuries lounging lothario ' +
+    'liposuction lidocaine libbets levitate leeway launcelot larek lackeys ' +
+    'kumbaya kryptonite knapsack keyhole katarangura juiced jakey ironclad ' +
+    'invoice intertwined interlude interferes injure infernal indeedy incur ' +
+    'incorrigible incantations impediment igloo hysterectomy hounded hollering ' +
+    'hindsight heebie havesham hasenfuss hankering hangers hakuna gutless gusto ' +
+    'grubbing grrrr grazed gratification grandeur gorak godammit gnawing glanced ' +
+    'frostbite frees frazzled fraulein fraternizing fortuneteller formaldehyde ' +
+    'followup foggiest flunky flickering firecrackers figger fetuses fates ' +
+    'eyeliner extremities extradited expires exceedingly evaporate erupt ' +
+    'epileptic entrails emporium egregious eggshells easing duwayne droll ' +
+    'dreyfuss dovey doubly doozy donkeys donde distrust distressing disintegrate ' +
+    'discreetly decapitated dealin deader dashed darkroom dares daddies dabble ' +
+    'cushy cupcakes cuffed croupier croak crapped coursing coolers contaminate ' +
+    'consummated construed condos concoction compulsion commish coercion ' +
+    'clemency clairvoyant circulate chesterton checkered charlatan chaperones ' +
+    'categorically cataracts carano capsules capitalize burdon bullshitting ' +
+    'brewed breathless breasted brainstorming bossing borealis bonsoir bobka ' +
+    'boast blimp bleep bleeder blackouts bisque billboards beatings bayberry ' +
+    'bashed bamboozled balding baklava baffled backfires babak awkwardness ' +
+    'attest attachments apologizes anyhoo antiquated alcante advisable aahhh ' +
+    'aaahh zatarc yearbooks wuddya wringing womanhood witless winging whatsa ' +
+    'wetting waterproof wastin vogelman vocation vindicated vigilance ' +
+    'vicariously venza vacuuming utensils uplink unveil unloved unloading ' +
+    'uninhibited unattached tweaked turnips trinkets toughen toting topside ' +
+    'terrors terrify technologically tarnish tagliati szpilman surly supple ' +
+    'summation suckin stepmom squeaking splashmore souffle solitaire ' +
+    'solicitation solarium smokers slugged slobbering skylight skimpy sinuses ' +
+    'silenced sideburns shrinkage shoddy shhhhhh shelled shareef shangri seuss ' +
+    'serenade scuffle scoff scanners sauerkraut sardines sarcophagus salvy ' +
+    'rusted russells rowboat rolfsky ringside respectability reparations ' +
+    'renegotiate reminisce reimburse regimen raincoat quibble puzzled ' +
+    'purposefully pubic proofing prescribing prelim poisons poaching ' +
+    'personalized personable peroxide pentonville payphone payoffs paleontology ' +
+    'overflowing oompa oddest objecting notches nightstand neutralized ' +
+    'nervousness nerdy needlessly naquadah nappy nantucket nambla mountaineer ' +
+    'motherfuckin morrie monopolizing mohel mistreated misreading misbehave ' +
+    'miramax minivan milligram milkshakes metamorphosis medics mattresses ' +
+    'mathesar matchbook matata marys malucci magilla lymphoma lowers lordy ' +
+    'linens lindenmeyer limelight leapt laxative lather lapel lamppost laguardia ' +
+    'kindling kegger kawalsky juries jokin jesminder interning innermost injun ' +
+    'infallible industrious indulgence incinerator impossibility impart ' +
+    'illuminate iguanas hypnotic hyped hospitable hoses homemaker hirschmuller ' +
+    'helpers headset guardianship guapo grubby granola granddaddy goren goblet ' +
+    'gluttony globes giorno getter geritol gassed gaggle foxhole fouled foretold ' +
+    'floorboards flippers flaked fireflies feedings fashionably farragut ' +
+    'fallback facials exterminate excites evenin ethically ensue enema empath ' +
+    'eluded eloquently eject edema dumpling droppings dolled distasteful ' +
+    'disputing displeasure disdain deterrent dehydration defied decomposing ' +
+    'dawned dailies custodian crusts crucifix crowning crier crept craze crawls ' +
+    'couldn correcting corkmaster copperfield cooties contraption consumes ' +
+    'conspire consenting consented conquers congeniality complains communicator ' +
+    'commendable collide coladas colada clout clooney classifieds clammy ' +
+    'civility cirrhosis chink catskills carvers carpool carelessness cardio ' +
+    'carbs capades butabi busmalis burping burdens bunks buncha bulldozers ' +
+    'browse brockovich breakthroughs bravado boogety blossoms blooming ' +
+    'bloodsucker blight betterton betrayer belittle beeps bawling barts ' +
+    'bartending bankbooks babish atropine assertive armbrust anyanka annoyance ' +
+    'anemic anago airwaves aimlessly aaargh aaand yoghurt writhing workable ' +
+    'winking winded widen whooping whiter whatya wazoo voila virile vests ' +
+    'vestibule versed vanishes urkel uproot unwarranted unscheduled unparalleled ' +
+    'undergrad tweedle turtleneck turban trickery transponder toyed townhouse ' +
+    'thyself thunderstorm thinning thawed tether technicalities tarnished ' +
+    'taffeta tacked systolic swerve sweepstakes swabs suspenders superwoman ' +
+    'sunsets succulent subpoenas stumper stosh stomachache stewed steppin ' +
+    'stepatech stateside spicoli sparing soulless sonnets sockets snatching ' +
+    'smothering slush sloman slashing sitters simpleton sighs sidra sickens ' +
+    'shunned shrunken showbiz shopped shimmering shagging semblance segue ' +
+    'sedation scuzzlebutt scumbags screwin scoundrels scarsdale scabs saucers ' +
+    'saintly saddened runaways runaround rheya resenting rehashing rehabilitated ' +
+    'regrettable refreshed redial reconnecting ravenous raping rafting quandary ' +
+    'pylea putrid puffing psychopathic prunes probate prayin pomegranate ' +
+    'plummeting planing plagues pinata pithy perversion personals perched peeps ' +
+    'peckish pavarotti pajama packin pacifier overstepping okama obstetrician ' +
+    'nutso nuance normalcy nonnegotiable nomak ninny nines nicey newsflash ' +
+    'neutered nether negligee necrosis navigating narcissistic mylie muses ' +
+    'momento moisturizer moderation misinformed misconception minnifield mikkos ' +
+    'methodical mebbe meager maybes matchmaking masry markovic malakai luzhin ' +
+    'lusting lumberjack loopholes loaning lightening leotard launder lamaze ' +
+    'kubla kneeling kibosh jumpsuit joliet jogger janover jakovasaurs ' +
+    'irreparable innocently inigo infomercial inexplicable indispensable ' +
+    'impregnated impossibly imitating hunches hummus houmfort hothead hostiles ' +
+    'hooves hooligans homos homie hisself heyyy hesitant hangout handsomest ' +
+    'handouts hairless gwennie guzzling guinevere grungy goading glaring gavel ' +
+    'gardino gangrene fruitful friendlier freckle freakish forthright forearm ' +
+    'footnote flops fixer firecracker finito figgered fezzik fastened farfetched ' +
+    'fanciful familiarize faire fahrenheit extravaganza exploratory explanatory ' +
+    'everglades eunuch estas escapade erasers emptying embarassing dweeb dutiful ' +
+    'dumplings dries drafty dollhouse dismissing disgraced discrepancies ' +
+    'disbelief disagreeing digestion didnt deviled deviated demerol delectable ' +
+    'decaying decadent dears dateless cultivating cryto crumpled crumbled ' +
+    'cronies crease craves cozying corduroy congratulated confidante ' +
+    'compressions complicating compadre coerce classier chums chumash chivalrous ' +
+    'chinpoko charred chafing celibacy carted carryin carpeting carotid ' +
+    'cannibals candor butterscotch busts busier bullcrap buggin brookside ' +
+    'brodski brassiere brainwash brainiac botrelle bonbon boatload blimey ' +
+    'blaring blackness bipartisan bimbos bigamist biebe biding betrayals bestow ' +
+    'bellerophon bedpans bassinet basking barzini barnyard barfed backups ' +
+    'audited asinine asalaam arouse applejack annoys anchovies ampule alameida ' +
+    'aggravate adage accomplices yokel wringer witwer withdrawals windward ' +
+    'willfully whorfin whimsical whimpering weddin weathered warmest wanton ' +
+    'volant visceral vindication veggies urinate uproar unwritten unwrap unsung ' +
+    'unsubstantiated unspeakably unscrupulous unraveling unquote unqualified ' +
+    'unfulfilled undetectable underlined unattainable unappreciated ummmm ulcers ' +
+    'tylenol tweak turnin tuatha tropez trellis toppings tootin toodle tinkering ' +
+    'thrives thespis theatrics thatherton tempers tavington tartar tampon ' +
+    'swelled sutures sustenance sunflowers sublet stubbins strutting strewn ' +
+    'stowaway stoic sternin stabilizing spiraling spinster speedometer speakeasy ' +
+    'soooo soiled sneakin smithereens smelt smacks slaughterhouse slacks skids ' +
+    'sketching skateboards sizzling sixes sirree simplistic shouts shorted ' +
+    'shoelace sheeit shards shackled sequestered selmak seduces seclusion ' +
+    'seamstress seabeas scoops scooped scavenger satch rudeness romancing rioja ' +
+    'rifkin rieper revise reunions repugnant replicating repaid renewing relaxes ' +
+    'rekindle regrettably regenerate reels reciting reappear readin ratting ' +
+    'rapes rancher rammed rainstorm railroading queers punxsutawney punishes ' +
+    'pssst prudy proudest protectors procrastinating proactive priss postmortem ' +
+    'pompoms poise pickings perfectionist peretti pecking patrolman paralegal ' +
+    'paragraphs paparazzi pankot pampering overstep overpower outweigh ' +
+    'omnipotent odious nuwanda nurtured newsroom neeson needlepoint necklaces ' +
+    'neato muggers muffler mousy mourned mosey mopey mongolians moldy ' +
+    'misinterpret minibar microfilm mendola mended melissande masturbating ' +
+    'masbath manipulates maimed mailboxes magnetism lymph lunge lovelier ' +
+    'lefferts leezak ledgers larraby laloosh kundun kozinski knockoff kissin ' +
+    'kiosk kennedys kellman karlo kaleidoscope jeffy jaywalking instructing ' +
+    'infraction informer infarction impulsively impressing impersonated impeach ' +
+    'idiocy hyperbole hurray humped huhuh hsing hordes hoodlums honky hitchhiker ' +
+    'hideously heaving heathcliff headgear headboard hazing harem handprint ' +
+    'hairspray gutiurrez goosebumps gondola glitches gasping frolic freeways ' +
+    'frayed fortitude forgetful forefathers fonder foiled foaming flossing ' +
+    'flailing fitzgeralds firehouse finders fiftieth fellah fawning farquaad ' +
+    'faraway fancied extremists exorcist exhale ethros entrust ennui energized ' +
+    'encephalitis embezzling elster elixir electrolytes duplex dryers drexl ' +
+    'dredging drawback dobisch divorcee disrespected disprove disobeying ' +
+    'disinfectant dingy digress dieting dictating devoured devise detonators ' +
+    'desist deserter derriere deron deceptive debilitating deathwok daffodils ' +
+    'curtsy cursory cuppa cumin cronkite cremation credence cranking coverup ' +
+    'courted countin counselling cornball contentment consensual compost cluett ' +
+    'cleverly cleansed cleanliness chopec chomp chins chime cheswick chessler ' +
+    'cheapest chatted cauliflower catharsis catchin caress camcorder calorie ' +
+    'cackling bystanders buttoned buttering butted buries burgel buffoon brogna ' +
+    'bragged boutros bogeyman blurting blurb blowup bloodhound blissful ' +
+    'birthmark bigot bestest belted belligerent beggin befall beeswax beatnik ' +
+    'beaming barricade baggoli badness awoke artsy artful aroun armpits arming ' +
+    'annihilate anise angiogram anaesthetic amorous ambiance alligators ' +
+    'adoration admittance adama abydos zonked zhivago yorkin wrongfully writin ' +
+    'wrappers worrywart woops wonderfalls womanly wickedness whoopie ' +
+    'wholeheartedly whimper wheelchairs warranted wallop wading wacked virginal ' +
+    'vermouth vermeil verger ventriss veneer vampira utero ushers urgently ' +
+    'untoward unshakable unsettled unruly unlocks ungodly undue uncooperative ' +
+    'uncontrollably unbeatable twitchy tumbler truest triumphs triplicate ' +
+    'tribbey tortures tongaree tightening thorazine theres testifies teenaged ' +
+    'tearful taxing taldor syllabus swoops swingin suspending sunburn stuttering ' +
+    'stupor strides strategize strangulation stooped stipulation stingy stapled ' +
+    'squeaks squawking spoilsport splicing spiel spencers spasms spaniard ' +
+    'softener sodding soapbox smoldering smithbauer skittish sifting sickest ' +
+    'sicilians shuffling shrivel segretti seeping securely scurrying scrunch ' +
+    'scrote screwups schenkman sawing savin satine sapiens salvaging salmonella ' +
+    'sacrilege rumpus ruffle roughing rotted rondall ridding rickshaw rialto ' +
+    'rhinestone restrooms reroute requisite repress rednecks redeeming rayed ' +
+    'ravell raked raincheck raffi racked pushin profess prodding procure ' +
+    'presuming preppy prednisone potted posttraumatic poorhouse podiatrist ' +
+    'plowed pledging playroom plait placate pinback picketing photographing ' +
+    'pharoah petrak petal persecuting perchance pellets peeved peerless payable ' +
+    'pauses pathologist pagliacci overwrought overreaction overqualified ' +
+    'overheated outcasts otherworldly opinionated oodles oftentimes occured ' +
+    'obstinate nutritionist numbness nubile nooooooo nobodies nepotism ' +
+    'neanderthals mushu mucus mothering mothballs monogrammed molesting misspoke ' +
+    'misspelled misconstrued miscalculated minimums mince mildew mighta ' +
+    'middleman mementos mellowed mayol mauled massaged marmalade mardi makings ' +
+    'lundegaard lovingly loudest lotto loosing loompa looming longs loathes ' +
+    'littlest littering lifelike legalities laundered lapdog lacerations ' +
+    'kopalski knobs knitted kittridge kidnaps kerosene karras jungles jockeys ' +
+    'iranoff invoices invigorating insolence insincere insectopia inhumane ' +
+    'inhaling ingrates infestation individuality indeterminate incomprehensible ' +
+    'inadequacy impropriety importer imaginations illuminating ignite hysterics ' +
+    'hypodermic hyperventilate hyperactive humoring honeymooning honed hoist ' +
+    'hoarding hitching hiker hightail hemoglobin heinie growin grasped ' +
+    'grandparent granddaughters gouged goblins gleam glades gigantor geriatric ' +
+    'gatekeeper gargoyles gardenias garcon garbo gallows gabbing futon fulla ' +
+    'frightful freshener fortuitous forceps fogged fodder foamy flogging flaun ' +
+    'flared fireplaces feverish favell fattest fattening fallow extraordinaire ' +
+    'evacuating errant envied enchant enamored egocentric dussander dunwitty ' +
+    'dullest dropout dredged dorsia doornail donot dongs dogged dodgy ditty ' +
+    'dishonorable discriminating discontinue dings dilly dictation dialysis ' +
+    'delly delightfully daryll dandruff cruddy croquet cringe crimp credo ' +
+    'crackling courtside counteroffer counterfeiting corrupting copping conveyor ' +
+    'contusions contusion conspirator consoling connoisseur confetti composure ' +
+    'compel colic coddle cocksuckers coattails cloned claustrophobia clamoring ' +
+    'churn chugga chirping chasin chapped chalkboard centimeter caymans catheter ' +
+    'casings caprica capelli cannolis cannoli camogli camembert butchers ' +
+    'butchered busboys bureaucrats buckled bubbe brownstone bravely brackley ' +
+    'bouquets botox boozing boosters bodhi blunders blunder blockage biocyte ' +
+    'betrays bested beryllium beheading beggar begbie beamed bastille barstool ' +
+    'barricades barbecues barbecued bandwagon backfiring bacarra avenged ' +
+    'autopsies aunties associating artichoke arrowhead appendage apostrophe ' +
+    'antacid ansel annul amuses amped amicable amberg alluring adversaries ' +
+    'admirers adlai acupuncture abnormality aaaahhhh zooming zippity zipping ' +
+    'zeroed yuletide yoyodyne yengeese yeahhh wrinkly wracked withered winks ' +
+    'windmills whopping wendle weigart waterworks waterbed watchful wantin ' +
+    'wagging waaah vying ventricle varnish vacuumed unreachable unprovoked ' +
+    'unmistakable unfriendly unfolding underpaid uncuff unappealing unabomber ' +
+    'typhoid tuxedos tushie turds tumnus troubadour trinium treaters treads ' +
+    'transpired transgression tought thready thins thinners techs teary ' +
+    'tattaglia tassels tarzana tanking tablecloths synchronize symptomatic ' +
+    'sycophant swimmingly sweatshop surfboard superpowers sunroom sunblock ' +
+    'sugarplum stupidly strumpet strapless stooping stools stealthy stalks ' +
+    'stairmaster staffer sshhh squatting squatters spectacularly sorbet socked ' +
+    'sociable snubbed snorting sniffles snazzy snakebite smuggler smorgasbord ' +
+    'smooching slurping slouch slingshot slaved skimmed sisterhood silliest ' +
+    'sidarthur sheraton shebang sharpening shanghaied shakers sendoff scurvy ' +
+    'scoliosis scaredy scagnetti sawchuk saugus sasquatch sandbag saltines ' +
+    'roston rostle riveting ristle rifling revulsion reverently retrograde ' +
+    'restful resents reptilian reorganize renovating reiterate reinvent reinmar ' +
+    'reibers reechard recuse reconciling recognizance'
+).split(' ');
+
+// Export for use
+globalThis.COMMON_PASSWORDS = COMMON_PASSWORDS;
+globalThis.COMMON_WORDS = COMMON_WORDS;
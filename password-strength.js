@@ -0,0 +1,336 @@
+// 💪 Password Strength Module
+// Entropy estimate in the spirit of zxcvbn: the password is covered by the
+// cheapest combination of guessable pieces - common passwords, dictionary
+// words (with capitals and l33t swaps), keyboard runs, sequences, repeats,
+// separators and years - with anything left over priced as brute force over the
+// character classes in use. The result is roughly log2(guesses needed).
+//
+// Pieces are looked up after undoing l33t swaps, trying both readings of
+// ambiguous ones (1 as i or l), and a word with one letter added, dropped or
+// changed still counts as that word, so Tr0ub4dor or L1verp00l are priced
+// like troubadour and liverpool rather than as random characters.
+//
+// Also generates diceware passphrases from DICEWARE_WORDS
+// (diceware-wordlist.js), which must be loaded first for both the
+// generator and dictionary-word detection. The ranked COMMON_PASSWORDS and
+// COMMON_WORDS lists come from password-dictionary.js, also loaded first.
+class PasswordStrength {
+    constructor(words = globalThis.DICEWARE_WORDS || [], lists = globalThis) {
+        this.words = words;
+        this.dictionary = new Set(words);
+        this.maxLength = 128;
+        this.maxWordLength = 20;
+        this.minFuzzyLength = 6;
+        this.maxLeetVariants = 16;
+
+        // Built-in fallback when password-dictionary.js is not loaded,
+        // most common first
+        this.commonPasswords = lists.COMMON_PASSWORDS || [
+            'password', '123456', '12345678', 'qwerty', 'abc123', '111111',
+            'letmein', 'monkey', 'dragon', 'iloveyou', 'admin', 'welcome',
+            'login', 'princess', 'sunshine', 'master', 'football', 'baseball',
+            'shadow', 'superman', 'trustno1', 'hello', 'freedom', 'whatever',
+            'qazwsx', 'starwars', 'passw0rd', 'michael', 'jennifer', 'hunter',
+            'batman', 'secret', 'summer', 'winter', 'charlie', 'donald',
+            'access', 'flower', 'cheese', 'computer', 'pokemon', 'ninja',
+            'mustang', 'jordan', 'liverpool', 'chelsea', 'soccer', 'hockey',
+            'killer', 'pepper', 'ginger', 'buster', 'tigger', 'cookie',
+            'love', 'lovely', 'angel', 'asdfgh', 'zxcvbn', 'changeme',
+            'default', 'guest', 'root', 'test'
+        ];
+        this.commonRanks = this.rank([...this.commonPasswords, 'scanzo', 'qrcode']);
+        this.wordRanks = this.rank(lists.COMMON_WORDS || []);
+
+        // Swaps with more than one reading list each of them
+        this.leet = {
+            '0': ['o'], '1': ['i', 'l'], '3': ['e'], '4': ['a'], '5': ['s'], '7': ['t'], '8': ['b'],
+            '@': ['a'], '$': ['s'], '!': ['i', 'l'], '|': ['i', 'l'], '+': ['t']
+        };
+        this.keyboardRows = ['`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./'];
+        this.levels = ['Very Weak', 'Weak', 'Fair', 'Good', 'Strong'];
+        this.thresholds = [28, 36, 50, 64];
+    }
+
+    // Returns { bits, score (0-4), label, feedback: [] }
+    estimate(password) {
+        password = String(password || '').substring(0, this.maxLength);
+        if (!password) {
+            return { bits: 0, score: 0, label: this.levels[0], feedback: [] };
+        }
+
+        const n = password.length;
+        const charBits = Math.log2(this.charsetSize(password));
+        const matches = this.findMatches(password, charBits);
+
+        // Cheapest cover of password[0..j) by matches and brute-force characters
+        const best = [0];
+        const via = [null];
+        for (let j = 1; j <= n; j++) {
+            best[j] = best[j - 1] + charBits;
+            via[j] = null;
+
+            for (const match of matches) {
+                if (match.j === j && best[match.i] + match.bits < best[j]) {
+                    best[j] = best[match.i] + match.bits;
+                    via[j] = match;
+                }
+            }
+        }
+
+        const used = [];
+        for (let j = n; j > 0;) {
+            if (via[j]) {
+                used.push(via[j]);
+                j = via[j].i;
+            } else {
+                j--;
+            }
+        }
+
+        const bits = best[n];
+        const score = this.thresholds.filter(threshold => bits >= threshold).length;
+
+        return {
+            bits,
+            score,
+            label: this.levels[score],
+            feedback: this.feedbackFor(used, score)
+        };
+    }
+
+    findMatches(password, charBits) {
+        const lower = password.toLowerCase();
+        const matches = [];
+        const n = password.length;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 3; j <= Math.min(n, i + this.maxWordLength); j++) {
+                const token = password.substring(i, j);
+                const found = this.lookup(lower.substring(i, j));
+
+                if (found) {
+                    matches.push({ i, j, pattern: found.pattern, bits: found.bits + this.variationBits(token, lower.substring(i, j)) });
+                }
+            }
+        }
+
+        // Sequences (abc, 9876) and keyboard runs (qwerty, asdf)
+        for (let i = 0; i < n - 2; i++) {
+            const step = lower.charCodeAt(i + 1) - lower.charCodeAt(i);
+            let j = i + 1;
+            if (step === 1 || step === -1) {
+                while (j < n && lower.charCodeAt(j) - lower.charCodeAt(j - 1) === step) j++;
+                if (j - i >= 3) {
+                    matches.push({ i, j, pattern: 'sequence', bits: Math.log2(26) + Math.log2(j - i) + (step < 0 ? 1 : 0) });
+                }
+            }
+
+            for (const row of this.keyboardRows) {
+                let end = i;
+                while (end < n && end - i < row.length) {
+                    const forward = row.indexOf(lower.substring(i, end + 1)) !== -1;
+                    const backward = row.split('').reverse().join('').indexOf(lower.substring(i, end + 1)) !== -1;
+                    if (!forward && !backward) break;
+                    end++;
+                }
+                if (end - i >= 3) {
+                    matches.push({ i, j: end, pattern: 'keyboard', bits: Math.log2(this.keyboardRows.length * row.length) + Math.log2(end - i) });
+                }
+            }
+        }
+
+        // Repeats: aaaa, or a block like abcabc priced as the block plus a count
+        const repeat = /(.+?)\1+/g;
+        let found;
+        while ((found = repeat.exec(password)) !== null) {
+            const block = found[1];
+            const count = found[0].length / block.length;
+            matches.push({
+                i: found.index,
+                j: found.index + found[0].length,
+                pattern: 'repeat',
+                bits: block.length * charBits + Math.log2(count)
+            });
+        }
+
+        // Word separators, as in 'correct horse' or 'correct-horse'
+        for (let i = 0; i < n; i++) {
+            if (' -_.,'.includes(password[i])) {
+                matches.push({ i, j: i + 1, pattern: 'separator', bits: 2 });
+            }
+        }
+
+        // Years, 1900-2099
+        const year = /(19|20)\d\d/g;
+        while ((found = year.exec(password)) !== null) {
+            matches.push({ i: found.index, j: found.index + 4, pattern: 'year', bits: Math.log2(200) });
+        }
+
+        return matches;
+    }
+
+    // Cheapest reading of a lowercase token as a common password or a
+    // dictionary word, trying every l33t reading and, for longer tokens, words
+    // one edit away. Returns { pattern, bits } or null.
+    lookup(lowerToken) {
+        let best = null;
+        const consider = (found, extraBits) => {
+            if (found && (!best || found.bits + extraBits < best.bits)) {
+                best = { pattern: found.pattern, bits: found.bits + extraBits };
+            }
+        };
+
+        for (const plain of this.unleet(lowerToken)) {
+            consider(this.exactMatch(plain), 0);
+            if (plain.length < this.minFuzzyLength) continue;
+
+            // One letter dropped, added or changed: pay for where and which
+            const editBits = Math.log2(26 * (plain.length + 1));
+            const deletions = this.fuzzyIndex();
+            consider(deletions.get(plain), editBits);
+            for (let k = 0; k < plain.length; k++) {
+                const shorter = plain.substring(0, k) + plain.substring(k + 1);
+                consider(this.exactMatch(shorter), editBits);
+                consider(deletions.get(shorter), editBits);
+            }
+        }
+
+        return best;
+    }
+
+    exactMatch(plain) {
+        if (this.commonRanks.has(plain)) {
+            return { pattern: 'common', bits: Math.log2(this.commonRanks.get(plain) + 1) };
+        }
+
+        let bits = this.wordRanks.has(plain) ? Math.log2(this.wordRanks.get(plain) + 1) : Infinity;
+        if (this.dictionary.has(plain)) {
+            bits = Math.min(bits, Math.log2(this.dictionary.size));
+        }
+        return bits < Infinity ? { pattern: 'dictionary', bits } : null;
+    }
+
+    // Every longer word with one letter removed, mapped to the cheapest match
+    // it came from. Built on first use; it is the largest structure here.
+    fuzzyIndex() {
+        if (this.deletions) return this.deletions;
+
+        this.deletions = new Map();
+        const words = new Set([...this.commonRanks.keys(), ...this.wordRanks.keys(), ...this.dictionary]);
+        for (const word of words) {
+            if (word.length < this.minFuzzyLength || !/^[a-z]+$/.test(word)) continue;
+
+            const found = this.exactMatch(word);
+            for (let k = 0; k < word.length; k++) {
+                const key = word.substring(0, k) + word.substring(k + 1);
+                const known = this.deletions.get(key);
+                if (!known || found.bits < known.bits) {
+                    this.deletions.set(key, found);
+                }
+            }
+        }
+        return this.deletions;
+    }
+
+    // Extra guesses for capitals and l33t swaps on top of a dictionary word
+    variationBits(token, lowerToken) {
+        let bits = 0;
+
+        const upper = token.replace(/[^A-Z]/g, '').length;
+        if (upper > 0) {
+            const firstOnly = upper === 1 && /^[A-Z]/.test(token);
+            const allUpper = upper === token.replace(/[^A-Za-z]/g, '').length;
+            bits += firstOnly || allUpper ? 1 : upper;
+        }
+
+        for (const char of lowerToken) {
+            if (this.leet[char]) bits += 1;
+        }
+
+        return bits;
+    }
+
+    // Every reading of a token with its l33t swaps undone, capped so a
+    // password full of 1s does not explode into thousands of variants
+    unleet(token) {
+        let variants = [''];
+        for (const char of token) {
+            const readings = this.leet[char] || [char];
+            variants = variants
+                .flatMap(variant => readings.map(reading => variant + reading))
+                .slice(0, this.maxLeetVariants);
+        }
+        return variants;
+    }
+
+    rank(list) {
+        const ranks = new Map();
+        list.forEach((word, index) => {
+            if (!ranks.has(word)) ranks.set(word, index + 1);
+        });
+        return ranks;
+    }
+
+    charsetSize(password) {
+        let size = 0;
+        if (/[a-z]/.test(password)) size += 26;
+        if (/[A-Z]/.test(password)) size += 26;
+        if (/[0-9]/.test(password)) size += 10;
+        if (/[\x20-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]/.test(password)) size += 33;
+        if (/[^\x20-\x7e]/.test(password)) size += 100;
+        return Math.max(size, 10);
+    }
+
+    feedbackFor(matches, score) {
+        if (score >= 3) return [];
+
+        const messages = {
+            common: 'This is one of the most common passwords',
+            dictionary: 'Single dictionary words are easy to guess, even with l33t swaps',
+            sequence: 'Sequences like abc or 654 are easy to guess',
+            keyboard: 'Keyboard patterns like qwerty are easy to guess',
+            repeat: 'Repeated characters add very little',
+            year: 'Years are easy to guess'
+        };
+
+        const feedback = [...new Set(matches.map(match => match.pattern))]
+            .filter(pattern => messages[pattern])
+            .map(pattern => messages[pattern]);
+
+        feedback.push('Use a few random words - try the passphrase generator');
+        return feedback;
+    }
+
+    // Diceware passphrase of `count` uniformly chosen words.
+    // Returns { passphrase, bits }
+    generatePassphrase(count = 6, separator = '-') {
+        if (this.words.length < 2) {
+            throw new Error('Passphrase word list is not loaded');
+        }
+
+        const words = [];
+        for (let i = 0; i < count; i++) {
+            words.push(this.words[this.randomIndex(this.words.length)]);
+        }
+
+        return {
+            passphrase: words.join(separator),
+            bits: count * Math.log2(this.words.length)
+        };
+    }
+
+    // Unbiased index below `max` (rejection sampling over 32-bit values)
+    randomIndex(max) {
+        const limit = Math.floor(0x100000000 / max) * max;
+        const buffer = new Uint32Array(1);
+
+        do {
+            crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+
+        return buffer[0] % max;
+    }
+}
+
+// Export for use
+globalThis.PasswordStrength = PasswordStrength;
@@ -0,0 +1,161 @@
+// 📏 QR Capacity Module
+// Works out what a piece of content really costs inside a QR code: the
+// encoded bit length of its segments (numeric, alphanumeric, kanji or bytes,
+// each with its mode and character count header), the smallest version that
+// holds it at a given error correction level, and how much room is left
+// before the symbol grows a version or runs out altogether.
+//
+// Segments come from QREncoder, which draws every code, so the numbers match
+// the symbol it builds, mixed-mode optimisation and encoding options
+// (pinned version, segment mode, ECI) included.
+class QRCapacity {
+    constructor(encoder = null) {
+        this.encoder = encoder;
+        this.levels = ['L', 'M', 'Q', 'H'];
+        this.maxVersion = 40;
+
+        // Error correction blocks per version (1-40) and level (L, M, Q, H)
+        this.blockCounts = [
+            [1, 1, 1, 1], [1, 1, 1, 1], [1, 1, 2, 2], [1, 2, 2, 4], [1, 2, 4, 4],
+            [2, 4, 4, 4], [2, 4, 6, 5], [2, 4, 6, 6], [2, 5, 8, 8], [4, 5, 8, 8],
+            [4, 5, 8, 11], [4, 8, 10, 11], [4, 9, 12, 16], [4, 9, 16, 16], [6, 10, 12, 18],
+            [6, 10, 17, 16], [6, 11, 16, 19], [6, 13, 18, 21], [7, 14, 21, 25], [8, 16, 20, 25],
+            [8, 17, 23, 25], [9, 17, 23, 34], [9, 18, 25, 30], [10, 20, 27, 32], [12, 21, 29, 35],
+            [12, 23, 34, 37], [12, 25, 34, 40], [13, 26, 35, 42], [14, 28, 38, 45], [15, 29, 40, 48],
+            [16, 31, 43, 51], [17, 33, 45, 54], [18, 35, 48, 57], [19, 37, 51, 60], [19, 38, 53, 63],
+            [20, 40, 56, 66], [21, 43, 59, 70], [22, 45, 62, 74], [24, 47, 65, 77], [25, 49, 68, 81]
+        ];
+
+        // Error correction codewords per block, same layout
+        this.blockECCodewords = [
+            [7, 10, 13, 17], [10, 16, 22, 28], [15, 26, 18, 22], [20, 18, 26, 16], [26, 24, 18, 22],
+            [18, 16, 24, 28], [20, 18, 18, 26], [24, 22, 22, 26], [30, 22, 20, 24], [18, 26, 24, 28],
+            [20, 30, 28, 24], [24, 22, 26, 28], [26, 22, 24, 22], [30, 24, 20, 24], [22, 24, 30, 24],
+            [24, 28, 24, 30], [28, 28, 28, 28], [30, 26, 28, 28], [28, 26, 26, 26], [28, 26, 30, 28],
+            [28, 26, 28, 30], [28, 28, 30, 24], [30, 28, 30, 30], [30, 28, 30, 30], [26, 28, 30, 30],
+            [28, 28, 28, 30], [30, 28, 30, 30], [30, 28, 30, 30], [30, 28, 30, 30], [30, 28, 30, 30],
+            [30, 28, 30, 30], [30, 28, 30, 30], [30, 28, 30, 30], [30, 28, 30, 30], [30, 28, 30, 30],
+            [30, 28, 30, 30], [30, 28, 30, 30], [30, 28, 30, 30], [30, 28, 30, 30], [30, 28, 30, 30]
+        ];
+
+        // Misdecode protection codewords in the smallest symbols; these
+        // cannot be spent on correction
+        this.protection = { 1: [3, 2, 1, 1], 2: [2, 0, 0, 0], 3: [1, 0, 0, 0] };
+
+        // Character count indicator bits for versions 1-9, 10-26 and 27-40,
+        // and the average data bits one more character costs
+        this.modes = {
+            numeric: { countBits: [10, 12, 14], charBits: 10 / 3, unit: 'digits' },
+            alphanumeric: { countBits: [9, 11, 13], charBits: 5.5, unit: 'characters' },
+            byte: { countBits: [8, 16, 16], charBits: 8, unit: 'bytes' },
+            kanji: { countBits: [8, 10, 12], charBits: 13, unit: 'characters' },
+            eci: { countBits: [0, 0, 0], charBits: 8, unit: 'bytes' },
+            structuredAppend: { countBits: [0, 0, 0], charBits: 8, unit: 'bytes' }
+        };
+    }
+
+    // Width of a version's symbol in modules
+    moduleCount(version) {
+        return 17 + version * 4;
+    }
+
+    // Modules left for codewords once the finder, timing, alignment, format
+    // and version patterns are placed
+    rawDataModules(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignment = Math.floor(version / 7) + 2;
+            modules -= (25 * alignment - 10) * alignment - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return modules;
+    }
+
+    // Data bits a version holds at an error correction level
+    dataBits(version, level = 'M') {
+        const levelIndex = this.levels.indexOf(level);
+        if (levelIndex < 0) {
+            throw new Error(`Unknown error correction level: ${level}`);
+        }
+
+        const total = Math.floor(this.rawDataModules(version) / 8);
+        const ec = this.blockCounts[version - 1][levelIndex] * this.blockECCodewords[version - 1][levelIndex];
+        return (total - ec) * 8;
+    }
+
+    // Character count widths change at versions 10 and 27
+    countRange(version) {
+        return version < 10 ? 0 : version < 27 ? 1 : 2;
+    }
+
+    // Encoded length of the segments at a version: mode indicator, character
+    // count and data bits for each
+    bitLength(segments, version) {
+        const range = this.countRange(version);
+        return segments.reduce((sum, segment) =>
+            sum + 4 + this.modes[segment.mode].countBits[range] + segment.bits, 0);
+    }
+
+    // Full report for content at a level: { mode, segments, bytes, version,
+    // modules, level, bits, capacity, headroom, nextVersion, maxBits,
+    // limitHeadroom, fits }. headroom is the room left before the symbol
+    // grows a version, limitHeadroom before the largest allowed version is
+    // full; both are in bits and in characters of the content's mode
+    // (`unit`), and negative when the content does not fit.
+    // encoding: optional { version, minVersion, mode, eci, structuredAppend }
+    // as QREncoder takes them; a fixed version is the only one tried.
+    measure(content, level = 'M', encoding = null) {
+        this.encoder = this.encoder || new QREncoder();
+        encoding = this.encoder.normalize(encoding || {});
+        const byRange = [];
+        const segmentsAt = (v) => {
+            const range = this.countRange(v);
+            byRange[range] = byRange[range] || this.encoder.segments(content, encoding, v);
+            return byRange[range];
+        };
+
+        const first = encoding.version || encoding.minVersion || 1;
+        const last = encoding.version || this.maxVersion;
+        let version = 0;
+        for (let v = first; v <= last; v++) {
+            if (this.bitLength(segmentsAt(v), v) <= this.dataBits(v, level)) {
+                version = v;
+                break;
+            }
+        }
+
+        const limit = version || last;
+        const segments = segmentsAt(limit);
+        const modes = [...new Set(segments.map(segment => segment.mode).filter(mode => mode !== 'eci' && mode !== 'structuredAppend'))];
+        const mode = modes.length === 1 ? modes[0] : 'byte';
+        const bytes = new TextEncoder().encode(content).length;
+
+        const bits = this.bitLength(segments, limit);
+        const capacity = this.dataBits(limit, level);
+        const maxBits = this.dataBits(last, level);
+        const room = (free) => ({
+            bits: free,
+            chars: Math.floor(free / this.modes[mode].charBits),
+            unit: this.modes[mode].unit
+        });
+
+        return {
+            mode: modes.length > 1 ? 'mixed' : mode,
+            segments,
+            bytes,
+            version: version || null,
+            modules: version ? this.moduleCount(version) : null,
+            level,
+            bits,
+            capacity,
+            headroom: room(capacity - bits),
+            nextVersion: version && version < last ? version + 1 : null,
+            maxBits,
+            limitHeadroom: room(maxBits - this.bitLength(segmentsAt(last), last)),
+            fits: version > 0
+        };
+    }
+}
+
+// Export for use
+globalThis.QRCapacity = QRCapacity;
@@ -0,0 +1,1006 @@
+// 📷 QR Decoder Module
+// Finds and reads QR codes in images without any outside library, so
+// scanning works offline straight from the precache. decode() takes an
+// ImageData (or anything with data, width and height) and returns
+// { data, binaryData, chunks, version, errorCorrectionLevel, location } -
+// the shape jsQR used to return - or null when nothing reads. A symbol that
+// is one part of a Structured Append series also carries its header as
+// structuredAppend: { index, total, parity } (null otherwise).
+//
+// The pipeline:
+//   1. binarize - luminance against a threshold averaged over neighbouring
+//      8x8 blocks, so uneven lighting doesn't swallow half the code
+//   2. detect - finder patterns are runs in 1:1:3:1:1 proportion confirmed
+//      across and down; the three that come closest to a right isosceles
+//      triangle give the orientation, module size and symbol width, and the
+//      bottom right alignment pattern (when there is one) pins the
+//      perspective
+//   3. sample - a perspective transform maps each module centre into the
+//      image
+//   4. decode - format and version information (the nearest valid code, so
+//      a few bad bits are fine), unmask, read the codewords along the
+//      placement path, correct every block with Reed-Solomon and parse the
+//      segments. Byte segments are read in the character set a preceding
+//      ECI names, otherwise as UTF-8, falling back to ISO-8859-1.
+//
+// Mirrored symbols are retried transposed. The symbol layout (function
+// patterns, masks, block structure) comes from QREncoder and QRCapacity,
+// so reading and writing cannot drift apart.
+class QRDecoder {
+    constructor() {
+        this.encoder = new QREncoder();
+        this.capacity = this.encoder.capacity;
+        this.blockSize = 8;
+        this.minDynamicRange = 24;
+        this.maxTriangles = 4;
+        this.reserved = {};
+
+        // GF(256) powers of 2 and their logarithms, for error correction
+        this.exp = new Uint8Array(512);
+        this.log = new Uint8Array(256);
+        for (let i = 0, x = 1; i < 255; i++) {
+            this.exp[i] = x;
+            this.log[x] = i;
+            x = this.encoder.multiply(x, 2);
+        }
+        for (let i = 255; i < 512; i++) this.exp[i] = this.exp[i - 255];
+    }
+
+    // options: { inversionAttempts } - 'dontInvert', 'onlyInvert',
+    // 'attemptBoth' (default) or 'invertFirst'; inverted means light
+    // modules on a dark background
+    decode(image, options = {}) {
+        return this.decodeLuminance(this.luminance(image), image.width, image.height, options);
+    }
+
+    // Same for a grayscale image, one byte per pixel
+    decodeLuminance(gray, width, height, options = {}) {
+        const attempts = options.inversionAttempts || 'attemptBoth';
+        const order = {
+            dontInvert: [false],
+            onlyInvert: [true],
+            attemptBoth: [false, true],
+            invertFirst: [true, false]
+        }[attempts];
+        if (!order) {
+            throw new Error(`Unknown inversion attempts: ${attempts}`);
+        }
+
+        const matrix = this.binarize(gray, width, height);
+        for (const invert of order) {
+            const result = this.scan(invert ? this.invert(matrix) : matrix);
+            if (result) return result;
+        }
+        return null;
+    }
+
+    // Luminance, with transparent pixels composited over white
+    luminance(image) {
+        const { data } = image;
+        const gray = new Uint8ClampedArray(data.length / 4);
+        for (let i = 0; i < gray.length; i++) {
+            const alpha = data[i * 4 + 3] / 255;
+            const luma = 0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2];
+            gray[i] = luma * alpha + 255 * (1 - alpha);
+        }
+        return gray;
+    }
+
+    // Dark/light matrix. Each block's threshold is the average of the block
+    // means around it (5x5 blocks); a flat block, with no edge inside to
+    // judge by, counts as background unless its neighbours are darker.
+    binarize(gray, width, height) {
+        const size = this.blockSize;
+        const columns = Math.ceil(width / size);
+        const rows = Math.ceil(height / size);
+        const points = new Float32Array(columns * rows);
+
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < columns; bx++) {
+                let sum = 0;
+                let count = 0;
+                let min = 255;
+                let max = 0;
+                for (let y = by * size; y < Math.min(height, (by + 1) * size); y++) {
+                    for (let x = bx * size; x < Math.min(width, (bx + 1) * size); x++) {
+                        const value = gray[y * width + x];
+                        sum += value;
+                        count++;
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    }
+                }
+
+                let average = sum / count;
+                if (max - min <= this.minDynamicRange) {
+                    average = min / 2;
+                    if (by > 0 && bx > 0) {
+                        const neighbours = (points[(by - 1) * columns + bx] + 2 * points[by * columns + bx - 1] +
+                            points[(by - 1) * columns + bx - 1]) / 4;
+                        if (min < neighbours) average = neighbours;
+                    }
+                }
+                points[by * columns + bx] = average;
+            }
+        }
+
+        const bits = new Uint8Array(width * height);
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < columns; bx++) {
+                const cx = Math.max(2, Math.min(bx, columns - 3));
+                const cy = Math.max(2, Math.min(by, rows - 3));
+                let sum = 0;
+                let count = 0;
+                for (let y = Math.max(0, cy - 2); y <= Math.min(rows - 1, cy + 2); y++) {
+                    for (let x = Math.max(0, cx - 2); x <= Math.min(columns - 1, cx + 2); x++) {
+                        sum += points[y * columns + x];
+                        count++;
+                    }
+                }
+
+                const threshold = sum / count;
+                for (let y = by * size; y < Math.min(height, (by + 1) * size); y++) {
+                    for (let x = bx * size; x < Math.min(width, (bx + 1) * size); x++) {
+                        bits[y * width + x] = gray[y * width + x] <= threshold ? 1 : 0;
+                    }
+                }
+            }
+        }
+        return this.bitMatrix(bits, width, height);
+    }
+
+    bitMatrix(bits, width, height) {
+        return {
+            width,
+            height,
+            bits,
+            get: (x, y) => x >= 0 && y >= 0 && x < width && y < height && bits[y * width + x] === 1
+        };
+    }
+
+    invert(matrix) {
+        return this.bitMatrix(matrix.bits.map(bit => 1 - bit), matrix.width, matrix.height);
+    }
+
+    // Best candidate triangles of finder patterns, each tried in turn
+    scan(matrix) {
+        for (const triangle of this.triangles(this.finderPatterns(matrix))) {
+            const result = this.read(matrix, this.orient(triangle));
+            if (result) return result;
+        }
+        return null;
+    }
+
+    // Finder pattern candidates { x, y, moduleSize, count }, count being
+    // the number of scan rows that confirmed it
+    finderPatterns(matrix) {
+        const { width, height } = matrix;
+        const step = Math.max(1, Math.min(3, Math.floor(height / 300)));
+        const centers = [];
+
+        for (let y = step - 1; y < height; y += step) {
+            let counts = [0, 0, 0, 0, 0];
+            let state = 0;
+            // One step past the edge, read as light, closes a final run
+            for (let x = 0; x <= width; x++) {
+                if (x < width && matrix.get(x, y)) {
+                    if (state % 2 === 1) state++;
+                    counts[state]++;
+                } else if (state % 2 === 1) {
+                    counts[state]++;
+                } else if (state < 4) {
+                    counts[++state]++;
+                } else if (this.finderRatio(counts) && this.confirmFinder(matrix, centers, counts, x, y)) {
+                    counts = [0, 0, 0, 0, 0];
+                    state = 0;
+                } else {
+                    counts = [counts[2], counts[3], counts[4], 1, 0];
+                    state = 3;
+                }
+            }
+        }
+        return centers;
+    }
+
+    // Dark, light, dark, light, dark runs of 1:1:3:1:1. The tolerance is a
+    // little over half a module: blur eats into the light rings.
+    finderRatio(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total < 7) return false;
+
+        const moduleSize = total / 7;
+        const variance = moduleSize * 0.7;
+        return Math.abs(moduleSize - counts[0]) < variance &&
+            Math.abs(moduleSize - counts[1]) < variance &&
+            Math.abs(3 * moduleSize - counts[2]) < 3 * variance &&
+            Math.abs(moduleSize - counts[3]) < variance &&
+            Math.abs(moduleSize - counts[4]) < variance;
+    }
+
+    // Check a row hit down and across its centre; merge it into a nearby
+    // candidate or add a new one
+    confirmFinder(matrix, centers, counts, end, row) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const column = end - counts[4] - counts[3] - counts[2] / 2;
+        const y = this.crossCheck(matrix, Math.floor(column), row, 0, 1, counts[2], total);
+        if (isNaN(y)) return false;
+        const x = this.crossCheck(matrix, Math.floor(column), Math.floor(y), 1, 0, counts[2], total);
+        if (isNaN(x)) return false;
+
+        const moduleSize = total / 7;
+        const match = centers.find(center =>
+            Math.abs(y - center.y) <= moduleSize && Math.abs(x - center.x) <= moduleSize &&
+            (Math.abs(moduleSize - center.moduleSize) <= 1 || Math.abs(moduleSize - center.moduleSize) <= center.moduleSize));
+        if (match) {
+            const count = match.count;
+            match.x = (match.x * count + x) / (count + 1);
+            match.y = (match.y * count + y) / (count + 1);
+            match.moduleSize = (match.moduleSize * count + moduleSize) / (count + 1);
+            match.count++;
+        } else {
+            centers.push({ x, y, moduleSize, count: 1 });
+        }
+        return true;
+    }
+
+    // Centre, along (dx, dy), of a 1:1:3:1:1 run through (x, y) whose
+    // outer runs stay under maxCount and whose length is near `total`;
+    // NaN when there is none
+    crossCheck(matrix, x, y, dx, dy, maxCount, total) {
+        const counts = [0, 0, 0, 0, 0];
+        const inside = (i) => x + dx * i >= 0 && y + dy * i >= 0 && x + dx * i < matrix.width && y + dy * i < matrix.height;
+        const dark = (i) => matrix.get(x + dx * i, y + dy * i);
+
+        let i = 0;
+        while (inside(i) && dark(i)) { counts[2]++; i--; }
+        if (!inside(i)) return NaN;
+        while (inside(i) && !dark(i) && counts[1] <= maxCount) { counts[1]++; i--; }
+        if (!inside(i) || counts[1] > maxCount) return NaN;
+        while (inside(i) && dark(i) && counts[0] <= maxCount) { counts[0]++; i--; }
+        if (counts[0] > maxCount) return NaN;
+
+        i = 1;
+        while (inside(i) && dark(i)) { counts[2]++; i++; }
+        if (!inside(i)) return NaN;
+        while (inside(i) && !dark(i) && counts[3] < maxCount) { counts[3]++; i++; }
+        if (!inside(i) || counts[3] >= maxCount) return NaN;
+        while (inside(i) && dark(i) && counts[4] < maxCount) { counts[4]++; i++; }
+        if (counts[4] >= maxCount) return NaN;
+
+        const length = counts.reduce((sum, count) => sum + count, 0);
+        if (5 * Math.abs(length - total) >= 2 * total || !this.finderRatio(counts)) return NaN;
+        return (dx ? x : y) + i - counts[4] - counts[3] - counts[2] / 2;
+    }
+
+    // Triples of finder patterns, closest to a right isosceles triangle
+    // first. Patterns confirmed on a single row are mostly noise and only
+    // used when there are not enough others.
+    triangles(patterns) {
+        const confirmed = patterns.filter(pattern => pattern.count > 1);
+        const pool = (confirmed.length >= 3 ? confirmed : patterns)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 12);
+        const distance = (a, b) => (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+
+        const triangles = [];
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const triangle = [pool[i], pool[j], pool[k]];
+                    const sizes = triangle.map(pattern => pattern.moduleSize);
+                    if (Math.max(...sizes) > Math.min(...sizes) * 2) continue;
+
+                    const [a, b, c] = [distance(pool[i], pool[j]), distance(pool[j], pool[k]), distance(pool[i], pool[k])]
+                        .sort((x, y) => x - y);
+                    // Finders of the smallest symbol are 14 modules apart
+                    if (Math.sqrt(a) < 10 * Math.max(...sizes)) continue;
+                    triangles.push({ triangle, distortion: (Math.abs(c - 2 * b) + Math.abs(c - 2 * a)) / c });
+                }
+            }
+        }
+
+        return triangles
+            .sort((a, b) => a.distortion - b.distortion)
+            .slice(0, this.maxTriangles)
+            .map(entry => entry.triangle);
+    }
+
+    // The right angle is the top left; the other two follow clockwise
+    orient([a, b, c]) {
+        const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+        let topLeft, first, second;
+        if (distance(b, c) >= distance(a, b) && distance(b, c) >= distance(a, c)) {
+            [topLeft, first, second] = [a, b, c];
+        } else if (distance(a, c) >= distance(b, c) && distance(a, c) >= distance(a, b)) {
+            [topLeft, first, second] = [b, a, c];
+        } else {
+            [topLeft, first, second] = [c, a, b];
+        }
+
+        const cross = (second.x - topLeft.x) * (first.y - topLeft.y) - (second.y - topLeft.y) * (first.x - topLeft.x);
+        return cross < 0
+            ? { topLeft, topRight: first, bottomLeft: second }
+            : { topLeft, topRight: second, bottomLeft: first };
+    }
+
+    // Sample and decode the symbol three finders frame, or null
+    read(matrix, finders) {
+        const { topLeft, topRight, bottomLeft } = finders;
+        const moduleSize = (this.moduleSize(matrix, topLeft, topRight) + this.moduleSize(matrix, topLeft, bottomLeft)) / 2;
+        if (!(moduleSize >= 1)) return null;
+
+        const dimensions = this.dimensions(finders, moduleSize);
+        const tried = new Set();
+        while (dimensions.length) {
+            const dimension = dimensions.shift();
+            if (tried.has(dimension)) continue;
+            tried.add(dimension);
+
+            const alignment = this.alignmentPattern(matrix, finders, dimension, moduleSize);
+            for (const bottomRight of alignment ? [alignment, null] : [null]) {
+                const transform = this.transform(finders, bottomRight, dimension);
+                const grid = this.sample(matrix, transform, dimension);
+                if (!grid) continue;
+
+                // A version block that disagrees with the estimated width
+                // wins: large symbols are easily misjudged by a few modules
+                const version = this.readVersion(grid);
+                if (!version) continue;
+                if (this.capacity.moduleCount(version) !== dimension) {
+                    dimensions.push(this.capacity.moduleCount(version));
+                    break;
+                }
+
+                const result = this.decodeGrid(grid, version) || this.decodeGrid(this.transpose(grid), version);
+                if (result) {
+                    result.location = this.location(transform, dimension, finders, alignment);
+                    return result;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Module size from the dark-light-dark runs between two finders, out
+    // from both centres and both ways
+    moduleSize(matrix, from, to) {
+        const there = this.runBothWays(matrix, Math.floor(from.x), Math.floor(from.y), Math.floor(to.x), Math.floor(to.y));
+        const back = this.runBothWays(matrix, Math.floor(to.x), Math.floor(to.y), Math.floor(from.x), Math.floor(from.y));
+        if (isNaN(there)) return back / 7;
+        if (isNaN(back)) return there / 7;
+        return (there + back) / 14;
+    }
+
+    // Runs from a finder's centre towards (toX, toY) and the opposite way,
+    // clipped to the image; across the whole finder that is 7 modules
+    runBothWays(matrix, fromX, fromY, toX, toY) {
+        let result = this.run(matrix, fromX, fromY, toX, toY);
+
+        let scale = 1;
+        let otherX = fromX - (toX - fromX);
+        if (otherX < 0) {
+            scale = fromX / (fromX - otherX);
+            otherX = 0;
+        } else if (otherX >= matrix.width) {
+            scale = (matrix.width - 1 - fromX) / (otherX - fromX);
+            otherX = matrix.width - 1;
+        }
+        let otherY = Math.floor(fromY - (toY - fromY) * scale);
+
+        scale = 1;
+        if (otherY < 0) {
+            scale = fromY / (fromY - otherY);
+            otherY = 0;
+        } else if (otherY >= matrix.height) {
+            scale = (matrix.height - 1 - fromY) / (otherY - fromY);
+            otherY = matrix.height - 1;
+        }
+        otherX = Math.floor(fromX + (otherX - fromX) * scale);
+
+        result += this.run(matrix, fromX, fromY, otherX, otherY);
+        return result - 1; // the centre pixel was counted twice
+    }
+
+    // Length of the dark, light, dark run from (fromX, fromY) along the
+    // line to (toX, toY), stepping pixel by pixel (Bresenham); NaN when the
+    // line ends first
+    run(matrix, fromX, fromY, toX, toY) {
+        const steep = Math.abs(toY - fromY) > Math.abs(toX - fromX);
+        if (steep) [fromX, fromY, toX, toY] = [fromY, fromX, toY, toX];
+
+        const dx = Math.abs(toX - fromX);
+        const dy = Math.abs(toY - fromY);
+        const xStep = fromX < toX ? 1 : -1;
+        const yStep = fromY < toY ? 1 : -1;
+        let error = -Math.floor(dx / 2);
+        let state = 0;
+
+        for (let x = fromX, y = fromY; x !== toX + xStep; x += xStep) {
+            const dark = steep ? matrix.get(y, x) : matrix.get(x, y);
+            if ((state === 1) === dark) {
+                if (state === 2) return Math.hypot(x - fromX, y - fromY);
+                state++;
+            }
+            error += dy;
+            if (error > 0) {
+                if (y === toY) break;
+                y += yStep;
+                error -= dx;
+            }
+        }
+
+        // The image edge counts as the light module past the last run
+        return state === 2 ? Math.hypot(toX + xStep - fromX, toY - fromY) : NaN;
+    }
+
+    // Symbol widths the finder spacing allows; widths are 4n + 1
+    dimensions({ topLeft, topRight, bottomLeft }, moduleSize) {
+        const across = Math.round(Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) / moduleSize);
+        const down = Math.round(Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y) / moduleSize);
+        const dimension = Math.floor((across + down) / 2) + 7;
+        const candidates = [[dimension + 1], [dimension], [dimension - 1], [dimension - 2, dimension + 2]][dimension % 4];
+        return candidates.filter(size => size >= 21 && size <= 177);
+    }
+
+    // Bottom-right alignment pattern near where the finders put it, or null.
+    // Under perspective its modules are not the average size, so their size
+    // is extrapolated from the three finders.
+    alignmentPattern(matrix, { topLeft, topRight, bottomLeft }, dimension, moduleSize) {
+        if (dimension < 25) return null;
+
+        const correction = 1 - 3 / (dimension - 7);
+        const x = Math.floor(topLeft.x + correction * (topRight.x - topLeft.x + bottomLeft.x - topLeft.x));
+        const y = Math.floor(topLeft.y + correction * (topRight.y - topLeft.y + bottomLeft.y - topLeft.y));
+        const corner = topRight.moduleSize + bottomLeft.moduleSize - topLeft.moduleSize;
+        const size = corner > moduleSize / 2 ? corner : moduleSize;
+        for (let allowance = 4; allowance <= 16; allowance *= 2) {
+            const found = this.findAlignment(matrix, x, y, size, allowance);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // Light, dark, light runs of 1:1:1 modules in a window around the
+    // estimate. Bigger symbols have several alignment patterns close
+    // together, so of the centres seen on at least two rows the one nearest
+    // the estimate wins; failing that, the nearest seen at all.
+    findAlignment(matrix, centerX, centerY, moduleSize, allowanceFactor) {
+        const allowance = Math.floor(allowanceFactor * moduleSize);
+        const left = Math.max(0, centerX - allowance);
+        const right = Math.min(matrix.width - 1, centerX + allowance);
+        const top = Math.max(0, centerY - allowance);
+        const bottom = Math.min(matrix.height - 1, centerY + allowance);
+        if (right - left < moduleSize * 3 || bottom - top < moduleSize * 3) return null;
+
+        const candidates = [];
+        for (let y = top; y < bottom; y++) {
+            let counts = [0, 0, 0];
+            let state = 0;
+            let x = left;
+            // Skip the light run the row starts in; its length means nothing
+            while (x < right && !matrix.get(x, y)) x++;
+
+            for (; x <= right; x++) {
+                if (x < right && matrix.get(x, y)) {
+                    if (state === 1) {
+                        counts[1]++;
+                    } else if (state === 2) {
+                        if (this.alignmentRatio(counts, moduleSize)) this.confirmAlignment(matrix, candidates, counts, x, y, moduleSize);
+                        counts = [counts[2], 1, 0];
+                        state = 1;
+                    } else {
+                        counts[++state]++;
+                    }
+                } else if (x < right) {
+                    if (state === 1) state++;
+                    counts[state]++;
+                } else if (this.alignmentRatio(counts, moduleSize)) {
+                    this.confirmAlignment(matrix, candidates, counts, x, y, moduleSize);
+                }
+            }
+        }
+
+        const distance = (candidate) => Math.hypot(candidate.x - centerX, candidate.y - centerY);
+        const confirmed = candidates.filter(candidate => candidate.count > 1);
+        const [best] = (confirmed.length ? confirmed : candidates).sort((a, b) => distance(a) - distance(b));
+        return best || null;
+    }
+
+    alignmentRatio(counts, moduleSize) {
+        const variance = moduleSize / 2;
+        return counts.every(count => Math.abs(moduleSize - count) < variance);
+    }
+
+    confirmAlignment(matrix, candidates, counts, end, row, moduleSize) {
+        const total = counts[0] + counts[1] + counts[2];
+        const x = end - counts[2] - counts[1] / 2;
+        const y = this.alignmentCrossCheck(matrix, Math.floor(x), row, 2 * counts[1], total, moduleSize);
+        if (isNaN(y)) return;
+
+        const size = total / 3;
+        const match = candidates.find(candidate =>
+            Math.abs(y - candidate.y) <= size && Math.abs(x - candidate.x) <= size &&
+            (Math.abs(size - candidate.moduleSize) <= 1 || Math.abs(size - candidate.moduleSize) <= candidate.moduleSize));
+        if (match) {
+            const count = match.count;
+            match.x = (match.x * count + x) / (count + 1);
+            match.y = (match.y * count + y) / (count + 1);
+            match.moduleSize = (match.moduleSize * count + size) / (count + 1);
+            match.count++;
+        } else {
+            candidates.push({ x, y, moduleSize: size, count: 1 });
+        }
+    }
+
+    // Vertical centre of a light, dark, light run through (x, y), or NaN
+    alignmentCrossCheck(matrix, x, startY, maxCount, total, moduleSize) {
+        const counts = [0, 0, 0];
+        let y = startY;
+        while (y >= 0 && matrix.get(x, y) && counts[1] <= maxCount) { counts[1]++; y--; }
+        if (y < 0 || counts[1] > maxCount) return NaN;
+        while (y >= 0 && !matrix.get(x, y) && counts[0] <= maxCount) { counts[0]++; y--; }
+        if (counts[0] > maxCount) return NaN;
+
+        y = startY + 1;
+        while (y < matrix.height && matrix.get(x, y) && counts[1] <= maxCount) { counts[1]++; y++; }
+        if (y === matrix.height || counts[1] > maxCount) return NaN;
+        while (y < matrix.height && !matrix.get(x, y) && counts[2] <= maxCount) { counts[2]++; y++; }
+        if (counts[2] > maxCount) return NaN;
+
+        const length = counts[0] + counts[1] + counts[2];
+        if (5 * Math.abs(length - total) >= 2 * total || !this.alignmentRatio(counts, moduleSize)) return NaN;
+        return y - counts[2] - counts[1] / 2;
+    }
+
+    // Module space to image: finder centres sit 3.5 modules in, the
+    // alignment pattern 6.5 modules in from the bottom right corner.
+    // Without one the fourth corner completes a parallelogram.
+    transform({ topLeft, topRight, bottomLeft }, bottomRight, dimension) {
+        const far = dimension - 3.5;
+        const corner = bottomRight
+            ? { x: bottomRight.x, y: bottomRight.y, at: far - 3 }
+            : { x: topRight.x - topLeft.x + bottomLeft.x, y: topRight.y - topLeft.y + bottomLeft.y, at: far };
+
+        return this.quadToQuad(
+            [3.5, 3.5, far, 3.5, corner.at, corner.at, 3.5, far],
+            [topLeft.x, topLeft.y, topRight.x, topRight.y, corner.x, corner.y, bottomLeft.x, bottomLeft.y]
+        );
+    }
+
+    // Projective transform taking one quadrilateral onto another, both as
+    // [x0, y0, ... x3, y3] clockwise from the top left. Matrices are
+    // [a11, a21, a31, a12, a22, a32, a13, a23, a33].
+    quadToQuad(from, to) {
+        return this.times(this.squareToQuad(to), this.adjoint(this.squareToQuad(from)));
+    }
+
+    squareToQuad([x0, y0, x1, y1, x2, y2, x3, y3]) {
+        const dx3 = x0 - x1 + x2 - x3;
+        const dy3 = y0 - y1 + y2 - y3;
+        if (dx3 === 0 && dy3 === 0) {
+            return [x1 - x0, x2 - x1, x0, y1 - y0, y2 - y1, y0, 0, 0, 1];
+        }
+
+        const dx1 = x1 - x2;
+        const dx2 = x3 - x2;
+        const dy1 = y1 - y2;
+        const dy2 = y3 - y2;
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+        const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+        return [x1 - x0 + a13 * x1, x3 - x0 + a23 * x3, x0, y1 - y0 + a13 * y1, y3 - y0 + a23 * y3, y0, a13, a23, 1];
+    }
+
+    adjoint([a11, a21, a31, a12, a22, a32, a13, a23, a33]) {
+        return [
+            a22 * a33 - a23 * a32, a23 * a31 - a21 * a33, a21 * a32 - a22 * a31,
+            a13 * a32 - a12 * a33, a11 * a33 - a13 * a31, a12 * a31 - a11 * a32,
+            a12 * a23 - a13 * a22, a13 * a21 - a11 * a23, a11 * a22 - a12 * a21
+        ];
+    }
+
+    times([a11, a21, a31, a12, a22, a32, a13, a23, a33], [b11, b21, b31, b12, b22, b32, b13, b23, b33]) {
+        return [
+            a11 * b11 + a21 * b12 + a31 * b13, a11 * b21 + a21 * b22 + a31 * b23, a11 * b31 + a21 * b32 + a31 * b33,
+            a12 * b11 + a22 * b12 + a32 * b13, a12 * b21 + a22 * b22 + a32 * b23, a12 * b31 + a22 * b32 + a32 * b33,
+            a13 * b11 + a23 * b12 + a33 * b13, a13 * b21 + a23 * b22 + a33 * b23, a13 * b31 + a23 * b32 + a33 * b33
+        ];
+    }
+
+    project([a11, a21, a31, a12, a22, a32, a13, a23, a33], x, y) {
+        const w = a13 * x + a23 * y + a33;
+        return { x: (a11 * x + a21 * y + a31) / w, y: (a12 * x + a22 * y + a32) / w };
+    }
+
+    // Module grid read at each module's centre; null when the symbol runs
+    // off the image. Points within a pixel of the edge are pulled in.
+    sample(matrix, transform, dimension) {
+        const data = new Uint8Array(dimension * dimension);
+        for (let row = 0; row < dimension; row++) {
+            for (let col = 0; col < dimension; col++) {
+                const point = this.project(transform, col + 0.5, row + 0.5);
+                const x = Math.floor(point.x);
+                const y = Math.floor(point.y);
+                if (!(x >= -1 && y >= -1 && x <= matrix.width && y <= matrix.height)) return null;
+
+                const dark = matrix.get(Math.max(0, Math.min(matrix.width - 1, x)), Math.max(0, Math.min(matrix.height - 1, y)));
+                data[row * dimension + col] = dark ? 1 : 0;
+            }
+        }
+        return this.grid(data, dimension);
+    }
+
+    grid(data, size) {
+        return { size, data, get: (row, col) => data[row * size + col] };
+    }
+
+    // Rows and columns swapped: how a mirrored symbol reads
+    transpose(grid) {
+        const { size } = grid;
+        const data = new Uint8Array(size * size);
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) data[col * size + row] = grid.get(row, col);
+        }
+        return this.grid(data, size);
+    }
+
+    location(transform, dimension, { topLeft, topRight, bottomLeft }, alignment) {
+        const point = ({ x, y }) => ({ x, y });
+        return {
+            topLeftCorner: this.project(transform, 0, 0),
+            topRightCorner: this.project(transform, dimension, 0),
+            bottomRightCorner: this.project(transform, dimension, dimension),
+            bottomLeftCorner: this.project(transform, 0, dimension),
+            topLeftFinderPattern: point(topLeft),
+            topRightFinderPattern: point(topRight),
+            bottomLeftFinderPattern: point(bottomLeft),
+            bottomRightAlignmentPattern: alignment ? point(alignment) : null
+        };
+    }
+
+    // Version from the symbol width, or from the nearer of the two version
+    // blocks from version 7 on; null when neither is close enough
+    readVersion(grid) {
+        const size = grid.size;
+        if (size < 45) return (size - 17) / 4;
+
+        let first = 0;
+        let second = 0;
+        for (let i = 0; i < 18; i++) {
+            const row = Math.floor(i / 3);
+            const col = size - 11 + i % 3;
+            first |= grid.get(row, col) << i;
+            second |= grid.get(col, row) << i;
+        }
+
+        let best = null;
+        let distance = 4;
+        for (let version = 7; version <= this.capacity.maxVersion; version++) {
+            const bits = this.encoder.versionBits(version);
+            for (const read of [first, second]) {
+                const errors = this.bitCount(bits ^ read);
+                if (errors < distance) {
+                    distance = errors;
+                    best = version;
+                }
+            }
+        }
+        return best;
+    }
+
+    // Level and mask from the nearer of the two format copies, or null
+    readFormat(grid) {
+        const size = grid.size;
+        let first = 0;
+        let second = 0;
+        for (let i = 0; i < 15; i++) {
+            const nearFinder = i < 6 ? grid.get(i, 8) : i < 8 ? grid.get(i + 1, 8) : i === 8 ? grid.get(8, 7) : grid.get(8, 14 - i);
+            const split = i < 8 ? grid.get(8, size - 1 - i) : grid.get(size - 15 + i, 8);
+            first |= nearFinder << i;
+            second |= split << i;
+        }
+
+        let best = null;
+        let distance = 4;
+        for (const level of this.capacity.levels) {
+            for (let mask = 0; mask < 8; mask++) {
+                const bits = this.encoder.formatBits(level, mask);
+                for (const read of [first, second]) {
+                    const errors = this.bitCount(bits ^ read);
+                    if (errors < distance) {
+                        distance = errors;
+                        best = { level, mask };
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    bitCount(value) {
+        let count = 0;
+        for (; value; value &= value - 1) count++;
+        return count;
+    }
+
+    // Decoded content of a sampled symbol, or null
+    decodeGrid(grid, version) {
+        const format = this.readFormat(grid);
+        if (!format) return null;
+
+        this.reserved[version] = this.reserved[version] || this.encoder.functionPatterns(version);
+        const codewords = this.readCodewords(grid, this.reserved[version], format.mask);
+        const data = this.correct(codewords, version, format.level);
+        if (!data) return null;
+
+        try {
+            return { ...this.parse(data, version), version, errorCorrectionLevel: format.level };
+        } catch {
+            return null;
+        }
+    }
+
+    // Unmasked codeword bytes along the placement path (the mirror of
+    // QREncoder.placeData); remainder bits are dropped
+    readCodewords(grid, reserved, mask) {
+        const size = grid.size;
+        const codewords = [];
+        let byte = 0;
+        let bits = 0;
+        let row = size - 1;
+        let step = -1;
+
+        for (let col = size - 1; col > 0; col -= 2) {
+            if (col === 6) col--;
+
+            while (true) {
+                for (let c = 0; c < 2; c++) {
+                    if (!reserved.isReserved(row, col - c)) {
+                        byte = (byte << 1) | (grid.get(row, col - c) ^ (this.encoder.maskAt(mask, row, col - c) ? 1 : 0));
+                        if (++bits === 8) {
+                            codewords.push(byte);
+                            byte = 0;
+                            bits = 0;
+                        }
+                    }
+                }
+
+                row += step;
+                if (row < 0 || row >= size) {
+                    row -= step;
+                    step = -step;
+                    break;
+                }
+            }
+        }
+        return codewords;
+    }
+
+    // Deinterleave the blocks, correct each and join their data codewords;
+    // null when any block has more errors than it can correct
+    correct(codewords, version, level) {
+        const levelIndex = this.capacity.levels.indexOf(level);
+        const blockCount = this.capacity.blockCounts[version - 1][levelIndex];
+        const ecLength = this.capacity.blockECCodewords[version - 1][levelIndex];
+        const protection = (this.capacity.protection[version] || [0, 0, 0, 0])[levelIndex];
+        const total = codewords.length;
+        const shortBlocks = blockCount - total % blockCount;
+        const shortData = Math.floor(total / blockCount) - ecLength;
+
+        const blocks = [];
+        for (let b = 0; b < blockCount; b++) blocks.push([]);
+        let index = 0;
+        for (let i = 0; i <= shortData; i++) {
+            blocks.forEach((block, b) => {
+                if (i < shortData + (b < shortBlocks ? 0 : 1)) block.push(codewords[index++]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            for (const block of blocks) block.push(codewords[index++]);
+        }
+
+        const data = [];
+        for (const block of blocks) {
+            const fixed = this.correctBlock(block, ecLength, Math.floor((ecLength - protection) / 2));
+            if (!fixed) return null;
+            data.push(...fixed.slice(0, block.length - ecLength));
+        }
+        return data;
+    }
+
+    // Reed-Solomon correction of one block: syndromes, error locator by
+    // Berlekamp-Massey, positions by Chien search, values by Forney.
+    // Polynomials here are lowest degree first.
+    correctBlock(block, ecLength, maxErrors) {
+        const syndromesOf = (codewords) => {
+            const syndromes = [];
+            for (let i = 0; i < ecLength; i++) {
+                let value = 0;
+                for (const codeword of codewords) value = this.mul(value, this.exp[i]) ^ codeword;
+                syndromes.push(value);
+            }
+            return syndromes;
+        };
+
+        const syndromes = syndromesOf(block);
+        if (syndromes.every(value => value === 0)) return block;
+
+        let locator = [1];
+        let previous = [1];
+        let errors = 0;
+        let shift = 1;
+        let lastDiscrepancy = 1;
+        for (let i = 0; i < ecLength; i++) {
+            let discrepancy = syndromes[i];
+            for (let j = 1; j <= errors; j++) discrepancy ^= this.mul(locator[j] || 0, syndromes[i - j]);
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const factor = this.div(discrepancy, lastDiscrepancy);
+            const next = locator.slice();
+            previous.forEach((coefficient, j) => {
+                next[j + shift] = (next[j + shift] || 0) ^ this.mul(factor, coefficient);
+            });
+            if (2 * errors <= i) {
+                errors = i + 1 - errors;
+                previous = locator;
+                lastDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = next;
+        }
+        if (errors > maxErrors) return null;
+
+        // Codeword j carries the coefficient of x^(n-1-j)
+        const n = block.length;
+        const positions = [];
+        for (let j = 0; j < n; j++) {
+            if (this.evaluate(locator, this.exp[(255 - (n - 1 - j)) % 255]) === 0) positions.push(j);
+        }
+        if (positions.length !== errors) return null;
+
+        const evaluator = new Array(ecLength).fill(0);
+        for (let i = 0; i < ecLength; i++) {
+            for (let j = 0; j <= i && j < locator.length; j++) evaluator[i] ^= this.mul(locator[j], syndromes[i - j]);
+        }
+
+        const fixed = block.slice();
+        for (const j of positions) {
+            const power = (n - 1 - j) % 255;
+            const inverse = this.exp[(255 - power) % 255];
+            let derivative = 0;
+            for (let k = 1; k < locator.length; k += 2) {
+                derivative ^= this.mul(locator[k], this.pow(inverse, k - 1));
+            }
+            if (!derivative) return null;
+            fixed[j] ^= this.mul(this.exp[power], this.div(this.evaluate(evaluator, inverse), derivative));
+        }
+
+        return syndromesOf(fixed).every(value => value === 0) ? fixed : null;
+    }
+
+    mul(a, b) {
+        return a && b ? this.exp[this.log[a] + this.log[b]] : 0;
+    }
+
+    div(a, b) {
+        return a ? this.exp[(this.log[a] + 255 - this.log[b]) % 255] : 0;
+    }
+
+    pow(x, power) {
+        if (power === 0) return 1;
+        return x ? this.exp[(this.log[x] * power) % 255] : 0;
+    }
+
+    evaluate(polynomial, x) {
+        let value = 0;
+        for (let i = polynomial.length - 1; i >= 0; i--) value = this.mul(value, x) ^ (polynomial[i] || 0);
+        return value;
+    }
+
+    // Segments of the corrected data codewords. Throws on a malformed
+    // stream.
+    parse(codewords, version) {
+        const range = this.capacity.countRange(version);
+        const total = codewords.length * 8;
+        let position = 0;
+        const read = (length) => {
+            if (position + length > total) throw new Error('Segment runs past the end of the data');
+            let value = 0;
+            for (let i = 0; i < length; i++, position++) {
+                value = value * 2 + ((codewords[position >> 3] >> (7 - (position & 7))) & 1);
+            }
+            return value;
+        };
+        const count = (mode) => read(this.capacity.modes[mode].countBits[range]);
+        const checked = (value, limit) => {
+            if (value >= limit) throw new Error('Invalid character in segment');
+            return value;
+        };
+        const alphanumeric = this.encoder.alphanumericChars;
+
+        const chunks = [];
+        const binaryData = [];
+        let charset = null;
+        while (total - position >= 4) {
+            const indicator = read(4);
+            if (indicator === 0) break;
+
+            if (indicator === 7) {
+                let eci = read(8);
+                if ((eci & 0xc0) === 0x80) {
+                    eci = ((eci & 0x3f) << 8) | read(8);
+                } else if ((eci & 0xe0) === 0xc0) {
+                    eci = ((eci & 0x1f) << 16) | read(16);
+                } else if (eci & 0x80) {
+                    throw new Error('Invalid ECI designator');
+                }
+                charset = this.encoder.charsets[eci] ? this.encoder.charsets[eci].label : null;
+                chunks.push({ type: 'eci', assignmentNumber: eci });
+            } else if (indicator === 1) {
+                let length = count('numeric');
+                let text = '';
+                for (; length >= 3; length -= 3) text += String(checked(read(10), 1000)).padStart(3, '0');
+                if (length === 2) text += String(checked(read(7), 100)).padStart(2, '0');
+                if (length === 1) text += checked(read(4), 10);
+                chunks.push({ type: 'numeric', text });
+            } else if (indicator === 2) {
+                let length = count('alphanumeric');
+                let text = '';
+                for (; length >= 2; length -= 2) {
+                    const value = checked(read(11), 45 * 45);
+                    text += alphanumeric[Math.floor(value / 45)] + alphanumeric[value % 45];
+                }
+                if (length === 1) text += alphanumeric[checked(read(6), 45)];
+                chunks.push({ type: 'alphanumeric', text });
+            } else if (indicator === 4) {
+                const length = count('byte');
+                const bytes = [];
+                for (let i = 0; i < length; i++) bytes.push(read(8));
+                binaryData.push(...bytes);
+                chunks.push({ type: 'byte', bytes, text: this.text(bytes, charset) });
+            } else if (indicator === 8) {
+                const length = count('kanji');
+                const bytes = [];
+                for (let i = 0; i < length; i++) {
+                    const value = read(13);
+                    let code = Math.floor(value / 0xc0) * 0x100 + value % 0xc0;
+                    code += code < 0x1f00 ? 0x8140 : 0xc140;
+                    bytes.push(code >> 8, code & 0xff);
+                }
+                chunks.push({ type: 'kanji', bytes, text: this.text(bytes, 'shift_jis') });
+            } else if (indicator === 3) {
+                chunks.push({ type: 'structuredappend', position: read(4), total: read(4) + 1, parity: read(8) });
+            } else if (indicator === 9) {
+                read(8); // FNC1 application indicator
+            } else if (indicator !== 5) {
+                throw new Error(`Unknown segment mode: ${indicator}`);
+            }
+        }
+
+        const header = chunks.find(chunk => chunk.type === 'structuredappend');
+        return {
+            data: chunks.map(chunk => chunk.text || '').join(''),
+            binaryData,
+            chunks,
+            structuredAppend: header ? { index: header.position, total: header.total, parity: header.parity } : null
+        };
+    }
+
+    text(bytes, charset) {
+        const array = new Uint8Array(bytes);
+        if (charset) return new TextDecoder(charset).decode(array);
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(array);
+        } catch {
+            return new TextDecoder('iso-8859-1').decode(array);
+        }
+    }
+}
+
+// Export for use
+globalThis.QRDecoder = QRDecoder;
@@ -0,0 +1,738 @@
+// 🧮 QR Encoder Module
+// Builds every QR symbol the app draws - no outside library involved, so
+// generation works offline straight from the precache. Beyond the defaults
+// it takes a pinned minimum or fixed version, a forced mask pattern, a
+// chosen segment mode, an ECI header naming the character set of byte
+// segments and a Structured Append header ({ index, total, parity }) for a
+// symbol that is one part of a series.
+//
+// Segment modes are 'numeric', 'alphanumeric', 'byte', 'kanji' (Shift JIS
+// double-byte characters) or 'auto', the optimal mixed split: a dynamic
+// programme over the characters that picks the cheapest mode for each run,
+// mode switch headers included. Byte segments are UTF-8 unless an ECI
+// selects ISO-8859-1, Shift JIS or UTF-16BE.
+//
+// create() returns { modules, version, errorCorrectionLevel, maskPattern,
+// segments, structuredAppend } with modules.size, get() and isReserved(); the styler, logo
+// overlay, SVG and PDF exports and QRDecoder all work from that matrix.
+// toCanvas() draws a plain black-on-white code.
+class QREncoder {
+    constructor() {
+        this.capacity = new QRCapacity(this);
+        this.segmentModes = ['auto', 'numeric', 'alphanumeric', 'byte', 'kanji'];
+        this.modeIndicators = { numeric: 1, alphanumeric: 2, byte: 4, kanji: 8, eci: 7, structuredAppend: 3 };
+        this.maxSeriesSymbols = 16;
+        this.alphanumericChars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+        this.formatLevelBits = { L: 1, M: 0, Q: 3, H: 2 };
+
+        // ECI assignment numbers for the character sets byte segments support
+        this.charsets = {
+            3: { name: 'ISO-8859-1', label: 'iso-8859-1' },
+            20: { name: 'Shift JIS', label: 'shift_jis' },
+            25: { name: 'UTF-16BE', label: 'utf-16be' },
+            26: { name: 'UTF-8', label: 'utf-8' }
+        };
+    }
+
+    // options: { errorCorrectionLevel, version, minVersion, maskPattern,
+    // mode, eci, structuredAppend }. Leaving version and maskPattern unset picks the smallest
+    // version and the lowest-penalty mask.
+    create(content, options = {}) {
+        const level = options.errorCorrectionLevel || 'M';
+        const encoding = this.normalize(options);
+
+        const measured = this.capacity.measure(content, level, encoding);
+        if (!measured.fits) {
+            const over = measured.limitHeadroom;
+            const target = encoding.version ? `a version ${encoding.version} code` : 'the maximum';
+            throw new Error(`Content too long. ${(-over.chars).toLocaleString()} ${over.unit} over ${target} for ${level} error correction.`);
+        }
+
+        const version = measured.version;
+        const data = this.dataCodewords(measured.segments, version, level);
+        const codewords = this.addErrorCorrection(data, version, level);
+
+        const modules = this.functionPatterns(version);
+        this.placeData(modules, codewords);
+
+        const maskPattern = encoding.maskPattern ?? this.bestMask(modules, level);
+        this.applyMask(modules, maskPattern);
+        this.formatInfo(modules, level, maskPattern);
+
+        return {
+            modules,
+            version,
+            errorCorrectionLevel: level,
+            maskPattern,
+            segments: measured.segments,
+            structuredAppend: encoding.structuredAppend || null
+        };
+    }
+
+    // Plain rendering: `width` pixels square (at least one per module,
+    // otherwise `scale` per module), a `margin` of light modules and
+    // `color` { dark, light }. Returns the created symbol.
+    toCanvas(canvas, content, options = {}) {
+        const qr = this.create(content, options);
+        this.drawModules(canvas, qr.modules, options);
+        return qr;
+    }
+
+    drawModules(canvas, modules, options = {}) {
+        const pixels = this.rasterize(modules, options);
+        canvas.width = pixels.width;
+        canvas.height = pixels.height;
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(pixels.width, pixels.height);
+        image.data.set(pixels.data);
+        context.putImageData(image, 0, 0);
+    }
+
+    // Same rendering without a canvas: { data, width, height }, RGBA
+    rasterize(modules, options = {}) {
+        const margin = options.margin ?? 4;
+        const total = modules.size + margin * 2;
+        const width = options.width >= total ? Math.floor(options.width) : total * (options.scale || 4);
+        const scale = width / total;
+        const inset = Math.floor(margin * scale);
+        const color = options.color || {};
+        const dark = this.rgba(color.dark || '#000000ff');
+        const light = this.rgba(color.light || '#ffffffff');
+
+        const data = new Uint8ClampedArray(width * width * 4);
+        for (let y = 0; y < width; y++) {
+            for (let x = 0; x < width; x++) {
+                const row = Math.floor((y - inset) / scale);
+                const col = Math.floor((x - inset) / scale);
+                const on = y >= inset && x >= inset && row < modules.size && col < modules.size && modules.get(row, col);
+                data.set(on ? dark : light, (y * width + x) * 4);
+            }
+        }
+        return { data, width, height: width };
+    }
+
+    // '#rgb', '#rgba', '#rrggbb' or '#rrggbbaa' -> [r, g, b, a]
+    rgba(hex) {
+        let value = String(hex).replace('#', '');
+        if (value.length === 3 || value.length === 4) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) {
+            throw new Error(`Invalid colour: ${hex}`);
+        }
+        if (value.length === 6) value += 'ff';
+        return [0, 2, 4, 6].map(i => parseInt(value.substring(i, i + 2), 16));
+    }
+
+    // Checked copy of the encoding options; unset values stay undefined
+    normalize(options) {
+        const number = (value) => value === undefined || value === null || value === '' ? undefined : Number(value);
+        const encoding = {
+            version: number(options.version),
+            minVersion: number(options.minVersion),
+            maskPattern: number(options.maskPattern),
+            mode: options.mode || 'auto',
+            eci: number(options.eci),
+            structuredAppend: options.structuredAppend || undefined
+        };
+
+        for (const key of ['version', 'minVersion']) {
+            const value = encoding[key];
+            if (value !== undefined && !(Number.isInteger(value) && value >= 1 && value <= 40)) {
+                throw new Error(`QR version must be between 1 and 40, got ${options[key]}`);
+            }
+        }
+        if (encoding.maskPattern !== undefined && !(Number.isInteger(encoding.maskPattern) && encoding.maskPattern >= 0 && encoding.maskPattern <= 7)) {
+            throw new Error(`Mask pattern must be between 0 and 7, got ${options.maskPattern}`);
+        }
+        if (!this.segmentModes.includes(encoding.mode)) {
+            throw new Error(`Unknown segment mode: ${encoding.mode}`);
+        }
+        if (encoding.eci !== undefined && !this.charsets[encoding.eci]) {
+            throw new Error(`Unsupported ECI: ${options.eci}`);
+        }
+
+        // index is 0-based; the parity byte is the XOR of the whole series
+        const part = encoding.structuredAppend;
+        if (part && !(Number.isInteger(part.total) && part.total >= 2 && part.total <= this.maxSeriesSymbols &&
+            Number.isInteger(part.index) && part.index >= 0 && part.index < part.total &&
+            Number.isInteger(part.parity) && part.parity >= 0 && part.parity <= 0xff)) {
+            throw new Error(`Invalid Structured Append header: part ${part.index} of ${part.total}, parity ${part.parity}`);
+        }
+        return encoding;
+    }
+
+    // Segments for content at a version (the version only changes the
+    // character count widths the mixed split weighs): the Structured Append
+    // and ECI headers if they are set, then one segment per run of characters
+    // sharing a mode.
+    // Each is { mode, text, length, bits, values } with `length` the
+    // character count written and `bits` the data bits.
+    segments(content, encoding = {}, version = 40) {
+        const mode = encoding.mode || 'auto';
+        const eci = encoding.eci;
+        const chars = Array.from(content);
+
+        let modes;
+        if (mode === 'auto') {
+            modes = this.optimalModes(chars, eci, version);
+        } else {
+            const invalid = chars.find(char => !this.encodable(char, mode, eci));
+            if (invalid !== undefined) {
+                throw new Error(`"${invalid}" cannot be encoded in ${mode} mode${mode === 'byte' && eci ? ` with ${this.charsets[eci].name}` : ''}`);
+            }
+            modes = chars.map(() => mode);
+        }
+
+        const segments = [];
+        if (encoding.structuredAppend) segments.push(this.structuredAppendSegment(encoding.structuredAppend));
+        if (eci) segments.push(this.eciSegment(eci));
+        let start = 0;
+        for (let i = 1; i <= chars.length; i++) {
+            if (i === chars.length || modes[i] !== modes[start]) {
+                segments.push(this.segment(modes[start], chars.slice(start, i).join(''), eci));
+                start = i;
+            }
+        }
+        return segments;
+    }
+
+    encodable(char, mode, eci) {
+        if (mode === 'numeric') return char >= '0' && char <= '9';
+        if (mode === 'alphanumeric') return this.alphanumericChars.includes(char);
+        if (mode === 'kanji') return this.kanjiValue(char) !== null;
+        try {
+            this.encodeBytes(char, eci);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    segment(mode, text, eci) {
+        if (mode === 'numeric') {
+            const length = text.length;
+            const values = [];
+            for (let i = 0; i < length; i += 3) values.push(text.substring(i, i + 3));
+            return { mode, text, length, bits: Math.floor(length / 3) * 10 + [0, 4, 7][length % 3], values };
+        }
+        if (mode === 'alphanumeric') {
+            const length = text.length;
+            const values = [];
+            for (let i = 0; i < length; i += 2) values.push(text.substring(i, i + 2));
+            return { mode, text, length, bits: Math.floor(length / 2) * 11 + (length % 2) * 6, values };
+        }
+        if (mode === 'kanji') {
+            const values = Array.from(text).map(char => this.kanjiValue(char));
+            return { mode, text, length: values.length, bits: values.length * 13, values };
+        }
+
+        const values = this.encodeBytes(text, eci);
+        return { mode, text, length: values.length, bits: values.length * 8, values };
+    }
+
+    // Designator of 8, 16 or 24 bits depending on the assignment number
+    eciSegment(eci) {
+        const bits = eci < 128 ? 8 : eci < 16384 ? 16 : 24;
+        return { mode: 'eci', text: '', length: 0, bits, values: [eci] };
+    }
+
+    // Part index and total - 1 in 4 bits each, then the series parity byte;
+    // it has to be the first segment of the symbol
+    structuredAppendSegment({ index, total, parity }) {
+        return { mode: 'structuredAppend', text: '', length: 0, bits: 16, values: [index, total - 1, parity] };
+    }
+
+    // Cheapest mode for every character. Costs are kept in sixths of a bit
+    // so alphanumeric (5.5 bits) and numeric (3.33 bits) characters stay
+    // exact; a segment ends by rounding up to whole bits, and starting one
+    // costs its mode indicator and character count.
+    optimalModes(chars, eci, version) {
+        const modes = ['byte', 'alphanumeric', 'numeric', 'kanji'];
+        const range = this.capacity.countRange(version);
+        const headCosts = modes.map(mode => (4 + this.capacity.modes[mode].countBits[range]) * 6);
+        const charCosts = { alphanumeric: 33, numeric: 20, kanji: 78 };
+
+        // previous[i][m]: mode of character i on the cheapest path that is
+        // in mode m after it (switching right after i if the two differ)
+        const previous = [];
+        let costs = headCosts.slice();
+
+        for (const char of chars) {
+            const current = modes.map(() => Infinity);
+            const from = modes.map(() => null);
+            modes.forEach((mode, m) => {
+                if (!this.encodable(char, mode, eci)) return;
+                const cost = mode === 'byte' ? this.encodeBytes(char, eci).length * 48 : charCosts[mode];
+                current[m] = costs[m] + cost;
+                from[m] = mode;
+            });
+            if (from.every(mode => mode === null)) {
+                throw new Error(`"${char}" cannot be encoded${eci ? ` with ${this.charsets[eci].name}` : ''}`);
+            }
+
+            // Switch modes after this character
+            for (let to = 0; to < modes.length; to++) {
+                for (let m = 0; m < modes.length; m++) {
+                    const cost = Math.ceil(current[m] / 6) * 6 + headCosts[to];
+                    if (from[m] !== null && cost < current[to]) {
+                        current[to] = cost;
+                        from[to] = from[m];
+                    }
+                }
+            }
+
+            previous.push(from);
+            costs = current;
+        }
+
+        const result = new Array(chars.length);
+        let mode = modes[costs.indexOf(Math.min(...costs))];
+        for (let i = chars.length - 1; i >= 0; i--) {
+            mode = previous[i][modes.indexOf(mode)];
+            result[i] = mode;
+        }
+        return result;
+    }
+
+    // Byte segment data in the ECI's character set, UTF-8 without one
+    encodeBytes(text, eci) {
+        if (!eci || eci === 26) {
+            return Array.from(new TextEncoder().encode(text));
+        }
+
+        const bytes = [];
+        for (const char of text) {
+            if (eci === 25) {
+                for (let i = 0; i < char.length; i++) {
+                    const unit = char.charCodeAt(i);
+                    bytes.push(unit >> 8, unit & 0xff);
+                }
+                continue;
+            }
+
+            const code = eci === 3 ? char.codePointAt(0) : this.shiftJIS().get(char);
+            if (code === undefined || (eci === 3 && code > 0xff)) {
+                throw new Error(`"${char}" cannot be encoded in ${this.charsets[eci].name}`);
+            }
+            if (code > 0xff) bytes.push(code >> 8);
+            bytes.push(code & 0xff);
+        }
+        return bytes;
+    }
+
+    // 13-bit Kanji mode value of a Shift JIS double-byte character, or null
+    kanjiValue(char) {
+        const code = this.shiftJIS().get(char);
+        if (code === undefined) return null;
+
+        let offset;
+        if (code >= 0x8140 && code <= 0x9ffc) {
+            offset = code - 0x8140;
+        } else if (code >= 0xe040 && code <= 0xebbf) {
+            offset = code - 0xc140;
+        } else {
+            return null;
+        }
+        return (offset >> 8) * 0xc0 + (offset & 0xff);
+    }
+
+    // Character -> Shift JIS code, built once from the platform decoder
+    shiftJIS() {
+        if (this.sjis) return this.sjis;
+
+        const decoder = new TextDecoder('shift_jis');
+        const map = new Map();
+        const add = (code, bytes) => {
+            const char = decoder.decode(new Uint8Array(bytes));
+            if (char.length === 1 && char !== '\ufffd' && !map.has(char)) map.set(char, code);
+        };
+
+        for (let byte = 0; byte < 0x80; byte++) add(byte, [byte]);
+        for (let byte = 0xa1; byte <= 0xdf; byte++) add(byte, [byte]);
+        for (let lead = 0x81; lead <= 0xfc; lead++) {
+            if (lead > 0x9f && lead < 0xe0) continue;
+            for (let trail = 0x40; trail <= 0xfc; trail++) {
+                if (trail !== 0x7f) add((lead << 8) | trail, [lead, trail]);
+            }
+        }
+
+        this.sjis = map;
+        return map;
+    }
+
+    // Segments, terminator and padding, as data codewords
+    dataCodewords(segments, version, level) {
+        const range = this.capacity.countRange(version);
+        const capacity = this.capacity.dataBits(version, level);
+        const bits = [];
+        const put = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push(Math.floor(value / 2 ** i) & 1);
+        };
+
+        for (const segment of segments) {
+            put(this.modeIndicators[segment.mode], 4);
+            if (segment.mode === 'eci') {
+                const eci = segment.values[0];
+                put(segment.bits === 8 ? eci : segment.bits === 16 ? 0x8000 | eci : 0xc00000 | eci, segment.bits);
+                continue;
+            }
+            if (segment.mode === 'structuredAppend') {
+                segment.values.forEach((value, i) => put(value, [4, 4, 8][i]));
+                continue;
+            }
+
+            put(segment.length, this.capacity.modes[segment.mode].countBits[range]);
+            for (const value of segment.values) {
+                if (segment.mode === 'numeric') {
+                    put(parseInt(value, 10), [0, 4, 7, 10][value.length]);
+                } else if (segment.mode === 'alphanumeric') {
+                    const first = this.alphanumericChars.indexOf(value[0]);
+                    if (value.length === 2) {
+                        put(first * 45 + this.alphanumericChars.indexOf(value[1]), 11);
+                    } else {
+                        put(first, 6);
+                    }
+                } else {
+                    put(value, segment.mode === 'kanji' ? 13 : 8);
+                }
+            }
+        }
+
+        put(0, Math.min(4, capacity - bits.length));
+        while (bits.length % 8) bits.push(0);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    }
+
+    // Split the data into blocks, append each block's Reed-Solomon
+    // codewords and interleave them for placement
+    addErrorCorrection(data, version, level) {
+        const levelIndex = this.capacity.levels.indexOf(level);
+        const blockCount = this.capacity.blockCounts[version - 1][levelIndex];
+        const ecLength = this.capacity.blockECCodewords[version - 1][levelIndex];
+        const total = Math.floor(this.capacity.rawDataModules(version) / 8);
+        const shortBlocks = blockCount - total % blockCount;
+        const shortData = Math.floor(total / blockCount) - ecLength;
+        const divisor = this.generatorPolynomial(ecLength);
+
+        const blocks = [];
+        let offset = 0;
+        for (let b = 0; b < blockCount; b++) {
+            const length = shortData + (b < shortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: block, ec: this.remainder(block, divisor) });
+        }
+
+        const result = [];
+        for (let i = 0; i <= shortData; i++) {
+            for (const block of blocks) {
+                if (i < block.data.length) result.push(block.data[i]);
+            }
+        }
+        for (let i = 0; i < ecLength; i++) {
+            for (const block of blocks) result.push(block.ec[i]);
+        }
+        return result;
+    }
+
+    // Product of (x - a^i) for i < degree over GF(256), leading 1 dropped
+    generatorPolynomial(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = this.multiply(result[j], root) ^ (j + 1 < degree ? result[j + 1] : 0);
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    remainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        }
+        return result;
+    }
+
+    // GF(256) product modulo x^8 + x^4 + x^3 + x^2 + 1
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    // Empty symbol with finder, separator, timing, alignment, format and
+    // version areas drawn and reserved
+    functionPatterns(version) {
+        const size = this.capacity.moduleCount(version);
+        const modules = {
+            size,
+            data: new Uint8Array(size * size),
+            reservedBit: new Uint8Array(size * size),
+            get: (row, col) => modules.data[row * size + col],
+            isReserved: (row, col) => modules.reservedBit[row * size + col],
+            set: (row, col, dark, reserved = false) => {
+                modules.data[row * size + col] = dark ? 1 : 0;
+                if (reserved) modules.reservedBit[row * size + col] = 1;
+            }
+        };
+
+        // Finders with their separators
+        for (const [top, left] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+            for (let r = -1; r <= 7; r++) {
+                for (let c = -1; c <= 7; c++) {
+                    const row = top + r;
+                    const col = left + c;
+                    if (row < 0 || col < 0 || row >= size || col >= size) continue;
+                    const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                    modules.set(row, col, ring !== 2 && ring !== 4, true);
+                }
+            }
+        }
+
+        for (let i = 8; i < size - 8; i++) {
+            modules.set(6, i, i % 2 === 0, true);
+            modules.set(i, 6, i % 2 === 0, true);
+        }
+
+        // Alignment patterns everywhere but on the finders; they cross the
+        // timing patterns
+        const positions = this.alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((row, i) => {
+            positions.forEach((col, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let r = -2; r <= 2; r++) {
+                    for (let c = -2; c <= 2; c++) {
+                        modules.set(row + r, col + c, Math.max(Math.abs(r), Math.abs(c)) !== 1, true);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas (and the dark module) until the mask is known
+        this.formatInfo(modules, 'L', 0);
+
+        if (version >= 7) {
+            const bits = this.versionBits(version);
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const row = Math.floor(i / 3);
+                const col = size - 11 + i % 3;
+                modules.set(row, col, dark, true);
+                modules.set(col, row, dark, true);
+            }
+        }
+
+        return modules;
+    }
+
+    alignmentPositions(version) {
+        if (version === 1) return [];
+
+        const size = this.capacity.moduleCount(version);
+        const count = Math.floor(version / 7) + 2;
+        const step = size === 145 ? 26 : Math.ceil((size - 13) / (2 * count - 2)) * 2;
+        const positions = [6];
+        for (let position = size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    // 18 version bits (BCH protected), versions 7 and up
+    versionBits(version) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+        return (version << 12) | rem;
+    }
+
+    // 15 format bits: level and mask, BCH protected and masked
+    formatBits(level, maskPattern) {
+        const data = (this.formatLevelBits[level] << 3) | maskPattern;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        return ((data << 10) | rem) ^ 0x5412;
+    }
+
+    // Format bits in both copies, plus the dark module
+    formatInfo(modules, level, maskPattern) {
+        const size = modules.size;
+        const bits = this.formatBits(level, maskPattern);
+
+        for (let i = 0; i < 15; i++) {
+            const dark = ((bits >> i) & 1) === 1;
+
+            if (i < 6) {
+                modules.set(i, 8, dark, true);
+            } else if (i < 8) {
+                modules.set(i + 1, 8, dark, true);
+            } else {
+                modules.set(size - 15 + i, 8, dark, true);
+            }
+
+            if (i < 8) {
+                modules.set(8, size - i - 1, dark, true);
+            } else if (i < 9) {
+                modules.set(8, 15 - i, dark, true);
+            } else {
+                modules.set(8, 14 - i, dark, true);
+            }
+        }
+
+        modules.set(size - 8, 8, true, true);
+    }
+
+    // Codeword bits along the two-column zig-zag from the bottom right,
+    // skipping the timing column; remainder bits stay light
+    placeData(modules, codewords) {
+        const size = modules.size;
+        let bit = 0;
+        let row = size - 1;
+        let step = -1;
+
+        for (let col = size - 1; col > 0; col -= 2) {
+            if (col === 6) col--;
+
+            while (true) {
+                for (let c = 0; c < 2; c++) {
+                    if (!modules.isReserved(row, col - c)) {
+                        const byte = codewords[bit >> 3];
+                        modules.set(row, col - c, byte !== undefined && ((byte >> (7 - (bit & 7))) & 1) === 1);
+                        bit++;
+                    }
+                }
+
+                row += step;
+                if (row < 0 || row >= size) {
+                    row -= step;
+                    step = -step;
+                    break;
+                }
+            }
+        }
+    }
+
+    maskAt(pattern, row, col) {
+        switch (pattern) {
+            case 0: return (row + col) % 2 === 0;
+            case 1: return row % 2 === 0;
+            case 2: return col % 3 === 0;
+            case 3: return (row + col) % 3 === 0;
+            case 4: return (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0;
+            case 5: return (row * col) % 2 + (row * col) % 3 === 0;
+            case 6: return ((row * col) % 2 + (row * col) % 3) % 2 === 0;
+            default: return ((row * col) % 3 + (row + col) % 2) % 2 === 0;
+        }
+    }
+
+    // XOR the mask over the data modules; applying it twice undoes it
+    applyMask(modules, pattern) {
+        for (let row = 0; row < modules.size; row++) {
+            for (let col = 0; col < modules.size; col++) {
+                if (!modules.isReserved(row, col) && this.maskAt(pattern, row, col)) {
+                    modules.data[row * modules.size + col] ^= 1;
+                }
+            }
+        }
+    }
+
+    // Mask with the lowest penalty score, each tried with its own format bits
+    bestMask(modules, level) {
+        let best = 0;
+        let lowest = Infinity;
+        for (let pattern = 0; pattern < 8; pattern++) {
+            this.formatInfo(modules, level, pattern);
+            this.applyMask(modules, pattern);
+            const penalty = this.penalty(modules);
+            this.applyMask(modules, pattern);
+
+            if (penalty < lowest) {
+                lowest = penalty;
+                best = pattern;
+            }
+        }
+        return best;
+    }
+
+    // Standard penalty rules: runs of five or more, 2x2 blocks, finder-like
+    // 1:1:3:1:1 patterns and dark/light imbalance
+    penalty(modules) {
+        const size = modules.size;
+        let points = 0;
+
+        for (let row = 0; row < size; row++) {
+            let rowRun = 0;
+            let colRun = 0;
+            let lastRow = null;
+            let lastCol = null;
+            let rowBits = 0;
+            let colBits = 0;
+
+            for (let col = 0; col < size; col++) {
+                const across = modules.get(row, col);
+                const down = modules.get(col, row);
+
+                if (across === lastRow) {
+                    rowRun++;
+                } else {
+                    if (rowRun >= 5) points += 3 + rowRun - 5;
+                    lastRow = across;
+                    rowRun = 1;
+                }
+                if (down === lastCol) {
+                    colRun++;
+                } else {
+                    if (colRun >= 5) points += 3 + colRun - 5;
+                    lastCol = down;
+                    colRun = 1;
+                }
+
+                rowBits = ((rowBits << 1) & 0x7ff) | across;
+                colBits = ((colBits << 1) & 0x7ff) | down;
+                if (col >= 10 && (rowBits === 0x5d0 || rowBits === 0x05d)) points += 40;
+                if (col >= 10 && (colBits === 0x5d0 || colBits === 0x05d)) points += 40;
+            }
+
+            if (rowRun >= 5) points += 3 + rowRun - 5;
+            if (colRun >= 5) points += 3 + colRun - 5;
+        }
+
+        let dark = 0;
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                dark += modules.get(row, col);
+                if (row < size - 1 && col < size - 1) {
+                    const block = modules.get(row, col) + modules.get(row, col + 1) +
+                        modules.get(row + 1, col) + modules.get(row + 1, col + 1);
+                    if (block === 0 || block === 4) points += 3;
+                }
+            }
+        }
+        points += Math.abs(Math.ceil(dark * 100 / (size * size) / 5) - 10) * 10;
+
+        return points;
+    }
+}
+
+// Export for use
+globalThis.QREncoder = QREncoder;
@@ -12,6 +12,7 @@ class QRGeneratorModule {
             },
             errorCorrectionLevel: 'M'
         };
+        this.core = new ScanzoCore();
         
         this.init();
     }
@@ -35,16 +36,83 @@ class QRGeneratorModule {
 
         try {
             // Merge options
-            const options = { ...this.defaultOptions, ...customOptions };
+            const { signing, validity, compress, structuredAppend, logo, verify = true, ...options } = { ...this.defaultOptions, ...customOptions };
+
+            // Advanced encoding: `encoding` is { version, minVersion,
+            // maskPattern, mode, eci }; unset fields keep the automatic
+            // choice.
+            if (options.encoding) {
+                options.encoding = this.core.encoder.normalize(options.encoding);
+            }
+
+            // Signing and compression go through ScanzoCore, so the backend
+            // writes the same payloads. Signing wraps the content in a
+            // SCANZO_SIGNED payload: `signing` is { kid, privateKey } for an
+            // ECDSA P-256 key and the optional `validity` ({ notBefore,
+            // expiresAt }) is signed too. Compression deflates the final
+            // payload into a SCANZO_Z payload when that makes it shorter;
+            // scanners inflate it first. A forced segment mode keeps the
+            // content as given.
+            const wrapped = await this.core.wrap(content, {
+                signing,
+                ...validity,
+                compress: compress && !(options.encoding && options.encoding.mode !== 'auto')
+            });
+            const compressed = wrapped.compressed;
+            content = wrapped.payload;
             
-            // Validate content length
-            const maxLength = this.getMaxLength(options.errorCorrectionLevel);
-            if (content.length > maxLength) {
-                throw new Error(`Content too long. Max ${maxLength} characters for ${options.errorCorrectionLevel} error correction.`);
+            // Logo: `logo` is { image, scale } with scale the logo's share of
+            // the symbol width. Error correction starts at Q or higher and
+            // the logo overlay may raise it to H once the symbol is known.
+            if (logo) {
+                this.logoOverlay = this.logoOverlay || new LogoOverlay();
+                options.errorCorrectionLevel = this.logoOverlay.candidateLevels(options.errorCorrectionLevel)[0];
             }
 
+            // Validate content length. With `structuredAppend` set, content
+            // that does not fit becomes a series: part 1 goes on the main
+            // canvas and every part is returned in `series`, each encoded
+            // with its Structured Append header.
+            const parts = structuredAppend
+                ? this.core.split(content, options.errorCorrectionLevel, options.encoding)
+                : [{ content, encoding: options.encoding }];
+            content = parts[0].content;
+            options.encoding = parts[0].encoding;
+            this.checkCapacity(content, options.errorCorrectionLevel, options.encoding);
+
             // Generate QR code
-            await QRCode.toCanvas(this.canvas, content, options);
+            const series = parts.length > 1 ? await this.generateSeries(parts, { ...options, logo }) : [];
+            const { fit: logoFit, options: renderOptions } = logo
+                ? this.fitLogo(content, options, logo)
+                : { fit: null, options };
+
+            await this.renderCanvas(this.canvas, content, renderOptions);
+            if (logoFit) {
+                this.logoOverlay.draw(this.canvas, logo.image, logoFit.zone, logoFit.size, renderOptions);
+            }
+
+            // Scannability: read the canvas back and score it under simulated
+            // blur, small print and poor light. A code that colours, a logo
+            // or shapes made unreadable is refused; weak ones are reported.
+            let scannability = null;
+            if (verify) {
+                this.scannabilityChecker = this.scannabilityChecker || new ScannabilityChecker();
+                const color = { ...this.defaultOptions.color, ...renderOptions.color };
+                scannability = await this.scannabilityChecker.check(this.canvas, content, color, async () => {
+                    const plain = document.createElement('canvas');
+                    await this.renderCanvas(plain, content, {
+                        width: renderOptions.width,
+                        margin: renderOptions.margin,
+                        errorCorrectionLevel: renderOptions.errorCorrectionLevel,
+                        encoding: renderOptions.encoding
+                    });
+                    return plain;
+                });
+                if (scannability.verdict === 'unreadable') {
+                    throw new Error(scannability.issues[0]);
+                }
+            }
+            this.lastRender = { content, options: renderOptions };
             
             // Add visual enhancements
             this.addEnhancements();
@@ -54,7 +122,12 @@ class QRGeneratorModule {
                 canvas: this.canvas,
                 dataURL: this.canvas.toDataURL('image/png', 1.0),
                 content: content,
-                size: content.length
+                size: content.length,
+                signed: !!signing,
+                compressed,
+                errorCorrectionLevel: renderOptions.errorCorrectionLevel,
+                scannability,
+                series
             };
 
         } catch (error) {
@@ -63,15 +136,126 @@ class QRGeneratorModule {
         }
     }
 
-    // Get maximum content length based on error correction level
-    getMaxLength(errorCorrectionLevel) {
-        const limits = {
-            'L': 2953, // Low
-            'M': 2331, // Medium
-            'Q': 1663, // Quartile
-            'H': 1273  // High
+    // Render several payloads (e.g. threshold shares, or the { content,
+    // encoding } parts of a series) onto canvases of their own, leaving the
+    // main canvas untouched. A `logo` in the options goes on every symbol,
+    // fitted to each one. Each result keeps the options it was drawn with.
+    async generateSeries(contents, customOptions = {}) {
+        const { logo, ...defaults } = { ...this.defaultOptions, ...customOptions };
+        const results = [];
+
+        try {
+            for (const item of contents) {
+                const { content, encoding = defaults.encoding } = typeof item === 'string' ? { content: item } : item;
+                let options = { ...defaults, encoding };
+                this.checkCapacity(content, options.errorCorrectionLevel, options.encoding);
+
+                let logoFit = null;
+                if (logo) {
+                    ({ fit: logoFit, options } = this.fitLogo(content, options, logo));
+                }
+
+                const canvas = document.createElement('canvas');
+                await this.renderCanvas(canvas, content, options);
+                if (logoFit) {
+                    this.logoOverlay.draw(canvas, logo.image, logoFit.zone, logoFit.size, options);
+                }
+
+                results.push({
+                    canvas,
+                    dataURL: canvas.toDataURL('image/png', 1.0),
+                    content,
+                    size: content.length,
+                    options
+                });
+            }
+        } catch (error) {
+            console.error('QR series generation failed:', error);
+            throw new Error(`QR generation failed: ${error.message}`);
+        }
+
+        return results;
+    }
+
+    // Fits the logo ({ image, scale }) to one symbol: returns the fit and the
+    // options to draw it with, at the error correction (and, for short
+    // content, the minimum version) the logo needs. The logo is recorded with
+    // the options as a data URL so SVG copies, label sheets and history
+    // items carry it too.
+    fitLogo(content, options, logo) {
+        this.logoOverlay = this.logoOverlay || new LogoOverlay();
+        const withVersion = (minVersion) => minVersion ? { ...options.encoding, minVersion } : options.encoding;
+        const fit = this.logoOverlay.fit(content, options.errorCorrectionLevel, logo.scale,
+            (text, level, minVersion) => this.createMatrix(text, { ...options, errorCorrectionLevel: level, encoding: withVersion(minVersion) }));
+
+        return {
+            fit,
+            options: {
+                ...options,
+                errorCorrectionLevel: fit.level,
+                encoding: withVersion(fit.minVersion),
+                logo: { href: this.logoOverlay.encode(logo.image), scale: logo.scale }
+            }
         };
-        return limits[errorCorrectionLevel] || limits['M'];
+    }
+
+    // Codes are drawn from QREncoder's module matrix: with a `style`
+    // ({ modules, frame, ball, frameColor, ballColor }) by QRStyler, plain
+    // ones module by module
+    async renderCanvas(canvas, content, options) {
+        const { modules } = this.createMatrix(content, options);
+        const color = { ...this.defaultOptions.color, ...options.color };
+        if (!options.style) {
+            this.core.encoder.drawModules(canvas, modules, { ...options, color });
+            return;
+        }
+
+        this.styler = this.styler || new QRStyler();
+        this.styler.drawCanvas(canvas, modules, { ...options, color });
+    }
+
+    // Module matrix at the options' error correction level, with the
+    // `encoding` choices (see generate) when there are any
+    createMatrix(content, options) {
+        return this.core.matrix(content, options);
+    }
+
+    // Plain render of one animation frame onto the main canvas, without the
+    // effects generate() adds, so it keeps up with a stream's frame rate
+    async renderFrame(content, customOptions = {}) {
+        if (!this.canvas) {
+            throw new Error('QR canvas not initialized');
+        }
+
+        await this.renderCanvas(this.canvas, content, { ...this.defaultOptions, ...customOptions });
+    }
+
+    // SVG built from the module matrix rather than traced from the canvas, so
+    // it stays sharp at any print size. Uses the same colours, margin, error
+    // correction, style and logo as the canvas; defaults to the code
+    // generate() drew.
+    toSVG(content = this.lastRender && this.lastRender.content, customOptions = this.lastRender ? this.lastRender.options : {}) {
+        if (!content) {
+            throw new Error('No QR code generated');
+        }
+
+        const options = { ...this.defaultOptions, ...customOptions };
+        const { modules } = this.createMatrix(content, options);
+        return this.core.toSVG(modules, { ...options, color: { ...this.defaultOptions.color, ...options.color } });
+    }
+
+    // Byte-mode limit of the largest code, for sizing byte budgets. Use
+    // checkCapacity() to test actual content: digits pack tighter and
+    // multi-byte UTF-8 characters cost more than one.
+    getMaxLength(errorCorrectionLevel) {
+        return this.core.getMaxLength(errorCorrectionLevel);
+    }
+
+    // Throws unless the content fits the largest code at the level (or the
+    // pinned `encoding` version), counting its encoded bits rather than its
+    // characters. Returns the measurement.
+    checkCapacity(content, errorCorrectionLevel, encoding = null) {
+        return this.core.checkCapacity(content, errorCorrectionLevel, encoding);
     }
 
     // Add visual enhancements to generated QR
@@ -146,7 +330,34 @@ class QRGeneratorModule {
                     color: {
                         dark: '#667eea',
                         light: '#ffffff'
-                    }
+                    },
+                    style: { modules: 'rounded', frame: 'rounded', ball: 'rounded' }
+                };
+                break;
+
+            case 'dots':
+                options = {
+                    width: 300,
+                    height: 300,
+                    margin: 3,
+                    color: {
+                        dark: '#1E293B',
+                        light: '#ffffff'
+                    },
+                    style: { modules: 'dot', frame: 'circle', ball: 'circle' }
+                };
+                break;
+
+            case 'liquid':
+                options = {
+                    width: 300,
+                    height: 300,
+                    margin: 3,
+                    color: {
+                        dark: '#FF6B35',
+                        light: '#ffffff'
+                    },
+                    style: { modules: 'liquid', frame: 'rounded', ball: 'rounded', ballColor: '#1E293B' }
                 };
                 break;
                 
@@ -194,7 +405,9 @@ class QRGeneratorModule {
             
             link.download = filename || `scanzo-qr-${timestamp}.${format}`;
             
-            if (format === 'jpg' || format === 'jpeg') {
+            if (format === 'svg') {
+                link.href = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(this.toSVG());
+            } else if (format === 'jpg' || format === 'jpeg') {
                 link.href = this.canvas.toDataURL('image/jpeg', quality);
             } else {
                 link.href = this.canvas.toDataURL('image/png', quality);
@@ -237,6 +450,9 @@ class QRGeneratorModule {
                     const context = this.canvas.getContext('2d');
                     return context.getImageData(0, 0, this.canvas.width, this.canvas.height);
                     
+                case 'svg':
+                    return this.toSVG();
+
                 case 'base64':
                     const dataURL = this.canvas.toDataURL('image/png', 1.0);
                     return dataURL.split(',')[1];
@@ -296,8 +512,10 @@ class QRGeneratorModule {
 
         switch (type) {
             case 'text':
-                if (content.length > 2953) {
-                    return { valid: false, error: 'Text too long (max 2953 characters)' };
+                try {
+                    this.checkCapacity(content, 'L');
+                } catch (error) {
+                    return { valid: false, error: error.message };
                 }
                 break;
                 
@@ -6,9 +6,16 @@ class QRScannerModule {
         this.video = null;
         this.canvas = null;
         this.context = null;
+        this.decoder = new QRDecoder();
         this.facingMode = 'environment';
         this.scanCallback = null;
         this.statusCallback = null;
+        this.shareCallback = null;
+        this.shareCollector = window.ShareCollector ? new ShareCollector() : null;
+        this.partCallback = null;
+        this.partCollector = window.StructuredAppendCollector ? new StructuredAppendCollector() : null;
+        this.streamCallback = null;
+        this.streamDecoder = window.FountainDecoder ? new FountainDecoder() : null;
         
         this.init();
     }
@@ -60,6 +67,117 @@ class QRScannerModule {
         this.statusCallback = callback;
     }
 
+    onShareProgress(callback) {
+        this.shareCallback = callback;
+    }
+
+    isShare(data) {
+        return !!this.shareCollector && this.shareCollector.sharing.isShare(data);
+    }
+
+    // Threshold shares are gathered across scans. Returns the collector's
+    // progress; its `content` is the rebuilt payload once enough distinct
+    // shares of one split have been seen.
+    collectShare(data) {
+        const progress = this.shareCollector.add(data);
+        if (this.shareCallback) {
+            this.shareCallback(progress);
+        }
+        return progress;
+    }
+
+    resetShares() {
+        if (this.shareCollector) {
+            this.shareCollector.reset();
+        }
+    }
+
+    onPartProgress(callback) {
+        this.partCallback = callback;
+    }
+
+    // Takes the decoded symbol, which carries the Structured Append header
+    isPart(qrCode) {
+        return !!this.partCollector && this.partCollector.structuredAppend.isPart(qrCode);
+    }
+
+    // Structured Append parts are gathered across scans. Returns the
+    // collector's progress (including the `missing` part numbers); its
+    // `content` is the reassembled, parity-checked payload once complete.
+    collectPart(qrCode) {
+        const progress = this.partCollector.add(qrCode);
+        if (this.partCallback) {
+            this.partCallback(progress);
+        }
+        return progress;
+    }
+
+    resetParts() {
+        if (this.partCollector) {
+            this.partCollector.reset();
+        }
+    }
+
+    // Progress of an animated file stream: { status, decoded, total,
+    // received }, then status 'complete' with `file`, or 'failed' with `error`
+    onStreamProgress(callback) {
+        this.streamCallback = callback;
+    }
+
+    isStreamFrame(data) {
+        return !!this.streamDecoder && this.streamDecoder.code.isFrame(data);
+    }
+
+    // Frames are decoded as fast as the camera delivers them; once every
+    // block is known the file is rebuilt and its digest checked. Returns
+    // true when the stream is complete and detection should stop.
+    collectStreamFrame(data) {
+        let progress;
+        try {
+            progress = this.streamDecoder.add(data);
+
+            // A new stream usually means the sender restarted: follow it
+            if (progress.status === 'other-stream') {
+                this.streamDecoder.reset();
+                progress = this.streamDecoder.add(data);
+            }
+        } catch (error) {
+            this.updateStatus(error.message, 'error');
+            return false;
+        }
+
+        if (progress.status === 'added') {
+            this.updateStatus(`Receiving file... ${Math.floor((progress.decoded / progress.total) * 100)}% (${progress.received} frames)`, 'active');
+        }
+
+        if (progress.status !== 'complete') {
+            if (progress.status === 'added' && this.streamCallback) {
+                this.streamCallback(progress);
+            }
+            return false;
+        }
+
+        this.isScanning = false;
+        this.updateStatus('File received!', 'success');
+        this.showScanSuccess();
+
+        this.streamDecoder.finish()
+            .then(file => {
+                if (this.streamCallback) this.streamCallback({ ...progress, file });
+            })
+            .catch(error => {
+                this.updateStatus(error.message, 'error');
+                if (this.streamCallback) this.streamCallback({ ...progress, status: 'failed', error: error.message });
+            });
+        return true;
+    }
+
+    resetStream() {
+        if (this.streamDecoder) {
+            this.streamDecoder.reset();
+        }
+    }
+
     updateStatus(message, status) {
         if (this.statusCallback) {
             this.statusCallback(message, status);
@@ -178,7 +296,7 @@ class QRScannerModule {
         }
     }
 
-    // Enhanced QR detection with jsQR
+    // Enhanced QR detection with QRDecoder
     startDetection() {
         if (!this.isScanning || !this.stream || !this.video) return;
 
@@ -201,12 +319,15 @@ class QRScannerModule {
                 // Get image data for QR detection
                 const imageData = this.context.getImageData(0, 0, this.canvas.width, this.canvas.height);
 
-                // Use jsQR for detection
-                const qrCode = jsQR(imageData.data, imageData.width, imageData.height, {
+                const qrCode = this.decoder.decode(imageData, {
                     inversionAttempts: "dontInvert"
                 });
 
-                if (qrCode) {
+                // Receiver mode: stream frames are decoded without leaving
+                // the loop, until the whole file is in
+                if (qrCode && this.isStreamFrame(qrCode.data)) {
+                    if (this.collectStreamFrame(qrCode.data)) return;
+                } else if (qrCode) {
                     // QR code found!
                     this.handleQRFound(qrCode);
                     return;
@@ -229,10 +350,56 @@ class QRScannerModule {
     }
 
     handleQRFound(qrCode) {
+        let data = qrCode.data;
+
+        // Series parts: keep scanning until every part has been seen. The
+        // header is in the symbol rather than its text, so look there first
+        if (this.isPart(qrCode)) {
+            let progress = null;
+            try {
+                progress = this.collectPart(qrCode);
+            } catch (error) {
+                this.updateStatus(error.message, 'error');
+            }
+
+            if (!progress || progress.status !== 'complete') {
+                if (progress && progress.status === 'added') {
+                    this.updateStatus(`${progress.collected} of ${progress.total} parts collected - missing part ${progress.missing.join(', ')}`, 'active');
+                    this.showScanSuccess();
+                }
+                setTimeout(() => this.startDetection(), 500);
+                return;
+            }
+
+            data = progress.content;
+        }
+
+        // A share alone reveals nothing: keep the camera running until the
+        // threshold is reached, then hand over the rebuilt content
+        if (this.isShare(data)) {
+            let progress = null;
+            try {
+                progress = this.collectShare(data);
+            } catch (error) {
+                this.updateStatus(error.message, 'error');
+            }
+
+            if (!progress || progress.status !== 'complete') {
+                if (progress && progress.status === 'added') {
+                    this.updateStatus(`Share ${progress.collected} of ${progress.threshold} collected - scan the next one`, 'active');
+                    this.showScanSuccess();
+                }
+                setTimeout(() => this.startDetection(), 500);
+                return;
+            }
+
+            data = progress.content;
+        }
+
         this.isScanning = false;
         
         if (this.scanCallback) {
-            this.scanCallback(qrCode.data);
+            this.scanCallback(data);
         }
         
         this.updateStatus('QR code found!', 'success');
@@ -255,7 +422,8 @@ class QRScannerModule {
         }
     }
 
-    // Scan from uploaded file
+    // Scan from uploaded file. Resolves with the decoded symbol, so `data`
+    // comes with the Structured Append header of a series part.
     async scanFromFile(file) {
         return new Promise((resolve, reject) => {
             if (!file || !file.type.startsWith('image/')) {
@@ -281,12 +449,12 @@ class QRScannerModule {
                         const imageData = tempContext.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
                         
                         // Try different inversion attempts for better detection
-                        const qrCode = jsQR(imageData.data, imageData.width, imageData.height, {
+                        const qrCode = this.decoder.decode(imageData, {
                             inversionAttempts: "attemptBoth"
                         });
                         
                         if (qrCode) {
-                            resolve(qrCode.data);
+                            resolve(qrCode);
                         } else {
                             reject(new Error('No QR code found in image'));
                         }
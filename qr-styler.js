@@ -0,0 +1,240 @@
+// 💠 QR Styler Module
+// Draws the module matrix ourselves so codes can carry a brand look: modules
+// as squares, dots, rounded squares or connected "liquid" blobs, and the
+// three finder eyes with their own frame and ball shapes and colours.
+//
+// Every shape is built once as SVG path data in module units; the SVG output
+// uses it directly and the canvas output replays it through Path2D, so both
+// always match. Finder eyes keep their 7x7 footprint and the quiet zone is
+// left untouched - the scanner still finds them as long as the colours keep
+// enough contrast. Timing and alignment patterns are always drawn square;
+// mixing square and circle eyes is the least forgiving combination for
+// some decoders.
+class QRStyler {
+    constructor() {
+        this.moduleShapes = ['square', 'dot', 'rounded', 'liquid'];
+        this.eyeShapes = ['square', 'rounded', 'circle'];
+        this.defaultStyle = {
+            modules: 'square',
+            frame: 'square',
+            ball: 'square',
+            frameColor: null,
+            ballColor: null
+        };
+    }
+
+    normalize(style = {}) {
+        const normalized = { ...this.defaultStyle, ...style };
+        if (!this.moduleShapes.includes(normalized.modules)) {
+            throw new Error(`Unknown module shape: ${normalized.modules}`);
+        }
+        if (!this.eyeShapes.includes(normalized.frame) || !this.eyeShapes.includes(normalized.ball)) {
+            throw new Error(`Unknown finder shape: ${normalized.frame} / ${normalized.ball}`);
+        }
+        return normalized;
+    }
+
+    // Path data for the data modules, the eye frames and the eye balls, in
+    // module units with the quiet zone included
+    paths(modules, margin, style) {
+        const size = modules.size;
+        const eyes = [[0, 0], [size - 7, 0], [0, size - 7]];
+        const inEye = (row, col) => eyes.some(([x, y]) => col >= x && col < x + 7 && row >= y && row < y + 7);
+        const dark = (row, col) => row >= 0 && col >= 0 && row < size && col < size && !inEye(row, col) && modules.get(row, col);
+
+        let data = '';
+        if (style.modules === 'square') {
+            data = this.squareRuns(size, dark, margin);
+        } else {
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    const x = col + margin;
+                    const y = row + margin;
+                    if (dark(row, col)) {
+                        // Timing and alignment patterns stay square so
+                        // scanners can still lock on to them
+                        const shape = modules.isReserved(row, col) && style.modules !== 'liquid' ? 'square' : style.modules;
+                        data += this.moduleShape(shape, x, y, row, col, dark);
+                    } else if (style.modules === 'liquid') {
+                        data += this.liquidFillets(x, y, row, col, dark);
+                    }
+                }
+            }
+        }
+
+        let frames = '';
+        let balls = '';
+        for (const [col, row] of eyes) {
+            const x = col + margin;
+            const y = row + margin;
+            frames += this.eyeShape(style.frame, x, y, 7) + this.eyeShape(style.frame, x + 1, y + 1, 5, true);
+            balls += this.eyeShape(style.ball, x + 2, y + 2, 3);
+        }
+
+        return { data, frames, balls, total: size + margin * 2 };
+    }
+
+    // Horizontal runs of dark modules, one rectangle each
+    squareRuns(size, dark, margin) {
+        let path = '';
+        for (let row = 0; row < size; row++) {
+            let col = 0;
+            while (col < size) {
+                if (!dark(row, col)) {
+                    col++;
+                    continue;
+                }
+                const start = col;
+                while (col < size && dark(row, col)) col++;
+                path += `M${start + margin} ${row + margin}h${col - start}v1h-${col - start}z`;
+            }
+        }
+        return path;
+    }
+
+    moduleShape(shape, x, y, row, col, dark) {
+        if (shape === 'square') {
+            return `M${x} ${y}h1v1h-1z`;
+        }
+        if (shape === 'dot') {
+            return this.circle(x + 0.5, y + 0.5, 0.45);
+        }
+        if (shape === 'rounded') {
+            return this.roundedRect(x + 0.05, y + 0.05, 0.9, 0.9, [0.3, 0.3, 0.3, 0.3]);
+        }
+
+        // Liquid: round only the outer corners, where neither neighbour on
+        // that corner is dark, so neighbouring modules flow together
+        const up = dark(row - 1, col);
+        const down = dark(row + 1, col);
+        const left = dark(row, col - 1);
+        const right = dark(row, col + 1);
+        const r = 0.5;
+        return this.roundedRect(x, y, 1, 1, [
+            !up && !left ? r : 0,
+            !up && !right ? r : 0,
+            !down && !right ? r : 0,
+            !down && !left ? r : 0
+        ]);
+    }
+
+    // Concave fillets in a light module wherever two dark neighbours (and
+    // the module diagonal between them) meet at one of its corners
+    liquidFillets(x, y, row, col, dark) {
+        const r = 0.25;
+        let path = '';
+        const corner = (rowStep, colStep) =>
+            dark(row + rowStep, col) && dark(row, col + colStep) && dark(row + rowStep, col + colStep);
+
+        if (corner(-1, -1)) path += `M${x} ${y}h${r}A${r} ${r} 0 0 0 ${x} ${y + r}z`;
+        if (corner(-1, 1)) path += `M${x + 1} ${y}v${r}A${r} ${r} 0 0 0 ${x + 1 - r} ${y}z`;
+        if (corner(1, 1)) path += `M${x + 1} ${y + 1}h-${r}A${r} ${r} 0 0 0 ${x + 1} ${y + 1 - r}z`;
+        if (corner(1, -1)) path += `M${x} ${y + 1}v-${r}A${r} ${r} 0 0 0 ${x + r} ${y + 1}z`;
+        return path;
+    }
+
+    // Square, rounded square or circle covering `size` modules. Holes are
+    // drawn counter-clockwise so they cut out under either fill rule.
+    eyeShape(shape, x, y, size, hole = false) {
+        if (shape === 'circle') {
+            return this.circle(x + size / 2, y + size / 2, size / 2, hole);
+        }
+
+        const radius = shape === 'rounded' ? size * 0.3 : 0;
+        return this.roundedRect(x, y, size, size, [radius, radius, radius, radius], hole);
+    }
+
+    // Corner radii are [top-left, top-right, bottom-right, bottom-left]
+    roundedRect(x, y, width, height, radii, reverse = false) {
+        const [tl, tr, br, bl] = radii;
+        const n = (value) => Math.round(value * 1000) / 1000;
+
+        if (reverse) {
+            return `M${n(x + tl)} ${n(y)}` +
+                (tl ? `A${tl} ${tl} 0 0 0 ${n(x)} ${n(y + tl)}` : '') +
+                `V${n(y + height - bl)}` +
+                (bl ? `A${bl} ${bl} 0 0 0 ${n(x + bl)} ${n(y + height)}` : '') +
+                `H${n(x + width - br)}` +
+                (br ? `A${br} ${br} 0 0 0 ${n(x + width)} ${n(y + height - br)}` : '') +
+                `V${n(y + tr)}` +
+                (tr ? `A${tr} ${tr} 0 0 0 ${n(x + width - tr)} ${n(y)}` : '') +
+                'Z';
+        }
+
+        return `M${n(x + tl)} ${n(y)}` +
+            `H${n(x + width - tr)}` +
+            (tr ? `A${tr} ${tr} 0 0 1 ${n(x + width)} ${n(y + tr)}` : '') +
+            `V${n(y + height - br)}` +
+            (br ? `A${br} ${br} 0 0 1 ${n(x + width - br)} ${n(y + height)}` : '') +
+            `H${n(x + bl)}` +
+            (bl ? `A${bl} ${bl} 0 0 1 ${n(x)} ${n(y + height - bl)}` : '') +
+            `V${n(y + tl)}` +
+            (tl ? `A${tl} ${tl} 0 0 1 ${n(x + tl)} ${n(y)}` : '') +
+            'Z';
+    }
+
+    circle(cx, cy, r, reverse = false) {
+        const sweep = reverse ? 0 : 1;
+        return `M${cx - r} ${cy}A${r} ${r} 0 1 ${sweep} ${cx + r} ${cy}A${r} ${r} 0 1 ${sweep} ${cx - r} ${cy}Z`;
+    }
+
+    // options: { margin, width, color: { dark, light }, style }
+    toSVG(modules, options) {
+        const style = this.normalize(options.style);
+        const { data, frames, balls, total } = this.paths(modules, options.margin, style);
+        const color = (value) => this.svgColor(value || options.color.dark);
+        const light = this.svgColor(options.color.light);
+        const width = options.width || total * 4;
+        const layer = (d, fill) => d ? `<path d="${d}" fill="${fill.fill}"${fill.opacity}/>` : '';
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width}" viewBox="0 0 ${total} ${total}"${style.modules === 'square' ? ' shape-rendering="crispEdges"' : ''}>` +
+            `<rect width="${total}" height="${total}" fill="${light.fill}"${light.opacity}/>` +
+            layer(data, color()) +
+            layer(frames, color(style.frameColor)) +
+            layer(balls, color(style.ballColor || style.frameColor)) +
+            '</svg>';
+    }
+
+    // Same drawing on a canvas, sized to options.width
+    drawCanvas(canvas, modules, options) {
+        const style = this.normalize(options.style);
+        const { data, frames, balls, total } = this.paths(modules, options.margin, style);
+        const width = options.width || total * 4;
+
+        canvas.width = width;
+        canvas.height = width;
+        const context = canvas.getContext('2d');
+        context.fillStyle = options.color.light;
+        context.fillRect(0, 0, width, width);
+
+        context.save();
+        context.scale(width / total, width / total);
+        context.fillStyle = options.color.dark;
+        context.fill(new Path2D(data));
+        context.fillStyle = style.frameColor || options.color.dark;
+        context.fill(new Path2D(frames));
+        context.fillStyle = style.ballColor || style.frameColor || options.color.dark;
+        context.fill(new Path2D(balls));
+        context.restore();
+    }
+
+    // '#rgb', '#rgba', '#rrggbb' or '#rrggbbaa' -> fill plus fill-opacity
+    svgColor(hex) {
+        let value = String(hex || '').replace('#', '');
+        if (value.length === 3 || value.length === 4) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) {
+            throw new Error(`Invalid colour: ${hex}`);
+        }
+
+        const alpha = value.length === 8 ? parseInt(value.substring(6), 16) / 255 : 1;
+        return {
+            fill: `#${value.substring(0, 6)}`,
+            opacity: alpha < 1 ? ` fill-opacity="${Math.round(alpha * 1000) / 1000}"` : ''
+        };
+    }
+}
+
+// Export for use
+globalThis.QRStyler = QRStyler;
@@ -0,0 +1,229 @@
+// 🔍 Scannability Checker
+// Reads a freshly rendered code back with QRDecoder and scores how well it will
+// scan in the real world. The clean read must return exactly the encoded
+// content; the code is then re-read after simulated blur, small print and
+// poor lighting, and its palette is checked for contrast and polarity.
+//
+// Reads never try the inverted image: plenty of phone cameras don't, so a
+// light-on-dark code (like the dark theme palette) only reads on some of
+// them and is reported as such instead of passing silently.
+//
+// Degradations are sized from the module pitch of the clean read, so a big
+// canvas is not blurred any less than a small one.
+//
+// Verdicts: 'good', 'fair', 'poor' (warn) and 'unreadable' (refuse). A code
+// only counts as unreadable when a plain black-on-white rendering of the
+// same content and size does read, i.e. colours, logo or shapes broke it;
+// otherwise it is simply too dense for the image and is reported as poor.
+class ScannabilityChecker {
+    constructor() {
+        this.minContrast = 3;
+        this.checks = [
+            { name: 'clean', label: 'Reads back exactly', weight: 40 },
+            { name: 'blur', label: 'Survives blur', weight: 15 },
+            { name: 'downscale', label: 'Survives small print', weight: 15 },
+            { name: 'low-contrast', label: 'Survives poor lighting', weight: 15 },
+            { name: 'palette', label: 'Dark modules on a light background', weight: 15 }
+        ];
+    }
+
+    // source: canvas or ImageData; color: the { dark, light } it was drawn
+    // with; reference: optional async function returning a plain rendering
+    // (canvas or ImageData) of the same content and size.
+    // Returns { score, verdict, checks, issues }.
+    async check(source, expected, color = {}, reference = null) {
+        const image = this.imageData(source);
+        const { width, height } = image;
+        let gray = this.toGray(image);
+        const issues = [];
+        const results = {};
+
+        let read = this.decode(gray, width, height);
+        results.clean = !!read && read.data === expected;
+        if (!results.clean) {
+            const inverted = gray.map(v => 255 - v);
+            const invertedRead = this.decode(inverted, width, height);
+
+            if (invertedRead && invertedRead.data === expected) {
+                issues.push('Light modules on a dark background - many phone cameras cannot read inverted codes');
+                // Judge everything else as a camera that does invert would
+                gray = inverted;
+                read = invertedRead;
+            } else {
+                if (reference) {
+                    const plain = this.imageData(await reference());
+                    const plainRead = this.decode(this.toGray(plain), plain.width, plain.height);
+                    if (!plainRead || plainRead.data !== expected) {
+                        issues.push(`Too dense for a ${width}px image - download the SVG or print it larger`);
+                        return this.report(results, issues, 'poor');
+                    }
+                }
+                issues.push('The code does not scan back - increase contrast, shrink the logo or use plainer shapes');
+                return this.report(results, issues, 'unreadable');
+            }
+        }
+
+        const reads = (pixels, w = width, h = height) => {
+            const result = this.decode(pixels, w, h);
+            return !!result && result.data === expected;
+        };
+        const pitch = this.modulePixels(read);
+
+        results.blur = reads(this.blur(gray, width, height, Math.max(1, Math.round(pitch * 0.25))));
+
+        const small = this.downscale(gray, width, height, Math.min(0.75, 2.2 / pitch));
+        results.downscale = reads(small.pixels, small.width, small.height);
+
+        results['low-contrast'] = reads(this.lowContrast(gray));
+
+        const palette = this.palette(color);
+        results.palette = palette.ok;
+        if (palette.issue) issues.push(palette.issue);
+
+        if (!results.blur) issues.push('Blurs into noise - use a larger size or fewer details');
+        if (!results.downscale) issues.push('Too dense to print small - shorten the content or print it larger');
+        if (!results['low-contrast']) issues.push('Fails in poor lighting - raise the colour contrast');
+
+        return this.report(results, issues);
+    }
+
+    report(results, issues, verdict = null) {
+        const checks = this.checks.map(check => ({ ...check, passed: !!results[check.name] }));
+        let score = checks.reduce((sum, check) => sum + (check.passed ? check.weight : 0), 0);
+
+        // Inverted codes read on some cameras only
+        if (!results.clean) score = Math.min(score, 40);
+
+        if (!verdict) {
+            verdict = score >= 85 ? 'good' : score >= 60 ? 'fair' : 'poor';
+        }
+        return { score: verdict === 'unreadable' ? 0 : score, verdict, checks, issues };
+    }
+
+    imageData(source) {
+        return source.data ? source : source.getContext('2d').getImageData(0, 0, source.width, source.height);
+    }
+
+    // Pixels per module, from the corners of a decoded symbol
+    modulePixels(result) {
+        const { topLeftCorner, topRightCorner } = result.location;
+        const span = Math.hypot(topRightCorner.x - topLeftCorner.x, topRightCorner.y - topLeftCorner.y);
+        return span / (17 + 4 * result.version);
+    }
+
+    // QRDecoder result for a grayscale image, or null
+    decode(gray, width, height) {
+        this.decoder = this.decoder || new QRDecoder();
+        return this.decoder.decodeLuminance(gray, width, height, { inversionAttempts: 'dontInvert' });
+    }
+
+    // Luminance, with transparent pixels composited over white paper
+    toGray(image) {
+        const { data } = image;
+        const gray = new Uint8ClampedArray(data.length / 4);
+        for (let i = 0; i < gray.length; i++) {
+            const alpha = data[i * 4 + 3] / 255;
+            const luma = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            gray[i] = luma * alpha + 255 * (1 - alpha);
+        }
+        return gray;
+    }
+
+    // Two box-blur passes (rows, then columns) of the given radius
+    blur(gray, width, height, radius) {
+        const pass = (input, along, across, at) => {
+            const output = new Uint8ClampedArray(input.length);
+            for (let a = 0; a < across; a++) {
+                let sum = 0;
+                let count = 0;
+                for (let b = -radius; b < along + radius; b++) {
+                    if (b + radius < along) {
+                        sum += input[at(a, b + radius)];
+                        count++;
+                    }
+                    if (b - radius - 1 >= 0) {
+                        sum -= input[at(a, b - radius - 1)];
+                        count--;
+                    }
+                    if (b >= 0 && b < along) output[at(a, b)] = sum / count;
+                }
+            }
+            return output;
+        };
+
+        const rows = pass(gray, width, height, (y, x) => y * width + x);
+        return pass(rows, height, width, (x, y) => y * width + x);
+    }
+
+    // Area-average resample to `factor` of the size, as a printer or a
+    // distant camera would see it
+    downscale(gray, width, height, factor) {
+        const w = Math.max(1, Math.round(width * factor));
+        const h = Math.max(1, Math.round(height * factor));
+        const pixels = new Uint8ClampedArray(w * h);
+
+        for (let y = 0; y < h; y++) {
+            const y0 = Math.floor(y * height / h);
+            const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / h));
+            for (let x = 0; x < w; x++) {
+                const x0 = Math.floor(x * width / w);
+                const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / w));
+                let sum = 0;
+                for (let yy = y0; yy < y1; yy++) {
+                    for (let xx = x0; xx < x1; xx++) sum += gray[yy * width + xx];
+                }
+                pixels[y * w + x] = sum / ((y1 - y0) * (x1 - x0));
+            }
+        }
+
+        return { pixels, width: w, height: h };
+    }
+
+    // Squashed, brightened range with fixed pseudo-random sensor noise
+    lowContrast(gray) {
+        const output = new Uint8ClampedArray(gray.length);
+        let seed = 1;
+        for (let i = 0; i < gray.length; i++) {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            const noise = (seed / 0x7fffffff - 0.5) * 32;
+            output[i] = 90 + gray[i] * 0.45 + noise;
+        }
+        return output;
+    }
+
+    // Contrast ratio (WCAG formula) and polarity of the palette
+    palette(color) {
+        const dark = this.luminance(color.dark);
+        const light = this.luminance(color.light);
+        if (dark === null || light === null) return { ok: true };
+
+        if (dark > light) {
+            return { ok: false, issue: 'Dark and light colours are swapped - print dark modules on a light background' };
+        }
+
+        const ratio = (light + 0.05) / (dark + 0.05);
+        if (ratio < this.minContrast) {
+            return { ok: false, issue: `Colour contrast is only ${ratio.toFixed(1)}:1 - aim for at least ${this.minContrast}:1` };
+        }
+        return { ok: true };
+    }
+
+    // Relative luminance of '#rgb(a)' / '#rrggbb(aa)' over white, or null
+    luminance(hex) {
+        let value = String(hex || '').replace('#', '');
+        if (value.length === 3 || value.length === 4) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) return null;
+
+        const alpha = value.length === 8 ? parseInt(value.substring(6), 16) / 255 : 1;
+        const [r, g, b] = [0, 2, 4].map(i => {
+            const channel = (parseInt(value.substring(i, i + 2), 16) * alpha + 255 * (1 - alpha)) / 255;
+            return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+}
+
+// Export for use
+window.ScannabilityChecker = ScannabilityChecker;
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+// 💻 ScanzoQR Command Line
+// Generates and reads codes from scripts - label runs in CI, checking
+// photos of a printed batch - through ScanzoCore, so the codes are the
+// ones the app makes and scans, SCANZO_PRIVATE included.
+//
+//   scanzo generate [text] [options]
+//   scanzo decode <image>... [options]
+//
+// `scanzo` is this file's bin entry in package.json (npm link, or npm
+// install -g from the checkout); node scanzo-cli.js works without
+// installing. The file keeps LF line endings (see .gitattributes), as a
+// CR after the shebang breaks it.
+//
+// generate takes the content as arguments, from --input (a text file, or
+// - for stdin), as a file attachment with --attach, or piped in, and
+// writes one PNG or SVG per symbol: content too long for one code becomes
+// a series named name-1-of-N.png and so on. Every symbol is read back
+// before it is written. The written paths are printed one per line.
+//
+// decode prints a JSON array with one entry per image, plus one per
+// series whose parts were all among the images. Exit status is 1 when an
+// image holds no readable code or a series is incomplete, 2 for usage
+// errors. Passwords can come from SCANZO_PASSWORD instead of --password,
+// which keeps them out of the process list and shell history.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const ScanzoCore = require('./scanzo-core.js');
+require('./image-file.js');
+require('./diceware-wordlist.js');
+require('./password-dictionary.js');
+require('./password-strength.js');
+
+class ScanzoCLI {
+    constructor() {
+        this.core = new ScanzoCore();
+        this.imageFile = new ImageFileCodec();
+        this.passwordStrength = new PasswordStrength();
+        this.minPasswordScore = 2;
+        this.levels = ['L', 'M', 'Q', 'H'];
+
+        this.mimeTypes = {
+            '.txt': 'text/plain', '.csv': 'text/csv', '.json': 'application/json',
+            '.pdf': 'application/pdf', '.png': 'image/png', '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml',
+            '.vcf': 'text/vcard', '.zip': 'application/zip'
+        };
+
+        this.usage = [
+            'Usage:',
+            '  scanzo generate [text] [options]',
+            '    -i, --input <file>     Read the text from a file (- for stdin)',
+            '        --attach <file>    Embed a file, as the app\'s file mode does',
+            '        --type <mime>      MIME type of the attached file',
+            '    -o, --output <file>    Output .png or .svg (default scanzo-qr.png, - for stdout)',
+            '        --format <png|svg> Output format when the name does not say',
+            '    -p, --password <pw>    Private mode (or set SCANZO_PASSWORD)',
+            '        --hint <text>      Password hint shown before unlocking',
+            '        --one-time         Scanner refuses a second unlock',
+            '        --not-before <date>, --expires <date>',
+            '                           Validity window of a private code',
+            '    -e, --ecc <L|M|Q|H>    Error correction level (default M)',
+            '    -s, --size <px>        Image width (default 256)',
+            '    -m, --margin <modules> Quiet zone (default 2)',
+            '        --dark <hex>, --light <hex>',
+            '                           Colours (default #000000 on #ffffff)',
+            '        --no-compress      Never write SCANZO_Z payloads',
+            '        --no-split         Fail instead of splitting into a series',
+            '',
+            '  scanzo decode <image>... [options]',
+            '    -p, --password <pw>    Unlock private codes (or set SCANZO_PASSWORD)',
+            '',
+            'Images are PNG or JPEG.'
+        ].join('\n');
+    }
+
+    // Returns the exit status
+    async run(argv) {
+        const [command, ...args] = argv;
+        try {
+            if (command === 'generate') return await this.generate(args);
+            if (command === 'decode') return await this.decode(args);
+            if (command === 'help' || command === '--help' || command === '-h') {
+                process.stdout.write(this.usage + '\n');
+                return 0;
+            }
+            throw this.usageError(command ? `Unknown command: ${command}` : 'Choose a command');
+        } catch (error) {
+            const usage = error.code === 'USAGE' || String(error.code).startsWith('ERR_PARSE_ARGS');
+            process.stderr.write(`scanzo: ${error.message}\n`);
+            if (usage) process.stderr.write(`\n${this.usage}\n`);
+            return usage ? 2 : 1;
+        }
+    }
+
+    async generate(args) {
+        const { values, positionals } = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                input: { type: 'string', short: 'i' },
+                attach: { type: 'string' },
+                type: { type: 'string' },
+                output: { type: 'string', short: 'o' },
+                format: { type: 'string' },
+                password: { type: 'string', short: 'p' },
+                hint: { type: 'string' },
+                'one-time': { type: 'boolean' },
+                'not-before': { type: 'string' },
+                expires: { type: 'string' },
+                ecc: { type: 'string', short: 'e', default: 'M' },
+                size: { type: 'string', short: 's', default: '256' },
+                margin: { type: 'string', short: 'm', default: '2' },
+                dark: { type: 'string', default: this.core.defaultOptions.color.dark },
+                light: { type: 'string', default: this.core.defaultOptions.color.light },
+                'no-compress': { type: 'boolean' },
+                'no-split': { type: 'boolean' }
+            }
+        });
+
+        const errorCorrectionLevel = values.ecc.toUpperCase();
+        if (!this.levels.includes(errorCorrectionLevel)) {
+            throw this.usageError(`Error correction must be one of ${this.levels.join(', ')}`);
+        }
+        const width = this.integer(values.size, 'Size', 21, 8192);
+        const margin = this.integer(values.margin, 'Margin', 0, 16);
+        const color = { dark: values.dark, light: values.light };
+        this.core.svgColor(color.dark);
+        this.core.svgColor(color.light);
+
+        const format = (values.format || path.extname(values.output || '').substring(1) || 'png').toLowerCase();
+        if (format !== 'png' && format !== 'svg') {
+            throw this.usageError('Output must be .png or .svg');
+        }
+        const output = values.output || `scanzo-qr.${format}`;
+
+        const password = values.password || process.env.SCANZO_PASSWORD || '';
+        if (password) {
+            const strength = this.passwordStrength.estimate(password);
+            if (strength.score < this.minPasswordScore) {
+                throw new Error(`Password is too weak (${strength.label}). Try a diceware passphrase of four or more words`);
+            }
+        } else if (values.hint || values['one-time'] || values['not-before'] || values.expires) {
+            throw this.usageError('--hint, --one-time, --not-before and --expires need a password');
+        }
+
+        const content = await this.readContent(values, positionals);
+        const generated = await this.core.generate(content, {
+            password,
+            hint: values.hint,
+            oneTime: values['one-time'],
+            notBefore: values['not-before'],
+            expiresAt: values.expires,
+            compress: !values['no-compress'],
+            structuredAppend: !values['no-split'],
+            errorCorrectionLevel
+        });
+
+        const { symbols } = generated;
+        if (symbols.length > 1 && output === '-') {
+            throw new Error(`Too long for one code - a series of ${symbols.length} needs an output file name`);
+        }
+
+        // Read every symbol back as the scanner will see it
+        for (const [index, symbol] of symbols.entries()) {
+            const read = await this.core.read(this.core.toImageData(symbol.modules, { width, margin, color }));
+            if (!read || read.payload !== symbol.content) {
+                throw new Error(`Code ${index + 1} does not read back - raise --size or the colour contrast`);
+            }
+        }
+
+        const outputs = symbols.map((symbol, index) =>
+            symbols.length > 1 ? this.seriesName(output, index, symbols.length) : output);
+        for (const [index, symbol] of symbols.entries()) {
+            const data = format === 'svg'
+                ? this.core.toSVG(symbol.modules, { width, margin, color })
+                : await this.imageFile.encodePNG(this.core.toImageData(symbol.modules, { width, margin, color }));
+            await this.write(outputs[index], data);
+        }
+
+        if (output !== '-') {
+            process.stdout.write(outputs.join('\n') + '\n');
+        }
+        if (symbols.length > 1) {
+            process.stderr.write(`Too long for one code - split into a series of ${symbols.length}\n`);
+        }
+        return 0;
+    }
+
+    async decode(args) {
+        const { values, positionals } = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                password: { type: 'string', short: 'p' }
+            }
+        });
+        if (positionals.length === 0) {
+            throw this.usageError('Give one or more image files to decode');
+        }
+
+        const password = values.password || process.env.SCANZO_PASSWORD || '';
+        const entries = [];
+        const series = new Map();
+
+        for (const image of positionals) {
+            const entry = await this.decodeImage(image, password);
+            entries.push(entry);
+
+            if (entry.type === 'part') {
+                const part = entry.seriesPart;
+                const key = `${part.total}:${part.parity}`;
+                if (!series.has(key)) series.set(key, { images: [], collector: new StructuredAppendCollector() });
+                const set = series.get(key);
+                const progress = set.collector.add(part);
+                if (progress.status !== 'duplicate') set.images.push(image);
+                set.progress = progress;
+            }
+        }
+
+        for (const { images, progress } of series.values()) {
+            entries.push(await this.seriesEntry(images, progress, password));
+        }
+
+        const output = entries.map(({ payload, seriesPart, ...entry }) => entry);
+        process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+        return output.some(entry => entry.error) ? 1 : 0;
+    }
+
+    // One image -> { image, found, type, kind, content, ..., symbol } or
+    // { image, found, error }. payload and, for series parts, seriesPart are
+    // kept for collecting series.
+    async decodeImage(image, password) {
+        let read;
+        try {
+            const pixels = await this.imageFile.decode(await fs.promises.readFile(image));
+            read = await this.core.read(pixels);
+        } catch (error) {
+            return { image, found: false, error: error.message };
+        }
+        if (!read) {
+            return { image, found: false, error: 'No QR code found in image' };
+        }
+
+        const { version, errorCorrectionLevel } = read.symbol;
+        const entry = { image, found: true, payload: read.payload };
+        let fields;
+        if (read.type === 'part') {
+            const { index, total } = read.part;
+            fields = { type: 'part', part: { index: index + 1, total }, seriesPart: read.part };
+        } else {
+            fields = await this.open(read.payload, password);
+        }
+        return { ...entry, ...fields, symbol: { version, errorCorrectionLevel } };
+    }
+
+    // A series found among the images -> { images, found, series, ... }
+    async seriesEntry(images, progress, password) {
+        const entry = { images, found: true, series: { collected: progress.collected, total: progress.total } };
+        if (progress.status !== 'complete') {
+            return { ...entry, error: `Series incomplete - missing part ${progress.missing.join(', ')}` };
+        }
+        return { ...entry, ...await this.open(progress.content, password) };
+    }
+
+    // Payload -> what unwrap() says of it, as JSON-friendly fields. A wrong
+    // password or a damaged payload becomes `error`.
+    async open(payload, password) {
+        let result;
+        try {
+            result = await this.core.unwrap(payload, { password });
+        } catch (error) {
+            return { type: this.core.payloadType(payload), error: error.message };
+        }
+
+        const { file, ...fields } = result;
+        if (file) {
+            const { bytes, ...meta } = file;
+            fields.file = meta;
+        }
+        return fields;
+    }
+
+    async readContent(values, positionals) {
+        const sources = [positionals.length > 0, !!values.input, !!values.attach].filter(Boolean);
+        if (sources.length > 1) {
+            throw this.usageError('Give the content as text, --input or --attach - not several');
+        }
+
+        if (values.attach) {
+            const bytes = await fs.promises.readFile(values.attach);
+            return this.core.filePayload.encode({
+                name: path.basename(values.attach),
+                type: values.type || this.mimeTypes[path.extname(values.attach).toLowerCase()] || '',
+                bytes: new Uint8Array(bytes)
+            });
+        }
+
+        let text;
+        if (positionals.length > 0) {
+            text = positionals.join(' ');
+        } else if (values.input && values.input !== '-') {
+            text = await fs.promises.readFile(values.input, 'utf8');
+        } else if (values.input === '-' || !process.stdin.isTTY) {
+            text = (await this.readStdin()).toString('utf8');
+        } else {
+            throw this.usageError('Nothing to encode - give text, --input <file> or pipe it in');
+        }
+
+        // As the app trims the text box
+        text = text.trim();
+        if (!text) {
+            throw this.usageError('Content cannot be empty');
+        }
+        return text;
+    }
+
+    async readStdin() {
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    async write(output, data) {
+        if (output === '-') {
+            process.stdout.write(data);
+        } else {
+            await fs.promises.writeFile(output, data);
+        }
+    }
+
+    // labels/box.png -> labels/box-2-of-3.png, as the app names series parts
+    seriesName(output, index, total) {
+        const ext = path.extname(output);
+        return `${output.substring(0, output.length - ext.length)}-${index + 1}-of-${total}${ext}`;
+    }
+
+    integer(value, name, min, max) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw this.usageError(`${name} must be a whole number from ${min} to ${max}`);
+        }
+        return number;
+    }
+
+    usageError(message) {
+        const error = new Error(message);
+        error.code = 'USAGE';
+        return error;
+    }
+}
+
+// Export for use
+module.exports = ScanzoCLI;
+
+if (require.main === module) {
+    new ScanzoCLI().run(process.argv.slice(2)).then(status => {
+        process.exitCode = status;
+    });
+}
@@ -0,0 +1,375 @@
+// 🧩 ScanzoQR Core
+// Everything that decides what a code contains, with no DOM behind it:
+// wrapping content into the payloads the PWA writes (SCANZO_PRIVATE,
+// SCANZO_SIGNED, SCANZO_Z, Structured Append series), opening them again,
+// telling scanned content apart, and building, drawing and reading the QR
+// symbols as module matrices, SVG and ImageData-shaped pixels ({ data,
+// width, height }, so a real ImageData works too).
+//
+// QRGeneratorModule goes through the core as well, so a backend or worker
+// produces and accepts exactly the codes the app does.
+//
+// Loading: a page or worker loads the modules below first (<script> tags
+// or importScripts()), then this file; Node just requires this file.
+//   base64-codec.js envelope-codec.js signed-payload.js
+//   compressed-payload.js file-payload.js structured-append.js
+//   shamir-sharing.js fountain-stream.js qr-capacity.js qr-encoder.js
+//   qr-decoder.js qr-styler.js logo-overlay.js
+class ScanzoCore {
+    constructor() {
+        this.envelopeCodec = new EnvelopeCodec();
+        this.signedCodec = new SignedPayloadCodec();
+        this.compressedCodec = new CompressedPayloadCodec();
+        this.filePayload = new FilePayloadCodec();
+        this.structuredAppend = new StructuredAppend();
+        this.sharing = new ShamirSharing();
+        this.fountain = new FountainCode();
+        this.encoder = new QREncoder();
+        this.capacity = this.encoder.capacity;
+
+        // As KeyManager writes them; the key store itself needs localStorage
+        this.publicKeyPrefix = 'SCANZO_PUBKEY:';
+
+        this.defaultOptions = {
+            margin: 2,
+            color: { dark: '#000000', light: '#ffffff' },
+            errorCorrectionLevel: 'M'
+        };
+    }
+
+    // Content -> the whole pipeline of the generator: wrap() then symbols().
+    // Returns { payload, private, signed, compressed, symbols }.
+    async generate(content, options = {}) {
+        if (!content || content.trim() === '') {
+            throw new Error('Content cannot be empty');
+        }
+
+        // A forced segment mode keeps the content as given
+        const encoding = options.encoding ? this.encoder.normalize(options.encoding) : null;
+        const compress = options.compress && !(encoding && encoding.mode !== 'auto');
+
+        const wrapped = await this.wrap(content, { ...options, compress });
+        return { ...wrapped, symbols: this.symbols(wrapped.payload, { ...options, encoding }) };
+    }
+
+    // Content -> the payload that goes into the code. options:
+    //   password (+ hint, oneTime)   SCANZO_PRIVATE v2, AES-GCM
+    //   recipients (+ oneTime)       SCANZO_PRIVATE v3, [{ kid, publicKey }]
+    //   signing                      SCANZO_SIGNED, { kid, privateKey }
+    //   notBefore, expiresAt         validity window for any of the three
+    //   compress                     SCANZO_Z when that makes it shorter
+    // Returns { payload, private, signed, compressed }.
+    async wrap(content, options = {}) {
+        const { password, recipients, signing, compress } = options;
+        const validity = { notBefore: options.notBefore || null, expiresAt: options.expiresAt || null };
+        if ([password, recipients, signing].filter(Boolean).length > 1) {
+            throw new Error('Choose one of a password, recipients or a signing key');
+        }
+
+        let payload = content;
+        if (password) {
+            payload = await this.envelopeCodec.encode(content, password, {
+                ...validity,
+                hint: options.hint || '',
+                oneTime: !!options.oneTime
+            });
+        } else if (recipients) {
+            payload = await this.envelopeCodec.encodeForRecipients(content, recipients, {
+                ...validity,
+                oneTime: !!options.oneTime
+            });
+        } else if (signing) {
+            payload = await this.signedCodec.sign(content, signing, validity);
+        }
+
+        let compressed = false;
+        if (compress) {
+            const packed = await this.compressedCodec.compressIfSmaller(payload);
+            compressed = packed !== payload;
+            payload = packed;
+        }
+
+        return { payload, private: !!(password || recipients), signed: !!signing, compressed };
+    }
+
+    // Scanned payload -> what it holds. options: { password, identity,
+    // resolveKey, now } - identity ({ kid, privateKey }) opens recipient
+    // codes, resolveKey(kid) looks up trusted issuers as
+    // SignedPayloadCodec.verify() does.
+    // Returns { type, content, kind, compressed, ... } where type is
+    // 'public', 'private', 'signed', 'public-key' or, for one piece of
+    // something larger, 'share' or 'stream-frame' (collect them with
+    // ShareCollector or FountainDecoder). Series parts are told apart by
+    // their symbol, not their payload; see read().
+    // Private codes without the password or key come back `locked` with
+    // content null; files come back decoded and checked as `file`.
+    async unwrap(payload, options = {}) {
+        let compressed = false;
+        if (this.compressedCodec.isCompressed(payload)) {
+            payload = await this.compressedCodec.decompress(payload);
+            compressed = true;
+        }
+
+        let result;
+        const type = this.payloadType(payload);
+        if (type === 'private') {
+            result = await this.unlock(payload, options);
+        } else if (type === 'signed') {
+            const resolveKey = options.resolveKey || (() => null);
+            result = { type, ...await this.signedCodec.verify(payload, resolveKey, options.now) };
+        } else if (type === 'public') {
+            result = { type, content: payload };
+        } else {
+            result = { type, content: null };
+        }
+
+        result.compressed = compressed;
+        result.kind = result.content === null ? null : this.contentType(result.content);
+        if (result.kind === 'file') {
+            result.file = await this.filePayload.decode(result.content);
+        }
+        return result;
+    }
+
+    // Password or recipient key into a SCANZO_PRIVATE payload
+    async unlock(payload, options = {}) {
+        const detected = this.envelopeCodec.detectFormat(payload);
+        if (!detected) {
+            throw new Error('Unsupported private QR format');
+        }
+
+        const details = {
+            type: 'private',
+            format: detected.format,
+            insecure: detected.insecure,
+            hint: detected.hint || null,
+            recipients: detected.recipients || null
+        };
+
+        const key = detected.format === 'ecdh-p256' ? options.identity : options.password;
+        if (!key) {
+            return { ...details, locked: true, content: null };
+        }
+
+        const opened = detected.format === 'ecdh-p256'
+            ? await this.envelopeCodec.decodeForRecipient(payload, key)
+            : await this.envelopeCodec.decode(payload, key);
+        return { ...details, ...opened, locked: false };
+    }
+
+    // Kind of SCANZO payload, before anything is opened
+    payloadType(payload) {
+        if (this.envelopeCodec.isPrivate(payload)) return 'private';
+        if (this.signedCodec.isSigned(payload)) return 'signed';
+        if (typeof payload === 'string' && payload.startsWith(this.publicKeyPrefix)) return 'public-key';
+        if (this.sharing.isShare(payload)) return 'share';
+        if (this.fountain.isFrame(payload)) return 'stream-frame';
+        return 'public';
+    }
+
+    // What plain content is: 'file', 'image' (a data URL), 'url', 'email'
+    // or 'text'
+    contentType(content) {
+        if (this.filePayload.isFile(content)) return 'file';
+        if (content.startsWith('data:image/')) return 'image';
+
+        const trimmed = content.trim();
+        if (/^https?:\/\/\S+$/i.test(trimmed)) return 'url';
+        if (/^(mailto:)?[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(trimmed)) return 'email';
+        return 'text';
+    }
+
+    // Payload -> its symbols: one, or with options.structuredAppend a
+    // series when it does not fit one. Each is { content, modules, version,
+    // errorCorrectionLevel, maskPattern, segments, structuredAppend }.
+    symbols(payload, options = {}) {
+        const level = options.errorCorrectionLevel || this.defaultOptions.errorCorrectionLevel;
+        const parts = options.structuredAppend
+            ? this.split(payload, level, options.encoding)
+            : [{ content: payload, encoding: options.encoding }];
+        return parts.map(({ content, encoding }) =>
+            ({ content, ...this.matrix(content, { ...options, encoding, errorCorrectionLevel: level }) }));
+    }
+
+    // What goes into each symbol, as [{ content, encoding }]: the payload
+    // alone when it fits one code, otherwise one entry per series part with
+    // its Structured Append header added to the encoding
+    split(payload, level = 'M', encoding = null) {
+        if (this.capacity.measure(payload, level, encoding).fits) {
+            return [{ content: payload, encoding }];
+        }
+        return this.structuredAppend.split(payload, this.getMaxLength(level)).map(({ data, index, total, parity }) =>
+            ({ content: data, encoding: { ...encoding, structuredAppend: { index, total, parity } } }));
+    }
+
+    // Module matrix at the options' error correction level, with the
+    // `encoding` choices ({ version, minVersion, maskPattern, mode, eci,
+    // structuredAppend }) when there are any
+    matrix(content, options = {}) {
+        return this.encoder.create(content, {
+            ...options.encoding,
+            errorCorrectionLevel: options.errorCorrectionLevel || this.defaultOptions.errorCorrectionLevel
+        });
+    }
+
+    // Byte-mode limit of the largest code, for sizing byte budgets. Use
+    // checkCapacity() to test actual content: digits pack tighter and
+    // multi-byte UTF-8 characters cost more than one.
+    getMaxLength(errorCorrectionLevel) {
+        const limits = {
+            'L': 2953, // Low
+            'M': 2331, // Medium
+            'Q': 1663, // Quartile
+            'H': 1273  // High
+        };
+        return limits[errorCorrectionLevel] || limits['M'];
+    }
+
+    // Throws unless the content fits the largest code at the level (or the
+    // pinned `encoding` version), counting its encoded bits rather than its
+    // characters. Returns the measurement.
+    checkCapacity(content, errorCorrectionLevel, encoding = null) {
+        const measured = this.capacity.measure(content, errorCorrectionLevel, encoding);
+        if (!measured.fits) {
+            const over = measured.limitHeadroom;
+            const target = encoding && encoding.version ? `a version ${encoding.version} code` : 'the maximum';
+            throw new Error(`Content too long. ${(-over.chars).toLocaleString()} ${over.unit} over ${target} for ${errorCorrectionLevel} error correction.`);
+        }
+        return measured;
+    }
+
+    // Plain pixels of a symbol, as drawn on the app's canvas: { data,
+    // width, height } with RGBA data. options: { width, scale, margin,
+    // color }. Styled codes and codes with a logo need a canvas (or toSVG()).
+    toImageData(modules, options = {}) {
+        if (options.style) {
+            throw new Error('Styled codes can only be drawn on a canvas or as SVG');
+        }
+        if (options.logo) {
+            throw new Error('Codes with a logo can only be drawn on a canvas or as SVG');
+        }
+        const merged = { ...this.defaultOptions, ...options };
+        return this.encoder.rasterize(modules, { ...merged, color: { ...this.defaultOptions.color, ...options.color } });
+    }
+
+    // SVG built from the module matrix, so it stays sharp at any print
+    // size. options: { width, margin, color, style, logo } with logo
+    // { href, scale } as the generator records it: an image URL (usually a
+    // data URL) and its share of the symbol width.
+    toSVG(modules, options = {}) {
+        options = { ...this.defaultOptions, ...options };
+        const color = { ...this.defaultOptions.color, ...options.color };
+
+        let svg;
+        if (options.style) {
+            this.styler = this.styler || new QRStyler();
+            svg = this.styler.toSVG(modules, { ...options, color });
+        } else {
+            svg = this.plainSVG(modules, { ...options, color });
+        }
+        return options.logo ? this.addLogo(svg, modules.size, options.margin, color.light, options.logo) : svg;
+    }
+
+    // Dark modules as one path over the light background
+    plainSVG(modules, options) {
+        const color = options.color;
+        const size = modules.size;
+        const margin = options.margin;
+        const total = size + margin * 2;
+
+        // One path for all dark modules, one horizontal run at a time
+        let path = '';
+        for (let row = 0; row < size; row++) {
+            let col = 0;
+            while (col < size) {
+                if (!modules.get(row, col)) {
+                    col++;
+                    continue;
+                }
+
+                const start = col;
+                while (col < size && modules.get(row, col)) col++;
+                path += `M${start + margin} ${row + margin}h${col - start}v1h-${col - start}z`;
+            }
+        }
+
+        const dark = this.svgColor(color.dark);
+        const light = this.svgColor(color.light);
+        const width = options.width || total * 4;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width}" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+            `<rect width="${total}" height="${total}" fill="${light.fill}"${light.opacity}/>` +
+            `<path d="${path}" fill="${dark.fill}"${dark.opacity}/>` +
+            '</svg>';
+    }
+
+    // The centre as LogoOverlay draws it on the canvas: the zone cleared in
+    // the light colour and the logo inside, keeping its aspect ratio
+    addLogo(svg, size, margin, lightColor, logo) {
+        this.logoOverlay = this.logoOverlay || new LogoOverlay();
+        const zone = this.logoOverlay.zone(size, logo.scale);
+        const clear = this.logoOverlay.clearZone;
+        const light = this.svgColor(lightColor);
+        const at = margin + zone.start;
+        const href = String(logo.href).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+        return svg.replace(/<\/svg>$/,
+            `<rect x="${at}" y="${at}" width="${zone.size}" height="${zone.size}" fill="${light.fill}"${light.opacity}/>` +
+            `<image x="${at + clear}" y="${at + clear}" width="${zone.size - clear * 2}" height="${zone.size - clear * 2}" ` +
+            `preserveAspectRatio="xMidYMid meet" xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="${href}"/>` +
+            '</svg>');
+    }
+
+    // '#rgb', '#rgba', '#rrggbb' or '#rrggbbaa' -> fill plus fill-opacity
+    svgColor(hex) {
+        let value = String(hex || '').replace('#', '');
+        if (value.length === 3 || value.length === 4) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)) {
+            throw new Error(`Invalid colour: ${hex}`);
+        }
+
+        const alpha = value.length === 8 ? parseInt(value.substring(6), 16) / 255 : 1;
+        return {
+            fill: `#${value.substring(0, 6)}`,
+            opacity: alpha < 1 ? ` fill-opacity="${Math.round(alpha * 1000) / 1000}"` : ''
+        };
+    }
+
+    // Image (ImageData or { data, width, height }) -> null when no code
+    // reads, otherwise the unwrap() result plus the raw `payload` and the
+    // `symbol` it came from ({ version, errorCorrectionLevel, location }).
+    // One symbol of a Structured Append series is not opened: it comes back
+    // as type 'part' with `part` ({ index, total, parity, data }) for
+    // StructuredAppendCollector.
+    // options as for unwrap(), plus QRDecoder's inversionAttempts.
+    async read(image, options = {}) {
+        this.decoder = this.decoder || new QRDecoder();
+        const code = this.decoder.decode(image, { inversionAttempts: options.inversionAttempts || 'attemptBoth' });
+        if (!code) return null;
+
+        const { version, errorCorrectionLevel, location } = code;
+        const symbol = { version, errorCorrectionLevel, location };
+        if (this.structuredAppend.isPart(code)) {
+            const part = this.structuredAppend.parse(code);
+            return { type: 'part', content: null, kind: null, compressed: false, part, payload: code.data, symbol };
+        }
+
+        const result = await this.unwrap(code.data, options);
+        return { ...result, payload: code.data, symbol };
+    }
+}
+
+// Export for use. Node has neither <script> tags nor importScripts(), so
+// the modules the core is built on are required here.
+if (typeof module === 'object' && module.exports) {
+    [
+        './base64-codec.js', './envelope-codec.js', './signed-payload.js', './compressed-payload.js',
+        './file-payload.js', './structured-append.js', './shamir-sharing.js',
+        './fountain-stream.js', './qr-capacity.js', './qr-encoder.js',
+        './qr-decoder.js', './qr-styler.js', './logo-overlay.js'
+    ].forEach(file => require(file));
+    module.exports = ScanzoCore;
+}
+globalThis.ScanzoCore = ScanzoCore;
@@ -9,6 +9,7 @@ class StorageManager {
         this.db = null;
         this.storeName = 'qr_history';
         this.isIndexedDBAvailable = false;
+        this.vault = new HistoryVault();
         this.init();
     }
 
@@ -74,6 +75,10 @@ class StorageManager {
     async saveHistory(historyArray) {
         const savePromises = [];
 
+        if (this.isVaultLocked()) {
+            throw new Error('History vault is locked');
+        }
+
         try {
             // Primary: localStorage (fast access)
             savePromises.push(this.saveToLocalStorage(historyArray));
@@ -93,16 +98,16 @@ class StorageManager {
 
     async saveToLocalStorage(historyArray) {
         try {
-            const dataToStore = historyArray.map(item => ({
+            const dataToStore = await this.sealRecords(historyArray.map(item => ({
                 ...item,
                 qrData: item.qrData ? 'stored_in_indexeddb' : undefined
-            }));
+            })));
 
             localStorage.setItem('qrHistory', JSON.stringify(dataToStore));
             return true;
         } catch (error) {
             if (error.name === 'QuotaExceededError') {
-                const minimalData = historyArray.map(item => ({
+                const minimalData = await this.sealRecords(historyArray.map(item => ({
                     id: item.id,
                     type: item.type,
                     mode: item.mode,
@@ -110,7 +115,7 @@ class StorageManager {
                     preview: item.preview,
                     timestamp: item.timestamp,
                     size: item.size
-                }));
+                })));
                 
                 localStorage.setItem('qrHistory', JSON.stringify(minimalData));
                 console.warn('Saved minimal history due to storage quota');
@@ -123,6 +128,8 @@ class StorageManager {
     async saveToIndexedDB(historyArray) {
         if (!this.db) return false;
 
+        const records = await this.sealRecords(historyArray);
+
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
@@ -132,17 +139,20 @@ class StorageManager {
 
             const clearRequest = store.clear();
             clearRequest.onsuccess = () => {
-                historyArray.forEach(item => store.add(item));
+                records.forEach(item => store.add(item));
             };
         });
     }
 
     async loadHistory() {
+        // A locked vault has nothing to show until it is unlocked
+        if (this.isVaultLocked()) return [];
+
         try {
-            const localData = await this.loadFromLocalStorage();
+            const localData = await this.openRecords(await this.loadFromLocalStorage());
             
             if (this.isIndexedDBAvailable && this.db) {
-                const indexedData = await this.loadFromIndexedDB();
+                const indexedData = await this.openRecords(await this.loadFromIndexedDB());
                 return this.mergeHistoryData(localData, indexedData)
                     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
             }
@@ -191,7 +201,65 @@ class StorageManager {
         return Array.from(merged.values());
     }
 
+    // 🗄️ History vault: records are sealed with the master password key
+    // before they reach localStorage or IndexedDB
+    isVaultEnabled() {
+        return this.vault.isEnabled();
+    }
+
+    isVaultLocked() {
+        return this.vault.isEnabled() && !this.vault.isUnlocked();
+    }
+
+    async enableVault(password, historyArray) {
+        await this.vault.enable(password);
+        await this.saveHistory(historyArray);
+    }
+
+    // Returns the decrypted history
+    async unlockVault(password) {
+        await this.vault.unlock(password);
+        return this.loadHistory();
+    }
+
+    lockVault() {
+        this.vault.lock();
+    }
+
+    async disableVault(historyArray) {
+        this.vault.disable();
+        await this.saveHistory(historyArray);
+    }
+
+    async sealRecords(items) {
+        if (!this.vault.isEnabled()) return items;
+        return Promise.all(items.map(item => this.vault.sealRecord(item)));
+    }
+
+    async openRecords(records) {
+        const opened = [];
+
+        for (const record of records) {
+            if (!this.vault.isSealed(record)) {
+                opened.push(record);
+                continue;
+            }
+
+            try {
+                opened.push(await this.vault.openRecord(record));
+            } catch (error) {
+                console.warn('Skipped unreadable history record:', record.id);
+            }
+        }
+
+        return opened;
+    }
+
     async exportHistory(format = 'json') {
+        if (this.isVaultLocked()) {
+            throw new Error('History vault is locked');
+        }
+
         try {
             const history = await this.loadHistory();
             
@@ -457,6 +525,7 @@ class QRGeneratorModule {
             color: { dark: '#000000', light: '#ffffff' },
             errorCorrectionLevel: 'M'
         };
+        this.core = new ScanzoCore();
     }
 
     init() {
@@ -476,15 +545,82 @@ class QRGeneratorModule {
         }
 
         try {
-            const options = { ...this.defaultOptions, ...customOptions };
+            const { signing, validity, compress, structuredAppend, logo, verify = true, ...options } = { ...this.defaultOptions, ...customOptions };
+
+            // Advanced encoding: `encoding` is { version, minVersion,
+            // maskPattern, mode, eci }; unset fields keep the automatic
+            // choice.
+            if (options.encoding) {
+                options.encoding = this.core.encoder.normalize(options.encoding);
+            }
+
+            // Signing and compression go through ScanzoCore, so the backend
+            // writes the same payloads. Signing wraps the content in a
+            // SCANZO_SIGNED payload: `signing` is { kid, privateKey } for an
+            // ECDSA P-256 key and the optional `validity` ({ notBefore,
+            // expiresAt }) is signed too. Compression deflates the final
+            // payload into a SCANZO_Z payload when that makes it shorter;
+            // scanners inflate it first. A forced segment mode keeps the
+            // content as given.
+            const wrapped = await this.core.wrap(content, {
+                signing,
+                ...validity,
+                compress: compress && !(options.encoding && options.encoding.mode !== 'auto')
+            });
+            const compressed = wrapped.compressed;
+            content = wrapped.payload;
             
-            // Validate content length
-            const maxLength = this.getMaxLength(options.errorCorrectionLevel);
-            if (content.length > maxLength) {
-                throw new Error(`Content too long. Max ${maxLength} characters for ${options.errorCorrectionLevel} error correction.`);
+            // Logo: `logo` is { image, scale } with scale the logo's share of
+            // the symbol width. Error correction starts at Q or higher and
+            // the logo overlay may raise it to H once the symbol is known.
+            if (logo) {
+                this.logoOverlay = this.logoOverlay || new LogoOverlay();
+                options.errorCorrectionLevel = this.logoOverlay.candidateLevels(options.errorCorrectionLevel)[0];
+            }
+
+            // Validate content length. With `structuredAppend` set, content
+            // that does not fit becomes a series: part 1 goes on the main
+            // canvas and every part is returned in `series`, each encoded
+            // with its Structured Append header.
+            const parts = structuredAppend
+                ? this.core.split(content, options.errorCorrectionLevel, options.encoding)
+                : [{ content, encoding: options.encoding }];
+            content = parts[0].content;
+            options.encoding = parts[0].encoding;
+            this.checkCapacity(content, options.errorCorrectionLevel, options.encoding);
+
+            const series = parts.length > 1 ? await this.generateSeries(parts, { ...options, logo }) : [];
+            const { fit: logoFit, options: renderOptions } = logo
+                ? this.fitLogo(content, options, logo)
+                : { fit: null, options };
+
+            await this.renderCanvas(this.canvas, content, renderOptions);
+            if (logoFit) {
+                this.logoOverlay.draw(this.canvas, logo.image, logoFit.zone, logoFit.size, renderOptions);
             }
 
-            await QRCode.toCanvas(this.canvas, content, options);
+            // Scannability: read the canvas back and score it under simulated
+            // blur, small print and poor light. A code that colours, a logo
+            // or shapes made unreadable is refused; weak ones are reported.
+            let scannability = null;
+            if (verify) {
+                this.scannabilityChecker = this.scannabilityChecker || new ScannabilityChecker();
+                const color = { ...this.defaultOptions.color, ...renderOptions.color };
+                scannability = await this.scannabilityChecker.check(this.canvas, content, color, async () => {
+                    const plain = document.createElement('canvas');
+                    await this.renderCanvas(plain, content, {
+                        width: renderOptions.width,
+                        margin: renderOptions.margin,
+                        errorCorrectionLevel: renderOptions.errorCorrectionLevel,
+                        encoding: renderOptions.encoding
+                    });
+                    return plain;
+                });
+                if (scannability.verdict === 'unreadable') {
+                    throw new Error(scannability.issues[0]);
+                }
+            }
+            this.lastRender = { content, options: renderOptions };
             this.addEnhancements();
             
             return {
@@ -492,7 +628,12 @@ class QRGeneratorModule {
                 canvas: this.canvas,
                 dataURL: this.canvas.toDataURL('image/png', 1.0),
                 content: content,
-                size: content.length
+                size: content.length,
+                signed: !!signing,
+                compressed,
+                errorCorrectionLevel: renderOptions.errorCorrectionLevel,
+                scannability,
+                series
             };
         } catch (error) {
             console.error('QR generation failed:', error);
@@ -500,14 +641,126 @@ class QRGeneratorModule {
         }
     }
 
-    getMaxLength(errorCorrectionLevel) {
-        const limits = {
-            'L': 2953, // Low
-            'M': 2331, // Medium  
-            'Q': 1663, // Quartile
-            'H': 1273  // High
+    // Render several payloads (e.g. threshold shares, or the { content,
+    // encoding } parts of a series) onto canvases of their own, leaving the
+    // main canvas untouched. A `logo` in the options goes on every symbol,
+    // fitted to each one. Each result keeps the options it was drawn with.
+    async generateSeries(contents, customOptions = {}) {
+        const { logo, ...defaults } = { ...this.defaultOptions, ...customOptions };
+        const results = [];
+
+        try {
+            for (const item of contents) {
+                const { content, encoding = defaults.encoding } = typeof item === 'string' ? { content: item } : item;
+                let options = { ...defaults, encoding };
+                this.checkCapacity(content, options.errorCorrectionLevel, options.encoding);
+
+                let logoFit = null;
+                if (logo) {
+                    ({ fit: logoFit, options } = this.fitLogo(content, options, logo));
+                }
+
+                const canvas = document.createElement('canvas');
+                await this.renderCanvas(canvas, content, options);
+                if (logoFit) {
+                    this.logoOverlay.draw(canvas, logo.image, logoFit.zone, logoFit.size, options);
+                }
+
+                results.push({
+                    canvas,
+                    dataURL: canvas.toDataURL('image/png', 1.0),
+                    content,
+                    size: content.length,
+                    options
+                });
+            }
+        } catch (error) {
+            console.error('QR series generation failed:', error);
+            throw new Error(`QR generation failed: ${error.message}`);
+        }
+
+        return results;
+    }
+
+    // Fits the logo ({ image, scale }) to one symbol: returns the fit and the
+    // options to draw it with, at the error correction (and, for short
+    // content, the minimum version) the logo needs. The logo is recorded with
+    // the options as a data URL so SVG copies, label sheets and history
+    // items carry it too.
+    fitLogo(content, options, logo) {
+        this.logoOverlay = this.logoOverlay || new LogoOverlay();
+        const withVersion = (minVersion) => minVersion ? { ...options.encoding, minVersion } : options.encoding;
+        const fit = this.logoOverlay.fit(content, options.errorCorrectionLevel, logo.scale,
+            (text, level, minVersion) => this.createMatrix(text, { ...options, errorCorrectionLevel: level, encoding: withVersion(minVersion) }));
+
+        return {
+            fit,
+            options: {
+                ...options,
+                errorCorrectionLevel: fit.level,
+                encoding: withVersion(fit.minVersion),
+                logo: { href: this.logoOverlay.encode(logo.image), scale: logo.scale }
+            }
         };
-        return limits[errorCorrectionLevel] || limits['M'];
+    }
+
+    // Codes are drawn from QREncoder's module matrix: with a `style`
+    // ({ modules, frame, ball, frameColor, ballColor }) by QRStyler, plain
+    // ones module by module
+    async renderCanvas(canvas, content, options) {
+        const { modules } = this.createMatrix(content, options);
+        const color = { ...this.defaultOptions.color, ...options.color };
+        if (!options.style) {
+            this.core.encoder.drawModules(canvas, modules, { ...options, color });
+            return;
+        }
+
+        this.styler = this.styler || new QRStyler();
+        this.styler.drawCanvas(canvas, modules, { ...options, color });
+    }
+
+    // Module matrix at the options' error correction level, with the
+    // `encoding` choices (see generate) when there are any
+    createMatrix(content, options) {
+        return this.core.matrix(content, options);
+    }
+
+    // Plain render of one animation frame onto the main canvas, without the
+    // effects generate() adds, so it keeps up with a stream's frame rate
+    async renderFrame(content, customOptions = {}) {
+        if (!this.canvas) {
+            throw new Error('QR canvas not initialized');
+        }
+
+        await this.renderCanvas(this.canvas, content, { ...this.defaultOptions, ...customOptions });
+    }
+
+    // SVG built from the module matrix rather than traced from the canvas, so
+    // it stays sharp at any print size. Uses the same colours, margin, error
+    // correction, style and logo as the canvas; defaults to the code
+    // generate() drew.
+    toSVG(content = this.lastRender && this.lastRender.content, customOptions = this.lastRender ? this.lastRender.options : {}) {
+        if (!content) {
+            throw new Error('No QR code generated');
+        }
+
+        const options = { ...this.defaultOptions, ...customOptions };
+        const { modules } = this.createMatrix(content, options);
+        return this.core.toSVG(modules, { ...options, color: { ...this.defaultOptions.color, ...options.color } });
+    }
+
+    // Byte-mode limit of the largest code, for sizing byte budgets. Use
+    // checkCapacity() to test actual content: digits pack tighter and
+    // multi-byte UTF-8 characters cost more than one.
+    getMaxLength(errorCorrectionLevel) {
+        return this.core.getMaxLength(errorCorrectionLevel);
+    }
+
+    // Throws unless the content fits the largest code at the level (or the
+    // pinned `encoding` version), counting its encoded bits rather than its
+    // characters. Returns the measurement.
+    checkCapacity(content, errorCorrectionLevel, encoding = null) {
+        return this.core.checkCapacity(content, errorCorrectionLevel, encoding);
     }
 
     addEnhancements() {
@@ -574,7 +827,9 @@ class QRGeneratorModule {
             
             link.download = filename || `scanzo-qr-${timestamp}.${format}`;
             
-            if (format === 'jpg' || format === 'jpeg') {
+            if (format === 'svg') {
+                link.href = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(this.toSVG());
+            } else if (format === 'jpg' || format === 'jpeg') {
                 link.href = this.canvas.toDataURL('image/jpeg', quality);
             } else {
                 link.href = this.canvas.toDataURL('image/png', quality);
@@ -651,6 +906,9 @@ class QRGeneratorModule {
                     const context = this.canvas.getContext('2d');
                     return context.getImageData(0, 0, this.canvas.width, this.canvas.height);
                     
+                case 'svg':
+                    return this.toSVG();
+
                 case 'base64':
                     const dataURL = this.canvas.toDataURL('image/png', 1.0);
                     return dataURL.split(',')[1];
@@ -678,9 +936,16 @@ class QRScannerModule {
         this.isScanning = false;
         this.scanCallback = null;
         this.statusCallback = null;
+        this.shareCallback = null;
+        this.shareCollector = window.ShareCollector ? new ShareCollector() : null;
+        this.partCallback = null;
+        this.partCollector = window.StructuredAppendCollector ? new StructuredAppendCollector() : null;
+        this.streamCallback = null;
+        this.streamDecoder = window.FountainDecoder ? new FountainDecoder() : null;
         this.stream = null;
         this.video = null;
         this.canvas = null;
+        this.decoder = new QRDecoder();
     }
 
     onScanSuccess(callback) {
@@ -691,6 +956,117 @@ class QRScannerModule {
         this.statusCallback = callback;
     }
 
+    onShareProgress(callback) {
+        this.shareCallback = callback;
+    }
+
+    isShare(data) {
+        return !!this.shareCollector && this.shareCollector.sharing.isShare(data);
+    }
+
+    // Threshold shares are gathered across scans. Returns the collector's
+    // progress; its `content` is the rebuilt payload once enough distinct
+    // shares of one split have been seen.
+    collectShare(data) {
+        const progress = this.shareCollector.add(data);
+        if (this.shareCallback) {
+            this.shareCallback(progress);
+        }
+        return progress;
+    }
+
+    resetShares() {
+        if (this.shareCollector) {
+            this.shareCollector.reset();
+        }
+    }
+
+    onPartProgress(callback) {
+        this.partCallback = callback;
+    }
+
+    // Takes the decoded symbol, which carries the Structured Append header
+    isPart(qrCode) {
+        return !!this.partCollector && this.partCollector.structuredAppend.isPart(qrCode);
+    }
+
+    // Structured Append parts are gathered across scans. Returns the
+    // collector's progress (including the `missing` part numbers); its
+    // `content` is the reassembled, parity-checked payload once complete.
+    collectPart(qrCode) {
+        const progress = this.partCollector.add(qrCode);
+        if (this.partCallback) {
+            this.partCallback(progress);
+        }
+        return progress;
+    }
+
+    resetParts() {
+        if (this.partCollector) {
+            this.partCollector.reset();
+        }
+    }
+
+    // Progress of an animated file stream: { status, decoded, total,
+    // received }, then status 'complete' with `file`, or 'failed' with `error`
+    onStreamProgress(callback) {
+        this.streamCallback = callback;
+    }
+
+    isStreamFrame(data) {
+        return !!this.streamDecoder && this.streamDecoder.code.isFrame(data);
+    }
+
+    // Frames are decoded as fast as the camera delivers them; once every
+    // block is known the file is rebuilt and its digest checked. Returns
+    // true when the stream is complete and detection should stop.
+    collectStreamFrame(data) {
+        let progress;
+        try {
+            progress = this.streamDecoder.add(data);
+
+            // A new stream usually means the sender restarted: follow it
+            if (progress.status === 'other-stream') {
+                this.streamDecoder.reset();
+                progress = this.streamDecoder.add(data);
+            }
+        } catch (error) {
+            this.updateStatus(error.message, 'error');
+            return false;
+        }
+
+        if (progress.status === 'added') {
+            this.updateStatus(`Receiving file... ${Math.floor((progress.decoded / progress.total) * 100)}% (${progress.received} frames)`, 'active');
+        }
+
+        if (progress.status !== 'complete') {
+            if (progress.status === 'added' && this.streamCallback) {
+                this.streamCallback(progress);
+            }
+            return false;
+        }
+
+        this.isScanning = false;
+        this.updateStatus('File received!', 'success');
+        this.showScanSuccess();
+
+        this.streamDecoder.finish()
+            .then(file => {
+                if (this.streamCallback) this.streamCallback({ ...progress, file });
+            })
+            .catch(error => {
+                this.updateStatus(error.message, 'error');
+                if (this.streamCallback) this.streamCallback({ ...progress, status: 'failed', error: error.message });
+            });
+        return true;
+    }
+
+    resetStream() {
+        if (this.streamDecoder) {
+            this.streamDecoder.reset();
+        }
+    }
+
     updateStatus(message, status) {
         if (this.statusCallback) {
             this.statusCallback(message, status);
@@ -797,15 +1173,17 @@ class QRScannerModule {
                 
                 const imageData = context.getImageData(0, 0, this.canvas.width, this.canvas.height);
                 
-                if (window.jsQR) {
-                    const qrCode = jsQR(imageData.data, imageData.width, imageData.height, {
-                        inversionAttempts: "dontInvert"
-                    });
-                    
-                    if (qrCode) {
-                        this.handleQRFound(qrCode);
-                        return;
-                    }
+                const qrCode = this.decoder.decode(imageData, {
+                    inversionAttempts: "dontInvert"
+                });
+
+                // Receiver mode: stream frames are decoded without
+                // leaving the loop, until the whole file is in
+                if (qrCode && this.isStreamFrame(qrCode.data)) {
+                    if (this.collectStreamFrame(qrCode.data)) return;
+                } else if (qrCode) {
+                    this.handleQRFound(qrCode);
+                    return;
                 }
 
                 if (this.isScanning) {
@@ -834,10 +1212,56 @@ class QRScannerModule {
     }
 
     handleQRFound(qrCode) {
+        let data = qrCode.data;
+
+        // Series parts: keep scanning until every part has been seen. The
+        // header is in the symbol rather than its text, so look there first
+        if (this.isPart(qrCode)) {
+            let progress = null;
+            try {
+                progress = this.collectPart(qrCode);
+            } catch (error) {
+                this.updateStatus(error.message, 'error');
+            }
+
+            if (!progress || progress.status !== 'complete') {
+                if (progress && progress.status === 'added') {
+                    this.updateStatus(`${progress.collected} of ${progress.total} parts collected - missing part ${progress.missing.join(', ')}`, 'active');
+                    this.showScanSuccess();
+                }
+                setTimeout(() => this.startDetection(), 500);
+                return;
+            }
+
+            data = progress.content;
+        }
+
+        // A share alone reveals nothing: keep the camera running until the
+        // threshold is reached, then hand over the rebuilt content
+        if (this.isShare(data)) {
+            let progress = null;
+            try {
+                progress = this.collectShare(data);
+            } catch (error) {
+                this.updateStatus(error.message, 'error');
+            }
+
+            if (!progress || progress.status !== 'complete') {
+                if (progress && progress.status === 'added') {
+                    this.updateStatus(`Share ${progress.collected} of ${progress.threshold} collected - scan the next one`, 'active');
+                    this.showScanSuccess();
+                }
+                setTimeout(() => this.startDetection(), 500);
+                return;
+            }
+
+            data = progress.content;
+        }
+
         this.isScanning = false;
         
         if (this.scanCallback) {
-            this.scanCallback(qrCode.data);
+            this.scanCallback(data);
         }
         
         this.updateStatus('QR code found!', 'success');
@@ -860,6 +1284,8 @@ class QRScannerModule {
         }
     }
 
+    // Resolves with the decoded symbol, so `data` comes with the
+    // Structured Append header of a series part
     async scanFromFile(file) {
         return new Promise((resolve, reject) => {
             if (!file || !file.type.startsWith('image/')) {
@@ -883,18 +1309,14 @@ class QRScannerModule {
                         
                         const imageData = tempContext.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
                         
-                        if (window.jsQR) {
-                            const qrCode = jsQR(imageData.data, imageData.width, imageData.height, {
-                                inversionAttempts: "attemptBoth"
-                            });
-                            
-                            if (qrCode) {
-                                resolve(qrCode.data);
-                            } else {
-                                reject(new Error('No QR code found in image'));
-                            }
+                        const qrCode = this.decoder.decode(imageData, {
+                            inversionAttempts: "attemptBoth"
+                        });
+
+                        if (qrCode) {
+                            resolve(qrCode);
                         } else {
-                            reject(new Error('jsQR library not loaded'));
+                            reject(new Error('No QR code found in image'));
                         }
                     } catch (error) {
                         reject(new Error('Failed to process image'));
@@ -1008,6 +1430,24 @@ class ScanzoQRApp {
         this.isScanning = false;
         this.lastScannedContent = null;
         this.encryptedContent = null;
+        this.shareResults = [];
+        this.seriesResults = [];
+        this.labelQueue = [];
+        this.streamSender = null;
+        this.streamFrameInterval = 200;
+        this.receivedFile = null;
+        this.imageSource = null;
+        this.imagePayload = null;
+        this.attachment = null;
+        this.maxAttachmentSize = 32 * 1024;
+        this.logoImage = null;
+        this.vaultLockDelay = 5 * 60 * 1000;
+        this.vaultTimer = null;
+        this.lockoutTimer = null;
+        this.unlocking = false;
+        this.minPasswordScore = 2;
+        this.burnDelay = 60 * 1000;
+        this.burn = null;
         this.toastTimeout = null;
         this.deferredPrompt = null;
         
@@ -1024,6 +1464,20 @@ class ScanzoQRApp {
             this.cameraHandler = new CameraHandler();
             this.qrGenerator = new QRGeneratorModule();
             this.qrScanner = new QRScannerModule();
+            this.envelopeCodec = new EnvelopeCodec();
+            this.keyManager = new KeyManager();
+            this.signedCodec = new SignedPayloadCodec();
+            this.shamir = new ShamirSharing();
+            this.decryptThrottle = new DecryptThrottle();
+            this.passwordStrength = new PasswordStrength();
+            this.nonceStore = new NonceStore();
+            this.compressedCodec = new CompressedPayloadCodec();
+            this.fountainCode = new FountainCode();
+            this.structuredAppend = new StructuredAppend();
+            this.imageEncoder = new ImagePayloadEncoder();
+            this.filePayload = new FilePayloadCodec();
+            this.labelSheet = new LabelSheetPDF();
+            this.capacity = new QRCapacity();
             
             // Load history
             this.history = await this.storageManager.loadHistory();
@@ -1036,6 +1490,18 @@ class ScanzoQRApp {
             this.qrScanner.onStatusChange((message, status) => {
                 this.updateScannerStatus(message, status);
             });
+
+            this.qrScanner.onShareProgress((progress) => {
+                this.updateShareProgress(progress);
+            });
+
+            this.qrScanner.onPartProgress((progress) => {
+                this.updatePartProgress(progress);
+            });
+
+            this.qrScanner.onStreamProgress((progress) => {
+                this.updateStreamProgress(progress);
+            });
             
             // Wait for DOM ready
             if (document.readyState === 'loading') {
@@ -1058,6 +1524,8 @@ class ScanzoQRApp {
             this.bindEvents();
             this.qrGenerator.init();
             this.loadHistory();
+            this.renderVaultPanel();
+            this.renderKeyManager();
             this.updateStats();
             this.checkPermissions();
             this.initPWA();
@@ -1110,6 +1578,11 @@ class ScanzoQRApp {
                 downloadBtn.addEventListener('click', () => this.downloadQR());
             }
 
+            const downloadSvgBtn = document.getElementById('download-svg-btn');
+            if (downloadSvgBtn) {
+                downloadSvgBtn.addEventListener('click', () => this.downloadSVG());
+            }
+
             const saveBtn = document.getElementById('save-btn');
             if (saveBtn) {
                 saveBtn.addEventListener('click', () => this.saveToHistory());
@@ -1144,6 +1617,81 @@ class ScanzoQRApp {
                 switchCameraBtn.addEventListener('click', () => this.switchCamera());
             }
 
+            const resetSharesBtn = document.getElementById('reset-shares');
+            if (resetSharesBtn) {
+                resetSharesBtn.addEventListener('click', () => {
+                    this.qrScanner.resetShares();
+                    this.updateShareProgress(null);
+                    this.toast('Share collection cleared', 'success');
+                });
+            }
+
+            const resetPartsBtn = document.getElementById('reset-parts');
+            if (resetPartsBtn) {
+                resetPartsBtn.addEventListener('click', () => {
+                    this.qrScanner.resetParts();
+                    this.updatePartProgress(null);
+                    this.toast('Series collection cleared', 'success');
+                });
+            }
+
+            const printSeriesBtn = document.getElementById('print-series');
+            if (printSeriesBtn) {
+                printSeriesBtn.addEventListener('click', () => this.printSeriesSheet());
+            }
+
+            // Label sheet PDF
+            const addLabelsBtn = document.getElementById('add-labels-btn');
+            if (addLabelsBtn) {
+                addLabelsBtn.addEventListener('click', () => this.addCurrentToLabels());
+            }
+
+            const exportLabelsBtn = document.getElementById('export-labels-btn');
+            if (exportLabelsBtn) {
+                exportLabelsBtn.addEventListener('click', () => this.exportLabelSheet());
+            }
+
+            const clearLabelsBtn = document.getElementById('clear-labels-btn');
+            if (clearLabelsBtn) {
+                clearLabelsBtn.addEventListener('click', () => this.clearLabels());
+            }
+
+            const labelTemplate = document.getElementById('label-template');
+            if (labelTemplate) {
+                if (labelTemplate.options.length === 0) {
+                    labelTemplate.innerHTML = Object.entries(this.labelSheet.templates)
+                        .map(([key, template]) => `<option value="${key}">${template.name}</option>`)
+                        .join('') + '<option value="custom">Custom grid</option>';
+                }
+                labelTemplate.addEventListener('change', () => {
+                    const custom = document.getElementById('label-custom');
+                    if (custom) custom.style.display = labelTemplate.value === 'custom' ? 'block' : 'none';
+                });
+            }
+
+            // Animated file stream: sender and receiver
+            const streamFile = document.getElementById('stream-file');
+            if (streamFile) {
+                streamFile.addEventListener('change', (e) => {
+                    this.startFileStream(e.target.files[0]);
+                    e.target.value = '';
+                });
+            }
+
+            const stopStreamBtn = document.getElementById('stop-stream');
+            if (stopStreamBtn) {
+                stopStreamBtn.addEventListener('click', () => this.stopFileStream());
+            }
+
+            const resetStreamBtn = document.getElementById('reset-stream');
+            if (resetStreamBtn) {
+                resetStreamBtn.addEventListener('click', () => {
+                    this.qrScanner.resetStream();
+                    this.updateStreamProgress(null);
+                    this.toast('Stream reception cleared', 'success');
+                });
+            }
+
             // QR Upload
             const qrUpload = document.getElementById('qr-upload');
             if (qrUpload) {
@@ -1165,6 +1713,42 @@ class ScanzoQRApp {
                 });
             }
 
+            // Key management
+            const generateKeypairBtn = document.getElementById('generate-keypair');
+            if (generateKeypairBtn) {
+                generateKeypairBtn.addEventListener('click', () => this.generateKeypair());
+            }
+
+            const sharePublicKeyBtn = document.getElementById('share-public-key');
+            if (sharePublicKeyBtn) {
+                sharePublicKeyBtn.addEventListener('click', () => this.sharePublicKey('enc'));
+            }
+
+            const generateSigningKeyBtn = document.getElementById('generate-signing-key');
+            if (generateSigningKeyBtn) {
+                generateSigningKeyBtn.addEventListener('click', () => this.generateSigningKey());
+            }
+
+            const shareSigningKeyBtn = document.getElementById('share-signing-key');
+            if (shareSigningKeyBtn) {
+                shareSigningKeyBtn.addEventListener('click', () => this.sharePublicKey('sig'));
+            }
+
+            const exportContactsBtn = document.getElementById('export-contacts');
+            if (exportContactsBtn) {
+                exportContactsBtn.addEventListener('click', () => this.exportContacts());
+            }
+
+            const contactsFile = document.getElementById('contacts-file');
+            const importContactsBtn = document.getElementById('import-contacts');
+            if (importContactsBtn && contactsFile) {
+                importContactsBtn.addEventListener('click', () => contactsFile.click());
+                contactsFile.addEventListener('change', (e) => {
+                    if (e.target.files[0]) this.importContactsFile(e.target.files[0]);
+                    e.target.value = '';
+                });
+            }
+
             // Result actions
             const copyResultBtn = document.getElementById('copy-result');
             if (copyResultBtn) {
@@ -1223,6 +1807,7 @@ class ScanzoQRApp {
 
             // Mobile events
             this.setupMobileEvents();
+            this.setupVaultAutoLock();
             
             console.log('✅ Events bound successfully');
         } catch (error) {
@@ -1296,6 +1881,34 @@ class ScanzoQRApp {
                 if (e.target.files[0]) this.handleFile(e.target.files[0]);
             });
         }
+
+        const attachmentInput = document.getElementById('attachment-file');
+        if (attachmentInput) {
+            attachmentInput.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.handleAttachment(e.target.files[0]);
+            });
+        }
+
+        const logoInput = document.getElementById('logo-file');
+        if (logoInput) {
+            logoInput.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.handleLogo(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        const clearLogoBtn = document.getElementById('clear-logo');
+        if (clearLogoBtn) {
+            clearLogoBtn.addEventListener('click', () => this.clearLogo());
+        }
+
+        // Re-fit the image whenever an encoding option changes
+        ['image-format', 'image-quality', 'image-grayscale', 'image-palette', 'image-symbols'].forEach(id => {
+            const option = document.getElementById(id);
+            if (option) {
+                option.addEventListener('change', () => this.refreshImagePayload());
+            }
+        });
     }
 
     handleFile(file) {
@@ -1312,64 +1925,280 @@ class ScanzoQRApp {
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const preview = document.getElementById('image-preview');
-            if (preview) {
-                preview.innerHTML = `
-                    <div style="position: relative; display: inline-block; max-width: 100%;">
-                        <img src="${e.target.result}" 
-                             style="max-width: 100%; max-height: 300px; border-radius: 12px; box-shadow: var(--shadow);"
-                             alt="Image preview">
-                        <button onclick="this.parentElement.parentElement.innerHTML=''; this.parentElement.parentElement.classList.remove('active');" 
-                                style="position: absolute; top: 8px; right: 8px; background: rgba(0,0,0,0.7); border: none; color: white; width: 32px; height: 32px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center; font-size: 16px;"
-                                aria-label="Remove image">
-                            <i class="fas fa-times"></i>
-                        </button>
-                        <div style="position: absolute; bottom: 8px; left: 8px; background: rgba(0,0,0,0.7); color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">
-                            ${this.formatFileSize(file.size)}
-                        </div>
-                    </div>
-                `;
-                preview.classList.add('active');
-            }
-            this.toast('Image loaded successfully! 📸', 'success');
-        };
-        
-        reader.onerror = () => {
-            this.toast('Failed to load image', 'error');
-        };
-        
-        reader.readAsDataURL(file);
-    }
-
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        this.imageSource = file;
+        this.imagePayload = null;
+        this.refreshImagePayload().then(payload => {
+            if (payload) this.toast('Image loaded and fitted! 📸', 'success');
+        });
     }
 
-    setupPasswordFeatures() {
-        const passwordToggle = document.querySelector('.password-toggle');
-        const passwordInput = document.getElementById('qr-password');
+    async handleAttachment(file) {
+        if (file.size === 0) {
+            this.toast('File is empty', 'error');
+            return;
+        }
+        if (file.size > this.maxAttachmentSize) {
+            this.toast(`File too large for QR codes (max ${this.formatFileSize(this.maxAttachmentSize)}). Use the animated stream instead.`, 'error', 5000);
+            return;
+        }
 
-        if (passwordToggle) {
-            passwordToggle.addEventListener('click', () => this.togglePassword());
+        try {
+            this.attachment = {
+                name: file.name,
+                type: file.type,
+                bytes: new Uint8Array(await file.arrayBuffer())
+            };
+        } catch (error) {
+            console.error('Attachment read error:', error);
+            this.toast('Failed to read file', 'error');
+            return;
         }
 
-        if (passwordInput) {
-            passwordInput.addEventListener('input', () => this.checkPasswordStrength());
+        const info = document.getElementById('attachment-info');
+        if (info) {
+            info.innerHTML = `
+                <div style="background: var(--bg-surface); padding: 12px 16px; border-radius: 12px; display: flex; justify-content: space-between; align-items: center; gap: 12px;">
+                    <span style="word-break: break-all;"><i class="fas fa-paperclip" aria-hidden="true"></i> ${this.escapeHTML(file.name)}</span>
+                    <span style="color: var(--text-muted); white-space: nowrap;">${this.escapeHTML(file.type || 'unknown type')} · ${this.formatFileSize(file.size)}</span>
+                </div>
+            `;
+            info.classList.add('active');
         }
+
+        this.toast('File attached! 📎', 'success');
     }
 
-    setupTextInput() {
-        const textInput = document.getElementById('text-content');
-        
-        if (textInput) {
-            textInput.addEventListener('input', () => {
-                this.updateCharCounter();
+    // Company mark for the centre of generated codes
+    async handleLogo(file) {
+        const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'];
+        if (!allowedTypes.includes(file.type)) {
+            this.toast('Unsupported logo type. Use PNG, SVG, JPG, GIF or WebP', 'error');
+            return;
+        }
+        if (file.size > 2 * 1024 * 1024) {
+            this.toast('Logo too large (max 2MB)', 'error');
+            return;
+        }
+
+        try {
+            this.logoImage = await this.imageEncoder.loadImage(file);
+        } catch (error) {
+            console.error('Logo load error:', error);
+            this.toast('Failed to load logo', 'error');
+            return;
+        }
+
+        const preview = document.getElementById('logo-preview');
+        if (preview) {
+            const thumb = document.createElement('canvas');
+            const ratio = Math.min(64 / this.logoImage.width, 64 / this.logoImage.height, 1);
+            thumb.width = Math.max(1, Math.round(this.logoImage.width * ratio));
+            thumb.height = Math.max(1, Math.round(this.logoImage.height * ratio));
+            thumb.getContext('2d').drawImage(this.logoImage, 0, 0, thumb.width, thumb.height);
+
+            preview.innerHTML = `
+                <div style="background: var(--bg-surface); padding: 12px 16px; border-radius: 12px; display: flex; align-items: center; gap: 12px;">
+                    <img src="${thumb.toDataURL('image/png')}" alt="Logo preview" style="max-width: 64px; max-height: 64px;">
+                    <span style="word-break: break-all;">${this.escapeHTML(file.name)}</span>
+                </div>
+            `;
+            preview.classList.add('active');
+        }
+
+        this.updateCapacityMeter();
+        this.toast('Logo added - error correction will be raised to fit it 🏢', 'success');
+    }
+
+    clearLogo() {
+        this.logoImage = null;
+
+        const preview = document.getElementById('logo-preview');
+        if (preview) {
+            preview.innerHTML = '';
+            preview.classList.remove('active');
+        }
+        this.updateCapacityMeter();
+    }
+
+    // Pinned version (a minimum or the exact one), mask pattern, segment mode
+    // and ECI for legacy systems; null keeps the automatic choices
+    getEncodingOptions() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const number = (id) => {
+            const parsed = parseInt(value(id), 10);
+            return Number.isNaN(parsed) ? undefined : parsed;
+        };
+
+        const version = number('qr-version');
+        const fixed = value('qr-version-pin') === 'fixed';
+        const encoding = {
+            version: fixed ? version : undefined,
+            minVersion: fixed ? undefined : version,
+            maskPattern: number('qr-mask'),
+            mode: value('qr-segment-mode') || 'auto',
+            eci: number('qr-eci')
+        };
+
+        if (version === undefined && encoding.maskPattern === undefined && encoding.mode === 'auto' && encoding.eci === undefined) {
+            return null;
+        }
+        return encoding;
+    }
+
+    // Module and finder shapes; null keeps the plain renderer
+    getStyleOptions() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const style = {
+            modules: value('qr-module-shape') || 'square',
+            frame: value('qr-frame-shape') || 'square',
+            ball: value('qr-ball-shape') || 'square',
+            frameColor: value('qr-frame-color') || null,
+            ballColor: value('qr-ball-color') || null
+        };
+
+        const plain = style.modules === 'square' && style.frame === 'square' && style.ball === 'square' &&
+            !style.frameColor && !style.ballColor;
+        return plain ? null : style;
+    }
+
+    getLogoOptions() {
+        const size = parseInt(document.getElementById('logo-size')?.value, 10) || 20;
+        return { image: this.logoImage, scale: size / 100 };
+    }
+
+    async refreshImagePayload() {
+        if (!this.imageSource) return null;
+
+        this.showLoading(true, 'Fitting image...');
+        try {
+            return await this.prepareImagePayload();
+        } catch (error) {
+            console.error('Image fitting error:', error);
+            this.toast(error.message, 'error');
+            return null;
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Shrink the selected image until its data URL fits the budget of the
+    // current mode and symbol count, then preview exactly what will be sent
+    async prepareImagePayload() {
+        const options = this.getImageOptions();
+        const key = this.imagePayloadKey(options);
+
+        this.imagePayload = null;
+        const payload = await this.imageEncoder.encode(this.imageSource, options);
+        this.imagePayload = { ...payload, key };
+        this.renderImagePreview();
+
+        return this.imagePayload;
+    }
+
+    getImageOptions() {
+        const symbols = this.currentMode === 'shares'
+            ? 1
+            : Math.min(Math.max(parseInt(document.getElementById('image-symbols')?.value, 10) || 1, 1), this.structuredAppend.maxSymbols);
+
+        return {
+            budget: this.getImageBudget(symbols),
+            format: document.getElementById('image-format')?.value || 'image/webp',
+            quality: parseFloat(document.getElementById('image-quality')?.value) || 0.6,
+            grayscale: !!document.getElementById('image-grayscale')?.checked,
+            paletteColors: parseInt(document.getElementById('image-palette')?.value, 10) || 0
+        };
+    }
+
+    // Data URL characters that still fit once the current mode has wrapped
+    // the image: encryption, signing and shares re-encode it as base64 (twice
+    // for shares) and add headers of their own
+    getImageBudget(symbols = 1) {
+        const capacity = this.qrGenerator.getMaxLength(this.qrGenerator.defaultOptions.errorCorrectionLevel);
+        const usable = symbols > 1
+            ? symbols * (capacity - this.structuredAppend.headerLength)
+            : capacity;
+
+        const expansion = { private: 4 / 3, recipients: 4 / 3, signed: 4 / 3, shares: 16 / 9 }[this.currentMode] || 1;
+        const recipients = this.currentMode === 'recipients'
+            ? document.querySelectorAll('.recipient-checkbox:checked').length
+            : 0;
+        const headroom = expansion > 1 ? 400 + recipients * 200 : 0;
+
+        return Math.floor(usable / expansion) - headroom;
+    }
+
+    imagePayloadKey(options = this.getImageOptions()) {
+        return JSON.stringify(options);
+    }
+
+    renderImagePreview() {
+        const preview = document.getElementById('image-preview');
+        const payload = this.imagePayload;
+        if (!preview || !payload) return;
+
+        const format = payload.format.replace('image/', '').toUpperCase();
+        preview.innerHTML = `
+            <div style="position: relative; display: inline-block; max-width: 100%;">
+                <img src="${payload.dataURL}" 
+                     style="max-width: 100%; max-height: 300px; border-radius: 12px; box-shadow: var(--shadow); image-rendering: pixelated;"
+                     alt="What the recipient will see">
+                <button onclick="app.clearImage()" 
+                        style="position: absolute; top: 8px; right: 8px; background: rgba(0,0,0,0.7); border: none; color: white; width: 32px; height: 32px; border-radius: 50%; cursor: pointer; display: flex; align-items: center; justify-content: center; font-size: 16px;"
+                        aria-label="Remove image">
+                    <i class="fas fa-times"></i>
+                </button>
+                <div style="position: absolute; bottom: 8px; left: 8px; background: rgba(0,0,0,0.7); color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">
+                    ${payload.width}×${payload.height} · ${format} ${Math.round(payload.quality * 100)}% · ${this.formatFileSize(payload.size)} (was ${this.formatFileSize(this.imageSource.size)})
+                </div>
+            </div>
+            <p style="color: var(--text-muted); font-size: 13px; margin-top: 8px;">Preview of what the recipient will see</p>
+        `;
+        preview.classList.add('active');
+    }
+
+    clearImage() {
+        this.imageSource = null;
+        this.imagePayload = null;
+
+        const preview = document.getElementById('image-preview');
+        if (preview) {
+            preview.innerHTML = '';
+            preview.classList.remove('active');
+        }
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    setupPasswordFeatures() {
+        const passwordToggle = document.querySelector('.password-toggle');
+        const passwordInput = document.getElementById('qr-password');
+
+        if (passwordToggle) {
+            passwordToggle.addEventListener('click', () => this.togglePassword());
+        }
+
+        if (passwordInput) {
+            passwordInput.addEventListener('input', () => this.checkPasswordStrength());
+        }
+
+        const passphraseBtn = document.getElementById('generate-passphrase');
+        if (passphraseBtn) {
+            passphraseBtn.addEventListener('click', () => this.generatePassphrase());
+        }
+    }
+
+    setupTextInput() {
+        const textInput = document.getElementById('text-content');
+        
+        if (textInput) {
+            textInput.addEventListener('input', () => {
+                this.updateCharCounter();
                 this.autoResize(textInput);
             });
 
@@ -1377,6 +2206,11 @@ class ScanzoQRApp {
                 setTimeout(() => this.autoResize(textInput), 10);
             });
         }
+
+        // Encoding options change what the text costs
+        ['qr-version', 'qr-version-pin', 'qr-mask', 'qr-segment-mode', 'qr-eci'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateCapacityMeter());
+        });
     }
 
     // Tab Management
@@ -1428,8 +2262,41 @@ class ScanzoQRApp {
             }
         }
 
+        const validitySection = document.getElementById('validity-section');
+        if (validitySection) {
+            if (['private', 'recipients', 'signed'].includes(mode)) {
+                validitySection.classList.add('active');
+            } else {
+                validitySection.classList.remove('active');
+            }
+        }
+
+        const recipientsSection = document.getElementById('recipients-section');
+        if (recipientsSection) {
+            if (mode === 'recipients') {
+                recipientsSection.classList.add('active');
+                this.renderRecipientList();
+            } else {
+                recipientsSection.classList.remove('active');
+            }
+        }
+
+        const sharesSection = document.getElementById('shares-section');
+        if (sharesSection) {
+            if (mode === 'shares') {
+                sharesSection.classList.add('active');
+            } else {
+                sharesSection.classList.remove('active');
+            }
+        }
+
         this.currentMode = mode;
+        this.updateCapacityMeter();
         this.toast(`Switched to ${mode} mode 🔧`, 'success', 1500);
+
+        if (this.imageSource && this.currentType === 'image') {
+            this.refreshImagePayload();
+        }
     }
 
     switchType(type) {
@@ -1462,26 +2329,46 @@ class ScanzoQRApp {
         }
     }
 
+    // Entropy estimate from PasswordStrength; the bar is full at 80 bits
     checkPasswordStrength() {
         const password = document.getElementById('qr-password')?.value || '';
         const fill = document.querySelector('.strength-fill');
         const text = document.querySelector('.strength-text');
+        const feedback = document.getElementById('password-feedback');
         
         if (!fill || !text) return;
         
-        let strength = 0;
-        if (password.length >= 6) strength++;
-        if (/[a-z]/.test(password)) strength++;
-        if (/[A-Z]/.test(password)) strength++;
-        if (/[0-9]/.test(password)) strength++;
-        if (/[^A-Za-z0-9]/.test(password)) strength++;
-
-        const levels = ['Very Weak', 'Weak', 'Fair', 'Good', 'Strong'];
+        const strength = this.passwordStrength.estimate(password);
         const colors = ['#EF4444', '#F59E0B', '#FF6B35', '#10B981', '#22C55E'];
         
-        fill.style.width = `${(strength / 5) * 100}%`;
-        fill.style.background = colors[Math.min(strength, 4)];
-        text.textContent = levels[Math.min(strength, 4)];
+        fill.style.width = `${Math.min(strength.bits / 80, 1) * 100}%`;
+        fill.style.background = colors[strength.score];
+        text.textContent = password ? `${strength.label} · ~${Math.round(strength.bits)} bits` : strength.label;
+
+        if (feedback) {
+            feedback.textContent = strength.feedback.join('. ');
+        }
+    }
+
+    generatePassphrase() {
+        const input = document.getElementById('qr-password');
+        if (!input) return;
+
+        try {
+            const { passphrase, bits } = this.passwordStrength.generatePassphrase();
+
+            // Shown in the clear so it can be written down or shared
+            input.value = passphrase;
+            input.type = 'text';
+            const icon = document.querySelector('.password-toggle i');
+            if (icon) icon.className = 'fas fa-eye-slash';
+
+            this.checkPasswordStrength();
+            this.toast(`Passphrase generated (~${Math.round(bits)} bits). Keep a copy somewhere safe! 🎲`, 'success', 4000);
+        } catch (error) {
+            console.error('Passphrase error:', error);
+            this.toast(error.message, 'error');
+        }
     }
 
     updateCharCounter() {
@@ -1491,15 +2378,90 @@ class ScanzoQRApp {
         if (input && counter) {
             const count = input.value.length;
             counter.textContent = count.toLocaleString();
-            
-            // Update progress bar if it exists
-            const progressBar = document.querySelector('.char-progress');
-            if (progressBar) {
-                const maxLength = 2953;
-                const percentage = (count / maxLength) * 100;
-                progressBar.style.width = `${Math.min(percentage, 100)}%`;
+        }
+
+        // Measuring runs the encoder's segmentation, so wait for a pause in typing
+        clearTimeout(this.capacityTimer);
+        this.capacityTimer = setTimeout(() => this.updateCapacityMeter(), 150);
+    }
+
+    // Error correction the next code starts from: a logo needs Q or higher
+    getCapacityLevel() {
+        const level = this.qrGenerator.defaultOptions.errorCorrectionLevel;
+        if (!this.logoImage) return level;
+
+        this.qrGenerator.logoOverlay = this.qrGenerator.logoOverlay || new LogoOverlay();
+        return this.qrGenerator.logoOverlay.candidateLevels(level)[0];
+    }
+
+    // Encoded size of the text, the version and module count it needs and
+    // the room left before the code grows a version or runs out
+    updateCapacityMeter() {
+        const input = document.getElementById('text-content');
+        const meter = document.getElementById('capacity-meter');
+        const progressBar = document.querySelector('.char-progress');
+        const content = input ? input.value.trim() : '';
+
+        if (!content) {
+            if (progressBar) progressBar.style.width = '0%';
+            if (meter) {
+                meter.innerHTML = '';
+                meter.classList.remove('active');
+            }
+            return;
+        }
+
+        const encoding = this.getEncodingOptions();
+        let report;
+        try {
+            report = this.capacity.measure(content, this.getCapacityLevel(), encoding);
+        } catch (error) {
+            if (progressBar) progressBar.style.width = '0%';
+            if (meter) {
+                meter.innerHTML = `<span style="color: var(--danger-solid); font-weight: 600;">${this.escapeHTML(error.message)}</span>`;
+                meter.classList.add('active');
             }
+            return;
+        }
+
+        const used = Math.min(report.bits / report.maxBits, 1);
+        const color = !report.fits ? 'var(--danger-solid)' : used > 0.8 ? 'var(--warning-solid)' : 'var(--success-solid)';
+        const amount = (room) => `${Math.abs(room.chars).toLocaleString()} ${room.unit}`;
+
+        if (progressBar) {
+            progressBar.style.width = `${used * 100}%`;
+            progressBar.style.background = color;
+        }
+        if (!meter) return;
+
+        let summary;
+        let headroom;
+        if (!report.fits) {
+            summary = `Too long for ${encoding && encoding.version ? `a version ${encoding.version} code` : 'one code'} at ${report.level} error correction`;
+            headroom = `${amount(report.limitHeadroom)} too many`;
+        } else {
+            summary = `Version ${report.version} · ${report.modules}×${report.modules} modules · ${report.level} error correction`;
+            headroom = report.nextVersion
+                ? `${amount(report.headroom)} until version ${report.nextVersion} · ${amount(report.limitHeadroom)} until full`
+                : `${amount(report.headroom)} until full`;
         }
+        let note = '';
+        if (this.currentMode !== 'public') {
+            note = ' · measured before encryption, signing or splitting';
+        } else if (!report.fits && !(encoding && encoding.version)) {
+            note = ' · it will be compressed or split into a series';
+        }
+
+        meter.innerHTML = `
+            <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+                <span style="color: ${color}; font-weight: 600;">${summary}</span>
+                <span>${report.bits.toLocaleString()} / ${report.capacity.toLocaleString()} bits</span>
+            </div>
+            <div style="color: var(--text-muted); font-size: 0.9em;">
+                ${report.bytes.toLocaleString()} UTF-8 bytes · ${report.mode} mode${encoding && encoding.eci ? ` · ECI ${encoding.eci}` : ''} · ${headroom}${note}
+            </div>
+        `;
+        meter.classList.add('active');
     }
 
     autoResize(textarea) {
@@ -1511,6 +2473,7 @@ class ScanzoQRApp {
 
     // QR Generation
     async generateQR() {
+        this.stopFileStream();
         this.showLoading(true, 'Generating QR...');
         const generateBtn = document.getElementById('generate-btn');
         
@@ -1520,34 +2483,103 @@ class ScanzoQRApp {
 
         try {
             let content = '';
+            let shares = null;
+            const generateOptions = { compress: true, structuredAppend: true };
             
             if (this.currentType === 'text') {
                 const textInput = document.getElementById('text-content');
                 content = textInput ? textInput.value.trim() : '';
                 if (!content) throw new Error('Please enter some text!');
+            } else if (this.currentType === 'file') {
+                if (!this.attachment) throw new Error('Please attach a file!');
+                content = await this.filePayload.encode(this.attachment);
             } else {
-                const preview = document.getElementById('image-preview');
-                if (!preview || !preview.classList.contains('active')) {
-                    throw new Error('Please select an image!');
+                if (!this.imageSource) throw new Error('Please select an image!');
+
+                // The budget depends on the mode, so re-fit if anything changed
+                if (!this.imagePayload || this.imagePayload.key !== this.imagePayloadKey()) {
+                    await this.prepareImagePayload();
                 }
-                const img = preview.querySelector('img');
-                content = img ? img.src : '';
-                if (!content) throw new Error('Invalid image selected!');
+                content = this.imagePayload.dataURL;
             }
 
             if (this.currentMode === 'private') {
                 const passwordInput = document.getElementById('qr-password');
                 const password = passwordInput ? passwordInput.value : '';
                 if (!password) throw new Error('Please set a password for private mode!');
-                if (password.length < 4) throw new Error('Password must be at least 4 characters!');
-                
-                content = await this.encryptContent(content, password);
-                content = `SCANZO_PRIVATE:${content}`;
+
+                const strength = this.passwordStrength.estimate(password);
+                if (strength.score < this.minPasswordScore) {
+                    throw new Error(`Password is too weak (${strength.label}). Try the passphrase generator!`);
+                }
+
+                const hint = document.getElementById('qr-hint')?.value || '';
+                content = await this.encryptContent(content, password, {
+                    ...this.getValidityWindow(),
+                    hint,
+                    oneTime: this.isOneTimeSelected()
+                });
+            } else if (this.currentMode === 'recipients') {
+                const kids = Array.from(document.querySelectorAll('.recipient-checkbox:checked'))
+                    .map(input => input.value);
+                if (kids.length === 0) throw new Error('Please select at least one recipient!');
+
+                const recipients = await this.keyManager.getRecipientKeys(kids);
+                content = await this.envelopeCodec.encodeForRecipients(content, recipients, {
+                    ...this.getValidityWindow(),
+                    oneTime: this.isOneTimeSelected()
+                });
+            } else if (this.currentMode === 'signed') {
+                if (!this.keyManager.hasSigningKey()) throw new Error('Create a signing key first!');
+                generateOptions.signing = await this.keyManager.getSigner();
+                generateOptions.validity = this.getValidityWindow();
+            } else if (this.currentMode === 'shares') {
+                const threshold = parseInt(document.getElementById('share-threshold')?.value, 10);
+                const count = parseInt(document.getElementById('share-count')?.value, 10);
+
+                shares = this.shamir.split(content, threshold, count);
+                content = shares[0];
+                // Shares are random bytes and must stay recognisable to the scanner
+                generateOptions.compress = false;
+                generateOptions.structuredAppend = false;
+            }
+
+            const style = this.getStyleOptions();
+            if (style) {
+                generateOptions.style = style;
+            }
+            if (this.logoImage) {
+                generateOptions.logo = this.getLogoOptions();
+            }
+            const encoding = this.getEncodingOptions();
+            if (encoding) {
+                generateOptions.encoding = encoding;
             }
 
-            await this.qrGenerator.generate(content);
+            const generated = await this.qrGenerator.generate(content, generateOptions);
+            this.shareResults = shares ? await this.qrGenerator.generateSeries(shares) : [];
+            this.seriesResults = generated.series;
+            this.renderShareGallery();
+            this.renderSeriesGallery();
+            this.renderScannability(generated.scannability);
             this.showQRResult();
-            this.toast('QR code generated! 🔥', 'success');
+
+            if (shares) {
+                this.toast(`${shares.length} share QR codes generated! 🧩`, 'success');
+            } else if (this.seriesResults.length > 0) {
+                this.toast(`Too long for one code - split into a series of ${this.seriesResults.length}! 🔗`, 'success');
+            } else if (generateOptions.logo) {
+                this.toast(`QR code generated with your logo - error correction ${generated.errorCorrectionLevel} 🏢`, 'success');
+            } else if (generated.compressed) {
+                this.toast(`QR code generated - compressed ${content.length.toLocaleString()} → ${generated.size.toLocaleString()} chars! 🗜️`, 'success');
+            } else {
+                this.toast('QR code generated! 🔥', 'success');
+            }
+
+            const scannability = generated.scannability;
+            if (scannability && scannability.verdict === 'poor') {
+                this.toast(`Hard to scan (${scannability.score}/100): ${scannability.issues[0]}`, 'warning', 6000);
+            }
 
         } catch (error) {
             console.error('QR generation error:', error);
@@ -1560,45 +2592,67 @@ class ScanzoQRApp {
         }
     }
 
-    async encryptContent(content, password) {
-        const data = {
-            content,
-            timestamp: Date.now(),
-            salt: Math.random().toString(36).substring(2, 15)
+    // Optional not-before / expires-at window from the generator inputs
+    getValidityWindow() {
+        const validFrom = document.getElementById('valid-from');
+        const validUntil = document.getElementById('valid-until');
+
+        return {
+            notBefore: validFrom && validFrom.value ? validFrom.value : null,
+            expiresAt: validUntil && validUntil.value ? validUntil.value : null
         };
-        
-        const encrypted = btoa(JSON.stringify({
-            data: btoa(JSON.stringify(data)),
-            hash: await this.hashPassword(password + data.salt)
-        }));
-        
-        return encrypted;
     }
 
-    async hashPassword(input) {
-        let hash = 0;
-        for (let i = 0; i < input.length; i++) {
-            const char = input.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return hash.toString(16);
+    isOneTimeSelected() {
+        return !!document.getElementById('one-time')?.checked;
     }
 
-    async decryptContent(encrypted, password) {
-        try {
-            const parsed = JSON.parse(atob(encrypted));
-            const data = JSON.parse(atob(parsed.data));
-            const expectedHash = await this.hashPassword(password + data.salt);
-            
-            if (parsed.hash !== expectedHash) {
-                throw new Error('Invalid password');
-            }
-            
-            return data.content;
-        } catch {
-            throw new Error('Failed to decrypt or invalid password');
+    // Private payloads go through the shared EnvelopeCodec so that QRs made
+    // here and in index.html can be unlocked by either.
+    async encryptContent(content, password, options = {}) {
+        return this.envelopeCodec.encode(content, password, options);
+    }
+
+    // Returns { content, version, format, insecure, notBefore, expiresAt }.
+    // Throws with error.code 'QR_EXPIRED' / 'QR_NOT_YET_VALID' outside the
+    // validity window.
+    async decryptContent(payload, password) {
+        return this.envelopeCodec.decode(payload, password);
+    }
+
+    // Score and per-check results from the generator's read-back
+    renderScannability(report) {
+        const panel = document.getElementById('scannability-report');
+        if (!panel) return;
+
+        if (!report) {
+            panel.innerHTML = '';
+            panel.classList.remove('active');
+            return;
         }
+
+        const colors = { good: 'var(--success-solid)', fair: 'var(--warning-solid)', poor: 'var(--danger-solid)' };
+        panel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                <strong><i class="fas fa-search" aria-hidden="true"></i> Scannability</strong>
+                <span style="color: ${colors[report.verdict]}; font-weight: 600;">${report.score}/100 · ${report.verdict}</span>
+            </div>
+            <div style="height: 6px; border-radius: 3px; background: var(--bg-surface); overflow: hidden; margin-bottom: 8px;">
+                <div style="width: ${report.score}%; height: 100%; background: ${colors[report.verdict]};"></div>
+            </div>
+            <ul style="list-style: none; padding: 0; margin: 0; font-size: 0.9em;">
+                ${report.checks.map(check => `
+                    <li>
+                        <i class="fas fa-${check.passed ? 'check' : 'times'}" style="color: ${check.passed ? 'var(--success-solid)' : 'var(--danger-solid)'};" aria-hidden="true"></i>
+                        ${check.label}
+                    </li>
+                `).join('')}
+            </ul>
+            ${report.issues.length > 0 ? `
+                <p style="color: var(--text-muted); margin-top: 8px;">${report.issues.map(issue => this.escapeHTML(issue)).join('<br>')}</p>
+            ` : ''}
+        `;
+        panel.classList.add('active');
     }
 
     showQRResult() {
@@ -1613,9 +2667,15 @@ class ScanzoQRApp {
         }
 
         if (desc) {
-            desc.textContent = this.currentMode === 'private' 
-                ? 'Password required to unlock' 
-                : 'Ready to share instantly!';
+            const descriptions = {
+                private: 'Password required to unlock',
+                recipients: 'Only the selected recipients can unlock',
+                signed: 'Signed - scanners can verify it came from you',
+                shares: 'Share 1 - the full set is in the gallery below'
+            };
+            desc.textContent = this.seriesResults.length > 0
+                ? `Part 1 of ${this.seriesResults.length} - scan every part in the gallery below`
+                : descriptions[this.currentMode] || 'Ready to share instantly!';
         }
         
         if (mode) {
@@ -1632,84 +2692,669 @@ class ScanzoQRApp {
         }
     }
 
-    // Enhanced Camera & Scanner
-    async startCamera() {
-        try {
-            this.showLoading(true, 'Starting camera...');
-            await this.qrScanner.startCamera();
-            this.isScanning = true;
-            this.toast('Camera started! 📷', 'success');
-        } catch (error) {
-            console.error('Camera start error:', error);
-            this.toast('Unable to access camera. Please check permissions.', 'error');
-        } finally {
-            this.showLoading(false);
+    // One card per share QR, each downloadable on its own so the shares can
+    // be handed to different people
+    renderShareGallery() {
+        const gallery = document.getElementById('share-gallery');
+        if (!gallery) return;
+
+        if (this.shareResults.length === 0) {
+            gallery.classList.remove('active');
+            gallery.innerHTML = '';
+            return;
         }
-    }
 
-    stopCamera() {
-        this.qrScanner.stopCamera();
-        this.isScanning = false;
+        const { k, n } = this.shamir.parse(this.shareResults[0].content);
+        gallery.innerHTML = `
+            <h4>Any ${k} of these ${n} shares unlock the content</h4>
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 16px;">
+                ${this.shareResults.map((share, index) => `
+                    <div style="background: var(--bg-surface); padding: 12px; border-radius: 12px; text-align: center;">
+                        <img src="${share.dataURL}" alt="Share ${index + 1} of ${n}" style="width: 100%; border-radius: 8px;">
+                        <p style="margin: 8px 0;">Share ${index + 1} of ${n}</p>
+                        <button class="btn btn-sm btn-secondary" onclick="app.downloadShare(${index})" aria-label="Download share ${index + 1}">
+                            <i class="fas fa-download" aria-hidden="true"></i> Download
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        gallery.classList.add('active');
     }
 
-    async switchCamera() {
-        try {
-            const newFacing = await this.qrScanner.switchCamera();
-            this.toast(`Switched to camera`, 'success');
-        } catch (error) {
-            console.error('Camera switch error:', error);
-            this.toast('Failed to switch camera', 'error');
+    downloadShare(index) {
+        const share = this.shareResults[index];
+        if (!share) {
+            this.toast('Share not found', 'error');
+            return;
         }
-    }
 
-    async restartCamera() {
-        this.stopCamera();
-        await new Promise(resolve => setTimeout(resolve, 100));
-        await this.startCamera();
-    }
+        const { id, x, n } = this.shamir.parse(share.content);
+        const link = document.createElement('a');
+        link.download = `scanzo-share-${id}-${x}-of-${n}.png`;
+        link.href = share.dataURL;
 
-    pauseScanning() {
-        this.isScanning = false;
-        this.updateScannerStatus('Scanning paused', 'warning');
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.toast(`Share ${x} downloaded! 📥`, 'success');
     }
 
-    resumeScanning() {
-        if (this.qrScanner?.stream) {
-            this.isScanning = true;
-            this.qrScanner.startDetection();
-            this.updateScannerStatus('Scanning resumed...', 'active');
+    // One card per part of a Structured Append series. Unlike shares, every
+    // part is needed, so they are numbered and can be printed as one sheet.
+    renderSeriesGallery() {
+        const gallery = document.getElementById('series-gallery');
+        if (!gallery) return;
+
+        if (this.seriesResults.length === 0) {
+            gallery.classList.remove('active');
+            gallery.innerHTML = '';
+            return;
         }
+
+        const total = this.seriesResults.length;
+        gallery.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                <h4>Scan all ${total} parts, in any order</h4>
+                <button class="btn btn-sm btn-secondary" onclick="app.printSeriesSheet()" aria-label="Print all parts">
+                    <i class="fas fa-print" aria-hidden="true"></i> Print sheet
+                </button>
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 16px;">
+                ${this.seriesResults.map((part, index) => `
+                    <div style="background: var(--bg-surface); padding: 12px; border-radius: 12px; text-align: center;">
+                        <img src="${part.dataURL}" alt="Part ${index + 1} of ${total}" style="width: 100%; border-radius: 8px;">
+                        <p style="margin: 8px 0;">Part ${index + 1} of ${total}</p>
+                        <button class="btn btn-sm btn-secondary" onclick="app.downloadSeriesPart(${index})" aria-label="Download part ${index + 1}">
+                            <i class="fas fa-download" aria-hidden="true"></i> Download
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        gallery.classList.add('active');
     }
 
-    updateScannerStatus(message, status) {
-        const statusEl = document.getElementById('scanner-status');
-        const icon = statusEl?.querySelector('i');
-        const text = statusEl?.querySelector('span');
-        
-        if (text) text.textContent = message;
-        if (statusEl) statusEl.className = `status-indicator ${status}`;
-        
-        const icons = {
-            ready: 'fas fa-circle',
-            active: 'fas fa-circle-notch fa-spin',
-            error: 'fas fa-exclamation-circle',
-            warning: 'fas fa-exclamation-triangle',
-            success: 'fas fa-check-circle'
-        };
-        
-        if (icon) icon.className = icons[status] || 'fas fa-circle';
+    downloadSeriesPart(index) {
+        const part = this.seriesResults[index];
+        if (!part) {
+            this.toast('Part not found', 'error');
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.download = `scanzo-part-${index + 1}-of-${this.seriesResults.length}.png`;
+        link.href = part.dataURL;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.toast(`Part ${index + 1} downloaded! 📥`, 'success');
     }
 
-    async scanFromFile(file) {
-        if (!file || !file.type.startsWith('image/')) {
-            this.toast('Please select a valid image file', 'error');
+    // Printable sheet with every part of the series, numbered
+    printSeriesSheet() {
+        if (this.seriesResults.length === 0) {
+            this.toast('No series to print', 'error');
             return;
         }
 
-        this.showLoading(true, 'Analyzing image...');
+        const sheet = window.open('', '_blank');
+        if (!sheet) {
+            this.toast('Allow pop-ups to print the series', 'error');
+            return;
+        }
 
+        const total = this.seriesResults.length;
+        sheet.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>ScanzoQR series (${total} parts)</title>
+                <style>
+                    body { font-family: sans-serif; margin: 24px; }
+                    .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 24px; }
+                    figure { margin: 0; text-align: center; break-inside: avoid; }
+                    img { width: 100%; image-rendering: pixelated; }
+                </style>
+            </head>
+            <body>
+                <h2>ScanzoQR series - scan all ${total} parts</h2>
+                <div class="grid">
+                    ${this.seriesResults.map((part, index) => `
+                        <figure>
+                            <img src="${part.dataURL}" alt="Part ${index + 1} of ${total}">
+                            <figcaption>Part ${index + 1} of ${total}</figcaption>
+                        </figure>
+                    `).join('')}
+                </div>
+            </body>
+            </html>
+        `);
+        sheet.document.close();
+        sheet.onload = () => sheet.print();
+    }
+
+    // 🏷️ Label Sheets
+    // Codes queued here are laid out on a label sheet PDF. Captions never
+    // show private content: only public text is used, otherwise the mode.
+    addCurrentToLabels() {
+        const render = this.qrGenerator.lastRender;
+        if (!render) {
+            this.toast('Generate a QR code first', 'error');
+            return;
+        }
+
+        const custom = document.getElementById('label-caption')?.value.trim() || '';
+        const join = (label) => custom ? `${custom} - ${label}` : label;
+        let items;
+
+        if (this.shareResults.length > 0) {
+            items = this.shareResults.map(share => {
+                const { x, n } = this.shamir.parse(share.content);
+                return { payload: share.content, caption: join(`Share ${x} of ${n}`), options: this.qrGenerator.defaultOptions };
+            });
+        } else if (this.seriesResults.length > 0) {
+            const total = this.seriesResults.length;
+            items = this.seriesResults.map((part, index) => ({
+                payload: part.content, caption: join(`Part ${index + 1} of ${total}`), options: part.options
+            }));
+        } else {
+            const text = document.getElementById('text-content')?.value || '';
+            const caption = custom || (this.currentMode === 'public' && this.currentType === 'text'
+                ? text
+                : `ScanzoQR ${this.currentMode}`);
+            items = [{ payload: render.content, caption, options: render.options }];
+        }
+
+        this.labelQueue.push(...items);
+        this.renderLabelQueue();
+        this.toast(`${items.length} code${items.length === 1 ? '' : 's'} added to the label sheet 🏷️`, 'success');
+    }
+
+    addHistoryToLabels(id) {
+        const item = this.history.find(h => h.id === id);
+        if (!item || !item.payload) return;
+
+        this.labelQueue.push({
+            payload: item.payload,
+            caption: item.mode === 'public' && item.contentType === 'text' ? item.content : `${item.contentType} - ${item.mode}`,
+            options: item.qrOptions || {}
+        });
+        this.renderLabelQueue();
+        this.toast('Added to the label sheet 🏷️', 'success');
+    }
+
+    removeLabel(index) {
+        this.labelQueue.splice(index, 1);
+        this.renderLabelQueue();
+    }
+
+    clearLabels() {
+        this.labelQueue = [];
+        this.renderLabelQueue();
+    }
+
+    renderLabelQueue() {
+        const queue = document.getElementById('label-queue');
+        if (!queue) return;
+
+        if (this.labelQueue.length === 0) {
+            queue.innerHTML = '<p style="color: var(--text-muted);">No codes queued - add the generated code or items from history.</p>';
+            return;
+        }
+
+        queue.innerHTML = `
+            <p><strong>${this.labelQueue.length}</strong> code${this.labelQueue.length === 1 ? '' : 's'} queued</p>
+            <div style="display: flex; flex-wrap: wrap; gap: 8px;">
+                ${this.labelQueue.map((label, index) => `
+                    <span style="background: var(--bg-surface); padding: 4px 10px; border-radius: 12px; max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                        ${this.escapeHTML(label.caption || `Code ${index + 1}`)}
+                        <button class="btn btn-sm" onclick="app.removeLabel(${index})" aria-label="Remove label ${index + 1}">
+                            <i class="fas fa-times" aria-hidden="true"></i>
+                        </button>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    getLabelSettings() {
+        const value = (id) => document.getElementById(id)?.value;
+        return {
+            template: value('label-template') || 'avery-l7160',
+            custom: {
+                page: value('label-page'),
+                rows: value('label-rows'),
+                cols: value('label-cols'),
+                margin: value('label-margin'),
+                gap: value('label-gap')
+            },
+            captions: document.getElementById('label-captions')?.checked ?? true,
+            cutMarks: document.getElementById('label-cut-marks')?.checked ?? false,
+            startAt: Math.max(0, (parseInt(value('label-start'), 10) || 1) - 1)
+        };
+    }
+
+    async exportLabelSheet() {
+        if (this.labelQueue.length === 0) {
+            this.toast('Add some codes to the label sheet first', 'warning');
+            return;
+        }
+
+        this.showLoading(true);
+        try {
+            const settings = this.getLabelSettings();
+            const layout = this.labelSheet.getLayout(settings.template, settings.custom);
+            const pdf = await this.labelSheet.build(this.labelQueue, settings);
+            const pages = Math.ceil((Math.min(settings.startAt, layout.cols * layout.rows - 1) + this.labelQueue.length) / (layout.cols * layout.rows));
+
+            const url = URL.createObjectURL(pdf);
+            const link = document.createElement('a');
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            link.download = `scanzo-labels-${timestamp}.pdf`;
+            link.href = url;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            this.toast(`Label sheet ready - ${pages} page${pages === 1 ? '' : 's'}! 🏷️`, 'success');
+        } catch (error) {
+            console.error('Label sheet error:', error);
+            this.toast(error.message, 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Loop fountain-coded frames of `file` on the main canvas until stopped.
+    // Frames use low error correction: a frame the camera misses is simply
+    // replaced by a later one, so smaller, easier-to-read symbols win.
+    async startFileStream(file) {
+        if (!file) return;
+        this.stopFileStream();
+
+        try {
+            const message = await this.fountainCode.packFile({
+                name: file.name,
+                type: file.type,
+                bytes: new Uint8Array(await file.arrayBuffer())
+            });
+            const encoder = new FountainEncoder(message, null, this.fountainCode);
+            const sender = { encoder, name: file.name, timer: null, busy: false };
+            this.streamSender = sender;
+
+            const tick = async () => {
+                if (sender.busy || this.streamSender !== sender) return;
+                sender.busy = true;
+                try {
+                    await this.qrGenerator.renderFrame(encoder.nextFrame(), { errorCorrectionLevel: 'L' });
+                    this.updateStreamSenderStatus();
+                } catch (error) {
+                    console.error('Stream frame error:', error);
+                    this.stopFileStream();
+                    this.toast(`Stream stopped: ${error.message}`, 'error');
+                } finally {
+                    sender.busy = false;
+                }
+            };
+
+            await tick();
+            sender.timer = setInterval(tick, this.streamFrameInterval);
+
+            const result = document.getElementById('qr-result');
+            if (result) result.classList.add('active');
+            this.toast(`Streaming ${file.name} - point the receiving camera at the screen 📡`, 'success');
+        } catch (error) {
+            console.error('Stream start error:', error);
+            this.toast(error.message, 'error');
+        }
+    }
+
+    stopFileStream() {
+        if (!this.streamSender) return;
+
+        clearInterval(this.streamSender.timer);
+        this.streamSender = null;
+        this.updateStreamSenderStatus();
+    }
+
+    updateStreamSenderStatus() {
+        const status = document.getElementById('stream-status');
+        if (!status) return;
+
+        if (!this.streamSender) {
+            status.classList.remove('active');
+            status.innerHTML = '';
+            return;
+        }
+
+        const { encoder, name } = this.streamSender;
+        const loops = Math.floor(encoder.seed / encoder.blockCount);
+        status.innerHTML = `
+            <strong><i class="fas fa-broadcast-tower" aria-hidden="true"></i> Streaming ${this.escapeHTML(name)}</strong>
+            <p style="color: var(--text-muted); font-size: 13px; margin-top: 8px;">
+                Frame ${encoder.seed.toLocaleString()} · ${encoder.blockCount.toLocaleString()} blocks${loops > 0 ? ` · pass ${loops + 1}` : ''}.
+                Receivers can join at any time and need about ${Math.ceil(encoder.blockCount * 1.1).toLocaleString()} frames.
+            </p>
+        `;
+        status.classList.add('active');
+    }
+
+    // Enhanced Camera & Scanner
+    async startCamera() {
+        try {
+            this.showLoading(true, 'Starting camera...');
+            await this.qrScanner.startCamera();
+            this.isScanning = true;
+            this.toast('Camera started! 📷', 'success');
+        } catch (error) {
+            console.error('Camera start error:', error);
+            this.toast('Unable to access camera. Please check permissions.', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    stopCamera() {
+        this.qrScanner.stopCamera();
+        this.isScanning = false;
+    }
+
+    async switchCamera() {
+        try {
+            const newFacing = await this.qrScanner.switchCamera();
+            this.toast(`Switched to camera`, 'success');
+        } catch (error) {
+            console.error('Camera switch error:', error);
+            this.toast('Failed to switch camera', 'error');
+        }
+    }
+
+    async restartCamera() {
+        this.stopCamera();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await this.startCamera();
+    }
+
+    pauseScanning() {
+        this.isScanning = false;
+        this.updateScannerStatus('Scanning paused', 'warning');
+    }
+
+    resumeScanning() {
+        if (this.qrScanner?.stream) {
+            this.isScanning = true;
+            this.qrScanner.startDetection();
+            this.updateScannerStatus('Scanning resumed...', 'active');
+        }
+    }
+
+    updateScannerStatus(message, status) {
+        const statusEl = document.getElementById('scanner-status');
+        const icon = statusEl?.querySelector('i');
+        const text = statusEl?.querySelector('span');
+        
+        if (text) text.textContent = message;
+        if (statusEl) statusEl.className = `status-indicator ${status}`;
+        
+        const icons = {
+            ready: 'fas fa-circle',
+            active: 'fas fa-circle-notch fa-spin',
+            error: 'fas fa-exclamation-circle',
+            warning: 'fas fa-exclamation-triangle',
+            success: 'fas fa-check-circle'
+        };
+        
+        if (icon) icon.className = icons[status] || 'fas fa-circle';
+    }
+
+    // Progress of a threshold share collection; null clears the panel
+    updateStreamProgress(progress) {
+        const panel = document.getElementById('stream-progress');
+        const hidePanel = () => {
+            if (panel) {
+                panel.classList.remove('active');
+                panel.innerHTML = '';
+            }
+        };
+
+        if (!progress) {
+            hidePanel();
+            return;
+        }
+
+        if (progress.status === 'failed') {
+            hidePanel();
+            this.stopCamera();
+            this.toast(progress.error, 'error', 5000);
+            return;
+        }
+
+        if (progress.file) {
+            hidePanel();
+            this.stopCamera();
+            this.showReceivedFile(progress.file);
+            return;
+        }
+
+        if (panel) {
+            const percentage = Math.floor((progress.decoded / progress.total) * 100);
+            panel.innerHTML = `
+                <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                    <strong><i class="fas fa-broadcast-tower" aria-hidden="true"></i> Receiving file - ${percentage}%</strong>
+                    <span style="font-family: monospace; color: var(--text-muted);">stream ${progress.id}</span>
+                </div>
+                <div style="height: 6px; background: var(--bg-surface); border-radius: 3px; overflow: hidden;">
+                    <div style="height: 100%; width: ${percentage}%; background: var(--primary);"></div>
+                </div>
+                <p style="color: var(--text-muted); font-size: 13px; margin-top: 8px;">
+                    ${progress.decoded} of ${progress.total} blocks from ${progress.received} frames. Missed frames are fine - keep the camera on the screen.
+                </p>
+            `;
+            panel.classList.add('active');
+        }
+    }
+
+    showReceivedFile(file) {
+        const result = document.getElementById('scan-result');
+        const typeEl = document.getElementById('result-type');
+        const prompt = document.getElementById('password-prompt');
+        const display = document.getElementById('content-display');
+        const textResult = document.getElementById('text-result');
+        const imageResult = document.getElementById('image-result');
+
+        this.receivedFile = file;
+        this.lastScannedContent = null;
+
+        if (typeEl) {
+            typeEl.innerHTML = '<i class="fas fa-file"></i><span>File</span>';
+            typeEl.className = 'result-type public';
+        }
+        if (prompt) prompt.classList.remove('active');
+        if (imageResult) imageResult.style.display = 'none';
+        if (textResult) {
+            textResult.innerHTML = `
+                <div style="background: var(--bg-surface); padding: 20px; border-radius: 12px;">
+                    <strong style="word-break: break-all;"><i class="fas fa-file" aria-hidden="true"></i> ${this.escapeHTML(file.name)}</strong>
+                    <div style="margin-top: 8px; font-size: 14px; color: var(--text-muted); display: flex; gap: 16px; flex-wrap: wrap;">
+                        <span>${this.escapeHTML(file.type)}</span>
+                        <span>${this.formatFileSize(file.size)}</span>
+                        <span style="font-family: monospace;" title="SHA-256 ${file.sha256}">SHA-256 ${file.sha256.substring(0, 16)}… ✓</span>
+                    </div>
+                    <button class="btn btn-sm btn-primary" style="margin-top: 12px;" onclick="app.downloadReceivedFile()">
+                        <i class="fas fa-download" aria-hidden="true"></i> Download
+                    </button>
+                </div>
+            `;
+            textResult.style.display = 'block';
+        }
+        if (display) display.style.display = 'block';
+        if (result) {
+            result.classList.add('active');
+            result.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+
+        this.toast(`${file.name} received and verified! 📥`, 'success');
+    }
+
+    async openFilePayload(content) {
         try {
-            const content = await this.qrScanner.scanFromFile(file);
+            this.showReceivedFile(await this.filePayload.decode(content));
+        } catch (error) {
+            console.error('File payload error:', error);
+            this.toast(`${error.message} ❌`, 'error', 5000);
+        }
+    }
+
+    downloadReceivedFile() {
+        const file = this.receivedFile;
+        if (!file) {
+            this.toast('No received file', 'error');
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([file.bytes], { type: file.type }));
+        const link = document.createElement('a');
+        link.download = file.name;
+        link.href = url;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        this.toast(`${file.name} downloaded! 📥`, 'success');
+    }
+
+    // Which parts of a series have been scanned and which are still missing
+    updatePartProgress(progress) {
+        const panel = document.getElementById('part-progress');
+
+        if (!progress || progress.status === 'complete' || progress.parity === null) {
+            if (panel) {
+                panel.classList.remove('active');
+                panel.innerHTML = '';
+            }
+            if (progress && progress.status === 'complete') {
+                this.toast(`All ${progress.total} parts collected and verified! 🔗`, 'success');
+            }
+            return;
+        }
+
+        if (progress.status === 'duplicate') return;
+
+        if (progress.status === 'other-set') {
+            this.toast('That part belongs to a different series. Reset to start over.', 'warning');
+            return;
+        }
+
+        if (panel) {
+            const parts = Array.from({ length: progress.total }, (_, index) => {
+                const scanned = !progress.missing.includes(index + 1);
+                return `
+                    <span style="display: inline-block; min-width: 28px; padding: 4px 6px; margin: 2px; border-radius: 6px; text-align: center;
+                        background: ${scanned ? 'var(--primary)' : 'var(--bg-surface)'}; color: ${scanned ? '#fff' : 'var(--text-muted)'};"
+                        aria-label="Part ${index + 1} ${scanned ? 'scanned' : 'missing'}">${index + 1}</span>
+                `;
+            }).join('');
+
+            panel.innerHTML = `
+                <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                    <strong><i class="fas fa-link" aria-hidden="true"></i> ${progress.collected} of ${progress.total} parts</strong>
+                </div>
+                <div>${parts}</div>
+                <p style="color: var(--text-muted); font-size: 13px; margin-top: 8px;">
+                    Still missing: part ${progress.missing.join(', ')}
+                </p>
+            `;
+            panel.classList.add('active');
+        }
+
+        this.toast(`${progress.collected} of ${progress.total} parts collected 🔗`, 'success', 1500);
+    }
+
+    updateShareProgress(progress) {
+        const panel = document.getElementById('share-progress');
+
+        if (!progress || progress.status === 'complete' || !progress.id) {
+            if (panel) {
+                panel.classList.remove('active');
+                panel.innerHTML = '';
+            }
+            if (progress && progress.status === 'complete') {
+                this.toast(`All ${progress.threshold} shares collected - secret rebuilt! 🧩`, 'success');
+            }
+            return;
+        }
+
+        if (progress.status === 'duplicate') return;
+
+        if (progress.status === 'other-set') {
+            this.toast('That share belongs to a different set. Reset to start over.', 'warning');
+            return;
+        }
+
+        if (panel) {
+            const percentage = (progress.collected / progress.threshold) * 100;
+            panel.innerHTML = `
+                <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                    <strong><i class="fas fa-puzzle-piece" aria-hidden="true"></i> Share ${progress.collected} of ${progress.threshold}</strong>
+                    <span style="font-family: monospace; color: var(--text-muted);">set ${progress.id}</span>
+                </div>
+                <div style="height: 6px; background: var(--bg-surface); border-radius: 3px; overflow: hidden;">
+                    <div style="height: 100%; width: ${percentage}%; background: var(--primary);"></div>
+                </div>
+                <p style="color: var(--text-muted); font-size: 13px; margin-top: 8px;">
+                    Any ${progress.threshold} of the ${progress.total} shares unlock it. Scan the next share.
+                </p>
+            `;
+            panel.classList.add('active');
+        }
+
+        this.toast(`Share ${progress.collected} of ${progress.threshold} collected 🧩`, 'success', 1500);
+    }
+
+    async scanFromFile(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            this.toast('Please select a valid image file', 'error');
+            return;
+        }
+
+        this.showLoading(true, 'Analyzing image...');
+
+        try {
+            const qrCode = await this.qrScanner.scanFromFile(file);
+            let content = qrCode.data;
+
+            if (this.qrScanner.isPart(qrCode)) {
+                let progress;
+                try {
+                    progress = this.qrScanner.collectPart(qrCode);
+                } catch (error) {
+                    this.updatePartProgress(null);
+                    this.toast(error.message, 'error');
+                    return;
+                }
+                if (progress.status !== 'complete') return;
+                content = progress.content;
+            }
+
+            if (this.qrScanner.isShare(content)) {
+                let progress;
+                try {
+                    progress = this.qrScanner.collectShare(content);
+                } catch (error) {
+                    this.toast(error.message, 'error');
+                    return;
+                }
+                if (progress.status !== 'complete') return;
+                content = progress.content;
+            }
+
             this.processScanResult(content);
         } catch (error) {
             console.error('File scan error:', error);
@@ -1719,7 +3364,7 @@ class ScanzoQRApp {
         }
     }
 
-    processScanResult(content) {
+    async processScanResult(content) {
         const result = document.getElementById('scan-result');
         const typeEl = document.getElementById('result-type');
         const prompt = document.getElementById('password-prompt');
@@ -1727,8 +3372,58 @@ class ScanzoQRApp {
 
         this.stopCamera();
 
-        if (content.startsWith('SCANZO_PRIVATE:')) {
-            this.encryptedContent = content.substring(15);
+        if (this.compressedCodec.isCompressed(content)) {
+            try {
+                content = await this.compressedCodec.decompress(content);
+            } catch (error) {
+                console.error('Decompression error:', error);
+                this.toast(error.message, 'error');
+                return;
+            }
+        }
+
+        if (this.keyManager.isPublicKeyPayload(content)) {
+            await this.handlePublicKeyScan(content);
+            return;
+        }
+
+        if (this.signedCodec.isSigned(content)) {
+            if (prompt) prompt.classList.remove('active');
+            if (display) display.style.display = 'none';
+            if (result) {
+                result.classList.add('active');
+                result.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+
+            await this.verifySignedContent(content);
+            return;
+        }
+
+        const format = this.envelopeCodec.detectFormat(content);
+
+        if (format && format.format === 'ecdh-p256') {
+            if (typeEl) {
+                typeEl.innerHTML = '<i class="fas fa-key"></i><span>Private</span>';
+                typeEl.className = 'result-type private';
+            }
+            if (prompt) prompt.classList.remove('active');
+            if (display) display.style.display = 'none';
+            if (result) {
+                result.classList.add('active');
+                result.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+
+            await this.unlockWithKey(content);
+            return;
+        }
+
+        if (this.envelopeCodec.isPrivate(content)) {
+            this.encryptedContent = content;
+            this.showPasswordHint(format ? format.hint : null);
+            this.stopLockoutCountdown();
+            this.decryptThrottle.fingerprint(this.envelopeCodec.throttleKey(content)).then(fingerprint => {
+                if (this.encryptedContent === content) this.applyUnlockLockout(fingerprint);
+            });
             if (typeEl) {
                 typeEl.innerHTML = '<i class="fas fa-lock"></i><span>Private</span>';
                 typeEl.className = 'result-type private';
@@ -1744,53 +3439,372 @@ class ScanzoQRApp {
             this.displayContent(content);
         }
 
-        if (result) {
-            result.classList.add('active');
-            result.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        if (result) {
+            result.classList.add('active');
+            result.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        
+        this.toast('QR code scanned! 🎯', 'success');
+    }
+
+    async unlockQR() {
+        const passwordInput = document.getElementById('unlock-password');
+        const errorEl = document.getElementById('password-error');
+        const unlockBtn = document.getElementById('unlock-btn');
+        
+        const password = passwordInput ? passwordInput.value : '';
+
+        if (!password) {
+            this.showFieldError(errorEl, 'Please enter the password');
+            return;
+        }
+
+        // One attempt at a time, claimed before the first await so a double
+        // click or Enter cannot pass the throttle check twice
+        if (this.unlocking) return;
+        this.unlocking = true;
+
+        if (unlockBtn) {
+            unlockBtn.disabled = true;
+            unlockBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Unlocking...';
+        }
+
+        let fingerprint = null;
+        try {
+            fingerprint = await this.decryptThrottle.fingerprint(this.envelopeCodec.throttleKey(this.encryptedContent));
+            if (this.applyUnlockLockout(fingerprint)) return;
+
+            const result = await this.decryptContent(this.encryptedContent, password);
+            this.decryptThrottle.recordSuccess(fingerprint);
+
+            if (!this.claimOneTime(result)) {
+                this.showFieldError(errorEl, 'This one-time QR has already been opened on this device.');
+                return;
+            }
+            this.displayContent(result.content);
+            
+            const prompt = document.getElementById('password-prompt');
+            if (prompt) prompt.classList.remove('active');
+            
+            this.hideError(errorEl);
+
+            if (result.nonce) {
+                this.startBurnCountdown(result.nonce);
+            } else if (result.insecure) {
+                this.toast('Unlocked, but this QR uses the old unencrypted format. Regenerate it! ⚠️', 'warning', 5000);
+            } else {
+                this.toast('Content unlocked! 🔓', 'success');
+            }
+        } catch (error) {
+            console.error('Unlock error:', error);
+
+            if (error.code === 'QR_EXPIRED' || error.code === 'QR_NOT_YET_VALID') {
+                this.showFieldError(errorEl, error.message);
+                this.toast(`${error.message} ⏰`, 'error', 5000);
+            } else if (error.code !== 'QR_BAD_PASSWORD') {
+                // Damaged or unsupported payloads do not count as attempts
+                this.showFieldError(errorEl, `Could not unlock this QR code: ${error.message}`);
+            } else {
+                const status = this.decryptThrottle.recordFailure(fingerprint);
+                if (passwordInput) passwordInput.value = '';
+
+                if (status.locked) {
+                    this.showFieldError(errorEl, `Too many failed attempts. Locked for ${this.decryptThrottle.formatRemaining(status.remainingMs)}.`);
+                    this.startLockoutCountdown(status.lockedUntil);
+                } else {
+                    this.showFieldError(errorEl, `Incorrect password. ${status.attemptsLeft} ${status.attemptsLeft === 1 ? 'attempt' : 'attempts'} left before a lockout.`);
+                    this.animateError(passwordInput);
+                }
+            }
+        } finally {
+            this.unlocking = false;
+            if (unlockBtn && !this.lockoutTimer) {
+                unlockBtn.disabled = false;
+                unlockBtn.innerHTML = '<i class="fas fa-unlock"></i> Unlock';
+            }
+        }
+    }
+
+    // The creator's optional hint, shown on the password prompt
+    showPasswordHint(hint) {
+        const hintEl = document.getElementById('password-hint');
+        if (!hintEl) return;
+
+        if (hint) {
+            hintEl.textContent = `Hint: ${hint}`;
+            hintEl.style.display = 'block';
+        } else {
+            hintEl.textContent = '';
+            hintEl.style.display = 'none';
+        }
+    }
+
+    // Failed attempts are tracked per payload across rescans and reloads.
+    // Shows the lockout and returns true while the payload is locked out.
+    applyUnlockLockout(fingerprint) {
+        const status = this.decryptThrottle.getStatus(fingerprint);
+        if (!status.locked) return false;
+
+        this.showFieldError(
+            document.getElementById('password-error'),
+            `Too many failed attempts. Try again in ${this.decryptThrottle.formatRemaining(status.remainingMs)}.`
+        );
+        this.startLockoutCountdown(status.lockedUntil);
+        return true;
+    }
+
+    startLockoutCountdown(lockedUntil) {
+        const unlockBtn = document.getElementById('unlock-btn');
+        clearInterval(this.lockoutTimer);
+
+        const tick = () => {
+            const remaining = lockedUntil.getTime() - Date.now();
+            if (remaining <= 0) {
+                this.stopLockoutCountdown();
+                return;
+            }
+
+            if (unlockBtn) {
+                unlockBtn.disabled = true;
+                unlockBtn.innerHTML = `<i class="fas fa-hourglass-half"></i> Locked · ${this.decryptThrottle.formatRemaining(remaining)}`;
+            }
+        };
+
+        this.lockoutTimer = setInterval(tick, 1000);
+        tick();
+    }
+
+    stopLockoutCountdown() {
+        clearInterval(this.lockoutTimer);
+        this.lockoutTimer = null;
+
+        const unlockBtn = document.getElementById('unlock-btn');
+        if (unlockBtn) {
+            unlockBtn.disabled = false;
+            unlockBtn.innerHTML = '<i class="fas fa-unlock"></i> Unlock';
+        }
+    }
+
+    // Recipient-encrypted QRs unlock automatically with this device's key
+    async unlockWithKey(payload) {
+        if (!this.keyManager.hasIdentity()) {
+            this.toast('This QR is locked to recipient keys. Create a keypair first! 🔑', 'error', 5000);
+            return;
+        }
+
+        try {
+            const identity = this.keyManager.getIdentityInfo();
+            const result = await this.envelopeCodec.decodeForRecipient(payload, {
+                kid: identity.kid,
+                privateKey: await this.keyManager.getPrivateKey()
+            });
+
+            if (!this.claimOneTime(result)) return;
+            this.displayContent(result.content);
+
+            if (result.nonce) {
+                this.startBurnCountdown(result.nonce);
+            } else {
+                this.toast('Unlocked with your key! 🔓', 'success');
+            }
+        } catch (error) {
+            console.error('Key unlock error:', error);
+            this.toast(error.message, 'error', 5000);
+        }
+    }
+
+    // 🔥 One-time QRs reveal their content once per device. Returns false
+    // (and says so) when this device has already consumed the nonce.
+    claimOneTime(result) {
+        if (!result.nonce) return true;
+
+        const consumedAt = this.nonceStore.consumedAt(result.nonce);
+        if (consumedAt) {
+            this.toast(`This one-time QR was already opened here on ${consumedAt.toLocaleString()} 🔥`, 'error', 5000);
+            return false;
+        }
+
+        this.nonceStore.consume(result.nonce, result.expiresAt);
+        return true;
+    }
+
+    // Offer to wipe one-time content: unless kept, it is cleared from the
+    // screen, lastScannedContent and history when the countdown runs out
+    startBurnCountdown(nonce) {
+        this.cancelBurnCountdown();
+
+        const panel = document.getElementById('burn-notice');
+        const deadline = Date.now() + this.burnDelay;
+        this.burn = { nonce, content: this.lastScannedContent, timer: null };
+
+        if (panel) {
+            panel.innerHTML = `
+                <span><i class="fas fa-fire" aria-hidden="true"></i> One-time content - wiped in <strong id="burn-countdown"></strong></span>
+                <button class="btn btn-sm btn-danger" onclick="app.wipeOneTimeContent()">Wipe Now</button>
+                <button class="btn btn-sm btn-secondary" onclick="app.cancelBurnCountdown(true)">Keep</button>
+            `;
+            panel.classList.add('active');
+        }
+
+        const tick = () => {
+            const remaining = Math.ceil((deadline - Date.now()) / 1000);
+            if (remaining <= 0) {
+                this.wipeOneTimeContent();
+                return;
+            }
+
+            const countdown = document.getElementById('burn-countdown');
+            if (countdown) countdown.textContent = `${remaining}s`;
+        };
+
+        this.burn.timer = setInterval(tick, 1000);
+        tick();
+
+        this.toast('One-time QR unlocked. It will not open again on this device 🔥', 'warning', 5000);
+    }
+
+    cancelBurnCountdown(kept = false) {
+        if (!this.burn) return;
+
+        clearInterval(this.burn.timer);
+        this.burn = null;
+
+        const panel = document.getElementById('burn-notice');
+        if (panel) {
+            panel.classList.remove('active');
+            panel.innerHTML = '';
+        }
+
+        if (kept) {
+            this.toast('Kept. Remember to delete it when you are done', 'warning');
         }
-        
-        this.toast('QR code scanned! 🎯', 'success');
     }
 
-    async unlockQR() {
-        const passwordInput = document.getElementById('unlock-password');
-        const errorEl = document.getElementById('password-error');
-        const unlockBtn = document.getElementById('unlock-btn');
-        
-        const password = passwordInput ? passwordInput.value : '';
+    async wipeOneTimeContent() {
+        if (!this.burn) return;
 
-        if (!password) {
-            this.showError(errorEl, 'Please enter the password');
-            return;
+        const { nonce, content } = this.burn;
+        this.cancelBurnCountdown();
+
+        // Only clear the screen if it still shows the one-time content
+        if (this.lastScannedContent === content) {
+            this.lastScannedContent = null;
+
+            const textResult = document.getElementById('text-result');
+            const imageResult = document.getElementById('image-result');
+            const display = document.getElementById('content-display');
+            if (textResult) textResult.innerHTML = '';
+            if (imageResult) imageResult.innerHTML = '';
+            if (display) display.style.display = 'none';
+
+            const result = document.getElementById('scan-result');
+            if (result) result.classList.remove('active');
         }
 
-        if (unlockBtn) {
-            unlockBtn.disabled = true;
-            unlockBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Unlocking...';
+        const remaining = this.history.filter(item => item.nonce !== nonce);
+        if (remaining.length !== this.history.length) {
+            try {
+                this.history = remaining;
+                await this.storageManager.saveHistory(this.history);
+                this.loadHistory();
+                this.updateStats();
+            } catch (error) {
+                console.error('One-time history wipe error:', error);
+            }
         }
 
-        try {
-            const content = await this.decryptContent(this.encryptedContent, password);
-            this.displayContent(content);
-            
-            const prompt = document.getElementById('password-prompt');
-            if (prompt) prompt.classList.remove('active');
-            
-            this.hideError(errorEl);
-            this.toast('Content unlocked! 🔓', 'success');
-        } catch (error) {
-            console.error('Unlock error:', error);
-            this.showError(errorEl, 'Incorrect password. Please try again.');
-            this.animateError(passwordInput);
-        } finally {
-            if (unlockBtn) {
-                unlockBtn.disabled = false;
-                unlockBtn.innerHTML = '<i class="fas fa-unlock"></i> Unlock';
+        this.toast('One-time content wiped 🔥', 'success');
+    }
+
+    // Signed QRs are checked against the local trust store
+    async verifySignedContent(payload) {
+        const typeEl = document.getElementById('result-type');
+        const verification = await this.signedCodec.verify(
+            payload,
+            kid => this.keyManager.resolveIssuerKey(kid)
+        );
+
+        const states = {
+            'verified': {
+                icon: 'fas fa-certificate',
+                label: `Verified · ${this.escapeHTML(verification.issuer || '')}`,
+                toast: [`Signature verified: ${verification.issuer} ✅`, 'success']
+            },
+            'unknown-issuer': {
+                icon: 'fas fa-question-circle',
+                label: 'Unknown issuer',
+                toast: [`Signed by an unknown issuer (${verification.kid}). Not verified! ⚠️`, 'warning']
+            },
+            'tampered': {
+                icon: 'fas fa-exclamation-triangle',
+                label: 'Tampered',
+                toast: ['Signature check FAILED - this QR may be forged or altered! 🚫', 'error']
+            },
+            'expired': {
+                icon: 'fas fa-hourglass-end',
+                label: 'Expired',
+                toast: [`This QR code expired on ${verification.expiresAt ? verification.expiresAt.toLocaleString() : ''} ⏰`, 'error']
+            },
+            'not-yet-valid': {
+                icon: 'fas fa-hourglass-start',
+                label: 'Not yet valid',
+                toast: [`This QR code is not valid until ${verification.notBefore ? verification.notBefore.toLocaleString() : ''} ⏰`, 'error']
             }
+        };
+        const state = states[verification.status];
+
+        if (typeEl) {
+            typeEl.innerHTML = `<i class="${state.icon}"></i><span>${state.label}</span>`;
+            typeEl.className = `result-type ${verification.status}`;
         }
+
+        if (verification.content !== null) {
+            this.displayContent(verification.content);
+        } else if (verification.status === 'unknown-issuer' || verification.status === 'tampered') {
+            this.showUnverifiedNotice(payload, verification.status);
+        }
+
+        this.toast(state.toast[0], state.toast[1], 5000);
+        return verification;
+    }
+
+    // Content that failed verification stays hidden until the user asks
+    // for it, so a forged code never reads like a normal scan
+    showUnverifiedNotice(payload, status) {
+        const display = document.getElementById('content-display');
+        const textResult = document.getElementById('text-result');
+        const imageResult = document.getElementById('image-result');
+        if (!textResult) return;
+
+        const reason = status === 'tampered'
+            ? 'The signature check failed - this QR may be forged or altered.'
+            : 'This QR is signed by an issuer you do not trust.';
+        textResult.innerHTML = `
+            <div style="background: rgba(239, 68, 68, 0.1); border: 1px solid rgba(239, 68, 68, 0.3); padding: 20px; border-radius: 12px; text-align: center;">
+                <p style="margin-bottom: 12px;"><i class="fas fa-exclamation-triangle" aria-hidden="true"></i> ${reason} Its content is hidden - only show it if you trust where the code came from.</p>
+                <button class="btn btn-secondary" id="reveal-unverified">
+                    <i class="fas fa-eye" aria-hidden="true"></i>
+                    <span>Show unverified content</span>
+                </button>
+            </div>
+        `;
+        textResult.style.display = 'block';
+        if (imageResult) imageResult.style.display = 'none';
+        if (display) display.style.display = 'block';
+        this.lastScannedContent = null;
+
+        document.getElementById('reveal-unverified')?.addEventListener('click', () => {
+            const content = this.signedCodec.unverifiedContent(payload);
+            if (content === null) {
+                this.toast('This QR has no readable content', 'error');
+                return;
+            }
+            this.displayContent(content);
+            this.toast('Showing unverified content - be careful with links and instructions', 'warning', 5000);
+        });
     }
 
-    showError(element, message) {
+    showFieldError(element, message) {
         if (element) {
             element.textContent = message;
             element.classList.add('active');
@@ -1818,6 +3832,12 @@ class ScanzoQRApp {
         const textResult = document.getElementById('text-result');
         const imageResult = document.getElementById('image-result');
 
+        // Files are verified and offered as a download, never shown raw
+        if (this.filePayload.isFile(content)) {
+            this.openFilePayload(content);
+            return;
+        }
+
         if (content.startsWith('data:image/')) {
             if (imageResult) {
                 imageResult.innerHTML = `
@@ -1857,6 +3877,279 @@ class ScanzoQRApp {
             .replace(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g, '<a href="mailto:$1" style="color: var(--primary-solid);">$1</a>');
     }
 
+    // Key Management
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderKeyManager() {
+        const panel = document.getElementById('key-manager');
+        if (!panel) return;
+
+        const identity = this.keyManager.getIdentityInfo();
+        const contacts = this.keyManager.getContacts();
+        const signing = this.keyManager.getSigningInfo();
+        const issuers = this.keyManager.getTrustedIssuers();
+
+        const identityHTML = identity
+            ? `
+                <div style="background: var(--bg-surface); padding: 16px; border-radius: 12px; margin-bottom: 16px;">
+                    <strong>${this.escapeHTML(identity.name)}</strong>
+                    <div style="font-family: monospace; font-size: 13px; color: var(--text-muted);">${identity.kid}</div>
+                </div>
+            `
+            : '<p style="color: var(--text-muted);">No keypair yet. Generate one to receive encrypted QR codes.</p>';
+
+        const contactsHTML = contacts.length
+            ? contacts.map(contact => `
+                <div class="history-item" data-kid="${contact.kid}">
+                    <div class="history-item-header">
+                        <div class="history-item-info">
+                            <h4><i class="fas fa-user" aria-hidden="true"></i> ${this.escapeHTML(contact.name)}</h4>
+                            <p style="font-family: monospace;">${contact.kid}</p>
+                        </div>
+                        <div class="history-item-actions">
+                            <button class="btn btn-sm btn-danger" onclick="app.removeContact('${contact.kid}')" aria-label="Remove contact">
+                                <i class="fas fa-trash" aria-hidden="true"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `).join('')
+            : '<p style="color: var(--text-muted);">No contacts yet. Scan a contact\'s public key QR to add them.</p>';
+
+        const signingHTML = signing
+            ? `
+                <div style="background: var(--bg-surface); padding: 16px; border-radius: 12px; margin-bottom: 16px;">
+                    <strong>${this.escapeHTML(signing.name)}</strong>
+                    <div style="font-family: monospace; font-size: 13px; color: var(--text-muted);">${signing.kid}</div>
+                </div>
+            `
+            : '<p style="color: var(--text-muted);">No signing key yet. Create one to issue signed QR codes.</p>';
+
+        const issuersHTML = issuers.length
+            ? issuers.map(issuer => `
+                <div class="history-item" data-kid="${issuer.kid}">
+                    <div class="history-item-header">
+                        <div class="history-item-info">
+                            <h4><i class="fas fa-certificate" aria-hidden="true"></i> ${this.escapeHTML(issuer.name)}</h4>
+                            <p style="font-family: monospace;">${issuer.kid}</p>
+                        </div>
+                        <div class="history-item-actions">
+                            <button class="btn btn-sm btn-danger" onclick="app.untrustIssuer('${issuer.kid}')" aria-label="Remove trusted issuer">
+                                <i class="fas fa-trash" aria-hidden="true"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `).join('')
+            : '<p style="color: var(--text-muted);">No trusted issuers yet. Scan an issuer\'s signing key QR to trust it.</p>';
+
+        panel.innerHTML = `
+            <h4>My Keypair</h4>
+            ${identityHTML}
+            <h4>Contacts (${contacts.length})</h4>
+            ${contactsHTML}
+            <h4>My Signing Key</h4>
+            ${signingHTML}
+            <h4>Trusted Issuers (${issuers.length})</h4>
+            ${issuersHTML}
+        `;
+
+        const shareBtn = document.getElementById('share-public-key');
+        if (shareBtn) shareBtn.disabled = !identity;
+
+        const shareSigningBtn = document.getElementById('share-signing-key');
+        if (shareSigningBtn) shareSigningBtn.disabled = !signing;
+    }
+
+    renderRecipientList() {
+        const list = document.getElementById('recipient-list');
+        if (!list) return;
+
+        const identity = this.keyManager.getIdentityInfo();
+        const entries = this.keyManager.getContacts().map(c => ({ kid: c.kid, name: c.name }));
+        if (identity) {
+            entries.unshift({ kid: identity.kid, name: `${identity.name} (me)` });
+        }
+
+        if (entries.length === 0) {
+            list.innerHTML = '<p style="color: var(--text-muted);">Add contacts by scanning their public key QR codes.</p>';
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => `
+            <label style="display: flex; align-items: center; gap: 8px; padding: 8px 0; cursor: pointer;">
+                <input type="checkbox" class="recipient-checkbox" value="${entry.kid}">
+                <span>${this.escapeHTML(entry.name)}</span>
+                <span style="font-family: monospace; font-size: 12px; color: var(--text-muted);">${entry.kid}</span>
+            </label>
+        `).join('');
+    }
+
+    async generateKeypair() {
+        if (this.keyManager.hasIdentity() &&
+            !confirm('Replace your keypair? QR codes encrypted to your current key can no longer be unlocked.')) {
+            return;
+        }
+
+        try {
+            const name = prompt('Name shown to your contacts:', 'My device');
+            if (name === null) return;
+
+            await this.keyManager.generateIdentity(name.trim() || 'My device');
+            this.renderKeyManager();
+            this.renderRecipientList();
+            this.toast('Keypair generated! 🔑', 'success');
+        } catch (error) {
+            console.error('Keypair generation error:', error);
+            this.toast('Failed to generate keypair', 'error');
+        }
+    }
+
+    async generateSigningKey() {
+        if (this.keyManager.hasSigningKey() &&
+            !confirm('Replace your signing key? Scanners that trust your current key will see new codes as unknown.')) {
+            return;
+        }
+
+        try {
+            const name = prompt('Issuer name shown on verified codes:', 'My device');
+            if (name === null) return;
+
+            await this.keyManager.generateSigningKey(name.trim() || 'My device');
+            this.renderKeyManager();
+            this.toast('Signing key generated! ✍️', 'success');
+        } catch (error) {
+            console.error('Signing key generation error:', error);
+            this.toast('Failed to generate signing key', 'error');
+        }
+    }
+
+    // use: 'enc' shares the recipient key, 'sig' the signing key
+    async sharePublicKey(use = 'enc') {
+        const available = use === 'sig' ? this.keyManager.hasSigningKey() : this.keyManager.hasIdentity();
+        if (!available) {
+            this.toast(use === 'sig' ? 'Generate a signing key first' : 'Generate a keypair first', 'warning');
+            return;
+        }
+
+        try {
+            await this.qrGenerator.generate(this.keyManager.exportPublicKey(use));
+            this.switchTab('generate');
+            this.showQRResult();
+
+            const title = document.getElementById('qr-title');
+            const desc = document.getElementById('qr-description');
+            if (use === 'sig') {
+                if (title) title.textContent = 'My Signing Key';
+                if (desc) desc.textContent = 'Let scanners add this to their trusted issuers';
+            } else {
+                if (title) title.textContent = 'My Public Key';
+                if (desc) desc.textContent = 'Let contacts scan this to encrypt QR codes for you';
+            }
+        } catch (error) {
+            console.error('Share public key error:', error);
+            this.toast(error.message, 'error');
+        }
+    }
+
+    async handlePublicKeyScan(payload) {
+        try {
+            const { use, ...contact } = await this.keyManager.parsePublicKey(payload);
+
+            if (use === 'sig') {
+                const known = this.keyManager.getIssuer(contact.kid);
+                const question = known
+                    ? `"${contact.name}" (${contact.kid}) is already trusted. Update the name?`
+                    : `Trust QR codes signed by "${contact.name}" (${contact.kid})?`;
+
+                if (!confirm(question)) return;
+
+                this.keyManager.trustIssuer(contact);
+                this.renderKeyManager();
+                this.toast(`${contact.name} added to trusted issuers! ✍️`, 'success');
+                return;
+            }
+
+            const known = this.keyManager.getContact(contact.kid);
+            const question = known
+                ? `"${contact.name}" (${contact.kid}) is already a contact. Update the name?`
+                : `Add "${contact.name}" (${contact.kid}) to your contacts?`;
+
+            if (!confirm(question)) return;
+
+            this.keyManager.addContact(contact);
+            this.renderKeyManager();
+            this.renderRecipientList();
+            this.toast(`${contact.name} added to contacts! 🔑`, 'success');
+        } catch (error) {
+            console.error('Public key scan error:', error);
+            this.toast(error.message, 'error');
+        }
+    }
+
+    removeContact(kid) {
+        const contact = this.keyManager.getContact(kid);
+        if (!contact || !confirm(`Remove ${contact.name} from your contacts?`)) return;
+
+        this.keyManager.removeContact(kid);
+        this.renderKeyManager();
+        this.renderRecipientList();
+        this.toast('Contact removed! 🗑️', 'warning');
+    }
+
+    untrustIssuer(kid) {
+        const issuer = this.keyManager.getIssuer(kid);
+        if (!issuer || !confirm(`Stop trusting codes signed by ${issuer.name}?`)) return;
+
+        this.keyManager.untrustIssuer(kid);
+        this.renderKeyManager();
+        this.toast('Issuer removed! 🗑️', 'warning');
+    }
+
+    exportContacts() {
+        try {
+            const data = this.keyManager.exportContacts();
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+            link.download = `scanzo-contacts-${timestamp}.json`;
+            link.href = url;
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            URL.revokeObjectURL(url);
+            this.toast('Contacts exported! 📤', 'success');
+        } catch (error) {
+            console.error('Export contacts error:', error);
+            this.toast('Export failed', 'error');
+        }
+    }
+
+    async importContactsFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const imported = await this.keyManager.importContacts(data);
+
+            this.renderKeyManager();
+            this.renderRecipientList();
+            this.toast(`Imported ${imported} new key${imported === 1 ? '' : 's'}! 📥`, 'success');
+        } catch (error) {
+            console.error('Import contacts error:', error);
+            this.toast('Invalid contacts file', 'error');
+        }
+    }
+
     // QR Actions
     downloadQR() {
         try {
@@ -1883,6 +4176,18 @@ class ScanzoQRApp {
         }
     }
 
+    // Vector copy for print: built from the module matrix, not the canvas
+    downloadSVG() {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.qrGenerator.downloadQR(`scanzo-qr-${this.currentMode}-${timestamp}.svg`, 'svg');
+            this.toast('SVG downloaded! 📐', 'success');
+        } catch (error) {
+            console.error('SVG download error:', error);
+            this.toast('Generate a QR code first', 'error');
+        }
+    }
+
     async shareQR() {
         try {
             const canvas = document.getElementById('qr-canvas');
@@ -1938,6 +4243,8 @@ class ScanzoQRApp {
     }
 
     async saveToHistory() {
+        if (!this.requireUnlockedVault()) return;
+
         try {
             const canvas = document.getElementById('qr-canvas');
             if (!canvas) {
@@ -1960,6 +4267,9 @@ class ScanzoQRApp {
                 contentType: this.currentType,
                 content,
                 qrData: canvas.toDataURL(),
+                // What was encoded and how, so vector copies can be rebuilt
+                payload: this.qrGenerator.lastRender ? this.qrGenerator.lastRender.content : null,
+                qrOptions: this.qrGenerator.lastRender ? this.qrGenerator.lastRender.options : null,
                 timestamp: new Date().toISOString(),
                 preview: content.substring(0, 100) + (content.length > 100 ? '...' : ''),
                 size: content.length
@@ -2024,6 +4334,8 @@ class ScanzoQRApp {
             return;
         }
 
+        if (!this.requireUnlockedVault()) return;
+
         try {
             const item = {
                 id: Date.now(),
@@ -2038,6 +4350,11 @@ class ScanzoQRApp {
                 size: this.lastScannedContent.length
             };
 
+            // Tagged so the one-time wipe can find it again
+            if (this.burn && this.burn.content === this.lastScannedContent) {
+                item.nonce = this.burn.nonce;
+            }
+
             this.history.unshift(item);
             await this.storageManager.saveHistory(this.history);
             this.updateStats();
@@ -2053,6 +4370,17 @@ class ScanzoQRApp {
         const list = document.getElementById('history-list');
         const empty = document.getElementById('history-empty');
 
+        // Nothing is listed until the vault panel unlocks the history
+        if (this.storageManager.isVaultLocked()) {
+            if (list) {
+                list.style.display = 'none';
+                list.innerHTML = '';
+            }
+            if (empty) empty.style.display = 'none';
+            this.renderVaultPanel();
+            return;
+        }
+
         if (this.history.length === 0) {
             if (list) list.style.display = 'none';
             if (empty) empty.style.display = 'block';
@@ -2089,6 +4417,14 @@ class ScanzoQRApp {
                         <button class="btn btn-sm btn-warning" onclick="app.downloadHistoryItem(${item.id})" title="Download" aria-label="Download content">
                             <i class="fas fa-download" aria-hidden="true"></i>
                         </button>
+                        ${item.payload ? `
+                            <button class="btn btn-sm btn-secondary" onclick="app.downloadHistorySVG(${item.id})" title="Download SVG" aria-label="Download as SVG">
+                                <i class="fas fa-vector-square" aria-hidden="true"></i>
+                            </button>
+                            <button class="btn btn-sm btn-secondary" onclick="app.addHistoryToLabels(${item.id})" title="Add to label sheet" aria-label="Add to label sheet">
+                                <i class="fas fa-tags" aria-hidden="true"></i>
+                            </button>
+                        ` : ''}
                         <button class="btn btn-sm btn-danger" onclick="app.deleteHistoryItem(${item.id})" title="Delete" aria-label="Delete item">
                             <i class="fas fa-trash" aria-hidden="true"></i>
                         </button>
@@ -2131,7 +4467,7 @@ class ScanzoQRApp {
                     case 'generated': return item.type === 'generated';
                     case 'scanned': return item.type === 'scanned';
                     case 'public': return item.mode === 'public';
-                    case 'private': return item.mode === 'private';
+                    case 'private': return item.mode === 'private' || item.mode === 'recipients';
                     default: return true;
                 }
             });
@@ -2207,6 +4543,14 @@ class ScanzoQRApp {
                         <button class="btn btn-sm btn-warning" onclick="app.downloadHistoryItem(${item.id})" aria-label="Download content">
                             <i class="fas fa-download" aria-hidden="true"></i>
                         </button>
+                        ${item.payload ? `
+                            <button class="btn btn-sm btn-secondary" onclick="app.downloadHistorySVG(${item.id})" aria-label="Download as SVG">
+                                <i class="fas fa-vector-square" aria-hidden="true"></i>
+                            </button>
+                            <button class="btn btn-sm btn-secondary" onclick="app.addHistoryToLabels(${item.id})" aria-label="Add to label sheet">
+                                <i class="fas fa-tags" aria-hidden="true"></i>
+                            </button>
+                        ` : ''}
                         <button class="btn btn-sm btn-danger" onclick="app.deleteHistoryItem(${item.id})" aria-label="Delete item">
                             <i class="fas fa-trash" aria-hidden="true"></i>
                         </button>
@@ -2259,6 +4603,27 @@ class ScanzoQRApp {
         }
     }
 
+    downloadHistorySVG(id) {
+        const item = this.history.find(h => h.id === id);
+        if (!item || !item.payload) return;
+
+        try {
+            const svg = this.qrGenerator.toSVG(item.payload, item.qrOptions || {});
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            const link = document.createElement('a');
+            link.download = `qr-code-${item.id}.svg`;
+            link.href = url;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            this.toast('SVG downloaded! 📐', 'success');
+        } catch (error) {
+            console.error('Download history SVG error:', error);
+            this.toast('Download failed', 'error');
+        }
+    }
+
     async deleteHistoryItem(id) {
         if (!confirm('Are you sure you want to delete this item?')) return;
 
@@ -2275,6 +4640,7 @@ class ScanzoQRApp {
     }
 
     async clearHistory() {
+        if (!this.requireUnlockedVault()) return;
         if (!confirm('Are you sure you want to clear all history? This action cannot be undone.')) return;
 
         try {
@@ -2290,6 +4656,8 @@ class ScanzoQRApp {
     }
 
     async exportHistory() {
+        if (!this.requireUnlockedVault()) return;
+
         try {
             const exportData = await this.storageManager.exportHistory();
             
@@ -2313,6 +4681,150 @@ class ScanzoQRApp {
         }
     }
 
+    // 🗄️ History Vault
+    requireUnlockedVault() {
+        if (this.storageManager.isVaultLocked()) {
+            this.toast('Unlock the history vault first 🔒', 'warning');
+            this.switchTab('history');
+            return false;
+        }
+        return true;
+    }
+
+    renderVaultPanel() {
+        const panel = document.getElementById('vault-panel');
+        if (!panel) return;
+
+        const minutes = Math.round(this.vaultLockDelay / 60000);
+
+        if (!this.storageManager.isVaultEnabled()) {
+            panel.innerHTML = `
+                <h4><i class="fas fa-lock-open" aria-hidden="true"></i> History Vault</h4>
+                <p style="color: var(--text-muted);">History is stored unencrypted on this device. Set a master password to encrypt it.</p>
+                <input type="password" id="vault-new-password" placeholder="Master password (8+ characters)" autocomplete="new-password">
+                <input type="password" id="vault-confirm-password" placeholder="Confirm master password" autocomplete="new-password">
+                <button class="btn btn-primary" onclick="app.enableVault()">
+                    <i class="fas fa-lock" aria-hidden="true"></i> Encrypt History
+                </button>
+            `;
+        } else if (this.storageManager.isVaultLocked()) {
+            panel.innerHTML = `
+                <h4><i class="fas fa-lock" aria-hidden="true"></i> History is locked</h4>
+                <p style="color: var(--text-muted);">Enter the master password to view your history.</p>
+                <input type="password" id="vault-password" placeholder="Master password" autocomplete="current-password"
+                       onkeypress="if (event.key === 'Enter') app.unlockVault()">
+                <button class="btn btn-primary" id="vault-unlock" onclick="app.unlockVault()">
+                    <i class="fas fa-unlock" aria-hidden="true"></i> Unlock
+                </button>
+            `;
+        } else {
+            panel.innerHTML = `
+                <h4><i class="fas fa-shield-alt" aria-hidden="true"></i> History Vault</h4>
+                <p style="color: var(--text-muted);">History is encrypted. It locks after ${minutes} minutes of inactivity.</p>
+                <button class="btn btn-secondary" onclick="app.lockVault()">
+                    <i class="fas fa-lock" aria-hidden="true"></i> Lock Now
+                </button>
+                <button class="btn btn-danger" onclick="app.disableVault()">
+                    <i class="fas fa-lock-open" aria-hidden="true"></i> Turn Off Encryption
+                </button>
+            `;
+        }
+
+        panel.classList.add('active');
+    }
+
+    async enableVault() {
+        const password = document.getElementById('vault-new-password')?.value || '';
+        const confirmation = document.getElementById('vault-confirm-password')?.value || '';
+
+        if (password !== confirmation) {
+            this.toast('Master passwords do not match', 'error');
+            return;
+        }
+
+        this.showLoading(true, 'Encrypting history...');
+
+        try {
+            await this.storageManager.enableVault(password, this.history);
+            this.renderVaultPanel();
+            this.resetVaultTimer();
+            this.toast('History is now encrypted on this device! 🔐', 'success');
+        } catch (error) {
+            console.error('Vault enable error:', error);
+            this.toast(error.message, 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async unlockVault() {
+        const input = document.getElementById('vault-password');
+        const password = input ? input.value : '';
+
+        if (!password) {
+            this.toast('Please enter the master password', 'warning');
+            return;
+        }
+
+        this.showLoading(true, 'Unlocking history...');
+
+        try {
+            this.history = await this.storageManager.unlockVault(password);
+            this.renderVaultPanel();
+            this.loadHistory();
+            this.updateStats();
+            this.resetVaultTimer();
+            this.toast('History unlocked! 🔓', 'success');
+        } catch (error) {
+            console.error('Vault unlock error:', error);
+            this.toast(error.message, 'error');
+            this.animateError(input);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Drops the key and the decrypted history from memory
+    lockVault(automatic = false) {
+        if (!this.storageManager.isVaultEnabled()) return;
+
+        clearTimeout(this.vaultTimer);
+        this.storageManager.lockVault();
+        this.history = [];
+        this.loadHistory();
+        this.updateStats();
+
+        this.toast(automatic ? 'History locked after inactivity 🔒' : 'History locked 🔒', 'success');
+    }
+
+    async disableVault() {
+        if (!confirm('Turn off history encryption? Your history will be stored unencrypted on this device.')) return;
+
+        try {
+            await this.storageManager.disableVault(this.history);
+            clearTimeout(this.vaultTimer);
+            this.renderVaultPanel();
+            this.toast('History encryption turned off', 'warning');
+        } catch (error) {
+            console.error('Vault disable error:', error);
+            this.toast(error.message, 'error');
+        }
+    }
+
+    setupVaultAutoLock() {
+        ['pointerdown', 'keydown', 'touchstart', 'scroll'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.resetVaultTimer(), { passive: true });
+        });
+    }
+
+    resetVaultTimer() {
+        clearTimeout(this.vaultTimer);
+
+        if (this.storageManager.isVaultEnabled() && !this.storageManager.isVaultLocked()) {
+            this.vaultTimer = setTimeout(() => this.lockVault(true), this.vaultLockDelay);
+        }
+    }
+
     // Permissions
     async checkPermissions() {
         try {
@@ -2508,9 +5020,10 @@ function switchTab(tab) {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🚀 DOM loaded, initializing ScanzoQR...');
     
-    // Check for required libraries
-    if (typeof QRCode === 'undefined' || typeof jsQR === 'undefined') {
-        console.error('❌ Required libraries not loaded');
+    // Check for the QR modules (served locally and precached, so this only
+    // trips on a broken install)
+    if (typeof QREncoder === 'undefined' || typeof QRDecoder === 'undefined') {
+        console.error('❌ QR modules not loaded');
         
         const errorDiv = document.createElement('div');
         errorDiv.style.cssText = `
@@ -2521,9 +5034,9 @@ document.addEventListener('DOMContentLoaded', () => {
         `;
         errorDiv.innerHTML = `
             <div style="font-size: 48px; margin-bottom: 20px;">⚠️</div>
-            <h2 style="color: #FF6B35; margin-bottom: 16px;">Libraries Not Loaded</h2>
+            <h2 style="color: #FF6B35; margin-bottom: 16px;">QR Modules Not Loaded</h2>
             <p style="margin-bottom: 24px; max-width: 400px;">
-                QR code libraries failed to load. Please check your internet connection and refresh the page.
+                The QR encoder and decoder failed to load. Please refresh the page.
             </p>
             <button onclick="location.reload()" style="padding: 12px 24px; background: linear-gradient(135deg, #FF6B35 0%, #F7931E 100%); color: white; border: none; border-radius: 12px; cursor: pointer; font-weight: 600;">
                 <i class="fas fa-refresh"></i> Reload Page
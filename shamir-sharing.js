@@ -0,0 +1,229 @@
+// 🧩 Shamir Secret Sharing Module
+// Splits content into N SCANZO_SHARE payloads so that any K of them
+// reconstruct it, while fewer than K reveal nothing about it. Each byte of
+// the UTF-8 content is the constant term of its own random polynomial of
+// degree K-1 over GF(256); share x holds the value of every polynomial at x.
+//
+// Format (base64 JSON after the prefix):
+//   { v: 1, id, k, n, x, y }
+// `id` ties the shares of one split together, `y` is the base64 share bytes.
+// Shares carry no digest of the secret: it would let a single share be used
+// to brute-force short secrets offline.
+class ShamirSharing {
+    constructor() {
+        this.prefix = 'SCANZO_SHARE:';
+        this.base64 = new Base64Codec();
+        this.maxShares = 255;
+
+        // GF(256) log/antilog tables, AES polynomial x^8 + x^4 + x^3 + x + 1
+        // with generator 3
+        this.exp = new Uint8Array(510);
+        this.log = new Uint8Array(256);
+        let value = 1;
+        for (let i = 0; i < 255; i++) {
+            this.exp[i] = value;
+            this.log[value] = i;
+            value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+        }
+        for (let i = 255; i < 510; i++) {
+            this.exp[i] = this.exp[i - 255];
+        }
+    }
+
+    isShare(payload) {
+        return typeof payload === 'string' && payload.startsWith(this.prefix);
+    }
+
+    parse(payload) {
+        if (!this.isShare(payload)) {
+            throw new Error('Not a ScanzoQR share');
+        }
+
+        let share;
+        try {
+            share = JSON.parse(this.base64.decodeText(payload.substring(this.prefix.length)));
+        } catch {
+            throw new Error('Share QR is corrupted');
+        }
+
+        const { v, id, k, n, x, y } = share || {};
+        if (v !== 1 || typeof id !== 'string' || typeof y !== 'string' ||
+            !Number.isInteger(k) || !Number.isInteger(n) || !Number.isInteger(x) ||
+            k < 2 || k > n || n > this.maxShares || x < 1 || x > n) {
+            throw new Error('Unsupported or corrupted share');
+        }
+
+        return { id, k, n, x, y: this.base64.decode(y) };
+    }
+
+    // Returns `count` share payloads, any `threshold` of which rebuild `content`
+    split(content, threshold, count) {
+        if (!content) {
+            throw new Error('Content cannot be empty');
+        }
+        if (!Number.isInteger(threshold) || !Number.isInteger(count) ||
+            threshold < 2 || threshold > count || count > this.maxShares) {
+            throw new Error(`Threshold must be at least 2 and no more than the number of shares (max ${this.maxShares})`);
+        }
+
+        const secret = new TextEncoder().encode(content);
+        const id = Array.from(crypto.getRandomValues(new Uint8Array(4)))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+        const shares = Array.from({ length: count }, () => new Uint8Array(secret.length));
+
+        // coefficients[0] is the secret byte, the rest are random
+        const coefficients = new Uint8Array(threshold);
+        for (let i = 0; i < secret.length; i++) {
+            crypto.getRandomValues(coefficients);
+            coefficients[0] = secret[i];
+
+            for (let s = 0; s < count; s++) {
+                shares[s][i] = this.evaluate(coefficients, s + 1);
+            }
+        }
+        coefficients.fill(0);
+
+        return shares.map((y, s) => this.prefix + this.base64.encodeText(JSON.stringify({
+            v: 1,
+            id,
+            k: threshold,
+            n: count,
+            x: s + 1,
+            y: this.base64.encode(y)
+        })));
+    }
+
+    // Rebuild the content from at least `k` distinct shares of one split.
+    // Accepts payload strings or parse() results.
+    combine(shares) {
+        const parsed = shares.map(share => typeof share === 'string' ? this.parse(share) : share);
+        if (parsed.length === 0) {
+            throw new Error('No shares to combine');
+        }
+
+        const { id, k, n } = parsed[0];
+        const unique = new Map();
+        for (const share of parsed) {
+            if (share.id !== id || share.k !== k || share.n !== n) {
+                throw new Error('Shares belong to different sets');
+            }
+            if (share.y.length !== parsed[0].y.length) {
+                throw new Error('Share QR is corrupted');
+            }
+            unique.set(share.x, share);
+        }
+
+        if (unique.size < k) {
+            throw new Error(`Need ${k} shares, have ${unique.size}`);
+        }
+
+        // Lagrange interpolation at x = 0 over the first k shares
+        const points = Array.from(unique.values()).slice(0, k);
+        const secret = new Uint8Array(points[0].y.length);
+        for (let j = 0; j < k; j++) {
+            let basis = 1;
+            for (let m = 0; m < k; m++) {
+                if (m === j) continue;
+                basis = this.multiply(basis, this.divide(points[m].x, points[m].x ^ points[j].x));
+            }
+
+            for (let i = 0; i < secret.length; i++) {
+                secret[i] ^= this.multiply(points[j].y[i], basis);
+            }
+        }
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(secret);
+        } catch {
+            throw new Error('Shares did not combine - one may be damaged');
+        }
+    }
+
+    // Horner's rule; addition in GF(256) is XOR
+    evaluate(coefficients, x) {
+        let result = 0;
+        for (let i = coefficients.length - 1; i >= 0; i--) {
+            result = this.multiply(result, x) ^ coefficients[i];
+        }
+        return result;
+    }
+
+    multiply(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.exp[this.log[a] + this.log[b]];
+    }
+
+    divide(a, b) {
+        if (b === 0) throw new Error('Division by zero');
+        if (a === 0) return 0;
+        return this.exp[this.log[a] + 255 - this.log[b]];
+    }
+}
+
+// 🧺 Share Collector
+// Accumulates scanned shares of one split until the threshold is reached.
+class ShareCollector {
+    constructor(sharing = new ShamirSharing()) {
+        this.sharing = sharing;
+        this.reset();
+    }
+
+    reset() {
+        this.id = null;
+        this.threshold = 0;
+        this.total = 0;
+        this.shares = new Map();
+    }
+
+    isActive() {
+        return this.id !== null;
+    }
+
+    // Returns { status, collected, threshold, total, id, content } where status
+    // is 'added', 'duplicate', 'other-set' or 'complete' (content is only set
+    // when complete, after which the collector resets itself).
+    add(payload) {
+        const share = this.sharing.parse(payload);
+
+        if (this.id !== null && share.id !== this.id) {
+            return { status: 'other-set', ...this.progress(), content: null };
+        }
+
+        if (this.id === null) {
+            this.id = share.id;
+            this.threshold = share.k;
+            this.total = share.n;
+        }
+
+        if (this.shares.has(share.x)) {
+            return { status: 'duplicate', ...this.progress(), content: null };
+        }
+        this.shares.set(share.x, share);
+
+        if (this.shares.size < this.threshold) {
+            return { status: 'added', ...this.progress(), content: null };
+        }
+
+        const progress = this.progress();
+        try {
+            const content = this.sharing.combine(Array.from(this.shares.values()));
+            return { status: 'complete', ...progress, content };
+        } finally {
+            this.reset();
+        }
+    }
+
+    progress() {
+        return {
+            id: this.id,
+            collected: this.shares.size,
+            threshold: this.threshold,
+            total: this.total
+        };
+    }
+}
+
+// Export for use
+globalThis.ShamirSharing = ShamirSharing;
+globalThis.ShareCollector = ShareCollector;
@@ -0,0 +1,154 @@
+// ✍️ Signed QR Payload Codec
+// SCANZO_SIGNED payloads keep the content readable and add an ECDSA P-256
+// signature plus the issuer's key id, so scanners can detect forged or
+// edited codes offline against their own list of trusted issuers.
+//
+// Format (base64 JSON after the prefix):
+//   { v: 1, alg: 'ES256', kid, iat, nbf?, exp?, content, sig }
+// The JSON is UTF-8 encoded before base64, so content can be any text. The
+// signature covers the JSON of every field except `sig`, including the
+// optional validity window (nbf/exp, ms timestamps).
+class SignedPayloadCodec {
+    constructor() {
+        this.prefix = 'SCANZO_SIGNED:';
+        this.base64 = new Base64Codec();
+    }
+
+    isSigned(payload) {
+        return typeof payload === 'string' && payload.startsWith(this.prefix);
+    }
+
+    parse(payload) {
+        if (!this.isSigned(payload)) return null;
+
+        try {
+            const parsed = JSON.parse(this.base64.decodeText(payload.substring(this.prefix.length)));
+            return parsed && typeof parsed === 'object' ? parsed : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // signer: { kid, privateKey } with privateKey an ECDSA P-256 CryptoKey
+    // options: { notBefore, expiresAt } - dates or ms timestamps
+    async sign(content, signer, options = {}) {
+        if (!signer || !signer.kid || !signer.privateKey) {
+            throw new Error('A signing key is required');
+        }
+
+        const notBefore = this.toTimestamp(options.notBefore);
+        const expiresAt = this.toTimestamp(options.expiresAt);
+        if (notBefore && expiresAt && expiresAt <= notBefore) {
+            throw new Error('Expiry must be after the start of the validity window');
+        }
+
+        const header = {
+            v: 1,
+            alg: 'ES256',
+            kid: signer.kid,
+            iat: Date.now()
+        };
+        if (notBefore) header.nbf = notBefore;
+        if (expiresAt) header.exp = expiresAt;
+        header.content = content;
+
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            signer.privateKey,
+            this.signedBytes(header)
+        );
+
+        return this.prefix + this.base64.encodeText(JSON.stringify({
+            ...header,
+            sig: this.base64.encode(new Uint8Array(signature))
+        }));
+    }
+
+    // Verify against a trust store lookup: resolveKey(kid) returns
+    // { name, publicKey } for a trusted issuer, or null.
+    // Returns { status, content, kid, issuer, issuedAt, notBefore, expiresAt }
+    // where status is 'verified', 'unknown-issuer', 'tampered', or - for a
+    // genuine signature outside its validity window - 'not-yet-valid' or
+    // 'expired'. Content is only returned when verified; for the others it
+    // is withheld (null), as a forged code must not pass for a normal scan.
+    async verify(payload, resolveKey, now = Date.now()) {
+        const parsed = this.parse(payload);
+
+        if (!parsed || parsed.v !== 1 || parsed.alg !== 'ES256' ||
+            typeof parsed.content !== 'string' || !parsed.kid || !parsed.sig) {
+            return {
+                status: 'tampered',
+                content: null,
+                kid: parsed ? parsed.kid || null : null,
+                issuer: null,
+                issuedAt: null,
+                notBefore: null,
+                expiresAt: null
+            };
+        }
+
+        const result = {
+            content: parsed.content,
+            kid: parsed.kid,
+            issuer: null,
+            issuedAt: parsed.iat ? new Date(parsed.iat).toISOString() : null,
+            notBefore: parsed.nbf ? new Date(parsed.nbf) : null,
+            expiresAt: parsed.exp ? new Date(parsed.exp) : null
+        };
+
+        const trusted = await resolveKey(parsed.kid);
+        if (!trusted) {
+            return { status: 'unknown-issuer', ...result, content: null };
+        }
+
+        let valid = false;
+        try {
+            valid = await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                trusted.publicKey,
+                this.base64.decode(parsed.sig),
+                this.signedBytes(parsed)
+            );
+        } catch {
+            valid = false;
+        }
+
+        if (!valid) {
+            return { status: 'tampered', ...result, content: null, issuer: trusted.name };
+        }
+
+        if (result.notBefore && now < result.notBefore.getTime()) {
+            return { status: 'not-yet-valid', ...result, content: null, issuer: trusted.name };
+        }
+        if (result.expiresAt && now >= result.expiresAt.getTime()) {
+            return { status: 'expired', ...result, content: null, issuer: trusted.name };
+        }
+
+        return { status: 'verified', ...result, issuer: trusted.name };
+    }
+
+    // The content of a code that did not verify, for when the user asks to
+    // see it anyway. Never show it without that explicit step.
+    unverifiedContent(payload) {
+        const parsed = this.parse(payload);
+        return parsed && typeof parsed.content === 'string' ? parsed.content : null;
+    }
+
+    toTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+        if (isNaN(time)) {
+            throw new Error('Invalid validity date');
+        }
+        return time;
+    }
+
+    signedBytes(payload) {
+        const { sig, ...signed } = payload;
+        return new TextEncoder().encode(JSON.stringify(signed));
+    }
+}
+
+// Export for use
+globalThis.SignedPayloadCodec = SignedPayloadCodec;
@@ -0,0 +1,223 @@
+// 🔗 Structured Append Module
+// Spreads content that does not fit one symbol over a numbered series of up
+// to 16 QR codes with the QR Structured Append header (ISO/IEC 18004 §8):
+// mode indicator 0011, the symbol's 0-based position and the series total in
+// four bits each, and a parity byte that is the XOR of every byte of the
+// complete content. The parity both ties the symbols of one series together
+// and verifies the reassembly.
+//
+// The header is part of the symbol, not of its text: QREncoder writes it from
+// the `structuredAppend` encoding option and QRDecoder reports it as
+// `structuredAppend` next to `data`, so parts are handled as decoded symbols
+// rather than payload strings. Parts are cut on character boundaries and the
+// parity is over UTF-8 bytes.
+class StructuredAppend {
+    constructor() {
+        this.maxSymbols = 16;
+        // The 20-bit header, rounded up to bytes of each part's budget
+        this.headerLength = 3;
+    }
+
+    // Decoded symbol (a QRDecoder result or anything else with `data` and
+    // `structuredAppend`) -> whether it is one part of a series
+    isPart(code) {
+        return !!code && typeof code.data === 'string' && !!code.structuredAppend;
+    }
+
+    // Decoded symbol -> { index, total, parity, data }
+    parse(code) {
+        if (!this.isPart(code)) {
+            throw new Error('Not part of a ScanzoQR series');
+        }
+
+        const { index, total, parity } = code.structuredAppend;
+        return this.validate({ index, total, parity, data: code.data });
+    }
+
+    // Decoded symbols go through parse(); parse() results are checked the
+    // same way, as they may come from anywhere
+    toPart(part) {
+        return part && part.structuredAppend === undefined && Number.isInteger(part.index) ? this.validate(part) : this.parse(part);
+    }
+
+    // Header fields in range: 0 <= index < total <= maxSymbols, parity a byte
+    validate(part) {
+        const { index, total, parity } = part;
+        const valid = Number.isInteger(total) && total >= 2 && total <= this.maxSymbols &&
+            Number.isInteger(index) && index >= 0 && index < total &&
+            Number.isInteger(parity) && parity >= 0 && parity <= 255 &&
+            typeof part.data === 'string';
+        if (!valid) {
+            throw new Error('Series part is corrupted');
+        }
+        return part;
+    }
+
+    // Returns the series parts as parse() gives them back, each holding at
+    // most `capacity` UTF-8 bytes with its header. Encode every part's data
+    // with its { index, total, parity } as the `structuredAppend` option.
+    split(content, capacity) {
+        if (!content) {
+            throw new Error('Content cannot be empty');
+        }
+
+        const budget = capacity - this.headerLength;
+        const totalBytes = this.byteLength(content);
+        const count = Math.ceil(totalBytes / budget);
+        if (count > this.maxSymbols) {
+            throw new Error(`Content too long even for a ${this.maxSymbols}-code series (max about ${(budget * this.maxSymbols).toLocaleString()} bytes)`);
+        }
+
+        // Aim for parts of even size; fall back to full parts if cutting on
+        // character boundaries needs one more symbol than planned
+        let chunks = this.chunk(content, Math.ceil(totalBytes / count));
+        if (chunks.length > count) {
+            chunks = this.chunk(content, budget);
+        }
+
+        const parity = this.parity(content);
+        return chunks.map((data, index) => ({ index, total: chunks.length, parity, data }));
+    }
+
+    // Rebuild the content from every part of one series, checking the parity.
+    // Accepts decoded symbols or parse() results.
+    combine(parts) {
+        const parsed = parts.map(part => this.toPart(part));
+        if (parsed.length === 0) {
+            throw new Error('No series parts to combine');
+        }
+
+        const { total, parity } = parsed[0];
+        const ordered = new Array(total);
+        for (const part of parsed) {
+            if (part.total !== total || part.parity !== parity) {
+                throw new Error('Parts belong to different series');
+            }
+            if (ordered[part.index] !== undefined) {
+                throw new Error(`Series part ${part.index + 1} given more than once`);
+            }
+            ordered[part.index] = part.data;
+        }
+
+        const missing = this.missing(ordered);
+        if (missing.length > 0) {
+            throw new Error(`Series incomplete - missing part ${missing.join(', ')}`);
+        }
+
+        const content = ordered.join('');
+        if (this.parity(content) !== parity) {
+            throw new Error('Series parity check failed - a part is damaged or from another series');
+        }
+
+        return content;
+    }
+
+    // 1-based numbers of the empty slots in `ordered`
+    missing(ordered) {
+        const missing = [];
+        for (let i = 0; i < ordered.length; i++) {
+            if (ordered[i] === undefined) missing.push(i + 1);
+        }
+        return missing;
+    }
+
+    parity(content) {
+        return new TextEncoder().encode(content).reduce((parity, byte) => parity ^ byte, 0);
+    }
+
+    byteLength(content) {
+        return new TextEncoder().encode(content).length;
+    }
+
+    chunk(content, budget) {
+        const chunks = [];
+        let current = '';
+        let bytes = 0;
+
+        for (const char of content) {
+            const size = this.byteLength(char);
+            if (bytes + size > budget && current) {
+                chunks.push(current);
+                current = '';
+                bytes = 0;
+            }
+            current += char;
+            bytes += size;
+        }
+        if (current) chunks.push(current);
+
+        return chunks;
+    }
+}
+
+// 🧺 Structured Append Collector
+// Accumulates scanned parts of one series until every symbol has been seen.
+class StructuredAppendCollector {
+    constructor(structuredAppend = new StructuredAppend()) {
+        this.structuredAppend = structuredAppend;
+        this.reset();
+    }
+
+    reset() {
+        this.total = 0;
+        this.parity = null;
+        this.parts = new Map();
+    }
+
+    isActive() {
+        return this.parity !== null;
+    }
+
+    // Takes a decoded symbol or a parse() result. Returns { status,
+    // collected, total, parity, missing, content } where status is 'added',
+    // 'duplicate', 'other-set' or 'complete' and `missing` lists the 1-based
+    // part numbers not yet scanned. content is only set when complete, after
+    // which the collector resets itself.
+    add(code) {
+        const part = this.structuredAppend.toPart(code);
+
+        if (this.isActive() && (part.total !== this.total || part.parity !== this.parity)) {
+            return { status: 'other-set', ...this.progress(), content: null };
+        }
+
+        if (!this.isActive()) {
+            this.total = part.total;
+            this.parity = part.parity;
+        }
+
+        if (this.parts.has(part.index)) {
+            return { status: 'duplicate', ...this.progress(), content: null };
+        }
+        this.parts.set(part.index, part);
+
+        if (this.parts.size < this.total) {
+            return { status: 'added', ...this.progress(), content: null };
+        }
+
+        const progress = this.progress();
+        try {
+            const content = this.structuredAppend.combine(Array.from(this.parts.values()));
+            return { status: 'complete', ...progress, content };
+        } finally {
+            this.reset();
+        }
+    }
+
+    progress() {
+        const ordered = new Array(this.total);
+        for (const [index, part] of this.parts) {
+            ordered[index] = part.data;
+        }
+
+        return {
+            parity: this.parity,
+            collected: this.parts.size,
+            total: this.total,
+            missing: this.structuredAppend.missing(ordered)
+        };
+    }
+}
+
+// Export for use
+globalThis.StructuredAppend = StructuredAppend;
+globalThis.StructuredAppendCollector = StructuredAppendCollector;
@@ -1,7 +1,7 @@
 // 🚀 ScanzoQR Service Worker - Production Ready
-const CACHE_NAME = 'scanzo-qr-v2.1.0';
-const STATIC_CACHE = 'scanzo-static-v2.1.0';
-const DYNAMIC_CACHE = 'scanzo-dynamic-v2.1.0';
+const CACHE_NAME = 'scanzo-qr-v2.2.0';
+const STATIC_CACHE = 'scanzo-static-v2.2.0';
+const DYNAMIC_CACHE = 'scanzo-dynamic-v2.2.0';
 
 // Essential files to cache for offline functionality
 const STATIC_ASSETS = [
@@ -9,6 +9,30 @@ const STATIC_ASSETS = [
     './index.html',
     './styles.css',
     './manifest.json',
+    './base64-codec.js',
+    './envelope-codec.js',
+    './key-manager.js',
+    './signed-payload.js',
+    './shamir-sharing.js',
+    './history-vault.js',
+    './decrypt-throttle.js',
+    './diceware-wordlist.js',
+    './password-dictionary.js',
+    './password-strength.js',
+    './nonce-store.js',
+    './compressed-payload.js',
+    './structured-append.js',
+    './fountain-stream.js',
+    './image-payload.js',
+    './file-payload.js',
+    './label-sheet.js',
+    './logo-overlay.js',
+    './qr-styler.js',
+    './scannability.js',
+    './qr-capacity.js',
+    './qr-encoder.js',
+    './qr-decoder.js',
+    './scanzo-core.js',
     './icons/icon-72.png',
     './icons/icon-96.png',
     './icons/icon-128.png',
@@ -19,21 +43,18 @@ const STATIC_ASSETS = [
     './icons/icon-512.png',
     // Essential external resources
     'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&display=swap',
-    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
-    'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js',
-    'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js'
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
 ];
 
 // Dynamic content patterns
 const DYNAMIC_PATTERNS = [
     /^https:\/\/fonts\.gstatic\.com\//,
-    /^https:\/\/cdnjs\.cloudflare\.com\//,
-    /^https:\/\/cdn\.jsdelivr\.net\//
+    /^https:\/\/cdnjs\.cloudflare\.com\//
 ];
 
 // 🎯 Install Event - Cache Static Assets
 self.addEventListener('install', (event) => {
-    console.log('[SW] Installing Service Worker v2.1.0');
+    console.log('[SW] Installing Service Worker v2.2.0');
     
     event.waitUntil(
         (async () => {
@@ -87,7 +108,7 @@ self.addEventListener('install', (event) => {
 
 // 🔄 Activate Event - Clean Up & Take Control
 self.addEventListener('activate', (event) => {
-    console.log('[SW] Activating Service Worker v2.1.0');
+    console.log('[SW] Activating Service Worker v2.2.0');
     
     event.waitUntil(
         (async () => {
@@ -521,4 +542,4 @@ async function updateCachePeriodically() {
     }
 }
 
-console.log('[SW] Service Worker v2.1.0 script loaded');
+console.log('[SW] Service Worker v2.2.0 script loaded');
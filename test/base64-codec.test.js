@@ -0,0 +1,22 @@
+// 🔤 Base64 Codec
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../base64-codec.js');
+
+const base64 = new Base64Codec();
+
+test('bytes round-trip, including every byte value', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    assert.deepStrictEqual(base64.decode(base64.encode(bytes)), bytes);
+});
+
+test('text outside Latin-1 is encoded as UTF-8', () => {
+    const text = 'Grüße 👋 你好 שלום';
+    assert.strictEqual(base64.decodeText(base64.encodeText(text)), text);
+    assert.strictEqual(base64.encodeText('ä'), 'w6Q=');
+});
+
+test('invalid UTF-8 is rejected', () => {
+    assert.throws(() => base64.decodeText(base64.encode(new Uint8Array([0xff, 0xfe]))));
+});
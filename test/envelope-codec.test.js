@@ -0,0 +1,64 @@
+// 🔐 Private QR Envelope Codec
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../base64-codec.js');
+require('../envelope-codec.js');
+
+const codec = new EnvelopeCodec();
+const base64 = new Base64Codec();
+const password = 'correct horse battery staple';
+
+// Re-encode a payload with some header fields changed
+const tamper = (payload, changes) => {
+    const envelope = codec.parse(payload);
+    return codec.prefix + base64.encodeText(JSON.stringify({ ...envelope, ...changes }));
+};
+
+test('v2 payloads round-trip', async () => {
+    const payload = await codec.encode('Locker 12: 4471', password);
+    const opened = await codec.decode(payload, password);
+    assert.strictEqual(opened.content, 'Locker 12: 4471');
+    assert.strictEqual(opened.format, 'aes-gcm');
+});
+
+test('iteration counts other than the standard one are refused before deriving', async () => {
+    const payload = await codec.encode('secret', password);
+    for (const iter of [1, 1000, 1e12, '600000']) {
+        await assert.rejects(codec.decode(tamper(payload, { iter }), password), /Unsupported private QR format/);
+    }
+});
+
+test('only a wrong password is reported as one', async () => {
+    const payload = await codec.encode('secret', password);
+    await assert.rejects(codec.decode(payload, 'not the password'), { code: 'QR_BAD_PASSWORD' });
+
+    const error = await codec.decode(tamper(payload, { iter: 1 }), password).catch(error => error);
+    assert.notStrictEqual(error.code, 'QR_BAD_PASSWORD');
+});
+
+test('hints outside Latin-1 are written and read back', async () => {
+    const hint = 'Lieblingsbär 🐻 / 好きな動物';
+    const payload = await codec.encode('secret', password, { hint });
+    assert.strictEqual(codec.detectFormat(payload).hint, hint);
+
+    const opened = await codec.decode(payload, password);
+    assert.strictEqual(opened.content, 'secret');
+    assert.strictEqual(opened.hint, hint);
+});
+
+test('Latin-1 payloads from older builds still parse', async () => {
+    const legacy = codec.prefix + btoa(JSON.stringify({ content: 'Café', password: btoa('pässword'), version: '2.1.0' }));
+    assert.strictEqual((await codec.decode(legacy, 'pässword')).content, 'Café');
+});
+
+test('legacy formats are written as UTF-8 for any text', async () => {
+    const content = 'Schließfach 12 🔑 保管庫';
+    for (const format of ['legacy-hash', 'legacy-inline']) {
+        const payload = await codec.encode(content, 'пароль 🗝️', { format });
+        const opened = await codec.decode(payload, 'пароль 🗝️');
+        assert.strictEqual(opened.content, content);
+        assert.strictEqual(opened.insecure, true);
+        await assert.rejects(codec.decode(payload, password), { code: 'QR_BAD_PASSWORD' });
+    }
+});
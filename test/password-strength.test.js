@@ -0,0 +1,31 @@
+// 💪 Password Strength Module
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../diceware-wordlist.js');
+require('../password-dictionary.js');
+require('../password-strength.js');
+
+const strength = new PasswordStrength();
+
+test('l33t swaps on dictionary words are not rated strong', () => {
+    for (const password of ['Tr0ub4dor&3', 'L1verp00l#7', 'P@ssw0rd1', 'Dr@g0n2019!']) {
+        const { score, label } = strength.estimate(password);
+        assert.ok(score <= 1, `${password} rated ${label}`);
+    }
+});
+
+test('ambiguous swaps are read both ways', () => {
+    assert.ok(strength.unleet('l1verp00l').includes('liverpool'));
+    assert.strictEqual(strength.lookup('l1verp00l').pattern, 'common');
+});
+
+test('a word one letter off still counts as that word', () => {
+    assert.strictEqual(strength.lookup('troubador').pattern, 'dictionary');
+    assert.ok(strength.estimate('troubador').bits < strength.estimate('xqzvbnkwp').bits);
+});
+
+test('random passwords and generated passphrases stay strong', () => {
+    assert.strictEqual(strength.estimate('xK9#mQ2$vL7p').label, 'Strong');
+    assert.ok(strength.estimate(strength.generatePassphrase(6).passphrase).score >= 3);
+});
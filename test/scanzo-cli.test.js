@@ -0,0 +1,40 @@
+// 💻 scanzo command line
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const cli = path.join(__dirname, '..', 'scanzo-cli.js');
+const scanzo = (args, options = {}) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', ...options });
+
+test('generate and decode round-trip a private code', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanzo-'));
+    const output = path.join(dir, 'label.png');
+    const env = { ...process.env, SCANZO_PASSWORD: 'correct horse battery staple' };
+
+    const generated = scanzo(['generate', 'Box 17 ✓', '-o', output], { env });
+    assert.strictEqual(generated.status, 0, generated.stderr);
+    assert.strictEqual(generated.stdout.trim(), output);
+
+    const locked = JSON.parse(scanzo(['decode', output]).stdout);
+    assert.strictEqual(locked[0].type, 'private');
+    assert.strictEqual(locked[0].locked, true);
+
+    const decoded = scanzo(['decode', output], { env });
+    assert.strictEqual(decoded.status, 0, decoded.stderr);
+    assert.strictEqual(JSON.parse(decoded.stdout)[0].content, 'Box 17 ✓');
+});
+
+test('empty input is a usage error', () => {
+    const result = scanzo(['generate'], { input: '  \n' });
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /Content cannot be empty/);
+});
+
+test('unreadable images fail the batch', () => {
+    const result = scanzo(['decode', path.join(__dirname, 'missing.png')]);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(JSON.parse(result.stdout)[0].found, false);
+});
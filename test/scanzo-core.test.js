@@ -0,0 +1,39 @@
+// 🧩 ScanzoQR Core
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ScanzoCore = require('../scanzo-core.js');
+
+const core = new ScanzoCore();
+const logo = { href: 'data:image/png;base64,iVBORw0KGgo=', scale: 0.2 };
+
+test('SVG exports clear the centre and embed the logo', () => {
+    const { modules } = core.matrix('https://example.com/asset/4471', { errorCorrectionLevel: 'H' });
+    const zone = new LogoOverlay().zone(modules.size, logo.scale);
+    const at = core.defaultOptions.margin + zone.start;
+
+    for (const style of [undefined, { modules: 'rounded' }]) {
+        const svg = core.toSVG(modules, { logo, style });
+        assert.ok(svg.includes(`<rect x="${at}" y="${at}" width="${zone.size}" height="${zone.size}" fill="#ffffff"/>`));
+        assert.ok(svg.includes(`<image x="${at + 1}" y="${at + 1}" width="${zone.size - 2}"`));
+        assert.ok(svg.includes(`xlink:href="${logo.href}"`));
+        assert.ok(svg.endsWith('/></svg>'));
+    }
+
+    assert.ok(!core.toSVG(modules).includes('<image'));
+});
+
+test('raster exports refuse codes with a logo', () => {
+    const { modules } = core.matrix('logo', { errorCorrectionLevel: 'H' });
+    assert.throws(() => core.toImageData(modules, { logo }), /logo/);
+});
+
+test('logos on short content raise the version instead of failing', () => {
+    const overlay = new LogoOverlay();
+    const fit = overlay.fit('hi', 'M', overlay.maxScale);
+    assert.ok(fit.minVersion > 1);
+    assert.ok(fit.damage.worst <= overlay.budget);
+    assert.strictEqual(core.matrix('hi', { errorCorrectionLevel: fit.level, encoding: { minVersion: fit.minVersion } }).modules.size, fit.size);
+
+    assert.strictEqual(overlay.fit('https://example.com/asset/4471', 'M', 0.1).minVersion, undefined);
+});
@@ -0,0 +1,47 @@
+// ✍️ Signed QR Payload Codec
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('../base64-codec.js');
+require('../signed-payload.js');
+
+const codec = new SignedPayloadCodec();
+const base64 = new Base64Codec();
+
+const issuer = async () => {
+    const keys = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+    return {
+        signer: { kid: 'k1', privateKey: keys.privateKey },
+        resolveKey: kid => kid === 'k1' ? { name: 'Depot', publicKey: keys.publicKey } : null
+    };
+};
+
+test('non-ASCII content signs and verifies', async () => {
+    const { signer, resolveKey } = await issuer();
+    const content = 'Ausgabe für Zoë 🚚 配送センター';
+    const verification = await codec.verify(await codec.sign(content, signer), resolveKey);
+    assert.strictEqual(verification.status, 'verified');
+    assert.strictEqual(verification.content, content);
+    assert.strictEqual(verification.issuer, 'Depot');
+});
+
+test('tampered codes do not return their content', async () => {
+    const { signer, resolveKey } = await issuer();
+    const payload = await codec.sign('Pay to: Alice', signer);
+    const parsed = codec.parse(payload);
+    const forged = codec.prefix + base64.encodeText(JSON.stringify({ ...parsed, content: 'Pay to: Mallory' }));
+
+    const verification = await codec.verify(forged, resolveKey);
+    assert.strictEqual(verification.status, 'tampered');
+    assert.strictEqual(verification.content, null);
+    assert.strictEqual(codec.unverifiedContent(forged), 'Pay to: Mallory');
+});
+
+test('codes from unknown issuers do not return their content', async () => {
+    const { signer } = await issuer();
+    const payload = await codec.sign('Gate code 1234', signer);
+
+    const verification = await codec.verify(payload, () => null);
+    assert.strictEqual(verification.status, 'unknown-issuer');
+    assert.strictEqual(verification.content, null);
+});
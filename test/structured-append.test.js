@@ -0,0 +1,66 @@
+// 🔗 Structured Append Module
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ScanzoCore = require('../scanzo-core.js');
+
+const core = new ScanzoCore();
+const structuredAppend = new StructuredAppend();
+const content = 'Lieferschein 4471 für Zoë 🚚 - '.repeat(6);
+
+test('parts carry index, total and parity and combine back', () => {
+    const parts = structuredAppend.split(content, 60);
+    assert.ok(parts.length > 1);
+    parts.forEach((part, index) => {
+        assert.strictEqual(part.index, index);
+        assert.strictEqual(part.total, parts.length);
+        assert.strictEqual(part.parity, structuredAppend.parity(content));
+    });
+
+    assert.strictEqual(structuredAppend.combine([...parts].reverse()), content);
+    const damaged = [{ ...parts[0], data: 'X' + parts[0].data.substring(1) }, ...parts.slice(1)];
+    assert.throws(() => structuredAppend.combine(damaged), /parity/);
+});
+
+test('the header is written as mode bits and read back from the symbol', async () => {
+    const parts = structuredAppend.split(content, 60);
+    const collector = new StructuredAppendCollector();
+    let progress;
+
+    for (const part of parts) {
+        const { index, total, parity } = part;
+        const { modules, segments } = core.matrix(part.data, { encoding: { structuredAppend: { index, total, parity } } });
+        assert.strictEqual(segments[0].mode, 'structuredAppend');
+
+        const read = await core.read(core.toImageData(modules));
+        assert.strictEqual(read.type, 'part');
+        assert.strictEqual(read.payload, part.data);
+        assert.deepStrictEqual(read.part, part);
+        progress = collector.add(read.part);
+    }
+
+    assert.strictEqual(progress.status, 'complete');
+    assert.strictEqual(progress.content, content);
+});
+
+test('oversized payloads split with the header in each encoding', () => {
+    const parts = core.split('A1'.repeat(3000) + 'ü'.repeat(2000), 'M');
+    assert.ok(parts.length > 1);
+    for (const [index, part] of parts.entries()) {
+        assert.deepStrictEqual(Object.keys(part.encoding.structuredAppend), ['index', 'total', 'parity']);
+        assert.strictEqual(part.encoding.structuredAppend.index, index);
+        assert.strictEqual(core.capacity.measure(part.content, 'M', part.encoding).fits, true);
+    }
+    assert.deepStrictEqual(core.split('short', 'M'), [{ content: 'short', encoding: null }]);
+});
+
+test('malformed headers, mixed totals and duplicates are refused', () => {
+    const parts = structuredAppend.split(content, 60);
+    const rejects = (changed, pattern) => assert.throws(() => structuredAppend.combine(changed), pattern);
+
+    rejects([{ ...parts[0], index: parts.length }, ...parts.slice(1)], /corrupted/);
+    rejects([{ ...parts[0], index: -1 }, ...parts.slice(1)], /corrupted/);
+    rejects([{ ...parts[0], total: parts.length + 1 }, ...parts.slice(1)], /different series/);
+    rejects([parts[0], ...parts], /given more than once/);
+    assert.throws(() => structuredAppend.parse({ data: 'x', structuredAppend: { index: 3, total: 3, parity: 0 } }), /corrupted/);
+});